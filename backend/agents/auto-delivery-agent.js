@@ -1,15 +1,29 @@
 #!/usr/bin/env node
 
-const { createClient } = require('@supabase/supabase-js');
+/**
+ * Auto Delivery Agent
+ * Prepares a solution for every campaign that replied and emails approved
+ * solutions to the campaign's contact via Resend. A delivery is only marked
+ * delivered once the email went out.
+ *
+ * In approval mode (require_approval_for_delivery) new solutions are drafts
+ * until approved in the approval inbox; otherwise, with auto_delivery_enabled,
+ * they are approved and sent right away.
+ */
+
+const { lazyClient } = require('../services/supabase-client');
+const { Resend } = require('resend');
+const ApprovalInbox = require('../services/approval-inbox');
 
 class AutoDeliveryAgent {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
+    this.approvals = new ApprovalInbox();
     this.running = false;
     this.deliveriesCompleted = 0;
+
+    this.resend = new Resend(process.env.RESEND_API_KEY);
+    this.fromEmail = process.env.RESEND_FROM_EMAIL || 'maggie@maggieforbesstrategies.com';
   }
 
   async start() {
@@ -43,7 +57,13 @@ class AutoDeliveryAgent {
         .eq('setting_key', 'auto_delivery_enabled')
         .single();
 
-      const autoDeliveryEnabled = settings?.setting_value === 'true';
+      const autoDeliveryEnabled = ApprovalInbox.isOn(settings?.setting_value);
+
+      // Approval mode: new solutions are drafts, only reviewer-approved ones go out
+      const { delivery: approvalRequired } = await this.approvals.getMode();
+
+      // Approved solutions still waiting to be sent (approved in the inbox, or queued without RESEND_API_KEY)
+      await this.deliverApproved();
 
       // Get outreach campaigns that got positive responses
       const { data: campaigns, error } = await this.supabase
@@ -60,13 +80,15 @@ class AutoDeliveryAgent {
         return;
       }
 
-      console.log(`📬 Processing ${campaigns.length} deliveries... (auto-delivery: ${autoDeliveryEnabled})`);
+      console.log(`📬 Processing ${campaigns.length} deliveries... (auto-delivery: ${autoDeliveryEnabled}, approval mode: ${approvalRequired})`);
 
       for (const campaign of campaigns) {
-        await this.deliverSolution(campaign, autoDeliveryEnabled);
+        // A draft already waiting for review - don't create another one
+        if (await this.hasDelivery(campaign.id)) continue;
+        await this.deliverSolution(campaign, autoDeliveryEnabled && !approvalRequired);
       }
 
-      console.log(`✅ Total deliveries prepared: ${this.deliveriesCompleted}`);
+      console.log(`✅ Total solutions delivered: ${this.deliveriesCompleted}`);
     } catch (error) {
       console.error('Error processing deliveries:', error);
     }
@@ -77,50 +99,158 @@ class AutoDeliveryAgent {
       // Generate solution based on gap type
       const solution = await this.generateSolution(campaign);
 
-      // Create delivery record as DRAFT (requires manual approval)
+      // Create delivery record as DRAFT (requires manual approval) unless auto-delivery approves it
       const deliveryData = {
         campaign_id: campaign.id,
         company_name: campaign.company_name,
         solution_type: solution.type,
         solution_content: solution.content,
         delivery_method: solution.method,
-        status: autoDeliveryEnabled ? 'delivered' : 'draft',
+        status: autoDeliveryEnabled ? 'approved' : 'draft',
         approved_for_delivery: autoDeliveryEnabled
       };
 
-      // Only set delivered_at if auto-delivery is enabled
-      if (autoDeliveryEnabled) {
-        deliveryData.delivered_at = new Date().toISOString();
-      }
-
       const { data, error } = await this.supabase
         .from('solution_deliveries')
         .insert(deliveryData)
         .select();
 
       if (!error && data) {
-        // Only mark as delivered if auto-delivery is enabled
-        if (autoDeliveryEnabled) {
-          await this.supabase
-            .from('outreach_campaigns')
-            .update({
-              delivery_sent: true,
-              status: 'delivered'
-            })
-            .eq('id', campaign.id);
-
-          console.log(`📦 Solution DELIVERED to ${campaign.company_name}`);
-        } else {
+        if (!autoDeliveryEnabled) {
           console.log(`📝 Solution draft created for ${campaign.company_name} (awaiting approval)`);
+        } else if (!process.env.RESEND_API_KEY) {
+          console.log(`   ⚠️  RESEND_API_KEY not set - solution for ${campaign.company_name} stays queued`);
+        } else {
+          await this.sendDelivery(data[0], campaign);
         }
-
-        this.deliveriesCompleted++;
       }
     } catch (error) {
       console.error(`Error creating delivery for ${campaign.company_name}:`, error);
     }
   }
 
+  async hasDelivery(campaignId) {
+    const { data, error } = await this.supabase
+      .from('solution_deliveries')
+      .select('id')
+      .eq('campaign_id', campaignId)
+      .limit(1);
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Send approved solutions that haven't gone out yet
+   */
+  async deliverApproved() {
+    if (!process.env.RESEND_API_KEY) {
+      console.log('   ⚠️  RESEND_API_KEY not set - approved solutions stay queued');
+      return;
+    }
+
+    const { data: deliveries, error } = await this.supabase
+      .from('solution_deliveries')
+      .select('*')
+      .eq('status', 'approved')
+      .eq('approved_for_delivery', true)
+      .is('delivered_at', null)
+      .limit(5);
+
+    if (error) throw error;
+
+    for (const delivery of deliveries || []) {
+      const { data: campaign, error: campaignError } = await this.supabase
+        .from('outreach_campaigns')
+        .select('id, contact_name, recipient_email')
+        .eq('id', delivery.campaign_id)
+        .maybeSingle();
+
+      if (campaignError) {
+        console.error(`Error loading the campaign for ${delivery.company_name}:`, campaignError);
+        continue;
+      }
+
+      await this.sendDelivery(delivery, campaign);
+    }
+  }
+
+  /**
+   * Email a solution to the campaign's contact, then mark it (and the campaign)
+   * delivered. Deliveries that can't be sent are marked send_failed.
+   */
+  async sendDelivery(delivery, campaign) {
+    try {
+      if (!campaign?.recipient_email) throw new Error('the campaign has no recipient email');
+
+      const email = this.solutionEmail(delivery, campaign.contact_name);
+      const { error } = await this.resend.emails.send({
+        from: `Maggie Forbes <${this.fromEmail}>`,
+        to: campaign.recipient_email,
+        subject: email.subject,
+        text: email.body,
+        html: email.body.replace(/\n/g, '<br>')
+      });
+
+      if (error) throw new Error(`Resend error: ${error.message}`);
+    } catch (sendErr) {
+      console.error(`   ❌ Delivery to ${delivery.company_name} failed: ${sendErr.message}`);
+      await this.supabase
+        .from('solution_deliveries')
+        .update({ status: 'send_failed' })
+        .eq('id', delivery.id);
+      return false;
+    }
+
+    const { error: updateError } = await this.supabase
+      .from('solution_deliveries')
+      .update({ status: 'delivered', delivered_at: new Date().toISOString() })
+      .eq('id', delivery.id);
+
+    if (updateError) {
+      console.error(`Error marking the solution for ${delivery.company_name} delivered:`, updateError);
+    }
+
+    await this.supabase
+      .from('outreach_campaigns')
+      .update({
+        delivery_sent: true,
+        status: 'delivered'
+      })
+      .eq('id', campaign.id);
+
+    this.deliveriesCompleted++;
+    console.log(`📦 Solution DELIVERED to ${delivery.company_name} (${campaign.recipient_email}${delivery.approved_by ? `, approved by ${delivery.approved_by}` : ''})`);
+    return true;
+  }
+
+  /**
+   * Plain-text email for a solution: what it covers and what they get
+   */
+  solutionEmail(delivery, contactName) {
+    const content = delivery.solution_content || {};
+    const firstName = (contactName || '').trim().split(/\s+/)[0] || 'there';
+    const list = items => (items || []).map(item => `- ${item}`);
+
+    const body = [
+      `Hi ${firstName},`,
+      '',
+      `Here is the ${content.title || 'plan'} we put together for ${delivery.company_name}.`,
+      '',
+      'What it covers:',
+      ...list(content.sections),
+      '',
+      "What you'll get:",
+      ...list(content.deliverables),
+      '',
+      'Reply to this email with any questions.',
+      '',
+      'Maggie Forbes'
+    ].join('\n');
+
+    return { subject: content.title || `Your plan for ${delivery.company_name}`, body };
+  }
+
   async generateSolution(campaign) {
     // Generate different solutions based on gap type
     const solutions = {
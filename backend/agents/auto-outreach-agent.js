@@ -8,18 +8,30 @@
  * 2. Generates personalized emails using research data
  * 3. Sends via Resend (if enabled)
  * 4. Tracks all sent emails to prevent duplicates
+ *
+ * Addresses are SMTP-verified first (EmailVerifier) - invalid, catch-all and
+ * unknown addresses are skipped, only valid and role accounts are emailed.
+ *
+ * In approval mode (require_approval_for_outreach) new emails are only drafted;
+ * drafts approved in the approval inbox are sent on the next run. Leads whose
+ * opportunity has market gaps wait (outreach_status gap_review) until a reviewer
+ * approves one of them; the campaign records that gap in gap_id.
+ *
+ * Campaigns keep the mfs_leads id in mfs_lead_id and the scored_opportunities
+ * row the lead came from in opportunity_id, which is what outcome reports and
+ * lead model training join on.
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('../services/supabase-client');
 const { Resend } = require('resend');
 const SmartEmailWriter = require('../services/smart-email-writer');
+const ApprovalInbox = require('../services/approval-inbox');
+const EmailVerifier = require('../services/email-verifier');
+const EntityResolver = require('../services/entity-resolver');
 
 class AutoOutreachAgent {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
     this.running = false;
     this.emailsSent = 0;
     this.emailsSkipped = 0;
@@ -30,6 +42,15 @@ class AutoOutreachAgent {
 
     // Smart email writer - uses research data intelligently
     this.emailWriter = new SmartEmailWriter();
+
+    // Approval mode + reviewed drafts
+    this.approvals = new ApprovalInbox();
+
+    // MX + SMTP check before anything is drafted or sent
+    this.verifier = new EmailVerifier();
+
+    // mfs_leads -> scored_opportunities by company when the email isn't on file
+    this.resolver = new EntityResolver();
   }
 
   async start() {
@@ -64,8 +85,15 @@ class AutoOutreachAgent {
         .eq('setting_key', 'auto_outreach_enabled')
         .single();
 
-      const autoSendEnabled = settings?.setting_value === 'true';
+      const autoSendEnabled = ApprovalInbox.isOn(settings?.setting_value);
+      const { outreach: approvalRequired } = await this.approvals.getMode();
       console.log(`   Auto-send: ${autoSendEnabled ? 'ENABLED' : 'DISABLED (drafts only)'}`);
+      console.log(`   Approval mode: ${approvalRequired ? 'ON (only approved drafts are sent)' : 'OFF'}`);
+
+      if (approvalRequired) {
+        await this.sendApprovedDrafts();
+      }
+      await this.releaseGapReviewLeads(approvalRequired);
 
       // Get leads from mfs_leads that:
       // 1. Have been researched (lead_research is not null)
@@ -103,6 +131,28 @@ class AutoOutreachAgent {
             continue;
           }
 
+          const opportunityId = await this.findOpportunityId(lead);
+
+          // Approval mode: leads with identified market gaps wait for a reviewer to approve one
+          let gap = null;
+          if (approvalRequired) {
+            const gate = await this.checkGapApproval(opportunityId);
+            if (gate.status === 'pending' || gate.status === 'rejected') {
+              console.log(`   ⏸️  ${lead.company_name}: market gaps ${gate.status === 'pending' ? 'awaiting review' : 'rejected'} - skipping`);
+              await this.markLeadStatus(lead.id, gate.status === 'pending' ? 'gap_review' : 'gap_rejected');
+              this.emailsSkipped++;
+              continue;
+            }
+            gap = gate.gap;
+          }
+
+          const verification = await this.checkDeliverable(lead.contact_email);
+          if (!verification.sendable) {
+            await this.markLeadStatus(lead.id, verification.status === 'invalid' ? 'email_invalid' : 'email_unverified');
+            this.emailsSkipped++;
+            continue;
+          }
+
           console.log(`\n📧 Processing: ${lead.company_name} (${lead.contact_name})`);
 
           // Generate personalized email using smart writer (analyzes research data)
@@ -123,7 +173,7 @@ class AutoOutreachAgent {
 
           // Send email (if auto-send enabled)
           let sent = false;
-          if (autoSendEnabled && process.env.RESEND_API_KEY) {
+          if (autoSendEnabled && !approvalRequired && process.env.RESEND_API_KEY) {
             console.log(`   📤 Sending to ${lead.contact_email}...`);
             try {
               await this.sendEmail(lead, email);
@@ -136,11 +186,12 @@ class AutoOutreachAgent {
               continue;
             }
           } else {
-            console.log(`   📝 Draft created (auto-send disabled)`);
+            console.log(`   📝 Draft created (${approvalRequired ? 'awaiting approval' : 'auto-send disabled'})`);
           }
 
           // Store in outreach_campaigns
-          await this.createCampaign(lead, email, sent);
+          await this.createCampaign(lead, email, sent, { opportunityId, gapId: gap?.id || null });
+          if (sent && gap) await this.markGapSent(gap.id);
 
           // Update lead status
           await this.markLeadStatus(lead.id, sent ? 'sent' : 'draft');
@@ -161,6 +212,145 @@ class AutoOutreachAgent {
     }
   }
 
+  /**
+   * Send drafts a reviewer approved in the approval inbox
+   */
+  async sendApprovedDrafts() {
+    if (!process.env.RESEND_API_KEY) {
+      console.log('   ⚠️  RESEND_API_KEY not set - approved drafts stay queued');
+      return;
+    }
+
+    const { data: drafts, error } = await this.supabase
+      .from('outreach_campaigns')
+      .select('*')
+      .eq('status', 'approved')
+      .eq('approved_for_sending', true)
+      .is('sent_at', null)
+      .order('approved_at', { ascending: true })
+      .limit(5);
+
+    if (error) {
+      console.error('Error loading approved drafts:', error);
+      return;
+    }
+
+    if (!drafts || drafts.length === 0) return;
+    console.log(`✅ Sending ${drafts.length} approved drafts`);
+
+    for (const draft of drafts) {
+      try {
+        if (await this.checkAlreadySent(draft.recipient_email)) {
+          console.log(`   ⏭️  Already emailed ${draft.recipient_email} - skipping approved draft`);
+          await this.updateCampaign(draft.id, { status: 'already_sent' });
+          this.emailsSkipped++;
+          continue;
+        }
+
+        // Approved before the address was checked (or it has stopped working since)
+        const verification = await this.checkDeliverable(draft.recipient_email);
+        if (!verification.sendable) {
+          await this.updateCampaign(draft.id, { status: verification.status === 'invalid' ? 'email_invalid' : 'email_unverified' });
+          this.emailsSkipped++;
+          continue;
+        }
+
+        await this.sendEmail(
+          { contact_email: draft.recipient_email },
+          { subject: draft.subject, body: draft.email_content }
+        );
+        this.emailsSent++;
+        console.log(`   ✅ Approved draft sent to ${draft.recipient_email} (approved by ${draft.approved_by})`);
+
+        await this.updateCampaign(draft.id, { status: 'sent', sent_at: new Date().toISOString() });
+        if (draft.mfs_lead_id) await this.markLeadStatus(draft.mfs_lead_id, 'sent');
+        if (draft.gap_id) await this.markGapSent(draft.gap_id);
+
+        // Rate limiting - 5 seconds between sends
+        await new Promise(resolve => setTimeout(resolve, 5000));
+      } catch (sendErr) {
+        console.error(`   ❌ Send failed for approved draft ${draft.id}: ${sendErr.message}`);
+        await this.updateCampaign(draft.id, { status: 'send_failed' });
+      }
+    }
+  }
+
+  /**
+   * Market gap gate for approval mode: { status, gap }
+   * - none:     no gaps identified for the lead's opportunity
+   * - approved: a reviewer approved a gap (gap = the most confident approved one)
+   * - pending:  gaps are waiting in the approval inbox
+   * - rejected: every gap was rejected
+   */
+  async checkGapApproval(opportunityId) {
+    if (!opportunityId) return { status: 'none', gap: null };
+
+    const { data: gaps, error } = await this.supabase
+      .from('market_gaps')
+      .select('id, gap_type, confidence_score, review_status, approved_for_outreach')
+      .eq('opportunity_id', opportunityId)
+      .order('confidence_score', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    if (!gaps || gaps.length === 0) return { status: 'none', gap: null };
+
+    const approved = gaps.find(gap => gap.approved_for_outreach === true);
+    if (approved) return { status: 'approved', gap: approved };
+    if (gaps.some(gap => gap.review_status !== 'rejected')) return { status: 'pending', gap: null };
+    return { status: 'rejected', gap: null };
+  }
+
+  /**
+   * Put leads held for gap review back in the queue once their gaps are decided
+   * (or approval mode was turned off)
+   */
+  async releaseGapReviewLeads(approvalRequired) {
+    const { data: held, error } = await this.supabase
+      .from('mfs_leads')
+      .select('*')
+      .eq('outreach_status', 'gap_review')
+      .limit(50);
+
+    if (error) {
+      console.error('Error loading leads held for gap review:', error);
+      return;
+    }
+
+    for (const lead of held || []) {
+      try {
+        const gate = approvalRequired ? await this.checkGapApproval(await this.findOpportunityId(lead)) : null;
+        if (!gate || gate.status !== 'pending') await this.markLeadStatus(lead.id, 'pending');
+      } catch (error) {
+        console.error(`Error checking gap review for ${lead.company_name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Outreach went out on this gap - it leaves the approval inbox
+   */
+  async markGapSent(gapId) {
+    const { error } = await this.supabase
+      .from('market_gaps')
+      .update({ outreach_sent: true })
+      .eq('id', gapId);
+
+    if (error) {
+      console.error('Error updating market gap:', error);
+    }
+  }
+
+  async updateCampaign(campaignId, fields) {
+    const { error } = await this.supabase
+      .from('outreach_campaigns')
+      .update(fields)
+      .eq('id', campaignId);
+
+    if (error) {
+      console.error('Error updating campaign:', error);
+    }
+  }
+
   /**
    * Check if we've already sent an email to this address
    */
@@ -182,6 +372,17 @@ class AutoOutreachAgent {
     return data && data.length > 0;
   }
 
+  /**
+   * SMTP-verify an address before emailing it - only valid and role accounts are sendable
+   */
+  async checkDeliverable(email) {
+    const verification = await this.verifier.verify(email);
+    if (!verification.sendable) {
+      console.log(`   ⏭️  ${email} is ${verification.status} (${verification.reason || 'no detail'}) - skipping`);
+    }
+    return verification;
+  }
+
   /**
    * Generate personalized email for MFS - using research data
    */
@@ -289,9 +490,48 @@ class AutoOutreachAgent {
     return data;
   }
 
-  async createCampaign(lead, email, sent) {
+  /**
+   * The scored_opportunities row an mfs_leads lead came from: the same contact
+   * email first, then the latest opportunity at the same company (null if none)
+   */
+  async findOpportunityId(lead) {
+    try {
+      if (lead.contact_email) {
+        const emails = [...new Set([lead.contact_email, lead.contact_email.toLowerCase()])];
+        const { data, error } = await this.supabase
+          .from('scored_opportunities')
+          .select('id')
+          .in('opportunity_data->>discovered_email', emails)
+          .order('created_at', { ascending: false })
+          .limit(1);
+
+        if (error) throw new Error(error.message);
+        if (data && data.length > 0) return data[0].id;
+      }
+
+      const { company } = await this.resolver.match(lead);
+      if (!company) return null;
+
+      const { data, error } = await this.supabase
+        .from('scored_opportunities')
+        .select('id')
+        .eq('company_id', company.id)
+        .order('created_at', { ascending: false })
+        .limit(1);
+
+      if (error) throw new Error(error.message);
+      return data && data.length > 0 ? data[0].id : null;
+    } catch (error) {
+      console.error(`Error finding the opportunity for lead ${lead.id}:`, error.message);
+      return null;
+    }
+  }
+
+  async createCampaign(lead, email, sent, { opportunityId, gapId = null } = {}) {
     const campaignData = {
-      opportunity_id: lead.id,
+      opportunity_id: opportunityId !== undefined ? opportunityId : await this.findOpportunityId(lead),
+      mfs_lead_id: lead.id,
+      gap_id: gapId,
       company_name: lead.company_name,
       contact_name: lead.contact_name,
       recipient_email: lead.contact_email,
@@ -1,13 +1,13 @@
 #!/usr/bin/env node
 
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('../services/supabase-client');
+const GapClassifier = require('../services/gap-classifier');
+const gapTaxonomy = require('../services/gap-taxonomy.json');
 
 class GapFinderAgent {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
+    this.classifier = new GapClassifier();
     this.running = false;
     this.opportunitiesFound = 0;
   }
@@ -36,12 +36,14 @@ class GapFinderAgent {
     console.log('🔍 Analyzing market for gaps...');
 
     try {
-      // Get existing opportunities from database
+      // Opportunities whose text hasn't been classified yet
       const { data: opportunities, error } = await this.supabase
         .from('scored_opportunities')
         .select('*')
         .gte('overall_score', 70)
         .eq('route_to_outreach', false)
+        .is('opportunity_data->gap_analysis', null)
+        .order('overall_score', { ascending: false })
         .limit(10);
 
       if (error) throw error;
@@ -53,30 +55,53 @@ class GapFinderAgent {
 
       console.log(`📊 Analyzing ${opportunities.length} opportunities for gaps...`);
 
-      // Analyze each opportunity for market gaps
+      // Analyze each opportunity for market gaps - one market_gaps row per gap
       for (const opp of opportunities) {
-        const gap = await this.analyzeOpportunity(opp);
+        const gaps = await this.analyzeOpportunity(opp);
 
-        if (gap) {
-          // Store identified gap
-          const { data, error: insertError } = await this.supabase
+        for (const gap of gaps) {
+          const { error: insertError } = await this.supabase
             .from('market_gaps')
             .insert({
               opportunity_id: opp.id,
               company_name: opp.company_name,
               gap_type: gap.type,
+              gap_category: gap.category,
               gap_description: gap.description,
               solution_approach: gap.solution,
               confidence_score: gap.confidence,
+              evidence: gap.evidence,
               identified_at: new Date().toISOString()
-            })
-            .select();
+            });
 
           if (!insertError) {
             this.opportunitiesFound++;
-            console.log(`✅ Gap identified for ${opp.company_name}: ${gap.type}`);
+            console.log(`✅ Gap identified for ${opp.company_name}: ${gap.type}/${gap.category} (${gap.confidence})`);
+          } else {
+            console.error(`❌ Could not store gap for ${opp.company_name}:`, insertError.message);
           }
         }
+
+        if (gaps.length === 0) {
+          console.log(`➖ No gap evidence in ${opp.company_name}'s text`);
+        }
+
+        // Mark as analyzed so the next run moves on
+        const { error: updateError } = await this.supabase
+          .from('scored_opportunities')
+          .update({
+            opportunity_data: {
+              ...(opp.opportunity_data || {}),
+              gap_analysis: {
+                analyzed_at: new Date().toISOString(),
+                taxonomy_version: gapTaxonomy.version,
+                gaps: gaps.map(gap => ({ type: gap.type, category: gap.category, confidence: gap.confidence }))
+              }
+            }
+          })
+          .eq('id', opp.id);
+
+        if (updateError) console.error(`❌ Could not mark ${opp.company_name} as analyzed:`, updateError.message);
       }
 
       console.log(`🎯 Total gaps found: ${this.opportunitiesFound}`);
@@ -85,59 +110,12 @@ class GapFinderAgent {
     }
   }
 
+  /**
+   * Gaps in the opportunity's pain text (post, snippet, research), most confident
+   * first - each with the quotes it was based on. Empty when the text shows none.
+   */
   async analyzeOpportunity(opportunity) {
-    // Gap analysis based on available opportunity data
-    const gaps = [];
-    const score = opportunity.overall_score || 0;
-    const signalStrength = opportunity.signal_strength_score || 0;
-    const data = opportunity.opportunity_data || {};
-
-    // High score opportunities are looking for solutions
-    if (score >= 80) {
-      gaps.push({
-        type: 'growth',
-        description: 'High-intent prospect actively seeking solutions',
-        solution: 'Autonomous client acquisition system',
-        confidence: 0.9
-      });
-    }
-
-    // Strong signal strength indicates urgent need
-    if (signalStrength >= 40) {
-      gaps.push({
-        type: 'operations',
-        description: 'Strong buying signals - likely facing operational challenges',
-        solution: 'Automation and workflow optimization',
-        confidence: 0.85
-      });
-    }
-
-    // Tier 1 priority means high urgency
-    if (opportunity.priority_tier === 'tier_1') {
-      gaps.push({
-        type: 'technology',
-        description: 'Priority prospect with technology or growth needs',
-        solution: 'Modern automation and integration solutions',
-        confidence: 0.8
-      });
-    }
-
-    // Medium score with route_to_outreach flag
-    if (score >= 60 && opportunity.route_to_outreach) {
-      gaps.push({
-        type: 'growth',
-        description: 'Qualified prospect ready for outreach',
-        solution: 'Revenue optimization and growth strategies',
-        confidence: 0.75
-      });
-    }
-
-    // Return highest confidence gap
-    if (gaps.length > 0) {
-      return gaps.sort((a, b) => b.confidence - a.confidence)[0];
-    }
-
-    return null;
+    return this.classifier.classify(opportunity);
   }
 
   stop() {
@@ -0,0 +1,303 @@
+/**
+ * Memory Database
+ * Just enough of the Supabase client for the offline test scripts: from(table)
+ * with select / insert / update / upsert / delete, the filters our services use
+ * (eq, in, is, not, or, overlaps, ...), order, range / limit and single. Rows
+ * live in database.tables[name]; inserts get a UUID id and created_at.
+ *
+ *   const database = new MemoryDatabase({ companies: [...] });
+ *   service.supabase = database;
+ *   database.fail('scored_opportunities', 'connection reset'); // every query on it errors
+ *
+ * Filters follow Postgres NULL rules where tests rely on them: NOT IN and
+ * comparisons never match a NULL column.
+ */
+
+const crypto = require('crypto');
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Value of a column, JSON paths included: opportunity_data->>discovered_email, a->b->>c
+ */
+function read(row, column) {
+  const parts = column.split(/->>?/).map(part => part.trim());
+  let value = row;
+  for (const part of parts) value = value == null ? undefined : value[part];
+  if (column.includes('->>') && value !== null && value !== undefined && typeof value !== 'string') value = String(value);
+  return value === undefined ? null : value;
+}
+
+/**
+ * '("a","b")' / '(1,2)' -> ['a', 'b'] / ['1', '2']
+ */
+function parseList(text) {
+  return String(text).replace(/^\(|\)$/g, '').split(',').map(item => item.trim().replace(/^"|"$/g, '')).filter(item => item !== '');
+}
+
+function parseIs(value) {
+  if (value === 'null' || value === null) return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function compare(op, actual, expected) {
+  switch (op) {
+    case 'eq': return actual !== null && String(actual) === String(expected);
+    case 'neq': return actual !== null && String(actual) !== String(expected);
+    case 'gt': return actual !== null && actual > expected;
+    case 'gte': return actual !== null && actual >= expected;
+    case 'lt': return actual !== null && actual < expected;
+    case 'lte': return actual !== null && actual <= expected;
+    case 'in': return actual !== null && expected.map(String).includes(String(actual));
+    case 'is': return actual === parseIs(expected);
+    case 'ilike': return actual !== null && new RegExp(`^${String(expected).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*')}$`, 'i').test(actual);
+    default: throw new Error(`MemoryDatabase: unsupported operator ${op}`);
+  }
+}
+
+/**
+ * One condition of an or() string: "column.op.value" or "column.not.op.value"
+ */
+function orCondition(text) {
+  const [column, ...rest] = text.split('.');
+  const negate = rest[0] === 'not';
+  if (negate) rest.shift();
+  const op = rest.shift();
+  const raw = rest.join('.');
+  const expected = op === 'in' ? parseList(raw) : raw;
+  return row => {
+    const actual = read(row, column);
+    if (negate) return op === 'is' ? actual !== parseIs(raw) : actual !== null && !compare(op, actual, expected);
+    return compare(op, actual, expected);
+  };
+}
+
+/**
+ * Split on commas outside parentheses
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts.map(part => part.trim());
+}
+
+/**
+ * Apply a select() column list to a row ('*', 'a, b', 'x->>y', 'alias:column')
+ */
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return clone(row);
+  const result = {};
+  for (const entry of splitTopLevel(columns)) {
+    if (entry === '*') {
+      Object.assign(result, clone(row));
+      continue;
+    }
+    if (entry.includes('(')) continue; // embedded relations aren't modelled
+    const [alias, column] = entry.includes(':') ? entry.split(':').map(s => s.trim()) : [null, entry];
+    const name = alias || column.split(/->>?/).pop().trim();
+    result[name] = clone(read(row, column));
+  }
+  return result;
+}
+
+class MemoryQuery {
+  constructor(database, table, action, values = null, options = {}) {
+    this.database = database;
+    this.table = table;
+    this.action = action;
+    this.values = values;
+    this.options = options;
+    this.filters = [];
+    this.sorts = [];
+    this.window = null;
+    this.columns = action === 'select' ? options.columns : null;
+    this.returning = action === 'select';
+    this.one = null;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.columns = columns;
+    this.returning = true;
+    if (count) this.options.count = count;
+    if (head) this.options.head = head;
+    return this;
+  }
+
+  filter(test) {
+    this.filters.push(test);
+    return this;
+  }
+
+  eq(column, value) { return this.filter(row => compare('eq', read(row, column), value)); }
+  neq(column, value) { return this.filter(row => compare('neq', read(row, column), value)); }
+  gt(column, value) { return this.filter(row => compare('gt', read(row, column), value)); }
+  gte(column, value) { return this.filter(row => compare('gte', read(row, column), value)); }
+  lt(column, value) { return this.filter(row => compare('lt', read(row, column), value)); }
+  lte(column, value) { return this.filter(row => compare('lte', read(row, column), value)); }
+  ilike(column, value) { return this.filter(row => compare('ilike', read(row, column), value)); }
+  in(column, values) { return this.filter(row => compare('in', read(row, column), values)); }
+  is(column, value) { return this.filter(row => read(row, column) === value); }
+
+  not(column, op, value) {
+    return this.filter(row => {
+      const actual = read(row, column);
+      if (op === 'is') return actual !== parseIs(value);
+      return actual !== null && !compare(op, actual, op === 'in' ? parseList(value) : value);
+    });
+  }
+
+  or(conditions) {
+    const tests = splitTopLevel(conditions).map(orCondition);
+    return this.filter(row => tests.some(test => test(row)));
+  }
+
+  overlaps(column, values) {
+    return this.filter(row => (read(row, column) || []).some(item => values.includes(item)));
+  }
+
+  contains(column, value) {
+    return this.filter(row => {
+      const actual = read(row, column);
+      if (Array.isArray(value)) return Array.isArray(actual) && value.every(item => actual.includes(item));
+      return actual !== null && Object.entries(value).every(([key, item]) => JSON.stringify(actual[key]) === JSON.stringify(item));
+    });
+  }
+
+  order(column, { ascending = true, nullsFirst = false } = {}) {
+    this.sorts.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  limit(count) {
+    this.window = { from: this.window?.from || 0, count };
+    return this;
+  }
+
+  range(from, to) {
+    this.window = { from, count: to - from + 1 };
+    return this;
+  }
+
+  single() { this.one = 'single'; return this; }
+  maybeSingle() { this.one = 'maybe'; return this; }
+
+  matching() {
+    return this.database.rows(this.table).filter(row => this.filters.every(test => test(row)));
+  }
+
+  write() {
+    const rows = this.database.rows(this.table);
+    const now = new Date().toISOString();
+    const fresh = values => ({ id: crypto.randomUUID(), created_at: now, ...clone(values) });
+
+    if (this.action === 'insert') {
+      const inserted = [].concat(this.values).map(fresh);
+      rows.push(...inserted);
+      return inserted;
+    }
+
+    if (this.action === 'upsert') {
+      const keys = (this.options.onConflict || 'id').split(',').map(key => key.trim());
+      return [].concat(this.values).map(values => {
+        const existing = rows.find(row => keys.every(key => values[key] !== undefined && row[key] === values[key]));
+        if (!existing) {
+          const row = fresh(values);
+          rows.push(row);
+          return row;
+        }
+        if (!this.options.ignoreDuplicates) Object.assign(existing, clone(values));
+        return existing;
+      });
+    }
+
+    const matched = this.matching();
+    if (this.action === 'update') matched.forEach(row => Object.assign(row, clone(this.values)));
+    if (this.action === 'delete') this.database.tables[this.table] = rows.filter(row => !matched.includes(row));
+    return matched;
+  }
+
+  run() {
+    const failure = this.database.failures[this.table];
+    if (failure) return { data: null, error: { message: failure, code: 'MEMORY' }, count: null };
+
+    let rows = this.action === 'select' ? this.matching() : this.write();
+
+    for (const { column, ascending, nullsFirst } of [...this.sorts].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        const x = read(a, column);
+        const y = read(b, column);
+        if (x === y) return 0;
+        if (x === null) return nullsFirst ? -1 : 1;
+        if (y === null) return nullsFirst ? 1 : -1;
+        return (x < y ? -1 : 1) * (ascending ? 1 : -1);
+      });
+    }
+
+    const count = this.options.count ? rows.length : null;
+    if (this.window) rows = rows.slice(this.window.from, this.window.from + this.window.count);
+
+    if (this.options.head) return { data: null, error: null, count };
+    if (!this.returning) return { data: null, error: null, count };
+
+    const data = rows.map(row => project(row, this.columns));
+    if (this.one) {
+      if (data.length === 0 && this.one === 'single') {
+        return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' }, count };
+      }
+      return { data: data[0] || null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+class MemoryDatabase {
+  constructor(tables = {}) {
+    this.tables = {};
+    this.failures = {};
+    Object.entries(tables).forEach(([name, rows]) => { this.tables[name] = clone(rows); });
+  }
+
+  rows(table) {
+    this.tables[table] = this.tables[table] || [];
+    return this.tables[table];
+  }
+
+  /**
+   * Make every query on a table return { error: { message } } (null clears it)
+   */
+  fail(table, message = 'database unavailable') {
+    if (message === null) delete this.failures[table];
+    else this.failures[table] = message;
+    return this;
+  }
+
+  from(table) {
+    return {
+      select: (columns, options = {}) => new MemoryQuery(this, table, 'select', null, { columns }).select(columns, options),
+      insert: values => new MemoryQuery(this, table, 'insert', values),
+      update: values => new MemoryQuery(this, table, 'update', values),
+      upsert: (values, options = {}) => new MemoryQuery(this, table, 'upsert', values, { ...options }),
+      delete: () => new MemoryQuery(this, table, 'delete')
+    };
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Generate Trend Report Script
+ * Clusters the week's pain points into themes and stores the weekly trend report
+ * (run weekly from cron, e.g. Monday morning)
+ *
+ * Usage:
+ *   node generate-trend-report.js                       # last complete week, saved to trend_reports
+ *   node generate-trend-report.js --week-of 2026-10-12  # the week containing that date
+ *   node generate-trend-report.js --dry-run             # print only, don't save
+ *   node generate-trend-report.js --out trends.json     # also write trends.json and trends.md
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const TrendReports = require('./services/trend-reports');
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const weekIndex = args.indexOf('--week-of');
+const weekOf = weekIndex !== -1 ? args[weekIndex + 1] : undefined;
+const outIndex = args.indexOf('--out');
+const outPath = outIndex !== -1 ? args[outIndex + 1] : null;
+
+async function generate() {
+  if (weekOf !== undefined && !TrendReports.weekBounds(weekOf)) {
+    throw new Error(`Invalid --week-of date: ${weekOf}`);
+  }
+
+  console.log('📈 Clustering pain points into market trends...\n');
+
+  const trends = new TrendReports();
+  const report = dryRun ? await trends.build(weekOf) : await trends.generate(weekOf);
+  const markdown = TrendReports.toMarkdown(report);
+
+  console.log('\n' + markdown + '\n');
+
+  if (outPath) {
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(outPath.replace(/\.json$/, '') + '.md', markdown + '\n');
+    console.log(`📝 Report written to ${outPath}`);
+  }
+
+  console.log(dryRun ? '🔍 Dry run - report not saved' : `💾 Saved report ${report.id}`);
+}
+
+generate().catch(error => {
+  console.error('❌ Trend report failed:', error.message);
+  process.exit(1);
+});
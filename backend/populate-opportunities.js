@@ -2,12 +2,11 @@
 
 /**
  * Populate Opportunities Script
- * Scans RSS/Reddit and saves opportunities to scored_opportunities table
+ * Runs lead sources from the source registry and saves opportunities to scored_opportunities
  */
 
 require('dotenv').config();
-const { createClient } = require('@supabase/supabase-js');
-const Parser = require('rss-parser');
+const SourceRegistry = require('./services/source-registry');
 
 // Check for required environment variables
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
@@ -16,108 +15,28 @@ if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
   process.exit(1);
 }
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-const parser = new Parser({
-  headers: {
-    'User-Agent': 'Mozilla/5.0 (compatible; UnboundBot/1.0)'
-  }
-});
+// Usage: node populate-opportunities.js [source-id|all]  (default: news)
+const sourceId = process.argv[2] || 'news';
 
 async function scanAndSave() {
   console.log('🤖 Starting opportunity scan...\n');
 
-  const feeds = [
-    { name: 'Indie Hackers', url: 'https://www.indiehackers.com/feed' },
-    { name: 'Hacker News', url: 'https://news.ycombinator.com/rss' },
-    { name: 'Entrepreneur', url: 'https://www.entrepreneur.com/latest.rss' },
-    { name: 'TechCrunch', url: 'https://techcrunch.com/feed/' }
-  ];
-
-  let totalSaved = 0;
-
-  for (const source of feeds) {
-    try {
-      console.log(`📡 Scanning ${source.name}...`);
-      const feed = await parser.parseURL(source.url);
+  const registry = SourceRegistry.createDefault();
 
-      for (const item of feed.items.slice(0, 10)) {
-        const text = ((item.title || '') + ' ' + (item.contentSnippet || '')).toLowerCase();
-
-        // Detect pain points
-        const hasPain = /struggling|problem|issue|challenge|need help|looking for|how to|advice needed|stuck/.test(text);
-        const hasBusiness = /startup|business|saas|company|revenue|customer|marketing|sales|growth/.test(text);
-
-        if (hasPain && hasBusiness) {
-          // Calculate fit score
-          let fitScore = 0;
-          if (text.includes('struggling')) fitScore += 20;
-          if (text.includes('need help')) fitScore += 15;
-          if (text.includes('looking for')) fitScore += 10;
-          if (text.includes('revenue')) fitScore += 15;
-          if (text.includes('startup')) fitScore += 10;
-          if (text.includes('growth')) fitScore += 10;
-          fitScore = Math.min(fitScore, 100);
-
-          // Extract domain
-          let domain = 'unknown.com';
-          try {
-            const urlObj = new URL(item.link);
-            domain = urlObj.hostname.replace('www.', '');
-          } catch {}
+  if (sourceId !== 'all' && !registry.get(sourceId)) {
+    console.error(`❌ Unknown source "${sourceId}". Available: ${registry.list().map(s => s.id).join(', ')}, all`);
+    process.exit(1);
+  }
 
-          // Save to Supabase
-          const { data, error } = await supabase
-            .from('scored_opportunities')
-            .insert({
-              company_name: item.creator || item.author || source.name,
-              company_domain: domain,
-              overall_score: fitScore,
-              signal_strength_score: hasPain ? 80 : 60,
-              route_to_outreach: fitScore >= 50,
-              priority_tier: fitScore >= 70 ? 'tier_1' : 'tier_2',
-              source: source.name,
-              opportunity_data: {
-                title: item.title,
-                url: item.link,
-                snippet: (item.contentSnippet || '').substring(0, 200)
-              }
-            })
-            .select();
+  const results = sourceId === 'all'
+    ? await registry.scanAll()
+    : [await registry.scan(sourceId)];
 
-          if (error) {
-            console.log(`  ❌ Error saving: ${error.message}`);
-            if (error.code === '42P01') {
-              console.log(`  ⚠️  Table 'scored_opportunities' does not exist!`);
-              console.log(`  Run this SQL in Supabase:`);
-              console.log(`
-CREATE TABLE scored_opportunities (
-  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  company_name TEXT NOT NULL,
-  company_domain TEXT,
-  overall_score INTEGER,
-  signal_strength_score INTEGER,
-  route_to_outreach BOOLEAN DEFAULT FALSE,
-  priority_tier TEXT,
-  source TEXT,
-  opportunity_data JSONB
-);
-              `);
-              process.exit(1);
-            }
-          } else {
-            totalSaved++;
-            console.log(`  ✅ Saved: "${item.title.substring(0, 60)}..." (score: ${fitScore})`);
-          }
-        }
-      }
-    } catch (err) {
-      console.log(`  ❌ Error with ${source.name}: ${err.message}`);
-    }
+  let totalSaved = 0;
+  for (const { source, stats } of results) {
+    totalSaved += stats.saved;
+    console.log(`\n📊 ${source}: ${stats.fetched} fetched, ${stats.kept} kept, ${stats.duplicates} duplicates skipped, ${stats.saved} saved`);
+    stats.errors.forEach(err => console.log(`  ❌ ${err.feed || err.item || 'error'}: ${err.error}`));
   }
 
   console.log(`\n✅ Scan complete! Saved ${totalSaved} opportunities to database.`);
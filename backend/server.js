@@ -264,20 +264,49 @@ app.get('/api/test-perplexity', async (req, res) => {
 
 // DASHBOARD CONTROL ENDPOINTS
 
-// Scan RSS Feeds
-app.post('/api/scan-rss', async (req, res) => {
+// Lead Sources (RSS, forums, news feeds, ...)
+const SourceRegistry = require('./services/source-registry');
+const sourceRegistry = SourceRegistry.createDefault();
+
+// List registered lead sources
+app.get('/api/sources', (req, res) => {
+  res.json({ success: true, sources: sourceRegistry.list() });
+});
+
+// Feed polling health (last success, consecutive failures, avg new items per run)
+app.get('/api/sources/health', async (req, res) => {
   try {
-    const RSSMonitor = require('./services/rss-monitor');
-    const rssMonitor = new RSSMonitor();
-    const results = await rssMonitor.scanAllFeeds();
+    const FeedFetcher = require('./services/feed-fetcher');
+    const feeds = await new FeedFetcher().getHealth(req.query.source || null);
+    const failing = feeds.filter(f => f.consecutive_failures > 0).length;
+    res.json({ success: true, count: feeds.length, failing, feeds });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scan a lead source
+app.post('/api/sources/:id/scan', async (req, res) => {
+  try {
+    if (!sourceRegistry.get(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown source: ${req.params.id}`,
+        available: sourceRegistry.list().map(s => s.id)
+      });
+    }
+
+    const { source, stats, opportunities } = await sourceRegistry.scan(req.params.id);
 
     res.json({
       success: true,
-      opportunities: results.length,
-      results: results
+      source,
+      stats,
+      opportunities: opportunities.length,
+      results: opportunities
     });
   } catch (error) {
-    console.error('RSS scan error:', error);
+    console.error(`Source scan error (${req.params.id}):`, error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -285,24 +314,121 @@ app.post('/api/scan-rss', async (req, res) => {
   }
 });
 
-// Scan Forums
-app.post('/api/scan-forums', async (req, res) => {
+// Source config - feeds and keyword lists (scanners pick up changes on their next run)
+const SourceConfig = require('./services/source-config');
+const sourceConfig = new SourceConfig();
+
+// Resolve :id to an adapter or send a 404
+function getSourceOr404(req, res) {
+  const adapter = sourceRegistry.get(req.params.id);
+  if (!adapter) {
+    res.status(404).json({ error: `Unknown source: ${req.params.id}`, available: sourceRegistry.list().map(s => s.id) });
+  }
+  return adapter;
+}
+
+app.get('/api/sources/:id/config', async (req, res) => {
+  const adapter = getSourceOr404(req, res);
+  if (!adapter) return;
+
+  try {
+    const config = await sourceConfig.describe(adapter);
+    res.json({ success: true, ...config });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/sources/:id/feeds', async (req, res) => {
+  const adapter = getSourceOr404(req, res);
+  if (!adapter) return;
+
   try {
-    const ForumScanner = require('./services/forum-scanner');
-    const forumScanner = new ForumScanner();
-    const results = await forumScanner.scanAllForums();
+    const { name, url, type, enabled, verify } = req.body;
 
-    res.json({
-      success: true,
-      opportunities: results.length,
-      results: results
-    });
+    // Optional: make sure the feed actually parses before saving it
+    if (verify) {
+      const check = await sourceConfig.verifyFeed({ url });
+      if (!check.ok) {
+        return res.status(400).json({ error: 'Feed could not be fetched', details: [check.error] });
+      }
+    }
+
+    const result = await sourceConfig.addFeed(adapter, { name, url, type, enabled });
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid feed', details: result.errors });
+    }
+    res.json({ success: true, feed: result.feed });
   } catch (error) {
-    console.error('Forum scan error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/sources/:id/feeds/:feedId', async (req, res) => {
+  const adapter = getSourceOr404(req, res);
+  if (!adapter) return;
+
+  try {
+    const { name, url, type, enabled } = req.body;
+    const result = await sourceConfig.updateFeed(adapter, req.params.feedId, { name, url, type, enabled });
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid feed', details: result.errors });
+    }
+    res.json({ success: true, feed: result.feed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/sources/:id/feeds/:feedId', async (req, res) => {
+  const adapter = getSourceOr404(req, res);
+  if (!adapter) return;
+
+  try {
+    const result = await sourceConfig.deleteFeed(adapter, req.params.feedId);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Feed not found' });
+    }
+    if (result.errors) {
+      return res.status(400).json({ error: result.errors[0] });
+    }
+    res.json({ success: true, message: 'Feed deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/sources/:id/keywords/:list', async (req, res) => {
+  const adapter = getSourceOr404(req, res);
+  if (!adapter) return;
+
+  try {
+    const result = await sourceConfig.saveKeywordList(adapter, req.params.list, req.body.keywords);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid keyword list', details: result.errors });
+    }
+    res.json({ success: true, list: result.list });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reset a keyword list to the source's built-in keywords
+app.delete('/api/sources/:id/keywords/:list', async (req, res) => {
+  const adapter = getSourceOr404(req, res);
+  if (!adapter) return;
+
+  try {
+    const result = await sourceConfig.resetKeywordList(adapter, req.params.list);
+    if (result.errors) {
+      return res.status(400).json({ error: result.errors[0] });
+    }
+    res.json({ success: true, list: result.list });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
 });
 
@@ -409,95 +535,912 @@ app.get('/api/agents/:agentName/status', (req, res) => {
       error: 'Agent not found'
     });
   }
-
-  res.json({
-    success: true,
-    agent: agentName,
-    ...agentStats[agentName]
-  });
+
+  res.json({
+    success: true,
+    agent: agentName,
+    ...agentStats[agentName]
+  });
+});
+
+// Get ALL agent statuses at once (for dashboard)
+app.get('/api/agents', (req, res) => {
+  const agents = Object.entries(agentStats).map(([name, stats]) => ({
+    name,
+    ...stats,
+    isRunning: !!agentProcesses[name]
+  }));
+  res.json({ success: true, agents });
+});
+
+// ============================================
+// IMPORT LEADS - Bulk import from CSV/Excel
+// ============================================
+// Accepts either a multipart upload (field "file", .csv/.xlsx/.xls) or the
+// legacy JSON { leads: [...] } body. Pass dry_run=true to get the row-level
+// report (validation errors, duplicates, scores) without inserting anything.
+const multer = require('multer');
+const LeadImporter = require('./services/lead-importer');
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx|xls)$/i.test(file.originalname)) return cb(null, true);
+    cb(new Error(`Unsupported file type: ${file.originalname} - upload a .csv, .xlsx or .xls file`));
+  }
+});
+
+// Upload errors (too large, wrong type, unexpected field) as JSON instead of Express's HTML 500
+function importUploadFile(req, res, next) {
+  importUpload.single('file')(req, res, error => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: 'File too large', details: ['Uploads are limited to 10MB'] });
+    }
+    res.status(400).json({ error: 'Invalid upload', details: [error.message] });
+  });
+}
+
+app.post('/api/import-leads', importUploadFile, async (req, res) => {
+  try {
+    const importer = new LeadImporter();
+    const source = req.body.source || 'manual_import';
+    const dryRun = req.body.dry_run === true || req.body.dry_run === 'true';
+
+    // Collect raw rows from the upload or the JSON body
+    let rows;
+    if (req.file) {
+      rows = importer.parseFile(req.file.buffer, req.file.originalname);
+    } else if (Array.isArray(req.body.leads)) {
+      rows = req.body.leads.map(({ opportunity_data, ...lead }) => ({ ...(opportunity_data || {}), ...lead }));
+    } else {
+      return res.status(400).json({ error: 'Upload a .csv/.xlsx file (field "file") or send a leads array' });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No rows found in import' });
+    }
+
+    // Resolve the column mapping: saved mapping name > inline columns > auto-detect
+    let columns;
+    if (req.body.mapping) {
+      const saved = await importer.getMapping(req.body.mapping);
+      if (!saved) {
+        return res.status(404).json({ error: `Mapping "${req.body.mapping}" not found` });
+      }
+      columns = saved.columns;
+    } else if (req.body.columns) {
+      try {
+        columns = typeof req.body.columns === 'string' ? JSON.parse(req.body.columns) : req.body.columns;
+      } catch {
+        return res.status(400).json({ error: 'Invalid column mapping', details: ['columns must be a JSON object of { "Source Header": "target_field" }'], headers: Object.keys(rows[0]) });
+      }
+    } else {
+      columns = importer.autoMapColumns(Object.keys(rows[0]));
+    }
+
+    const mappingErrors = importer.validateMapping(columns);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors, headers: Object.keys(rows[0]) });
+    }
+
+    console.log(`📥 ${dryRun ? 'Dry run for' : 'Importing'} ${rows.length} leads from ${source}...`);
+
+    const report = await importer.prepareImport(rows, columns, source);
+
+    if (dryRun) {
+      console.log(`🧪 Dry run: ${report.summary.to_insert} to insert, ${report.summary.duplicates} duplicates, ${report.summary.invalid} invalid`);
+      return res.json({
+        success: true,
+        dry_run: true,
+        headers: Object.keys(rows[0]),
+        columns,
+        summary: report.summary,
+        rows: report.rows.map(({ record, ...row }) => row)
+      });
+    }
+
+    const results = await importer.commitImport(report);
+
+    console.log(`✅ Import complete: ${results.imported} imported, ${results.duplicates} duplicates, ${results.invalid} invalid`);
+    res.json({
+      success: true,
+      results,
+      invalid_rows: report.rows.filter(r => r.status === 'invalid').map(r => ({ row_number: r.row_number, errors: r.errors }))
+    });
+
+  } catch (error) {
+    console.error('Import error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Saved column mappings for lead imports (e.g. "Apollo export", "LinkedIn Sales Nav")
+app.get('/api/import-mappings', async (req, res) => {
+  try {
+    const importer = new LeadImporter();
+    const mappings = await importer.getMappings();
+    res.json({ success: true, mappings, target_fields: importer.targetFields });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/import-mappings/:name', async (req, res) => {
+  const { name } = req.params;
+  const { columns, description } = req.body;
+
+  try {
+    const importer = new LeadImporter();
+    const errors = importer.validateMapping(columns);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: errors });
+    }
+
+    const mapping = await importer.saveMapping(name, columns, description);
+    res.json({ success: true, mapping });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/import-mappings/:name', async (req, res) => {
+  try {
+    const importer = new LeadImporter();
+    await importer.deleteMapping(req.params.name);
+    res.json({ success: true, message: `Deleted mapping ${req.params.name}` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// COMPANIES - Cross-source entity resolution
+// ============================================
+// Every scored_opportunities row links to a canonical company (company_id).
+// Ambiguous matches land in company_match_reviews for a human to confirm or split.
+const EntityResolver = require('./services/entity-resolver');
+const entityResolver = new EntityResolver();
+
+// Link opportunities that have no company yet (run once after the upgrade, then as needed)
+app.post('/api/companies/resolve', async (req, res) => {
+  const { limit = 500 } = req.body;
+
+  try {
+    const summary = await entityResolver.resolveUnlinked(limit);
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Entity resolution error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ambiguous matches waiting for review
+app.get('/api/companies/reviews', async (req, res) => {
+  const { status = 'pending', limit = 50 } = req.query;
+
+  try {
+    const reviews = await entityResolver.getReviews(status, parseInt(limit));
+    res.json({ success: true, count: reviews.length, reviews });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Same business - merge the opportunity's company into the candidate
+app.post('/api/companies/reviews/:id/confirm', async (req, res) => {
+  try {
+    const result = await entityResolver.confirmReview(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.message === 'Review not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Different businesses - keep them apart
+app.post('/api/companies/reviews/:id/split', async (req, res) => {
+  try {
+    const result = await entityResolver.splitReview(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const status = error.message === 'Review not found' ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+});
+
+// Canonical company with the evidence from every source
+app.get('/api/companies/:id', async (req, res) => {
+  try {
+    const company = await entityResolver.getCompany(req.params.id);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    res.json({ success: true, company });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// TECH STACK ENRICHMENT - Detect tools on the lead's website
+// ============================================
+// Fills opportunity_data.tech_stack and tech_stack_score.
+// Body: { opportunity_id } for one lead, or { limit } for the next unscanned leads.
+const TechStackDetector = require('./services/tech-stack-detector');
+
+app.post('/api/enrich/tech-stack', async (req, res) => {
+  const { opportunity_id, limit = 10 } = req.body;
+
+  try {
+    const detector = new TechStackDetector();
+
+    if (opportunity_id) {
+      const { data: opportunity, error } = await supabase
+        .from('scored_opportunities')
+        .select('id, company_name, company_domain, opportunity_data')
+        .eq('id', opportunity_id)
+        .single();
+
+      if (error || !opportunity) {
+        return res.status(404).json({ error: 'Opportunity not found' });
+      }
+
+      const result = await detector.enrichOpportunity(opportunity);
+      return res.json({ success: true, results: [result] });
+    }
+
+    const results = await detector.enrichPending(limit);
+    res.json({
+      success: true,
+      scanned: results.filter(r => r.tech_stack_score !== undefined).length,
+      skipped: results.filter(r => r.skipped).length,
+      results
+    });
+  } catch (error) {
+    console.error('Tech stack enrichment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// FIRMOGRAPHICS - Estimate headcount and revenue bands
+// ============================================
+// Fills employee_score, revenue_score and opportunity_data.firmographics.
+// Body: { opportunity_id } or { limit }; crawl: false skips team/careers/pricing pages.
+const FirmographicEstimator = require('./services/firmographic-estimator');
+
+app.post('/api/enrich/firmographics', async (req, res) => {
+  const { opportunity_id, limit = 10, crawl = true } = req.body;
+
+  try {
+    const estimator = new FirmographicEstimator();
+
+    if (opportunity_id) {
+      const { data: opportunity, error } = await supabase
+        .from('scored_opportunities')
+        .select('id, company_name, company_domain, opportunity_data')
+        .eq('id', opportunity_id)
+        .single();
+
+      if (error || !opportunity) {
+        return res.status(404).json({ error: 'Opportunity not found' });
+      }
+
+      const result = await estimator.enrichOpportunity(opportunity, { crawl });
+      return res.json({ success: true, results: [result] });
+    }
+
+    const results = await estimator.enrichPending(limit, { crawl });
+    res.json({
+      success: true,
+      estimated: results.filter(r => r.headcount || r.revenue).length,
+      unknown: results.filter(r => !r.error && !r.headcount && !r.revenue).length,
+      results
+    });
+  } catch (error) {
+    console.error('Firmographic enrichment error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// SCORING RULESETS - Versioned rules for IntelligentScorer
+// ============================================
+// Save a draft, test it against stored opportunities, then activate it.
+const ScoringRulesets = require('./services/scoring-rulesets');
+const scoringRulesets = new ScoringRulesets();
+
+app.get('/api/scoring/rulesets', async (req, res) => {
+  try {
+    const [rulesets, active] = await Promise.all([
+      scoringRulesets.list(),
+      ScoringRulesets.getActiveRules()
+    ]);
+    res.json({
+      success: true,
+      active_version: active.version,
+      builtin_version: ScoringRulesets.defaultRules.version,
+      rulesets
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/scoring/rulesets/:version', async (req, res) => {
+  try {
+    const ruleset = req.params.version === ScoringRulesets.defaultRules.version
+      ? (await scoringRulesets.get(req.params.version)) || { version: req.params.version, status: 'builtin', rules: ScoringRulesets.defaultRules }
+      : await scoringRulesets.get(req.params.version);
+
+    if (!ruleset) return res.status(404).json({ error: 'Ruleset not found' });
+    res.json({ success: true, ruleset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: the ruleset document (see backend/services/scoring-rules.json)
+app.post('/api/scoring/rulesets', async (req, res) => {
+  try {
+    const result = await scoringRulesets.saveDraft(req.body);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid ruleset', details: result.errors });
+    }
+    res.json({ success: true, ruleset: result.ruleset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { limit } - how many recent opportunities to re-score (default 200)
+app.post('/api/scoring/rulesets/:version/test', async (req, res) => {
+  try {
+    const result = await scoringRulesets.testRuleset(req.params.version, { limit: parseInt(req.body.limit) || 200 });
+    if (result.notFound) return res.status(404).json({ error: 'Ruleset not found' });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/scoring/rulesets/:version/activate', async (req, res) => {
+  try {
+    const result = await scoringRulesets.activate(req.params.version);
+    if (result.notFound) return res.status(404).json({ error: 'Ruleset not found' });
+    res.json({ success: true, ruleset: result.ruleset });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// LEAD MODEL - Outcome-trained alternative to the rules
+// ============================================
+// Models are trained offline with `node train-lead-model.js` and saved as drafts.
+const ScoringModels = require('./services/scoring-models');
+const scoringModels = new ScoringModels();
+
+app.get('/api/scoring/models', async (req, res) => {
+  try {
+    const models = await scoringModels.list();
+    res.json({ success: true, models });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/scoring/models/:version/activate', async (req, res) => {
+  try {
+    const result = await scoringModels.activate(req.params.version);
+    if (result.notFound) return res.status(404).json({ error: 'Model not found' });
+    res.json({ success: true, model: result.model });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { opportunity_id } - model score next to the rule-based score
+app.post('/api/scoring/model/score', async (req, res) => {
+  try {
+    const { data: opportunity, error } = await supabase
+      .from('scored_opportunities')
+      .select('*')
+      .eq('id', req.body.opportunity_id)
+      .single();
+
+    if (error || !opportunity) {
+      return res.status(404).json({ error: 'Opportunity not found' });
+    }
+
+    const model = await scoringModels.scoreOpportunity(opportunity);
+    if (!model) return res.status(400).json({ error: 'No active lead model - train one with train-lead-model.js' });
+
+    res.json({
+      success: true,
+      model,
+      rules: {
+        overall_score: opportunity.overall_score,
+        priority_tier: opportunity.priority_tier,
+        ruleset_version: opportunity.scoring_ruleset_version || null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recent opportunities ranked by the active model (?limit=50)
+app.get('/api/scoring/model/rank', async (req, res) => {
+  try {
+    const model = await scoringModels.getActiveModel();
+    if (!model) return res.status(400).json({ error: 'No active lead model - train one with train-lead-model.js' });
+
+    const { data: opportunities, error } = await supabase
+      .from('scored_opportunities')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 500));
+
+    if (error) throw new Error(error.message);
+
+    const ranked = (opportunities || [])
+      .map(opportunity => {
+        const explanation = model.explain(opportunity, 3);
+        return {
+          id: opportunity.id,
+          company_name: opportunity.company_name,
+          source: opportunity.source,
+          model_score: explanation.score,
+          rules_score: opportunity.overall_score,
+          top_features: explanation.top_features
+        };
+      })
+      .sort((a, b) => b.model_score - a.model_score);
+
+    res.json({ success: true, model_version: model.version, opportunities: ranked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// LEAD FRESHNESS - Time decay per source
+// ============================================
+// Research and preview queues rank by live_priority (overall_score decayed by age).
+const LeadFreshness = require('./services/lead-freshness');
+const leadFreshness = new LeadFreshness();
+
+app.get('/api/freshness', async (req, res) => {
+  try {
+    const settings = await leadFreshness.describe();
+    res.json({ success: true, ...settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { half_life_days } - null turns decay off for the source
+app.put('/api/freshness/:source', async (req, res) => {
+  try {
+    const result = await leadFreshness.setHalfLife(req.params.source, req.body.half_life_days);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid half-life', details: result.errors });
+    }
+    res.json({ success: true, setting: result.setting });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Back to the built-in half-life
+app.delete('/api/freshness/:source', async (req, res) => {
+  try {
+    const setting = await leadFreshness.resetHalfLife(req.params.source);
+    res.json({ success: true, setting });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// ICP PROFILES - Ideal customer profiles and fit matching
+// ============================================
+// Every opportunity gets icp_id (best matching profile) and icp_match_score.
+// Research (/api/research-leads), previews (/api/preview-top-leads) and
+// /api/opportunities accept an icp filter.
+const IcpProfiles = require('./services/icp-profiles');
+const icpProfiles = new IcpProfiles();
+
+app.get('/api/icp', async (req, res) => {
+  try {
+    const profiles = await icpProfiles.list();
+    res.json({ success: true, profiles });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: the profile definition (id comes from the URL); enabled defaults to true
+app.put('/api/icp/:id', async (req, res) => {
+  try {
+    const { enabled = true, ...profile } = req.body;
+    const result = await icpProfiles.save(req.params.id, profile, { enabled: enabled !== false });
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid ICP profile', details: result.errors });
+    }
+    res.json({ success: true, profile: result.profile });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/icp/:id', async (req, res) => {
+  try {
+    const result = await icpProfiles.remove(req.params.id);
+    if (result.notFound) return res.status(404).json({ error: 'ICP profile not found' });
+    res.json({ success: true, removed: result.removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { opportunity_id } or { limit: 100, all: false } - all re-matches already matched rows
+app.post('/api/icp/match', async (req, res) => {
+  try {
+    const { opportunity_id, limit = 100, all = false } = req.body;
+
+    if (opportunity_id) {
+      const result = await icpProfiles.matchOpportunity(opportunity_id);
+      if (result.notFound) return res.status(404).json({ error: 'Opportunity not found' });
+      return res.json({ success: true, results: [result.match] });
+    }
+
+    const results = await icpProfiles.matchPending(Math.min(parseInt(limit) || 100, 1000), { all: !!all });
+    res.json({ success: true, matched: results.filter(r => r.icp_id).length, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Funnel per ICP: opportunities, average fit, researched, contacted, replied
+app.get('/api/icp/report', async (req, res) => {
+  try {
+    const report = await icpProfiles.report();
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// APPROVALS - Review gaps, outreach drafts and deliveries
+// ============================================
+// Kinds: gaps (market_gaps), drafts (outreach_campaigns), deliveries (solution_deliveries).
+// Decisions need { reviewer, reason }. While approval mode is on the outreach and
+// delivery agents only send / deliver approved items.
+const ApprovalInbox = require('./services/approval-inbox');
+const approvalInbox = new ApprovalInbox();
+
+// Resolve :kind or send a 404
+function getApprovalKindOr404(req, res) {
+  const { kind } = req.params;
+  if (!ApprovalInbox.kinds.includes(kind)) {
+    res.status(404).json({ error: `Unknown approval kind: ${kind}`, available: ApprovalInbox.kinds });
+    return null;
+  }
+  return kind;
+}
+
+// Pending counts per kind and the current approval mode
+app.get('/api/approvals', async (req, res) => {
+  try {
+    const summary = await approvalInbox.summary();
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { outreach: true|false, delivery: true|false }
+app.put('/api/approvals/mode', async (req, res) => {
+  try {
+    const result = await approvalInbox.setMode(req.body);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid approval mode', details: result.errors });
+    }
+    res.json({ success: true, mode: result.mode });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?status=pending|approved|rejected&limit=50
+app.get('/api/approvals/:kind', async (req, res) => {
+  const kind = getApprovalKindOr404(req, res);
+  if (!kind) return;
+
+  const { status = 'pending', limit = 50 } = req.query;
+  if (!ApprovalInbox.reviewStatuses.includes(status)) {
+    return res.status(400).json({ error: 'Invalid status', details: [`status must be one of ${ApprovalInbox.reviewStatuses.join(', ')}`] });
+  }
+
+  try {
+    const items = await approvalInbox.list(kind, { status, limit: Math.min(parseInt(limit) || 50, 200) });
+    res.json({ success: true, kind, status, count: items.length, items });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { ids: [...], reviewer, reason }
+app.post('/api/approvals/:kind/bulk-approve', async (req, res) => {
+  const kind = getApprovalKindOr404(req, res);
+  if (!kind) return;
+
+  try {
+    const { ids, reviewer, reason } = req.body;
+    const result = await approvalInbox.approve(kind, ids, { reviewer, reason });
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid approval', details: result.errors });
+    }
+    res.json({ success: true, approved: result.updated, not_found: result.notFound });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { reviewer, reason }
+app.post('/api/approvals/:kind/:id/:decision(approve|reject)', async (req, res) => {
+  const kind = getApprovalKindOr404(req, res);
+  if (!kind) return;
+
+  try {
+    const { reviewer, reason } = req.body;
+    const review = { reviewer, reason };
+    const result = req.params.decision === 'approve'
+      ? await approvalInbox.approve(kind, [req.params.id], review)
+      : await approvalInbox.reject(kind, [req.params.id], review);
+
+    if (result.errors) {
+      return res.status(400).json({ error: req.params.decision === 'approve' ? 'Invalid approval' : 'Invalid rejection', details: result.errors });
+    }
+    if (result.updated.length === 0) {
+      return res.status(404).json({ error: 'Item not found or no longer reviewable' });
+    }
+    res.json({ success: true, id: req.params.id, review_status: req.params.decision === 'approve' ? 'approved' : 'rejected' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// MARKET TRENDS - Weekly themes from clustered pain points
+// ============================================
+// Clusters opportunity pain points and market gap descriptions (TF-IDF) into themes
+// and compares each theme's volume with the week before. ?format=markdown renders
+// a report as Markdown; `node generate-trend-report.js` runs the same job from cron.
+const TrendReports = require('./services/trend-reports');
+const trendReports = new TrendReports();
+
+// Body: { week_of } - any date in the week (default: last complete week, Monday-Sunday UTC)
+app.post('/api/trends/generate', async (req, res) => {
+  const { week_of } = req.body;
+  if (week_of !== undefined && !TrendReports.weekBounds(week_of)) {
+    return res.status(400).json({ error: 'Invalid week_of', details: ['week_of must be a date, e.g. 2026-10-12'] });
+  }
+
+  try {
+    const report = await trendReports.generate(week_of);
+    res.json({ success: true, report });
+  } catch (error) {
+    console.error('Trend report error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/trends', async (req, res) => {
+  try {
+    const reports = await trendReports.list(Math.min(parseInt(req.query.limit) || 12, 100));
+    res.json({ success: true, reports });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// :id is a report id or "latest"; ?format=markdown for the Markdown report
+app.get('/api/trends/:id', async (req, res) => {
+  try {
+    const report = await trendReports.get(req.params.id);
+    if (!report) return res.status(404).json({ error: 'Trend report not found' });
+
+    if (['markdown', 'md'].includes(req.query.format)) {
+      return res.type('text/markdown').send(TrendReports.toMarkdown(report));
+    }
+    res.json({ success: true, report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// RESEARCH CACHE - Perplexity answers per company domain
+// ============================================
+// AIResearcher reads answers from the cache (per domain + query type) until they
+// expire (RESEARCH_CACHE_TTL_DAYS). force_refresh on /api/research-leads and
+// /api/discover-company skips the cache and overwrites the entry.
+const ResearchCache = require('./services/research-cache');
+const researchCache = new ResearchCache();
+
+// Entries, expired entries and hits per query type, plus hit rate since the server started
+app.get('/api/research-cache', async (req, res) => {
+  try {
+    const stats = await researchCache.stats();
+    res.json({ success: true, ...stats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ?domain=acme.com&type=structured&expired=true - no filters clears everything
+app.delete('/api/research-cache', async (req, res) => {
+  try {
+    const { domain, type, expired } = req.query;
+    const result = await researchCache.clear({ domain, type, expiredOnly: expired === 'true' });
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid cache filter', details: result.errors });
+    }
+    res.json({ success: true, removed: result.removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// LLM PROVIDERS - model selection per task
+// ============================================
+// Research and reply handling call models through LLMRouter: provider chain and
+// model per task from services/llm-config.json, overridable with LLM_PROVIDER /
+// LLM_TASK_<TASK> (LLM_PROVIDER=stub runs everything offline)
+const LLMRouter = require('./services/llm-router');
+const llmRouter = LLMRouter.createDefault();
+
+// Providers (configured or not) and the resolved chain per task
+app.get('/api/llm', (req, res) => {
+  try {
+    res.json({ success: true, ...llmRouter.describe() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Get ALL agent statuses at once (for dashboard)
-app.get('/api/agents', (req, res) => {
-  const agents = Object.entries(agentStats).map(([name, stats]) => ({
-    name,
-    ...stats,
-    isRunning: !!agentProcesses[name]
-  }));
-  res.json({ success: true, agents });
+// Send a test prompt through a task's chain: { task, prompt }
+app.post('/api/llm/test', async (req, res) => {
+  const { task = 'research', prompt } = req.body;
+
+  const errors = [];
+  if (!llmRouter.config.tasks[task]) errors.push(`Unknown task "${task}" (expected ${Object.keys(llmRouter.config.tasks).join(', ')})`);
+  if (typeof prompt !== 'string' || !prompt.trim()) errors.push('prompt is required');
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid LLM test', details: errors });
+  }
+
+  try {
+    const result = await llmRouter.complete(task, { prompt });
+    res.json({ success: true, task, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message, attempts: error.attempts || [] });
+  }
 });
 
 // ============================================
-// IMPORT LEADS - Bulk import from CSV/Excel
+// AI SPEND - ledger and budget caps
 // ============================================
-app.post('/api/import-leads', async (req, res) => {
+// Every model call LLMRouter makes is recorded in ai_spend_ledger with its
+// estimated cost. Over a daily / monthly cap (overall or per task) research and
+// auto-reply pause until the period rolls over.
+const AISpendLedger = require('./services/ai-spend-ledger');
+const spendLedger = new AISpendLedger();
+
+// Spend report: ?from=2026-01-01&to=2026-02-01 (default: this month so far)
+app.get('/api/ai-spend', async (req, res) => {
   try {
-    const { leads, source = 'manual_import' } = req.body;
-
-    if (!leads || !Array.isArray(leads)) {
-      return res.status(400).json({ error: 'leads array is required' });
+    const { from, to } = req.query;
+    const invalid = [from, to].filter(value => value && isNaN(new Date(value).getTime()));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid period', details: invalid.map(value => `Not a date: ${value}`) });
     }
 
-    console.log(`📥 Importing ${leads.length} leads from ${source}...`);
-
-    const results = { imported: 0, skipped: 0, errors: [] };
+    const report = await spendLedger.report({ from, to });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    for (const lead of leads) {
-      try {
-        // Require at minimum an email or company name
-        if (!lead.contact_email && !lead.company_name) {
-          results.skipped++;
-          continue;
-        }
+// Caps, spend today / this month and what's left
+app.get('/api/ai-spend/budgets', async (req, res) => {
+  try {
+    const budgets = await spendLedger.budgetStatus();
+    res.json({ success: true, budgets });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        // Check for duplicates by company name + domain
-        const { data: existing } = await supabase
-          .from('scored_opportunities')
-          .select('id')
-          .eq('company_name', lead.company_name || 'Unknown')
-          .eq('company_domain', lead.company_domain || '')
-          .limit(1);
-
-        if (existing && existing.length > 0) {
-          results.skipped++;
-          continue;
-        }
+// { daily_usd, monthly_usd, tasks: { research: { daily_usd, monthly_usd } } } - null removes a cap
+app.put('/api/ai-spend/budgets', async (req, res) => {
+  try {
+    const result = await spendLedger.setBudgets(req.body);
+    if (result.errors) {
+      return res.status(400).json({ error: 'Invalid budgets', details: result.errors });
+    }
+    res.json({ success: true, budgets: await spendLedger.budgetStatus() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-        // Merge contact_email into opportunity_data if provided
-        const opportunityData = {
-          ...(lead.opportunity_data || {}),
-          discovered_email: lead.contact_email || lead.opportunity_data?.discovered_email || null
-        };
+// ============================================
+// BACKGROUND JOBS - research, discovery and email finding
+// ============================================
+// Slow pipelines run in the durable job queue (background_jobs) instead of the
+// HTTP request: the route queues a job and returns its id, GET /api/jobs/:id
+// shows status, progress and the result. Jobs resume after a restart.
+const JobQueue = require('./services/job-queue');
+const RateLimiter = require('./services/rate-limiter');
+const jobQueue = new JobQueue();
+const rateLimiter = new RateLimiter();
+
+function jobQueued(res, job) {
+  res.status(202).json({ success: true, job_id: job.id, status: job.status, poll_url: `/api/jobs/${job.id}` });
+}
 
-        // Insert the lead
-        const { error } = await supabase
-          .from('scored_opportunities')
-          .insert({
-            company_name: lead.company_name || 'Unknown',
-            company_domain: lead.company_domain || '',
-            overall_score: lead.overall_score || 85,
-            signal_strength_score: lead.signal_strength_score || 90,
-            route_to_outreach: lead.route_to_outreach !== false,
-            priority_tier: lead.priority_tier || 'tier_1',
-            source: source,
-            opportunity_data: opportunityData
-          });
-
-        if (error) {
-          results.errors.push({ lead: lead.company_name, error: error.message });
-        } else {
-          results.imported++;
-        }
-      } catch (err) {
-        results.errors.push({ lead: lead.company_name, error: err.message });
-      }
+// ?status=running&type=research_leads&limit=50
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    if (status && !JobQueue.statuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status', details: [`status must be one of ${JobQueue.statuses.join(', ')}`] });
     }
+    const jobs = await jobQueue.list({ status, type, limit: parseInt(limit) || 50 });
+    res.json({ success: true, jobs, worker: jobQueue.describe(), rate_limits: rateLimiter.describe() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`✅ Import complete: ${results.imported} imported, ${results.skipped} skipped`);
-    res.json({ success: true, results });
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const result = await jobQueue.cancel(req.params.id);
+    if (result.notFound) return res.status(404).json({ error: 'Job not found' });
+    if (result.errors) return res.status(400).json({ error: 'Cannot cancel job', details: result.errors });
+    res.json({ success: true, job: result.job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Failed / cancelled jobs run again from their saved progress
+app.post('/api/jobs/:id/retry', async (req, res) => {
+  try {
+    const result = await jobQueue.retry(req.params.id);
+    if (result.notFound) return res.status(404).json({ error: 'Job not found' });
+    if (result.errors) return res.status(400).json({ error: 'Cannot retry job', details: result.errors });
+    res.json({ success: true, job: result.job });
   } catch (error) {
-    console.error('Import error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -509,147 +1452,240 @@ const AIResearcher = require('./services/ai-researcher');
 const IntelligentScorer = require('./services/intelligent-scorer');
 const EmailFinder = require('./services/email-finder');
 
-app.post('/api/research-leads', async (req, res) => {
-  const { limit = 10, source } = req.body;
+/**
+ * Leads that need research: routed to outreach, score 70+, no lead_research yet,
+ * ranked by live priority - [] plus query stats
+ */
+async function selectLeadsToResearch({ limit, source, icp }) {
+  // Fetch more than requested limit, then filter to unresearched in code
+  // (Supabase can't filter on nested JSONB fields like lead_research.researched_at)
+  const fetchLimit = Math.min(limit * 20, 5000); // Fetch more to find unresearched beyond first 1000
 
-  console.log(`\n🔬 BATCH RESEARCH: Starting research for up to ${limit} leads...`);
+  let query = supabase
+    .from('scored_opportunities')
+    .select('*')
+    .is('outreach_sent', null)
+    .eq('route_to_outreach', true)
+    .gte('overall_score', 70)
+    .order('created_at', { ascending: false }) // Newest first - ranked by live priority below
+    .limit(fetchLimit);
 
-  try {
-    const researcher = new AIResearcher();
+  // Optionally filter by source and ICP
+  if (source) {
+    query = query.eq('source', source);
+  }
+  if (icp) {
+    query = query.eq('icp_id', icp);
+  }
 
-    // Get leads that need research
-    // Fetch more than requested limit, then filter to unresearched in code
-    // (Supabase can't filter on nested JSONB fields like lead_research.researched_at)
-    const fetchLimit = Math.min(limit * 20, 5000); // Fetch more to find unresearched beyond first 1000
+  const { data: leads, error } = await query;
 
-    let query = supabase
-      .from('scored_opportunities')
-      .select('*')
-      .is('outreach_sent', null)
-      .eq('route_to_outreach', true)
-      .gte('overall_score', 70)
-      .order('overall_score', { ascending: false }) // Highest scores first
-      .limit(fetchLimit);
+  console.log(`   📊 Query returned ${leads?.length || 0} leads`);
+  if (error) {
+    console.log(`   ❌ Query error: ${error.message}`);
+    throw error;
+  }
 
-    // Optionally filter by source
-    if (source) {
-      query = query.eq('source', source);
-    }
+  if (!leads || leads.length === 0) {
+    return { leads: [], stats: { queryReturned: 0 } };
+  }
 
-    const { data: leads, error } = await query;
+  // Filter to leads that need research
+  // Skip any lead that has lead_research field (even if it failed before - don't pay twice)
+  const unresearched = leads.filter(l => !l.opportunity_data?.lead_research);
 
-    console.log(`   📊 Query returned ${leads?.length || 0} leads`);
-    if (error) {
-      console.log(`   ❌ Query error: ${error.message}`);
-      throw error;
+  // Freshest high-intent leads first, then limit to requested amount
+  const toResearch = (await leadFreshness.rank(unresearched)).slice(0, limit);
+  console.log(`   📋 Found ${unresearched.length} unresearched, processing ${toResearch.length} (limit: ${limit})`);
+
+  return {
+    leads: toResearch,
+    stats: {
+      queryReturned: leads.length,
+      unresearchedCount: unresearched.length,
+      processingCount: toResearch.length,
+      firstLead: {
+        name: leads[0].company_name,
+        hasLeadResearch: !!(leads[0].opportunity_data?.lead_research),
+        keys: Object.keys(leads[0].opportunity_data || {})
+      }
     }
+  };
+}
 
-    if (!leads || leads.length === 0) {
-      return res.json({ success: true, message: 'No leads found matching criteria', results: { researched: 0, skipped: 0, errors: [], queryReturned: 0 } });
+/**
+ * Research one lead and save it to opportunity_data.lead_research, then refresh
+ * firmographics and the ICP match
+ */
+async function researchAndSaveLead(lead, researcher, firmographicEstimator) {
+  console.log(`\n🔍 Researching: ${lead.company_name}`);
+
+  // Research the lead
+  const research = await researcher.researchLead(lead);
+
+  // Update the opportunity with research data
+  // MFS-aligned fields + legacy field names for compatibility
+  const updatedOpportunityData = {
+    ...lead.opportunity_data,
+    lead_research: {
+      researched_at: new Date().toISOString(),
+      // Core research fields
+      company_background: research.companyBackground?.findings || null,
+      founder_profile: research.decisionMaker?.findings || null,
+      growth_ceiling_indicators: research.painPointAnalysis?.findings || null,
+      personalization_hooks: research.personalizationHooks?.findings || null,
+      outreach_angle: research.recommendedApproach?.findings || null,
+      recent_activity: research.recentActivity?.findings || null,
+      // Schema-validated research (research-schema.json) - what SmartEmailWriter reads first
+      structured: research.structured || null,
+      schema_version: research.validation?.schema_version || null,
+      // Hooks / activity / founder checked against the cited pages (CitationVerifier)
+      verification: research.verification || null,
+      // Legacy field names (for SmartEmailWriter compatibility)
+      pain_points: research.painPointAnalysis?.findings || null,
+      decision_maker: research.decisionMaker?.findings || null,
+      recommended_approach: research.recommendedApproach?.findings || null,
+      // Raw response for debugging
+      raw_response: research.raw_response || null,
+      sources: research.sources || []
     }
+  };
 
-    // Filter to only leads without research
-    // Debug: log what we're seeing in the first lead's opportunity_data
-    if (leads.length > 0) {
-      const firstLead = leads[0];
-      console.log(`   📋 First lead: ${firstLead.company_name}`);
-      console.log(`   📋 opportunity_data keys: ${Object.keys(firstLead.opportunity_data || {}).join(', ')}`);
-      console.log(`   📋 Has lead_research: ${!!(firstLead.opportunity_data?.lead_research)}`);
+  // If Perplexity found an email, add it
+  if (research.contactDiscovery?.findings) {
+    const emailMatch = research.contactDiscovery.findings.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
+    if (emailMatch && !updatedOpportunityData.discovered_email) {
+      updatedOpportunityData.discovered_email = emailMatch[1];
+      console.log(`   📧 Found email via research: ${emailMatch[1]}`);
     }
+  }
 
-    // Filter to leads that need research
-    // Skip any lead that has lead_research field (even if it failed before - don't pay twice)
-    const unresearched = leads.filter(l => {
-      const research = l.opportunity_data?.lead_research;
-      if (!research) return true; // No research at all - process this lead
-      return false; // Has lead_research (even if failed) - skip to avoid paying twice
-    });
+  const { error: updateError } = await supabase
+    .from('scored_opportunities')
+    .update({ opportunity_data: updatedOpportunityData })
+    .eq('id', lead.id);
 
-    // Limit to requested amount
-    const toResearch = unresearched.slice(0, limit);
-    console.log(`   📋 Found ${unresearched.length} unresearched, processing ${toResearch.length} (limit: ${limit})`);
+  if (updateError) {
+    throw new Error(`Database save failed: ${updateError.message}`);
+  }
 
-    const firstLeadInfo = leads.length > 0 ? {
-      name: leads[0].company_name,
-      hasLeadResearch: !!(leads[0].opportunity_data?.lead_research),
-      keys: Object.keys(leads[0].opportunity_data || {})
-    } : null;
+  // Verify the save actually worked
+  const { data: verifyData, error: verifyError } = await supabase
+    .from('scored_opportunities')
+    .select('opportunity_data')
+    .eq('id', lead.id)
+    .single();
 
-    const results = { researched: 0, skipped: 0, errors: [], queryReturned: leads.length, unresearchedCount: unresearched.length, processingCount: toResearch.length, firstLead: firstLeadInfo };
+  if (verifyError || !verifyData?.opportunity_data?.lead_research?.researched_at) {
+    throw new Error(`Save verification failed - data not found after update`);
+  }
 
-    for (const lead of toResearch) {
-      try {
-        console.log(`\n🔍 Researching: ${lead.company_name}`);
-
-        // Research the lead
-        const research = await researcher.researchLead(lead);
-
-        // Update the opportunity with research data
-        // MFS-aligned fields + legacy field names for compatibility
-        const updatedOpportunityData = {
-          ...lead.opportunity_data,
-          lead_research: {
-            researched_at: new Date().toISOString(),
-            // Core research fields
-            company_background: research.companyBackground?.findings || null,
-            founder_profile: research.decisionMaker?.findings || null,
-            growth_ceiling_indicators: research.painPointAnalysis?.findings || null,
-            personalization_hooks: research.personalizationHooks?.findings || null,
-            outreach_angle: research.recommendedApproach?.findings || null,
-            // Legacy field names (for SmartEmailWriter compatibility)
-            pain_points: research.painPointAnalysis?.findings || null,
-            decision_maker: research.decisionMaker?.findings || null,
-            recommended_approach: research.recommendedApproach?.findings || null,
-            // Raw response for debugging
-            raw_response: research.raw_response || null,
-            sources: research.sources || []
-          }
-        };
+  console.log(`   ✅ Research saved and verified for ${lead.company_name}`);
 
-        // If Perplexity found an email, add it
-        if (research.contactDiscovery?.findings) {
-          const emailMatch = research.contactDiscovery.findings.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-          if (emailMatch && !updatedOpportunityData.discovered_email) {
-            updatedOpportunityData.discovered_email = emailMatch[1];
-            console.log(`   📧 Found email via research: ${emailMatch[1]}`);
-          }
-        }
+  // Refresh size/revenue estimates now that there's research text (no crawl here)
+  try {
+    await firmographicEstimator.enrichOpportunity({ ...lead, opportunity_data: verifyData.opportunity_data }, { crawl: false });
+  } catch (estimateError) {
+    console.warn(`   ⚠️ Firmographic estimate failed: ${estimateError.message}`);
+  }
 
-        const { error: updateError } = await supabase
-          .from('scored_opportunities')
-          .update({ opportunity_data: updatedOpportunityData })
-          .eq('id', lead.id);
+  // Research and size estimates change the ICP fit (industry, tenure, bands)
+  try {
+    await icpProfiles.matchOpportunity(lead.id);
+  } catch (icpError) {
+    console.warn(`   ⚠️ ICP match failed: ${icpError.message}`);
+  }
+}
 
-        if (updateError) {
-          throw new Error(`Database save failed: ${updateError.message}`);
-        }
+/**
+ * research_leads job - pacing comes from the research providers' rate limits
+ * (RateLimiter via LLMRouter), not fixed sleeps
+ */
+async function researchLeadsJob({ limit = 10, source, icp, force_refresh = false }, job) {
+  console.log(`\n🔬 BATCH RESEARCH: Starting research for up to ${limit} leads...`);
 
-        // Verify the save actually worked
-        const { data: verifyData, error: verifyError } = await supabase
-          .from('scored_opportunities')
-          .select('opportunity_data')
-          .eq('id', lead.id)
-          .single();
+  // Pick the leads once - a resumed job keeps its list and skips the ones it finished
+  if (!job.state.lead_ids) {
+    const { leads, stats } = await selectLeadsToResearch({ limit, source, icp });
+    if (leads.length === 0) {
+      return { message: 'No leads found matching criteria', researched: 0, skipped: 0, errors: [], ...stats };
+    }
+    await job.progress({
+      lead_ids: leads.map(lead => lead.id),
+      processed: [],
+      total: leads.length,
+      done: 0,
+      results: { researched: 0, skipped: 0, errors: [], ...stats }
+    });
+  }
 
-        if (verifyError || !verifyData?.opportunity_data?.lead_research?.researched_at) {
-          throw new Error(`Save verification failed - data not found after update`);
-        }
+  const researcher = new AIResearcher({ forceRefresh: !!force_refresh });
+  const firmographicEstimator = new FirmographicEstimator();
+  const results = job.state.results;
+  const processed = new Set(job.state.processed);
+  const remaining = job.state.lead_ids.filter(id => !processed.has(id));
 
-        results.researched++;
-        console.log(`   ✅ Research saved and verified for ${lead.company_name}`);
+  // Query in chunks - large .in() lists blow past the PostgREST URL limit
+  const leadsById = new Map();
+  for (let i = 0; i < remaining.length; i += 200) {
+    const { data: rows, error } = await supabase
+      .from('scored_opportunities')
+      .select('*')
+      .in('id', remaining.slice(i, i + 200));
+    if (error) throw new Error(error.message);
+    (rows || []).forEach(row => leadsById.set(row.id, row));
+  }
 
-        // Rate limit - 2 seconds between research calls
-        await new Promise(resolve => setTimeout(resolve, 2000));
+  for (const id of remaining) {
+    if (job.cancelled()) break;
 
-      } catch (err) {
-        console.error(`   ❌ Error researching ${lead.company_name}:`, err.message);
-        results.errors.push({ company: lead.company_name, error: err.message });
+    const lead = leadsById.get(id);
+    try {
+      // Deleted, or researched by another run since the job was queued
+      if (!lead || lead.opportunity_data?.lead_research) {
+        results.skipped++;
+      } else {
+        await researchAndSaveLead(lead, researcher, firmographicEstimator);
+        results.researched++;
       }
+    } catch (err) {
+      // Out of AI budget - stop here, the remaining leads stay unresearched for the next run
+      if (err.code === 'BUDGET_EXCEEDED') {
+        results.paused = err.message;
+        console.log(`   ⏸️ Research paused: ${err.message}`);
+        break;
+      }
+      console.error(`   ❌ Error researching ${lead.company_name}:`, err.message);
+      results.errors.push({ company: lead.company_name, error: err.message });
     }
 
-    console.log(`\n✅ Batch research complete: ${results.researched} researched`);
-    res.json({ success: true, results });
+    processed.add(id);
+    await job.progress({
+      processed: [...processed],
+      done: processed.size,
+      results,
+      message: `${results.researched} researched, ${results.errors.length} failed`
+    });
+  }
+
+  console.log(`\n✅ Batch research complete: ${results.researched} researched`);
+  return results;
+}
+
+jobQueue.register('research_leads', researchLeadsJob, { concurrency: 1 });
+
+// { limit, source, icp, force_refresh } - returns a job id to poll
+app.post('/api/research-leads', async (req, res) => {
+  const { limit = 10, source, icp, force_refresh = false } = req.body;
+  const count = parseInt(limit, 10);
+
+  if (!(count >= 1 && count <= 500)) {
+    return res.status(400).json({ error: 'Invalid research request', details: ['limit must be a number from 1 to 500'] });
+  }
 
+  try {
+    const job = await jobQueue.enqueue('research_leads', { limit: count, source: source || null, icp: icp || null, force_refresh: !!force_refresh });
+    jobQueued(res, job);
   } catch (error) {
     console.error('Batch research error:', error);
     res.status(500).json({ error: error.message });
@@ -657,158 +1693,377 @@ app.post('/api/research-leads', async (req, res) => {
 });
 
 // ============================================
-// DISCOVER COMPANY - Full Pipeline Test
+// FIND EMAILS - contact emails for qualified leads
 // ============================================
-// Takes a company name, researches it via Perplexity,
-// scores it, and runs it through the full pipeline
+const EmailVerifier = require('./services/email-verifier');
+const emailVerifier = new EmailVerifier({ limiter: rateLimiter });
+
+/**
+ * find_emails job - scrapes each lead's website (EmailFinder), paced by the
+ * email_finder rate limit, and saves discovered_email plus its SMTP
+ * verification on the opportunity. Decision makers (from research, or a
+ * decision-maker search) get personal address candidates too
+ */
+async function findEmailsJob({ limit = 20, opportunity_ids = null }, job) {
+  if (!job.state.lead_ids) {
+    const withDomain = () => supabase
+      .from('scored_opportunities')
+      .select('id, company_name, company_domain, opportunity_data')
+      .not('company_domain', 'is', null);
+
+    let leads = [];
+    if (opportunity_ids) {
+      // Query in chunks - large .in() lists blow past the PostgREST URL limit
+      for (let i = 0; i < opportunity_ids.length; i += 200) {
+        const { data, error } = await withDomain().in('id', opportunity_ids.slice(i, i + 200));
+        if (error) throw new Error(error.message);
+        leads.push(...(data || []));
+      }
+    } else {
+      const { data, error } = await withDomain()
+        .is('outreach_sent', null)
+        .eq('route_to_outreach', true)
+        .gte('overall_score', 70)
+        .order('overall_score', { ascending: false })
+        .limit(Math.min(limit * 10, 2000));
+      if (error) throw new Error(error.message);
+      leads = data || [];
+    }
 
-app.post('/api/discover-company', async (req, res) => {
-  const { company_name, company_domain, contact_email, contact_name } = req.body;
+    // Only real company websites, and only leads without an email yet
+    const candidates = leads.filter(lead => {
+      const domain = entityResolver.normalizeDomain(lead.company_domain);
+      return domain && entityResolver.isIdentityDomain(domain) && !lead.opportunity_data?.discovered_email;
+    }).slice(0, opportunity_ids ? undefined : limit);
+
+    await job.progress({
+      lead_ids: candidates.map(lead => lead.id),
+      processed: [],
+      total: candidates.length,
+      done: 0,
+      results: { found: 0, verified: 0, not_found: 0, errors: [] }
+    });
+  }
 
-  if (!company_name) {
-    return res.status(400).json({
-      success: false,
-      error: 'company_name is required'
+  const emailFinder = new EmailFinder({ verifier: emailVerifier });
+  const researcher = new AIResearcher();
+  const results = job.state.results;
+  const processed = new Set(job.state.processed);
+  const remaining = job.state.lead_ids.filter(id => !processed.has(id));
+
+  for (const id of remaining) {
+    if (job.cancelled()) break;
+
+    try {
+      // Fresh row - research may have been saved since the job was queued
+      const { data: lead, error } = await supabase
+        .from('scored_opportunities')
+        .select('id, company_name, company_domain, opportunity_data')
+        .eq('id', id)
+        .maybeSingle();
+      if (error) throw new Error(error.message);
+
+      if (lead && !lead.opportunity_data?.discovered_email) {
+        let people = [];
+        try {
+          people = await researcher.decisionMakers(lead);
+        } catch (err) {
+          console.warn(`   ⚠️ Decision maker lookup skipped: ${err.message}`);
+        }
+
+        await rateLimiter.take('email_finder');
+        const found = await emailFinder.findEmails(lead.company_name, lead.company_domain, { people });
+
+        if (found.primaryEmail) {
+          const { error: saveError } = await supabase
+            .from('scored_opportunities')
+            .update({
+              opportunity_data: {
+                ...lead.opportunity_data,
+                discovered_email: found.primaryEmail,
+                email_verification: found.primaryVerification,
+                email_discovery_raw: {
+                  email: found.primaryEmail,
+                  source: 'website_scrape',
+                  confidence: found.confidence,
+                  derivation: found.derivation,
+                  domain_pattern: found.pattern,
+                  emails_found: found.emails,
+                  candidates: found.candidates.map(({ email, pattern, score }) => ({ email, pattern, score })),
+                  verification: found.verification,
+                  found_at: new Date().toISOString()
+                }
+              }
+            })
+            .eq('id', id);
+          if (saveError) throw new Error(saveError.message);
+          results.found++;
+          if (EmailVerifier.isSendable(found.primaryVerification)) results.verified++;
+        } else {
+          results.not_found++;
+        }
+      }
+    } catch (err) {
+      console.error(`   ❌ Email finder failed for ${id}:`, err.message);
+      results.errors.push({ opportunity_id: id, error: err.message });
+    }
+
+    processed.add(id);
+    await job.progress({
+      processed: [...processed],
+      done: processed.size,
+      results,
+      message: `${results.found} found (${results.verified} verified), ${results.not_found} not found`
     });
   }
 
-  console.log(`\n🔍 DISCOVERING: ${company_name}`);
-  console.log(`================================\n`);
+  console.log(`\n✅ Email finding complete: ${results.found} found`);
+  return results;
+}
+
+jobQueue.register('find_emails', findEmailsJob, { concurrency: 1 });
+
+// { limit } or { opportunity_ids: [...] } - returns a job id to poll
+app.post('/api/find-emails', async (req, res) => {
+  const { limit = 20, opportunity_ids } = req.body;
+  const count = parseInt(limit, 10);
+
+  const errors = [];
+  if (opportunity_ids !== undefined && (!Array.isArray(opportunity_ids) || opportunity_ids.length === 0 || opportunity_ids.length > 500)) {
+    errors.push('opportunity_ids must be a list of 1 to 500 ids');
+  }
+  if (!(count >= 1 && count <= 500)) {
+    errors.push('limit must be a number from 1 to 500');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid email finder request', details: errors });
+  }
 
   try {
-    const researcher = new AIResearcher();
-    const scorer = new IntelligentScorer();
-    const results = { company_name, stages: {} };
+    const job = await jobQueue.enqueue('find_emails', { limit: count, opportunity_ids: opportunity_ids || null });
+    jobQueued(res, job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Stage 1: Research the company with Perplexity
-    console.log(`📡 Stage 1: Researching ${company_name} with Perplexity...`);
-    const opportunity = {
-      id: `discover-${Date.now()}`,
-      company_name,
-      company_domain: company_domain || `${company_name.toLowerCase().replace(/\s+/g, '')}.com`,
-      contact_email: contact_email || null,
-      contact_name: contact_name || null,
-      route_to_outreach: true
-    };
+// { email } or { emails: [...] } - MX + SMTP RCPT check, nothing is sent
+app.post('/api/verify-email', async (req, res) => {
+  const { email, emails } = req.body;
+  const list = emails !== undefined ? emails : [email];
 
-    const research = await researcher.researchLead(opportunity);
-    results.stages.research = {
-      completed: true,
-      companyBackground: research.companyBackground?.findings?.substring(0, 500) || 'No data',
-      painPoints: research.painPointAnalysis?.findings?.substring(0, 500) || 'No data',
-      decisionMaker: research.decisionMaker?.findings?.substring(0, 300) || 'No data',
-      recentActivity: research.recentActivity?.findings?.substring(0, 300) || 'No data',
-      personalizationHooks: research.personalizationHooks?.findings?.substring(0, 300) || 'No data',
-      recommendedApproach: research.recommendedApproach?.findings?.substring(0, 500) || 'No data'
-    };
-    console.log(`   ✅ Research complete`);
+  const errors = [];
+  if (!Array.isArray(list) || list.length === 0 || list.length > 50 || list.some(e => typeof e !== 'string' || !e.trim())) {
+    errors.push('Send an email, or emails: a list of 1 to 50 addresses');
+  }
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid verification request', details: errors });
+  }
 
-    // Stage 2: Score the opportunity
-    console.log(`📊 Stage 2: Scoring ${company_name}...`);
+  try {
+    const results = await emailVerifier.verifyMany(list);
+    res.json({
+      success: true,
+      results: Object.values(results),
+      sendable: Object.values(results).filter(result => result.sendable).map(result => result.email)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Enrich opportunity with research data for better scoring
-    opportunity.opportunity_data = {
-      source: 'discover-company',
-      research_summary: research.companyBackground?.findings || '',
-      pain_points: research.painPointAnalysis?.findings || '',
-      context: research.recommendedApproach?.findings || ''
-    };
+// ============================================
+// DISCOVER COMPANY - Full Pipeline Test
+// ============================================
+// Takes a company name, researches it via Perplexity,
+// scores it, and runs it through the full pipeline
 
-    const scoring = await scorer.processOpportunity(opportunity);
-    results.stages.scoring = {
-      completed: true,
-      qualified: scoring.qualified,
-      score: scoring.score || 0,
-      action: scoring.action,
-      reasoning: scoring.reasoning,
-      breakdown: scoring.breakdown,
-      keyInsights: scoring.keyInsights,
-      suggestedApproach: scoring.suggestedApproach
-    };
-    console.log(`   ✅ Score: ${scoring.score}/40 - ${scoring.action}`);
-
-    // Stage 3: Generate personalized email
-    console.log(`📧 Stage 3: Generating personalized outreach...`);
-    const email = generateDiscoveryEmail(opportunity, research, scoring);
-    results.stages.email = {
-      completed: true,
-      subject: email.subject,
-      body: email.body,
-      ready_to_send: !!contact_email
-    };
-    console.log(`   ✅ Email generated`);
-
-    // Stage 4: Find contact email using EmailFinder (scrapes website directly)
-    console.log(`📧 Stage 4: Finding contact email...`);
-    let discoveredEmail = contact_email || null;
-    let emailSource = contact_email ? 'provided' : null;
-    let emailConfidence = contact_email ? 'high' : 'none';
-
-    // First try: Direct website scraping with EmailFinder
-    if (!discoveredEmail && opportunity.company_domain) {
-      const emailFinder = new EmailFinder();
-      const emailResults = await emailFinder.findEmails(company_name, opportunity.company_domain);
-
-      if (emailResults.primaryEmail) {
-        discoveredEmail = emailResults.primaryEmail;
-        emailSource = 'website_scrape';
-        emailConfidence = emailResults.confidence;
-        console.log(`   ✅ Found email via scraping: ${discoveredEmail} (${emailConfidence})`);
-      }
+/**
+ * discover_company job - research, score, draft, find an email, save
+ * A resumed job reuses the cached research and doesn't save the company twice
+ */
+async function discoverCompanyJob({ company_name, company_domain, contact_email, contact_name, force_refresh = false }, job) {
+  console.log(`\n🔍 DISCOVERING: ${company_name}`);
+  console.log(`================================\n`);
 
-      results.stages.emailFinderResults = {
-        emails_found: emailResults.emails,
-        sources: emailResults.sources,
-        patterns_tried: emailResults.sources?.patterns || []
-      };
+  const researcher = new AIResearcher({ forceRefresh: !!force_refresh && !job.state.stage });
+  const scorer = new IntelligentScorer();
+  const saved = job.state.results?.stages?.database?.completed ? job.state.results.stages.database : null;
+  const results = { company_name, stages: {} };
+  const stage = (name, message) => job.progress({ stage: name, message, results });
+
+  // Stage 1: Research the company with Perplexity
+  console.log(`📡 Stage 1: Researching ${company_name} with Perplexity...`);
+  await stage('research', `Researching ${company_name}`);
+  const opportunity = {
+    id: `discover-${job.id}`,
+    company_name,
+    company_domain: company_domain || `${company_name.toLowerCase().replace(/\s+/g, '')}.com`,
+    contact_email: contact_email || null,
+    contact_name: contact_name || null,
+    route_to_outreach: true
+  };
+
+  const research = await researcher.researchLead(opportunity);
+  results.stages.research = {
+    completed: true,
+    companyBackground: research.companyBackground?.findings?.substring(0, 500) || 'No data',
+    painPoints: research.painPointAnalysis?.findings?.substring(0, 500) || 'No data',
+    decisionMaker: research.decisionMaker?.findings?.substring(0, 300) || 'No data',
+    recentActivity: research.recentActivity?.findings?.substring(0, 300) || 'No data',
+    personalizationHooks: research.personalizationHooks?.findings?.substring(0, 300) || 'No data',
+    recommendedApproach: research.recommendedApproach?.findings?.substring(0, 500) || 'No data'
+  };
+  console.log(`   ✅ Research complete`);
+
+  // Stage 2: Score the opportunity
+  console.log(`📊 Stage 2: Scoring ${company_name}...`);
+  await stage('scoring', `Scoring ${company_name}`);
+
+  // Enrich opportunity with research data for better scoring
+  opportunity.opportunity_data = {
+    source: 'discover-company',
+    research_summary: research.companyBackground?.findings || '',
+    pain_points: research.painPointAnalysis?.findings || '',
+    context: research.recommendedApproach?.findings || ''
+  };
+
+  const scoring = await scorer.processOpportunity(opportunity);
+  results.stages.scoring = {
+    completed: true,
+    qualified: scoring.qualified,
+    score: scoring.score || 0,
+    action: scoring.action,
+    reasoning: scoring.reasoning,
+    breakdown: scoring.breakdown,
+    keyInsights: scoring.keyInsights,
+    suggestedApproach: scoring.suggestedApproach
+  };
+  console.log(`   ✅ Score: ${scoring.score}/40 - ${scoring.action}`);
+
+  // Stage 3: Generate personalized email
+  console.log(`📧 Stage 3: Generating personalized outreach...`);
+  const email = generateDiscoveryEmail(opportunity, research, scoring);
+  results.stages.email = {
+    completed: true,
+    subject: email.subject,
+    body: email.body,
+    ready_to_send: !!contact_email
+  };
+  console.log(`   ✅ Email generated`);
+
+  // Stage 4: Find contact email using EmailFinder (scrapes website directly)
+  console.log(`📧 Stage 4: Finding contact email...`);
+  await stage('email_discovery', `Finding a contact email for ${company_name}`);
+  let discoveredEmail = contact_email || null;
+  let emailSource = contact_email ? 'provided' : null;
+  let emailConfidence = contact_email ? 'high' : 'none';
+  let emailDerivation = contact_email ? { method: 'provided' } : null;
+
+  // First try: Direct website scraping with EmailFinder
+  if (!discoveredEmail && opportunity.company_domain) {
+    const emailFinder = new EmailFinder({ verifier: emailVerifier });
+    let people = [];
+    try {
+      // The founder this research found (or the contact given), else a decision-maker search
+      people = await researcher.decisionMakers({
+        ...opportunity,
+        opportunity_data: { lead_research: { structured: research.structured, verification: research.verification } }
+      });
+    } catch (err) {
+      console.warn(`   ⚠️ Decision maker lookup skipped: ${err.message}`);
     }
 
-    // Second try: Perplexity research (fallback)
-    if (!discoveredEmail && research.contactDiscovery?.findings) {
-      const emailMatch = research.contactDiscovery.findings.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
-      if (emailMatch) {
-        // Validate it's from the right domain
-        const foundEmail = emailMatch[1].toLowerCase();
-        const domain = opportunity.company_domain?.toLowerCase();
-        if (!domain || foundEmail.includes(domain) || !foundEmail.includes('yahoo') && !foundEmail.includes('gmail')) {
-          discoveredEmail = foundEmail;
-          emailSource = 'perplexity';
-          emailConfidence = 'low';
-          console.log(`   ✅ Found email via Perplexity: ${discoveredEmail} (${emailConfidence})`);
-        }
+    await rateLimiter.take('email_finder');
+    const emailResults = await emailFinder.findEmails(company_name, opportunity.company_domain, { people });
+
+    if (emailResults.primaryEmail) {
+      discoveredEmail = emailResults.primaryEmail;
+      emailSource = 'website_scrape';
+      emailConfidence = emailResults.confidence;
+      emailDerivation = emailResults.derivation;
+      console.log(`   ✅ Found email via ${emailDerivation?.method || 'scraping'}: ${discoveredEmail} (${emailConfidence})`);
+    }
+
+    results.stages.emailFinderResults = {
+      emails_found: emailResults.emails,
+      sources: emailResults.sources,
+      patterns_tried: emailResults.sources?.patterns || [],
+      people,
+      domain_pattern: emailResults.pattern,
+      candidates: emailResults.candidates.map(({ email, pattern, score }) => ({ email, pattern, score }))
+    };
+  }
+
+  // Second try: Perplexity research (fallback)
+  if (!discoveredEmail && research.contactDiscovery?.findings) {
+    const emailMatch = research.contactDiscovery.findings.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
+    if (emailMatch) {
+      // Validate it's from the right domain
+      const foundEmail = emailMatch[1].toLowerCase();
+      const domain = opportunity.company_domain?.toLowerCase();
+      if (!domain || foundEmail.includes(domain) || !foundEmail.includes('yahoo') && !foundEmail.includes('gmail')) {
+        discoveredEmail = foundEmail;
+        emailSource = 'perplexity';
+        emailConfidence = 'low';
+        emailDerivation = { method: 'perplexity' };
+        console.log(`   ✅ Found email via Perplexity: ${discoveredEmail} (${emailConfidence})`);
       }
     }
+  }
+
+  // Provided and Perplexity emails get the same SMTP check (scraped ones are cached already)
+  const emailVerification = discoveredEmail ? await emailVerifier.verify(discoveredEmail) : null;
+  if (emailVerification) {
+    console.log(`   ${emailVerification.sendable ? '✅' : '⚠️'} ${discoveredEmail}: ${emailVerification.status} (${emailVerification.reason || 'no detail'})`);
+  }
+
+  results.stages.emailDiscovery = {
+    completed: true,
+    email_found: !!discoveredEmail,
+    email: discoveredEmail,
+    source: emailSource,
+    confidence: emailConfidence,
+    derivation: emailDerivation,
+    verification: emailVerification,
+    perplexity_response: research.contactDiscovery?.findings?.substring(0, 300) || null
+  };
 
-    results.stages.emailDiscovery = {
-      completed: true,
-      email_found: !!discoveredEmail,
-      email: discoveredEmail,
-      source: emailSource,
-      confidence: emailConfidence,
-      perplexity_response: research.contactDiscovery?.findings?.substring(0, 300) || null
+  // Stage 5: Save to database
+  console.log(`💾 Stage 5: Saving to database...`);
+  await stage('database', `Saving ${company_name}`);
+  if (saved) {
+    // Saved before a restart - don't insert a duplicate
+    results.stages.database = saved;
+    console.log(`   ✅ Already saved with ID: ${saved.opportunity_id}`);
+  } else {
+    const record = {
+      company_name: opportunity.company_name,
+      company_domain: opportunity.company_domain,
+      ...scorer.toOpportunityFields(scoring), // overall_score (0-100), route_to_outreach, priority_tier
+      signal_strength_score: 80,
+      source: 'discover-company',
+      opportunity_data: {
+        research: results.stages.research,
+        scoring: results.stages.scoring,
+        score_explanation: scoring.explanation,
+        email_draft: results.stages.email,
+        discovered_email: discoveredEmail,
+        email_verification: emailVerification,
+        email_discovery_raw: results.stages.emailDiscovery,
+        discovered_at: new Date().toISOString()
+      }
     };
 
-    // Stage 5: Save to database
-    console.log(`💾 Stage 5: Saving to database...`);
+    try {
+      Object.assign(record, await icpProfiles.matchFields(record));
+    } catch (err) {
+      console.warn(`   ⚠️ ICP match skipped: ${err.message}`);
+    }
+
     const { data: savedOpp, error: saveError } = await supabase
       .from('scored_opportunities')
-      .insert({
-        company_name: opportunity.company_name,
-        company_domain: opportunity.company_domain,
-        overall_score: Math.round((scoring.score || 0) * 2.5), // Convert to 0-100 scale (integer)
-        signal_strength_score: 80,
-        route_to_outreach: scoring.qualified && scoring.score >= 25,
-        priority_tier: scoring.score >= 30 ? 'tier_1' : scoring.score >= 20 ? 'tier_2' : 'tier_3',
-        source: 'discover-company',
-        opportunity_data: {
-          research: results.stages.research,
-          scoring: results.stages.scoring,
-          email_draft: results.stages.email,
-          discovered_email: discoveredEmail,
-          email_discovery_raw: results.stages.emailDiscovery,
-          discovered_at: new Date().toISOString()
-        }
-      })
+      .insert(record)
       .select()
       .single();
 
@@ -818,33 +2073,63 @@ app.post('/api/discover-company', async (req, res) => {
     } else {
       results.stages.database = { completed: true, opportunity_id: savedOpp.id };
       console.log(`   ✅ Saved with ID: ${savedOpp.id}`);
+      await stage('database', `Saved ${company_name}`);
+
+      try {
+        const { company_id, match_type } = await entityResolver.resolve(savedOpp);
+        results.stages.database.company_id = company_id;
+        results.stages.database.company_match = match_type;
+      } catch (err) {
+        console.log(`   ⚠️  Entity resolution skipped: ${err.message}`);
+      }
     }
+  }
 
-    // Final assessment
-    results.assessment = {
-      is_good_fit: scoring.qualified && scoring.score >= 25,
-      fit_level: scoring.score >= 30 ? 'EXCELLENT' : scoring.score >= 25 ? 'GOOD' : scoring.score >= 20 ? 'MAYBE' : 'NOT_A_FIT',
-      recommended_action: scoring.action,
-      contact_email: discoveredEmail,
-      email_found: !!discoveredEmail,
-      ready_for_outreach: scoring.qualified && scoring.score >= 25 && !!discoveredEmail,
-      next_steps: scoring.qualified
-        ? discoveredEmail
-          ? `Ready for outreach - email found: ${discoveredEmail}`
-          : 'QUALIFIED but need contact email - try manual lookup'
-        : 'Does not meet qualification criteria'
-    };
+  // Final assessment
+  results.assessment = {
+    is_good_fit: scoring.qualified && scoring.score >= 25,
+    fit_level: scoring.score >= 30 ? 'EXCELLENT' : scoring.score >= 25 ? 'GOOD' : scoring.score >= 20 ? 'MAYBE' : 'NOT_A_FIT',
+    recommended_action: scoring.action,
+    contact_email: discoveredEmail,
+    email_found: !!discoveredEmail,
+    ready_for_outreach: scoring.qualified && scoring.score >= 25 && !!discoveredEmail,
+    next_steps: scoring.qualified
+      ? discoveredEmail
+        ? `Ready for outreach - email found: ${discoveredEmail}`
+        : 'QUALIFIED but need contact email - try manual lookup'
+      : 'Does not meet qualification criteria'
+  };
 
-    console.log(`\n✅ DISCOVERY COMPLETE: ${company_name}`);
-    console.log(`   Fit: ${results.assessment.fit_level}`);
-    console.log(`   Score: ${scoring.score}/40`);
-    console.log(`   Action: ${scoring.action}\n`);
+  console.log(`\n✅ DISCOVERY COMPLETE: ${company_name}`);
+  console.log(`   Fit: ${results.assessment.fit_level}`);
+  console.log(`   Score: ${scoring.score}/40`);
+  console.log(`   Action: ${scoring.action}\n`);
 
-    res.json({
-      success: true,
-      ...results
+  return results;
+}
+
+jobQueue.register('discover_company', discoverCompanyJob, { concurrency: 2 });
+
+// { company_name, company_domain, contact_email, contact_name, force_refresh } - returns a job id to poll
+app.post('/api/discover-company', async (req, res) => {
+  const { company_name, company_domain, contact_email, contact_name, force_refresh = false } = req.body;
+
+  if (!company_name) {
+    return res.status(400).json({
+      success: false,
+      error: 'company_name is required'
     });
+  }
 
+  try {
+    const job = await jobQueue.enqueue('discover_company', {
+      company_name,
+      company_domain: company_domain || null,
+      contact_email: contact_email || null,
+      contact_name: contact_name || null,
+      force_refresh: !!force_refresh
+    });
+    jobQueued(res, job);
   } catch (error) {
     console.error(`❌ Discovery error for ${company_name}:`, error);
     res.status(500).json({
@@ -1280,12 +2565,15 @@ app.get('/api/opportunities', async (req, res) => {
     let data = null;
     let error = null;
 
-    // Try scored_opportunities first
-    const result1 = await supabase
+    // Try scored_opportunities first (?icp= narrows to one ideal customer profile)
+    let scoredQuery = supabase
       .from('scored_opportunities')
       .select('*')
       .order('created_at', { ascending: false })
       .limit(limit);
+    if (req.query.icp) scoredQuery = scoredQuery.eq('icp_id', req.query.icp);
+
+    const result1 = await scoredQuery;
 
     if (!result1.error && result1.data) {
       data = result1.data;
@@ -2053,7 +3341,7 @@ app.get('/api/explore-leads', async (req, res) => {
 // ============================================
 // PREVIEW EMAILS FROM SCORED OPPORTUNITIES
 // ============================================
-// Generates email previews from top-scoring leads in scored_opportunities table
+// Generates email previews from the highest live-priority leads (score decayed by age) in scored_opportunities
 // This lets you review what emails would look like before sending
 
 app.get('/api/preview-top-leads', async (req, res) => {
@@ -2061,6 +3349,7 @@ app.get('/api/preview-top-leads', async (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
     const minScore = parseInt(req.query.min_score) || 50;
     const source = req.query.source || null;
+    const icp = req.query.icp || null;
 
     // Build query for scored_opportunities with research data
     let query = supabase
@@ -2071,19 +3360,24 @@ app.get('/api/preview-top-leads', async (req, res) => {
       .not('company_name', 'like', '/u/%')       // Exclude Reddit usernames
       .not('opportunity_data', 'is', null);      // Must have opportunity data
 
-    // Filter by source if specified
+    // Filter by source / ICP if specified
     if (source) {
       query = query.eq('source', source);
     }
+    if (icp) {
+      query = query.eq('icp_id', icp);
+    }
 
-    const { data: opportunities, error } = await query
-      .order('overall_score', { ascending: false })
-      .limit(limit * 3); // Get more to filter for ones with research
+    const { data: recent, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit * 10); // Get more to rank by live priority and filter for ones with research
 
     if (error) {
       return res.status(500).json({ error: error.message });
     }
 
+    const opportunities = await leadFreshness.rank(recent || []);
+
     if (!opportunities || opportunities.length === 0) {
       return res.json({
         success: true,
@@ -2146,7 +3440,9 @@ app.get('/api/preview-top-leads', async (req, res) => {
           company_background: research.companyBackground || leadResearch.company_background || '',
           pain_points: research.painPoints || leadResearch.pain_points || '',
           personalization_hooks: research.personalizationHooks || leadResearch.personalization_hooks || '',
-          decision_maker: research.decisionMaker || leadResearch.decision_maker || ''
+          decision_maker: research.decisionMaker || leadResearch.decision_maker || '',
+          structured: leadResearch.structured || null,
+          verification: leadResearch.verification || null
         }
       };
 
@@ -2165,6 +3461,10 @@ app.get('/api/preview-top-leads', async (req, res) => {
           linkedin_url: oppData.linkedin_url || null,
           location: oppData.location || null,
           score: opp.overall_score,
+          live_priority: opp.live_priority,
+          freshness: opp.freshness,
+          icp_id: opp.icp_id || null,
+          icp_match_score: opp.icp_match_score ?? null,
           priority: opp.priority_tier,
           source: opp.source
         },
@@ -2211,6 +3511,9 @@ app.listen(PORT, () => {
   console.log(`📊 Dashboard API ready`);
   console.log(`✅ Environment: ${process.env.RAILWAY_ENVIRONMENT || 'development'}`);
 
+  // Background jobs - picks up anything queued or interrupted before a restart
+  jobQueue.start();
+
   // Auto-start agents after server is ready (wait 5 seconds for services to initialize)
   setTimeout(autoStartAgents, 5000);
 
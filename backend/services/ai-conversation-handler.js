@@ -1,21 +1,19 @@
 /**
  * AI Email Conversation Handler
  * Handles email replies, builds rapport, moves leads toward booking
+ *
+ * Model calls go through LLMRouter (tasks "reply_classification" and
+ * "reply_response") - Claude by default, with fallback per llm-config.json
  */
 
-const Anthropic = require('@anthropic-ai/sdk');
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('./supabase-client');
+const LLMRouter = require('./llm-router');
 
 class AIConversationHandler {
-  constructor() {
-    this.anthropic = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY
-    });
-
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+  constructor({ llm = LLMRouter.createDefault() } = {}) {
+    this.llm = llm;
+
+    this.supabase = lazyClient();
   }
 
   /**
@@ -28,11 +26,14 @@ class AIConversationHandler {
       // Get campaign and conversation history
       const campaign = await this.getCampaignWithHistory(campaignId);
 
+      // Spend on this reply is recorded against the campaign
+      const context = { campaign_id: campaignId, opportunity_id: campaign.opportunity_id, company_name: campaign.company_name };
+
       // Classify the reply
-      const classification = await this.classifyReply(replyText);
+      const classification = await this.classifyReply(replyText, context);
 
       // Generate appropriate response
-      const response = await this.generateResponse(campaign, replyText, classification);
+      const response = await this.generateResponse(campaign, replyText, classification, context);
 
       // Store conversation
       await this.storeConversation(campaignId, replyText, response, classification);
@@ -60,7 +61,7 @@ class AIConversationHandler {
   /**
    * Classify the reply intent
    */
-  async classifyReply(replyText) {
+  async classifyReply(replyText, context = null) {
     const prompt = `Classify this email reply into one of these categories:
 
 EMAIL REPLY:
@@ -91,14 +92,14 @@ Respond in JSON:
   "reasoning": "Why you classified it this way"
 }`;
 
-    const response = await this.askClaude(prompt);
+    const response = await this.askModel('reply_classification', prompt, context);
     return response;
   }
 
   /**
    * Generate appropriate response
    */
-  async generateResponse(campaign, replyText, classification) {
+  async generateResponse(campaign, replyText, classification, context = null) {
     // Don't respond to OOO or unsubscribe
     if (['OUT_OF_OFFICE', 'UNSUBSCRIBE'].includes(classification.intent)) {
       return null;
@@ -161,7 +162,7 @@ IMPORTANT:
 
 Write the email response:`;
 
-    const response = await this.askClaude(prompt);
+    const response = await this.askModel('reply_response', prompt, context);
     return response.emailText || response;
   }
 
@@ -279,20 +280,11 @@ Write the email response:`;
   }
 
   /**
-   * Helper: Ask Claude
+   * Helper: Ask the model configured for a task
    */
-  async askClaude(prompt) {
+  async askModel(task, prompt, context = null) {
     try {
-      const response = await this.anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 2048,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
-      });
-
-      const content = response.content[0].text;
+      const { text: content } = await this.llm.complete(task, { prompt, context });
 
       // Try to parse JSON if present
       const jsonMatch = content.match(/\{[\s\S]*\}/);
@@ -304,7 +296,7 @@ Write the email response:`;
       return { emailText: content };
 
     } catch (error) {
-      console.error('Claude API error:', error);
+      console.error(`LLM error (${task}):`, error.message);
       throw error;
     }
   }
@@ -338,6 +330,11 @@ Write the email response:`;
 
         processed++;
       } catch (error) {
+        // Out of budget - remaining replies stay unprocessed for the next run
+        if (error.code === 'BUDGET_EXCEEDED') {
+          console.log(`⏸️  Reply processing paused: ${error.message}`);
+          break;
+        }
         console.error(`Error processing campaign ${campaign.id}:`, error);
       }
     }
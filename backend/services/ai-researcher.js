@@ -1,14 +1,40 @@
 /**
  * AI Research Agent - Powered by Perplexity
  * Deep web research on qualified leads before outreach
+ *
+ * Company lookups go through ResearchCache (per domain + query type), so the same
+ * company found by several sources is only researched once per TTL.
+ * forceRefresh skips cached answers and overwrites them.
+ *
+ * Live calls go through LLMRouter (task "research"), so the model, fallback
+ * provider and the offline stub (LLM_PROVIDER=stub) come from configuration.
+ *
+ * Hooks, recent activity and the founder's name are checked against the cited
+ * pages (CitationVerifier); the result is saved with the research as verification.
  */
 
-const axios = require('axios');
+const ResearchCache = require('./research-cache');
+const LLMRouter = require('./llm-router');
+const ResearchSchema = require('./research-schema');
+const CitationVerifier = require('./citation-verifier');
+
+// A person's name as the model writes it: "Jane Doe", "Mary-Kate O'Neil", "José M. Ruiz"
+const PERSON_NAME = /^[A-ZÀ-Þ][\wÀ-ÿ'’-]+(?:\s+[A-ZÀ-Þ][\wÀ-ÿ'’.-]*)+$/;
+
+// Free-text answers (cached before the JSON prompt): "Founder: Jane Doe", "Jane Doe, the founder"
+const DECISION_MAKER_PATTERNS = [
+  /\b(?:[Ff]ounder|[Oo]wner|CEO|[Pp]resident|[Pp]rincipal)(?:\s*(?:&|and|\/)\s*(?:CEO|[Pp]resident|[Oo]wner))?\s*(?:is|[:,-])?\s*\**\s*([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/g,
+  /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+),?\s+(?:is\s+)?(?:the\s+)?(?:[Ff]ounder|[Oo]wner|CEO|[Pp]resident)\b/g
+];
+
+const RESEARCH_SYSTEM_PROMPT = 'You are a business research expert. Provide factual, detailed research based on web sources. Always cite sources when available.';
 
 class AIResearcher {
-  constructor() {
-    this.perplexityApiKey = process.env.PERPLEXITY_API_KEY;
-    this.perplexityEndpoint = 'https://api.perplexity.ai/chat/completions';
+  constructor({ forceRefresh = false, llm = LLMRouter.createDefault(), verifier = new CitationVerifier() } = {}) {
+    this.llm = llm;
+    this.verifier = verifier;
+    this.cache = new ResearchCache();
+    this.forceRefresh = forceRefresh;
   }
 
   /**
@@ -33,17 +59,26 @@ class AIResearcher {
     research.decisionMaker = { findings: consolidatedResult.decision_maker || '' };
     research.personalizationHooks = { findings: consolidatedResult.personalization_hooks || '' };
     research.recommendedApproach = { findings: consolidatedResult.recommended_approach || '' };
+    research.recentActivity = { findings: consolidatedResult.recent_activity || '' };
+    research.structured = consolidatedResult.structured;
+    research.validation = consolidatedResult.validation;
+    research.verification = await this.verifyCitations(consolidatedResult);
     research.sources = consolidatedResult.sources || [];
     research.raw_response = consolidatedResult.raw_response;
+    if (consolidatedResult.cached_at) research.cached_at = consolidatedResult.cached_at;
 
     console.log(`✅ Research complete for ${opportunity.company_name}`);
     return research;
   }
 
   /**
-   * Single consolidated Perplexity call - all research in one request
+   * Single consolidated research call - all research in one request, answered as
+   * JSON in the research-schema.json shape
    * Optimized for Maggie Forbes Strategies - Strategic Growth Architecture
    * Target: $3M-$25M founder-led businesses hitting a growth ceiling
+   *
+   * The answer is repaired locally where possible (ResearchSchema); if it still
+   * doesn't validate, the model gets one chance to fix it before we give up.
    */
   async consolidatedResearch(opportunity) {
     const domain = opportunity.company_domain || '';
@@ -59,90 +94,106 @@ ${jobTitle ? `Title: ${jobTitle}` : ''}
 
 TARGET CLIENT PROFILE: Established founder-led businesses ($3M-$25M revenue) that have hit a growth ceiling. NOT startups, NOT enterprise corporations.
 
-Provide a research report with these sections:
+Research:
+- COMPANY: what they do, industry, when founded, revenue range (look for employee count, office size, client list indicators), and whether they fit the $3M-$25M founder-led criteria
+- FOUNDER/OWNER: name, exact title, how long they've led the company, whether they're still hands-on in daily operations (LinkedIn activity, speaking, involvement), any signs of burnout, transition thinking or a "what's next" mindset
+- GROWTH CEILING INDICATORS, each with specific evidence: leadership dependency (does the business revolve around the founder?), relationship/referral-dependent revenue, operational bottlenecks (manual processes, founder approval for everything), team limitations, scaling plateaus
+- RECENT ACTIVITY with dates: news, announcements, launches, hires, expansion
+- PERSONALIZATION HOOKS: awards, milestones, speaking, podcasts, books, causes they care about - specific and quotable
+- OUTREACH ANGLE: the most compelling way to open a conversation about building systems that let them step back without stepping down
+
+Be specific and factual. Include the source URL for every pain point, activity and hook you found on the web. Use null (or an empty list) when information isn't available - never guess.
 
-1. COMPANY BACKGROUND:
-   - What they do (1 sentence)
-   - Estimated revenue range (look for employee count, office size, client list indicators)
-   - Years in business (founded when?)
-   - Industry/niche
-   - IS THIS A FIT? (Yes/No/Maybe - based on $3M-$25M founder-led criteria)
+Respond with ONLY a JSON object in exactly this shape:
+${JSON.stringify(ResearchSchema.template(), null, 2)}`;
 
-2. FOUNDER/OWNER PROFILE:
-   - Name and exact title
-   - Are they still hands-on in daily operations? (critical - look for LinkedIn activity, speaking, involvement)
-   - How long have they led this company?
-   - Any signs of burnout, transition thinking, or "what's next" mindset?
+    const result = await this.askPerplexity(query, { company: opportunity, type: 'structured' });
+    const { research, validation } = await this.validateResearch(result, opportunity);
+    const sections = ResearchSchema.toSections(research);
+
+    return {
+      structured: research,
+      ...sections,
+      // Also map to legacy field names for compatibility
+      pain_points: sections.growth_ceiling_indicators,
+      decision_maker: sections.founder_profile,
+      recommended_approach: sections.outreach_angle,
+      validation,
+      sources: result.sources || [],
+      raw_response: result.findings,
+      cached_at: result.cached_at
+    };
+  }
 
-3. GROWTH CEILING INDICATORS (look for specific evidence):
-   - Leadership dependency: Does the business revolve around the founder?
-   - Revenue concentration: Do they rely on referrals/relationships vs systematic sales?
-   - Operational bottlenecks: Manual processes, founder approval needed for everything?
-   - Team limitations: Can the team execute without founder in the room?
-   - Scaling challenges: Have they plateaued or struggled to grow past a certain point?
+  /**
+   * Schema-checked research from a model answer: { research, validation }
+   * Throws when the answer can't be repaired, even after asking the model to fix it
+   */
+  async validateResearch(result, opportunity) {
+    const checked = ResearchSchema.check(result.findings);
+    if (checked.errors.length === 0) {
+      return {
+        research: checked.value,
+        validation: { schema_version: ResearchSchema.version, repaired: checked.repairs.length > 0, retried: false, repairs: checked.repairs }
+      };
+    }
 
-4. PERSONALIZATION HOOKS (specific, quotable details):
-   - Recent achievements, awards, recognition
-   - Milestones (years in business, client wins, expansion)
-   - Speaking engagements, podcasts, books, thought leadership
-   - Personal interests or causes they care about
-   - Recent company news or announcements
+    console.log(`   🔧 Research output invalid (${checked.errors.slice(0, 3).join('; ')}) - asking for a corrected version`);
+    const prompt = `This research answer doesn't match the required JSON shape.
 
-5. OUTREACH ANGLE (1-2 sentences): The most compelling way to open a conversation about building systems that let them step back without stepping down.
+PROBLEMS:
+${checked.errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
 
-Be specific and factual. If information isn't available, say so.`;
+ANSWER:
+${result.findings}
 
-    const result = await this.askPerplexity(query);
+Rewrite it as ONLY a JSON object in exactly this shape, keeping every fact and source URL from the answer and using null (or an empty list) where information is missing:
+${JSON.stringify(ResearchSchema.template(), null, 2)}`;
 
-    if (result.fallback) {
-      return {
-        company_background: `${opportunity.company_name} - established business (details pending research)`,
-        pain_points: 'Potential growth ceiling indicators: founder involvement in daily operations, relationship-dependent revenue',
-        decision_maker: opportunity.contact_name || 'Unknown',
-        personalization_hooks: `Leader in ${opportunity.industry || 'their industry'}`,
-        recommended_approach: 'Focus on building scalable growth infrastructure',
-        sources: [],
-        raw_response: result.findings
-      };
+    const context = { opportunity_id: opportunity.id, source: opportunity.source, company_name: opportunity.company_name };
+    const fixed = await this.llm.complete('research_repair', { prompt, context });
+    const rechecked = ResearchSchema.check(fixed.text);
+    if (rechecked.errors.length > 0) {
+      throw new Error(`Research output doesn't match the schema: ${rechecked.errors.slice(0, 5).join('; ')}`);
+    }
+
+    // Cache the corrected answer so a cache hit doesn't need fixing again
+    const entry = this.cache.keyFor(opportunity, 'structured');
+    if (entry) {
+      await this.cache.set(entry, {
+        findings: JSON.stringify(rechecked.value),
+        sources: result.sources,
+        provider: result.provider,
+        model: result.model,
+        researched_at: result.researched_at
+      });
     }
 
-    // Parse the response into sections
-    const response = result.findings || '';
     return {
-      company_background: this.extractSection(response, 'COMPANY BACKGROUND', 'FOUNDER'),
-      founder_profile: this.extractSection(response, 'FOUNDER/OWNER PROFILE', 'GROWTH CEILING'),
-      growth_ceiling_indicators: this.extractSection(response, 'GROWTH CEILING INDICATORS', 'PERSONALIZATION'),
-      personalization_hooks: this.extractSection(response, 'PERSONALIZATION HOOKS', 'OUTREACH'),
-      outreach_angle: this.extractSection(response, 'OUTREACH ANGLE', null),
-      // Also map to legacy field names for compatibility
-      pain_points: this.extractSection(response, 'GROWTH CEILING INDICATORS', 'PERSONALIZATION'),
-      decision_maker: this.extractSection(response, 'FOUNDER/OWNER PROFILE', 'GROWTH CEILING'),
-      recommended_approach: this.extractSection(response, 'OUTREACH ANGLE', null),
-      sources: result.sources || [],
-      raw_response: response
+      research: rechecked.value,
+      validation: {
+        schema_version: ResearchSchema.version,
+        repaired: true,
+        retried: true,
+        errors: checked.errors,
+        repairs: rechecked.repairs
+      }
     };
   }
 
   /**
-   * Extract a section from the response text
+   * Check quotable claims against the cited pages - null if the check itself fails
+   * (the research is still usable; SmartEmailWriter just won't quote unverified hooks)
    */
-  extractSection(text, startMarker, endMarker) {
+  async verifyCitations(result) {
     try {
-      const startIdx = text.toUpperCase().indexOf(startMarker);
-      if (startIdx === -1) return '';
-
-      let endIdx = text.length;
-      if (endMarker) {
-        const found = text.toUpperCase().indexOf(endMarker, startIdx + startMarker.length);
-        if (found !== -1) endIdx = found;
-      }
-
-      return text.substring(startIdx + startMarker.length, endIdx)
-        .replace(/^[:\s]+/, '')
-        .trim()
-        .substring(0, 500); // Limit length
-    } catch (e) {
-      return '';
+      const verification = await this.verifier.verify(result.structured, result.sources);
+      const { verified, unverified, contradicted } = verification.summary;
+      console.log(`   🔗 Citations: ${verified} verified, ${unverified} unverified, ${contradicted} contradicted`);
+      return verification;
+    } catch (error) {
+      console.warn(`   ⚠️  Citation check failed: ${error.message}`);
+      return null;
     }
   }
 
@@ -161,7 +212,7 @@ Find:
 
 Provide factual information found from web sources.`;
 
-    return await this.askPerplexity(query);
+    return await this.askPerplexity(query, { company: opportunity, type: 'background' });
   }
 
   /**
@@ -181,11 +232,11 @@ Research:
 
 Search for recent posts, comments, or mentions that reveal their pain points.`;
 
-    return await this.askPerplexity(query);
+    return await this.askPerplexity(query, { company: opportunity, type: 'pain_points' });
   }
 
   /**
-   * Find decision maker information
+   * Find decision maker information - the answer plus people: [{ name, title, linkedin_url }]
    */
   async findDecisionMaker(opportunity) {
     const query = `Find information about the decision maker at ${opportunity.company_name}:
@@ -200,9 +251,64 @@ Find:
 4. Recent posts or activity
 5. Their priorities and what they care about
 
-Search for real people and profiles.`;
+Search for real people and profiles. Use an empty list if you can't find anyone - never guess a name.
 
-    return await this.askPerplexity(query);
+Respond with ONLY a JSON object in exactly this shape:
+{
+  "people": [
+    { "name": "Full name", "title": "Exact title", "linkedin_url": "Profile URL or null" }
+  ],
+  "notes": "Their priorities, recent posts and what they care about"
+}`;
+
+    const result = await this.askPerplexity(query, { company: opportunity, type: 'decision_maker' });
+    return { ...result, people: AIResearcher.peopleFrom(result.findings) };
+  }
+
+  /**
+   * Names out of a decision-maker answer - the JSON people list, or for older
+   * free-text answers, "Founder: Jane Doe" style mentions
+   */
+  static peopleFrom(text) {
+    const parsed = ResearchSchema.parse(text);
+    const listed = Array.isArray(parsed.data?.people)
+      ? parsed.data.people.map(person => ({
+        name: String(person?.name || '').trim(),
+        title: person?.title || null,
+        linkedin_url: person?.linkedin_url || null
+      }))
+      : DECISION_MAKER_PATTERNS.flatMap(pattern => [...String(text || '').matchAll(pattern)])
+        .sort((a, b) => a.index - b.index)
+        .map(match => ({ name: match[1], title: null, linkedin_url: null }));
+
+    const seen = new Set();
+    return listed.filter(person => PERSON_NAME.test(person.name) &&
+      !seen.has(person.name.toLowerCase()) && seen.add(person.name.toLowerCase()));
+  }
+
+  /**
+   * Who to write to at a company: [{ name, title, source }]. The founder from saved
+   * research (unless the cited pages named someone else) and the lead's own contact;
+   * without either, a decision-maker search
+   */
+  async decisionMakers(opportunity) {
+    const data = opportunity.opportunity_data || {};
+    const research = data.lead_research || {};
+    const people = [];
+
+    const founder = research.structured?.founder;
+    if (founder?.name && CitationVerifier.statusOf(research.verification, 'founder.name') !== 'contradicted') {
+      people.push({ name: founder.name, title: founder.title || null, source: 'research' });
+    }
+
+    const contact = data.contact_full_name || opportunity.contact_name;
+    if (contact && PERSON_NAME.test(contact) && !people.some(person => person.name.toLowerCase() === contact.toLowerCase())) {
+      people.push({ name: contact, title: data.job_title || null, source: 'lead' });
+    }
+    if (people.length > 0) return people;
+
+    const result = await this.findDecisionMaker(opportunity);
+    return result.people.slice(0, 2).map(({ name, title }) => ({ name, title, source: 'decision_maker_search' }));
   }
 
   /**
@@ -230,7 +336,7 @@ If you find the founder/owner name, what would their email likely be?
 
 Provide the best email address to contact this business for B2B purposes.`;
 
-    return await this.askPerplexity(query);
+    return await this.askPerplexity(query, { company: opportunity, type: 'contact_email' });
   }
 
   /**
@@ -248,7 +354,7 @@ Search for:
 
 Focus on activity from the last 30 days.`;
 
-    return await this.askPerplexity(query);
+    return await this.askPerplexity(query, { company: opportunity, type: 'recent_activity' });
   }
 
   /**
@@ -269,7 +375,7 @@ Find:
 
 Provide market intelligence.`;
 
-    return await this.askPerplexity(query);
+    return await this.askPerplexity(query, { company: opportunity, type: 'market_context' });
   }
 
   /**
@@ -323,86 +429,37 @@ Make it highly specific to their situation as an established leader.`;
   }
 
   /**
-   * Ask Perplexity for research with retry logic
-   * Retries up to 3 times on failure, validates response before returning
+   * Ask the research model - answers about a company ({ company, type }) come from
+   * the research cache when there's a fresh entry, and are cached after a live call
    */
-  async askPerplexity(query, retryCount = 0) {
-    const MAX_RETRIES = 3;
+  async askPerplexity(query, { company = null, type = null, forceRefresh = this.forceRefresh } = {}) {
+    const entry = company && type ? this.cache.keyFor(company, type) : null;
 
-    // If no API key, throw error - don't silently fail
-    if (!this.perplexityApiKey) {
-      throw new Error('Perplexity API key not configured');
+    if (entry && !forceRefresh) {
+      const cached = await this.cache.get(entry);
+      if (cached) return { ...cached, cached: true };
     }
 
-    try {
-      const response = await axios.post(
-        this.perplexityEndpoint,
-        {
-          model: 'sonar',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a business research expert. Provide factual, detailed research based on web sources. Always cite sources when available.'
-            },
-            {
-              role: 'user',
-              content: query
-            }
-          ],
-          temperature: 0.2,
-          max_tokens: 2048
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.perplexityApiKey}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 45000 // Increased timeout
-        }
-      );
-
-      const content = response.data.choices[0]?.message?.content;
-      const citations = response.data.citations || [];
-
-      // VALIDATE: Make sure we got actual content
-      if (!content || content.length < 100) {
-        throw new Error('Perplexity returned empty or too-short response');
-      }
-
-      return {
-        findings: content,
-        sources: citations,
-        researched_at: new Date().toISOString()
-      };
-
-    } catch (error) {
-      const statusCode = error.response?.status;
-      const errorData = error.response?.data;
-      let errorMsg = error.message;
-
-      if (statusCode === 401) {
-        errorMsg = 'Invalid API key';
-      } else if (statusCode === 400) {
-        errorMsg = `Bad request: ${JSON.stringify(errorData)}`;
-      } else if (statusCode === 429) {
-        errorMsg = 'Rate limited';
-      } else if (errorData) {
-        errorMsg = `API error (${statusCode}): ${JSON.stringify(errorData)}`;
-      }
-
-      // RETRY on timeout or rate limit
-      const isRetryable = statusCode === 429 || error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    const context = company ? { opportunity_id: company.id, source: company.source, company_name: company.company_name } : null;
+    const result = await this.callResearchModel(query, context);
+    if (entry) await this.cache.set(entry, result);
+    return result;
+  }
 
-      if (isRetryable && retryCount < MAX_RETRIES) {
-        const waitTime = (retryCount + 1) * 5000; // 5s, 10s, 15s
-        console.log(`   ⏳ Retry ${retryCount + 1}/${MAX_RETRIES} in ${waitTime/1000}s (${errorMsg})`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        return this.askPerplexity(query, retryCount + 1);
-      }
+  /**
+   * Live research call - LLMRouter picks the provider chain for the research task
+   * (Perplexity first), with retries, timeout and fallback; spend is recorded against context
+   */
+  async callResearchModel(query, context = null) {
+    const result = await this.llm.complete('research', { prompt: query, system: RESEARCH_SYSTEM_PROMPT, context });
 
-      console.log(`   ❌ Perplexity FAILED after ${retryCount} retries (${errorMsg})`);
-      throw new Error(`Perplexity research failed: ${errorMsg}`);
-    }
+    return {
+      findings: result.text,
+      sources: result.citations,
+      provider: result.provider,
+      model: result.model,
+      researched_at: new Date().toISOString()
+    };
   }
 
   /**
@@ -424,10 +481,18 @@ Make it highly specific to their situation as an established leader.`;
           console.log(`Progress: ${completed}/${leads.length} researched`);
         }
 
-        // Rate limiting: Perplexity has rate limits, wait 2 seconds between requests
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // Rate limiting: Perplexity has rate limits, wait 2 seconds between requests (cache hits cost nothing)
+        if (!research.cached_at) {
+          await new Promise(resolve => setTimeout(resolve, 2000));
+        }
 
       } catch (error) {
+        // Out of budget - the rest of the batch waits for the next day / month
+        if (error.code === 'BUDGET_EXCEEDED') {
+          console.log(`⏸️  Research paused after ${completed}/${leads.length} leads: ${error.message}`);
+          break;
+        }
+
         console.error(`Error researching ${lead.company_name}:`, error);
         results.push({
           opportunity_id: lead.id,
@@ -454,7 +519,7 @@ Find the top 3 most important facts:
 
 Keep it brief and actionable.`;
 
-    return await this.askPerplexity(query);
+    return await this.askPerplexity(query, { company: opportunity, type: 'quick' });
   }
 }
 
@@ -0,0 +1,445 @@
+/**
+ * AI Spend Ledger
+ * Records every model call LLMRouter makes (task, provider, model, tokens,
+ * estimated cost, and the lead / campaign it served) and enforces budget caps
+ *
+ * Budgets live in system_settings (ai_budgets): an overall daily / monthly cap in
+ * USD plus optional caps per task ({ tasks: { research: { daily_usd } } }); null
+ * means no cap. Days and months are UTC. When a cap is reached, checkBudget()
+ * says so and LLMRouter refuses the call with code BUDGET_EXCEEDED - research and
+ * auto-reply stop there and pick up again once the period rolls over.
+ *
+ * Cost is an estimate from the pricing table in llm-config.json (per million
+ * tokens + per request); token counts the API doesn't report are estimated
+ * from text length. Ledger / budget reads that fail never block a call.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const llmConfig = require('./llm-config.json');
+
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+const SPEND_CACHE_TTL_MS = 60 * 1000;
+const BUDGET_SETTING = 'ai_budgets';
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TOP_LEADS = 50;
+
+// Spend so far this day / month, shared by every ledger in the process
+let spendCache = { loadedAt: 0, monthStart: null, dayStart: null, day: null, month: null };
+
+class AISpendLedger {
+  constructor({ pricing = llmConfig.pricing } = {}) {
+    this.supabase = lazyClient();
+    this.pricing = pricing;
+  }
+
+  /**
+   * Default budgets when ai_budgets isn't set - AI_DAILY_BUDGET_USD / AI_MONTHLY_BUDGET_USD, else no cap
+   */
+  static get defaultBudgets() {
+    return {
+      daily_usd: parseFloat(process.env.AI_DAILY_BUDGET_USD) || null,
+      monthly_usd: parseFloat(process.env.AI_MONTHLY_BUDGET_USD) || null,
+      tasks: {}
+    };
+  }
+
+  static periodStarts(now = new Date()) {
+    return {
+      dayStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+      monthStart: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1))
+    };
+  }
+
+  // ============================================
+  // COST
+  // ============================================
+
+  priceFor(provider, model) {
+    return this.pricing[`${provider}:${model}`] || this.pricing[`${provider}:*`] || null;
+  }
+
+  /**
+   * Estimated USD for one call (null when there's no price for the provider)
+   */
+  costOf(provider, model, usage) {
+    const price = this.priceFor(provider, model);
+    if (!price) return null;
+
+    const cost = (usage.input_tokens || 0) / 1e6 * price.input_per_mtok
+      + (usage.output_tokens || 0) / 1e6 * price.output_per_mtok
+      + (price.per_request || 0);
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  // ============================================
+  // RECORDING
+  // ============================================
+
+  /**
+   * Record one completed call
+   * context: { opportunity_id, campaign_id, source, company_name } - whatever the caller knows
+   */
+  async record({ task, provider, model, usage, latencyMs, context = {} }) {
+    const cost = this.costOf(provider, model, usage);
+    const row = {
+      task,
+      provider,
+      model,
+      input_tokens: usage.input_tokens,
+      output_tokens: usage.output_tokens,
+      estimated_tokens: !!usage.estimated,
+      cost_usd: cost ?? 0,
+      priced: cost !== null,
+      latency_ms: latencyMs,
+      // discover-company uses made-up ids - only real rows are linked
+      opportunity_id: UUID_PATTERN.test(context?.opportunity_id || '') ? context.opportunity_id : null,
+      campaign_id: UUID_PATTERN.test(context?.campaign_id || '') ? context.campaign_id : null,
+      source: context?.source || null,
+      company_name: context?.company_name || null
+    };
+
+    try {
+      const { error } = await this.supabase.from('ai_spend_ledger').insert(row);
+      if (error) throw new Error(error.message);
+    } catch (error) {
+      console.warn(`⚠️  Could not record AI spend for ${task} (${error.message})`);
+    }
+
+    // Keep the cached totals current between reloads
+    if (spendCache.day) {
+      [spendCache.day, spendCache.month].forEach(period => {
+        period.total += row.cost_usd;
+        period.byTask[task] = (period.byTask[task] || 0) + row.cost_usd;
+      });
+    }
+    return row;
+  }
+
+  // ============================================
+  // BUDGETS
+  // ============================================
+
+  async getBudgets() {
+    const { data, error } = await this.supabase
+      .from('system_settings')
+      .select('setting_value')
+      .eq('setting_key', BUDGET_SETTING)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return { ...AISpendLedger.defaultBudgets, ...(data?.setting_value || {}) };
+  }
+
+  static validateCap(value, label, errors) {
+    if (value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+      errors.push(`${label} must be a non-negative number or null`);
+    }
+  }
+
+  /**
+   * Change caps - { daily_usd, monthly_usd, tasks: { <task>: { daily_usd, monthly_usd } } }
+   * Given values replace the stored ones (null removes a cap). Returns { budgets } or { errors }
+   */
+  async setBudgets(changes) {
+    const errors = [];
+    const { daily_usd, monthly_usd, tasks, ...unknown } = changes || {};
+    Object.keys(unknown).forEach(key => errors.push(`Unknown field "${key}" (expected daily_usd, monthly_usd, tasks)`));
+    if (daily_usd !== undefined) AISpendLedger.validateCap(daily_usd, 'daily_usd', errors);
+    if (monthly_usd !== undefined) AISpendLedger.validateCap(monthly_usd, 'monthly_usd', errors);
+
+    if (tasks !== undefined) {
+      if (!tasks || typeof tasks !== 'object' || Array.isArray(tasks)) {
+        errors.push('tasks must be an object of { <task>: { daily_usd, monthly_usd } }');
+      } else {
+        Object.entries(tasks).forEach(([task, caps]) => {
+          if (!llmConfig.tasks[task]) errors.push(`Unknown task "${task}" (expected ${Object.keys(llmConfig.tasks).join(', ')})`);
+          if (caps === null) return; // removes the task's caps
+          if (typeof caps !== 'object' || Array.isArray(caps)) return errors.push(`tasks.${task} must be { daily_usd, monthly_usd } or null`);
+          Object.entries(caps).forEach(([key, value]) => {
+            if (!['daily_usd', 'monthly_usd'].includes(key)) errors.push(`Unknown field "tasks.${task}.${key}"`);
+            else AISpendLedger.validateCap(value, `tasks.${task}.${key}`, errors);
+          });
+        });
+      }
+    }
+    if (errors.length > 0) return { errors };
+
+    const budgets = await this.getBudgets();
+    if (daily_usd !== undefined) budgets.daily_usd = daily_usd;
+    if (monthly_usd !== undefined) budgets.monthly_usd = monthly_usd;
+    if (tasks) {
+      budgets.tasks = { ...budgets.tasks };
+      Object.entries(tasks).forEach(([task, caps]) => {
+        if (caps === null) delete budgets.tasks[task];
+        else budgets.tasks[task] = { ...budgets.tasks[task], ...caps };
+      });
+    }
+
+    const { error } = await this.supabase
+      .from('system_settings')
+      .upsert({ setting_key: BUDGET_SETTING, setting_value: budgets, updated_at: new Date().toISOString() }, { onConflict: 'setting_key' });
+
+    if (error) throw new Error(error.message);
+    console.log(`💰 AI budgets updated: daily ${budgets.daily_usd ?? 'no cap'}, monthly ${budgets.monthly_usd ?? 'no cap'}`);
+    return { budgets };
+  }
+
+  /**
+   * Spend today and this month: { day: { total, byTask }, month: { total, byTask } } - cached for a minute
+   */
+  async spent() {
+    const { dayStart, monthStart } = AISpendLedger.periodStarts();
+    const fresh = Date.now() - spendCache.loadedAt < SPEND_CACHE_TTL_MS
+      && spendCache.dayStart === dayStart.getTime()
+      && spendCache.monthStart === monthStart.getTime();
+    if (fresh) return { day: spendCache.day, month: spendCache.month };
+
+    const rows = await this.fetchAll(() => this.supabase
+      .from('ai_spend_ledger')
+      .select('task, cost_usd, created_at')
+      .gte('created_at', monthStart.toISOString()));
+
+    const day = { total: 0, byTask: {} };
+    const month = { total: 0, byTask: {} };
+    rows.forEach(row => {
+      const cost = Number(row.cost_usd) || 0;
+      const periods = new Date(row.created_at) >= dayStart ? [day, month] : [month];
+      periods.forEach(period => {
+        period.total += cost;
+        period.byTask[row.task] = (period.byTask[row.task] || 0) + cost;
+      });
+    });
+
+    spendCache = { loadedAt: Date.now(), dayStart: dayStart.getTime(), monthStart: monthStart.getTime(), day, month };
+    return { day, month };
+  }
+
+  /**
+   * Whether a task may spend more: { allowed, exceeded: [{ scope, period, limit, spent }], spent, budgets }
+   * Unreadable ledger / settings allow the call (logged) rather than stopping the pipeline
+   */
+  async checkBudget(task) {
+    let budgets;
+    let spent;
+    try {
+      budgets = await this.getBudgets();
+      spent = await this.spent();
+    } catch (error) {
+      console.warn(`⚠️  AI budget check skipped (${error.message})`);
+      return { allowed: true, exceeded: [], unchecked: true };
+    }
+
+    const caps = [
+      { scope: 'all', period: 'day', limit: budgets.daily_usd, spent: spent.day.total },
+      { scope: 'all', period: 'month', limit: budgets.monthly_usd, spent: spent.month.total },
+      { scope: task, period: 'day', limit: budgets.tasks?.[task]?.daily_usd, spent: spent.day.byTask[task] || 0 },
+      { scope: task, period: 'month', limit: budgets.tasks?.[task]?.monthly_usd, spent: spent.month.byTask[task] || 0 }
+    ];
+    const exceeded = caps
+      .filter(cap => cap.limit !== null && cap.limit !== undefined && cap.spent >= cap.limit)
+      .map(cap => ({ ...cap, spent: Math.round(cap.spent * 100) / 100 }));
+
+    return { allowed: exceeded.length === 0, exceeded, spent, budgets };
+  }
+
+  /**
+   * Budgets, spend so far and what's left per cap, for the API
+   */
+  async budgetStatus() {
+    const budgets = await this.getBudgets();
+    const { day, month } = await this.spent();
+    const remaining = (limit, spent) => (limit === null || limit === undefined ? null : Math.max(0, Math.round((limit - spent) * 100) / 100));
+    const round = value => Math.round(value * 10000) / 10000;
+
+    const tasks = {};
+    Object.keys(llmConfig.tasks).forEach(task => {
+      const caps = budgets.tasks?.[task] || {};
+      tasks[task] = {
+        daily_usd: caps.daily_usd ?? null,
+        monthly_usd: caps.monthly_usd ?? null,
+        spent_today: round(day.byTask[task] || 0),
+        spent_this_month: round(month.byTask[task] || 0),
+        remaining_today: remaining(caps.daily_usd, day.byTask[task] || 0),
+        remaining_this_month: remaining(caps.monthly_usd, month.byTask[task] || 0)
+      };
+    });
+
+    return {
+      daily_usd: budgets.daily_usd,
+      monthly_usd: budgets.monthly_usd,
+      spent_today: round(day.total),
+      spent_this_month: round(month.total),
+      remaining_today: remaining(budgets.daily_usd, day.total),
+      remaining_this_month: remaining(budgets.monthly_usd, month.total),
+      tasks
+    };
+  }
+
+  // ============================================
+  // REPORT
+  // ============================================
+
+  async fetchAll(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  async fetchByIds(table, columns, ids) {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += ID_CHUNK) {
+      const { data, error } = await this.supabase
+        .from(table)
+        .select(columns)
+        .in('id', ids.slice(i, i + ID_CHUNK));
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+    }
+    return rows;
+  }
+
+  static addTo(groups, key, row) {
+    const group = groups[key] || { calls: 0, cost_usd: 0, input_tokens: 0, output_tokens: 0 };
+    group.calls++;
+    group.cost_usd += Number(row.cost_usd) || 0;
+    group.input_tokens += row.input_tokens || 0;
+    group.output_tokens += row.output_tokens || 0;
+    groups[key] = group;
+  }
+
+  static rounded(groups) {
+    Object.values(groups).forEach(group => { group.cost_usd = Math.round(group.cost_usd * 10000) / 10000; });
+    return groups;
+  }
+
+  /**
+   * Spend between from and to (default: this month) - totals, per task / provider /
+   * source / lead, and per meeting booked in the period
+   */
+  async report({ from, to } = {}) {
+    const start = from ? new Date(from) : AISpendLedger.periodStarts().monthStart;
+    const end = to ? new Date(to) : new Date();
+
+    const rows = await this.fetchAll(() => this.supabase
+      .from('ai_spend_ledger')
+      .select('task, provider, model, input_tokens, output_tokens, cost_usd, opportunity_id, campaign_id, source, company_name, created_at')
+      .gte('created_at', start.toISOString())
+      .lt('created_at', end.toISOString())
+      .order('created_at', { ascending: true }));
+
+    // Campaign calls (reply handling) count towards the campaign's lead and its source
+    const campaignIds = [...new Set(rows.map(row => row.campaign_id).filter(Boolean))];
+    const campaigns = await this.fetchByIds('outreach_campaigns', 'id, opportunity_id', campaignIds);
+    const campaignLead = new Map(campaigns.map(campaign => [campaign.id, campaign.opportunity_id]));
+    rows.forEach(row => {
+      if (!row.opportunity_id && row.campaign_id) row.opportunity_id = campaignLead.get(row.campaign_id) || null;
+    });
+
+    const leadIds = [...new Set(rows.map(row => row.opportunity_id).filter(Boolean))];
+    const leads = await this.fetchByIds('scored_opportunities', 'id, company_name, source', leadIds);
+    const leadById = new Map(leads.map(lead => [lead.id, lead]));
+
+    const totals = {};
+    const byTask = {};
+    const byProvider = {};
+    const bySource = {};
+    const byLead = {};
+    rows.forEach(row => {
+      const lead = leadById.get(row.opportunity_id);
+      AISpendLedger.addTo(totals, 'all', row);
+      AISpendLedger.addTo(byTask, row.task, row);
+      AISpendLedger.addTo(byProvider, `${row.provider}:${row.model}`, row);
+      AISpendLedger.addTo(bySource, row.source || lead?.source || 'unattributed', row);
+      if (row.opportunity_id) AISpendLedger.addTo(byLead, row.opportunity_id, row);
+    });
+
+    const topLeads = Object.entries(AISpendLedger.rounded(byLead))
+      .sort((a, b) => b[1].cost_usd - a[1].cost_usd)
+      .slice(0, TOP_LEADS)
+      .map(([id, group]) => ({
+        opportunity_id: id,
+        company_name: leadById.get(id)?.company_name || null,
+        source: leadById.get(id)?.source || null,
+        ...group
+      }));
+
+    const total = totals.all || { calls: 0, cost_usd: 0, input_tokens: 0, output_tokens: 0 };
+    return {
+      period: { from: start.toISOString(), to: end.toISOString() },
+      totals: AISpendLedger.rounded({ all: total }).all,
+      by_task: AISpendLedger.rounded(byTask),
+      by_provider: AISpendLedger.rounded(byProvider),
+      by_source: AISpendLedger.rounded(bySource),
+      leads: {
+        count: Object.keys(byLead).length,
+        average_cost_usd: Object.keys(byLead).length > 0
+          ? Math.round(Object.values(byLead).reduce((sum, group) => sum + group.cost_usd, 0) / Object.keys(byLead).length * 10000) / 10000
+          : null,
+        top: topLeads
+      },
+      meetings: await this.meetingCosts(start, end, total.cost_usd)
+    };
+  }
+
+  /**
+   * Meetings booked in the period and what they cost: all spend per meeting, plus
+   * the spend on the booked leads themselves (lifetime, any period)
+   */
+  async meetingCosts(start, end, totalCost) {
+    const meetings = await this.fetchAll(() => this.supabase
+      .from('outreach_campaigns')
+      .select('id, opportunity_id, company_name, meeting_scheduled_at')
+      .gte('meeting_scheduled_at', start.toISOString())
+      .lt('meeting_scheduled_at', end.toISOString()));
+
+    const opportunityIds = [...new Set(meetings.map(meeting => meeting.opportunity_id).filter(Boolean))];
+    const campaignIds = meetings.map(meeting => meeting.id);
+    const spendRows = [];
+    for (let i = 0; i < opportunityIds.length; i += ID_CHUNK) {
+      const { data, error } = await this.supabase
+        .from('ai_spend_ledger')
+        .select('opportunity_id, campaign_id, cost_usd')
+        .in('opportunity_id', opportunityIds.slice(i, i + ID_CHUNK));
+      if (error) throw new Error(error.message);
+      spendRows.push(...(data || []));
+    }
+    for (let i = 0; i < campaignIds.length; i += ID_CHUNK) {
+      const { data, error } = await this.supabase
+        .from('ai_spend_ledger')
+        .select('opportunity_id, campaign_id, cost_usd')
+        .is('opportunity_id', null)
+        .in('campaign_id', campaignIds.slice(i, i + ID_CHUNK));
+      if (error) throw new Error(error.message);
+      spendRows.push(...(data || []));
+    }
+
+    const booked = meetings.map(meeting => {
+      const cost = spendRows
+        .filter(row => (row.opportunity_id && row.opportunity_id === meeting.opportunity_id) || row.campaign_id === meeting.id)
+        .reduce((sum, row) => sum + (Number(row.cost_usd) || 0), 0);
+      return {
+        campaign_id: meeting.id,
+        opportunity_id: meeting.opportunity_id,
+        company_name: meeting.company_name,
+        meeting_scheduled_at: meeting.meeting_scheduled_at,
+        cost_usd: Math.round(cost * 10000) / 10000
+      };
+    });
+
+    const attributed = booked.reduce((sum, meeting) => sum + meeting.cost_usd, 0);
+    return {
+      count: booked.length,
+      cost_per_meeting_usd: booked.length > 0 ? Math.round(totalCost / booked.length * 10000) / 10000 : null,
+      attributed_cost_per_meeting_usd: booked.length > 0 ? Math.round(attributed / booked.length * 10000) / 10000 : null,
+      booked
+    };
+  }
+}
+
+module.exports = AISpendLedger;
@@ -0,0 +1,55 @@
+/**
+ * Anthropic Provider
+ * Claude models through the Anthropic Messages API (no web access, no citations)
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const LLMProvider = require('./llm-provider');
+
+class AnthropicProvider extends LLMProvider {
+  constructor({ apiKey = process.env.ANTHROPIC_API_KEY } = {}) {
+    super({ id: 'anthropic', name: 'Anthropic', defaultModel: 'claude-3-5-sonnet-20241022' });
+    this.apiKey = apiKey;
+    // Retries are LLMRouter's job
+    this.client = apiKey ? new Anthropic({ apiKey, maxRetries: 0 }) : null;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete({ prompt, system, model, maxTokens, temperature, timeoutMs }) {
+    if (!this.client) {
+      throw new Error('Anthropic API key not configured');
+    }
+
+    try {
+      const response = await this.client.messages.create({
+        model: model || this.defaultModel,
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }, { timeout: timeoutMs });
+
+      return {
+        text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+        citations: [],
+        model: response.model,
+        usage: {
+          input_tokens: response.usage?.input_tokens ?? null,
+          output_tokens: response.usage?.output_tokens ?? null
+        }
+      };
+    } catch (error) {
+      const wrapped = LLMProvider.apiError(this.name, error);
+      if (error instanceof Anthropic.APIConnectionTimeoutError) wrapped.code = 'ETIMEDOUT';
+      throw wrapped;
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,213 @@
+/**
+ * Approval Inbox
+ * Human review for the three approval gates: market gaps (before outreach),
+ * outreach drafts (before sending) and solution deliveries (before delivery)
+ *
+ * Every decision records the reviewer and a reason (reviewed_by / review_reason);
+ * approvals also fill the existing approved_by / approved_at columns and the
+ * table's approval flag. Approval mode lives in system_settings
+ * (require_approval_for_outreach / require_approval_for_delivery) - while it's on
+ * the outreach and delivery agents only act on approved items.
+ */
+
+const { lazyClient } = require('./supabase-client');
+
+const KINDS = {
+  gaps: {
+    table: 'market_gaps',
+    flag: 'approved_for_outreach',
+    columns: 'id, created_at, opportunity_id, company_name, gap_type, gap_category, gap_description, solution_approach, confidence_score, evidence, review_status, review_reason, reviewed_by, reviewed_at, approved_by, approved_at',
+    // Once outreach went out the gap can't be reviewed any more
+    reviewable: query => query.eq('outreach_sent', false)
+  },
+  drafts: {
+    table: 'outreach_campaigns',
+    flag: 'approved_for_sending',
+    columns: 'id, created_at, opportunity_id, company_name, contact_name, recipient_email, subject, email_content, email_analysis, fit_score, status, review_status, review_reason, reviewed_by, reviewed_at, approved_by, approved_at',
+    statuses: { approved: 'approved', rejected: 'rejected' },
+    reviewable: query => query.in('status', ['draft', 'approved', 'rejected'])
+  },
+  deliveries: {
+    table: 'solution_deliveries',
+    flag: 'approved_for_delivery',
+    columns: 'id, created_at, campaign_id, company_name, solution_type, solution_content, delivery_method, status, review_status, review_reason, reviewed_by, reviewed_at, approved_by, approved_at',
+    statuses: { approved: 'approved', rejected: 'rejected' },
+    reviewable: query => query.in('status', ['draft', 'approved', 'rejected'])
+  }
+};
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const MODE_SETTINGS = {
+  outreach: 'require_approval_for_outreach',
+  delivery: 'require_approval_for_delivery'
+};
+const MAX_BULK = 200;
+
+class ApprovalInbox {
+  constructor() {
+    this.supabase = lazyClient();
+  }
+
+  static get kinds() {
+    return Object.keys(KINDS);
+  }
+
+  static get reviewStatuses() {
+    return REVIEW_STATUSES;
+  }
+
+  /**
+   * system_settings values are JSONB - seeded as JSON booleans, older rows as strings
+   */
+  static isOn(value) {
+    return value === true || value === 'true';
+  }
+
+  // ============================================
+  // APPROVAL MODE
+  // ============================================
+
+  /**
+   * { outreach, delivery } - approval is required unless the setting is explicitly off
+   */
+  async getMode() {
+    const { data, error } = await this.supabase
+      .from('system_settings')
+      .select('setting_key, setting_value')
+      .in('setting_key', Object.values(MODE_SETTINGS));
+
+    if (error) throw new Error(error.message);
+
+    const mode = {};
+    Object.entries(MODE_SETTINGS).forEach(([gate, key]) => {
+      const row = (data || []).find(setting => setting.setting_key === key);
+      mode[gate] = row ? ApprovalInbox.isOn(row.setting_value) : true;
+    });
+    return mode;
+  }
+
+  /**
+   * Turn approval mode on/off per gate - returns { mode } or { errors }
+   */
+  async setMode(changes) {
+    const errors = [];
+    const rows = [];
+    Object.entries(changes || {}).forEach(([gate, value]) => {
+      if (!MODE_SETTINGS[gate]) errors.push(`Unknown gate "${gate}" (expected ${Object.keys(MODE_SETTINGS).join(', ')})`);
+      else if (typeof value !== 'boolean') errors.push(`${gate} must be true or false`);
+      else rows.push({ setting_key: MODE_SETTINGS[gate], setting_value: value, updated_at: new Date().toISOString() });
+    });
+    if (rows.length === 0 && errors.length === 0) errors.push('Nothing to change - send { outreach } and/or { delivery }');
+    if (errors.length > 0) return { errors };
+
+    const { error } = await this.supabase
+      .from('system_settings')
+      .upsert(rows, { onConflict: 'setting_key' });
+
+    if (error) throw new Error(error.message);
+    console.log(`🛂 Approval mode updated: ${rows.map(r => `${r.setting_key}=${r.setting_value}`).join(', ')}`);
+    return { mode: await this.getMode() };
+  }
+
+  // ============================================
+  // INBOX
+  // ============================================
+
+  /**
+   * Items of one kind by review status (pending by default), newest first
+   */
+  async list(kind, { status = 'pending', limit = 50 } = {}) {
+    const config = KINDS[kind];
+    let query = this.supabase
+      .from(config.table)
+      .select(config.columns)
+      .eq('review_status', status)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (status === 'pending') query = config.reviewable(query);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * Pending count per kind, plus the current approval mode
+   */
+  async summary() {
+    const pending = {};
+    for (const [kind, config] of Object.entries(KINDS)) {
+      const { count, error } = await config.reviewable(
+        this.supabase
+          .from(config.table)
+          .select('id', { count: 'exact', head: true })
+          .eq('review_status', 'pending')
+      );
+      if (error) throw new Error(error.message);
+      pending[kind] = count || 0;
+    }
+    return { pending, mode: await this.getMode() };
+  }
+
+  // ============================================
+  // DECISIONS
+  // ============================================
+
+  static validateDecision(ids, { reviewer, reason }) {
+    const errors = [];
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+      errors.push('ids must be a non-empty list of ids');
+    } else if (ids.length > MAX_BULK) {
+      errors.push(`At most ${MAX_BULK} ids per request`);
+    }
+    if (typeof reviewer !== 'string' || !reviewer.trim()) errors.push('reviewer is required');
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') errors.push('reason must be a string');
+    return errors;
+  }
+
+  /**
+   * Approve or reject items - returns { updated, notFound } or { errors }
+   * Items that were already acted on (sent / delivered) count as not found
+   */
+  async decide(kind, ids, decision, { reviewer, reason } = {}) {
+    const errors = ApprovalInbox.validateDecision(ids, { reviewer, reason });
+    if (errors.length > 0) return { errors };
+
+    const config = KINDS[kind];
+    const approved = decision === 'approved';
+    const now = new Date().toISOString();
+
+    const update = {
+      [config.flag]: approved,
+      review_status: decision,
+      review_reason: reason || null,
+      reviewed_by: reviewer.trim(),
+      reviewed_at: now,
+      approved_by: approved ? reviewer.trim() : null,
+      approved_at: approved ? now : null
+    };
+    if (config.statuses) update.status = config.statuses[decision];
+
+    const { data, error } = await config.reviewable(
+      this.supabase
+        .from(config.table)
+        .update(update)
+        .in('id', ids)
+    ).select('id');
+
+    if (error) throw new Error(error.message);
+
+    const updated = (data || []).map(row => row.id);
+    console.log(`🛂 ${reviewer.trim()} ${decision} ${updated.length} ${kind}${reason ? ` (${reason})` : ''}`);
+    return { updated, notFound: ids.filter(id => !updated.includes(id)) };
+  }
+
+  approve(kind, ids, review) {
+    return this.decide(kind, ids, 'approved', review);
+  }
+
+  reject(kind, ids, review) {
+    return this.decide(kind, ids, 'rejected', review);
+  }
+}
+
+module.exports = ApprovalInbox;
@@ -4,7 +4,7 @@
  */
 
 const axios = require('axios');
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('./supabase-client');
 
 class AutoBooking {
   constructor() {
@@ -12,10 +12,7 @@ class AutoBooking {
     this.calendlyApiBase = 'https://api.calendly.com';
     this.calendlyEventType = process.env.CALENDLY_EVENT_TYPE_URI; // e.g., your meeting type URL
 
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
   }
 
   /**
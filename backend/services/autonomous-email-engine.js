@@ -9,7 +9,7 @@
  * - Tracks everything for optimization
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('./supabase-client');
 const { Resend } = require('resend');
 const crypto = require('crypto');
 const AIConversationHandler = require('./ai-conversation-handler');
@@ -17,10 +17,7 @@ const AutoBooking = require('./auto-booking');
 
 class AutonomousEmailEngine {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
 
     this.resend = new Resend(process.env.RESEND_API_KEY);
     this.fromEmail = process.env.RESEND_FROM_EMAIL || 'maggie@maggieforbesstrategies.com';
@@ -299,11 +296,19 @@ class AutonomousEmailEngine {
       });
 
       // Process with AI conversation handler
-      const result = await this.conversationHandler.handleReply(
-        campaign.id,
-        cleanedReply,
-        { from: senderEmail, subject, receivedAt: new Date().toISOString() }
-      );
+      let result;
+      try {
+        result = await this.conversationHandler.handleReply(
+          campaign.id,
+          cleanedReply,
+          { from: senderEmail, subject, receivedAt: new Date().toISOString() }
+        );
+      } catch (error) {
+        if (error.code !== 'BUDGET_EXCEEDED') throw error;
+        // The reply is saved on the campaign (last_reply_text) - no auto-reply until the budget resets
+        console.log(`   ⏸️ Auto-reply paused: ${error.message}`);
+        return { processed: false, campaignId: campaign.id, reason: 'ai_budget_exhausted' };
+      }
 
       this.stats.repliesProcessed++;
 
@@ -3,14 +3,11 @@
  * Manages processing 100 leads at a time from 10k inventory
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('./supabase-client');
 
 class BatchProcessor {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
 
     this.config = {
       batchSize: 100,               // Process 100 at a time
@@ -0,0 +1,285 @@
+/**
+ * Citation Verifier
+ * Checks that the research claims we quote to prospects - personalization hooks,
+ * dated recent activity, the founder's name - actually appear in the pages the
+ * research model cited
+ *
+ * Each claim is located in its source page (or, without one, in any cited page)
+ * and marked:
+ * - verified      the claim's key words, numbers and year appear together on the page
+ * - contradicted  the page covers the same thing with a different year / number,
+ *                 or names someone else as founder
+ * - unverified    not found, or the page couldn't be fetched
+ *
+ * locate() is pure (claim + page text in, status out); pass fetchPage to verify
+ * against saved fixtures - see test-citation-verifier.js.
+ */
+
+const cheerio = require('cheerio');
+const TextSignals = require('./text-signals');
+const PoliteFetcher = require('./polite-fetcher');
+
+const VERIFIED_COVERAGE = 0.6;
+const TOPIC_COVERAGE = 0.5;
+const MAX_PAGES = 8;
+const MAX_EVIDENCE_LENGTH = 240;
+// When several pages are checked: verified beats contradicted beats unverified
+const STATUS_RANK = { unverified: 0, contradicted: 1, verified: 2 };
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'by', 'with', 'from', 'as',
+  'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had', 'its', 'their', 'his', 'her',
+  'they', 'he', 'she', 'it', 'this', 'that', 'these', 'those', 'into', 'over', 'after', 'new'
+]);
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// "founded by Jane Doe", "Founder & CEO John Smith", "Jane Doe, founder"
+const FOUNDER_PATTERNS = [
+  /\b(?:founded|started|established)\s+by\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/g,
+  /\b(?:[Ff]ounder|CEO|[Oo]wner)(?:\s*(?:&|and)\s*(?:CEO|[Pp]resident))?[,:]?\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+)/g,
+  /\b([A-Z][a-z]+(?:\s+[A-Z][a-z]+)+),\s+(?:the\s+)?(?:[Ff]ounder|CEO|[Oo]wner)\b/g
+];
+
+class CitationVerifier {
+  /**
+   * fetchPage(url) -> html overrides the live fetch (fixtures, tests)
+   */
+  constructor({ fetchPage = null, fetcher = new PoliteFetcher(), timeoutMs = 10000, maxPages = MAX_PAGES } = {}) {
+    this.fetcher = fetcher;
+    this.fetchPage = fetchPage || (url => this.fetchLive(url));
+    this.timeoutMs = timeoutMs;
+    this.maxPages = maxPages;
+    this.pages = new Map(); // url -> Promise<{ url, text } | { url, error }>
+  }
+
+  // ============================================
+  // PAGES
+  // ============================================
+
+  async fetchLive(url) {
+    return this.fetcher.get(url, { timeoutMs: this.timeoutMs });
+  }
+
+  /**
+   * Visible text of a page - scripts, styles and navigation chrome removed
+   */
+  static pageText(html) {
+    const $ = cheerio.load(html || '');
+    $('script, style, noscript, svg, nav, footer, header').remove();
+    $('br, p, div, li, h1, h2, h3, h4, h5, h6, tr, section, article').after('\n');
+    return $('body').text().replace(/[ \t\r\f\v]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+  }
+
+  /**
+   * Page text, fetched once per verifier ({ url, text } or { url, error })
+   */
+  page(url) {
+    if (!this.pages.has(url)) {
+      this.pages.set(url, Promise.resolve()
+        .then(() => this.fetchPage(url))
+        .then(html => ({ url, text: CitationVerifier.pageText(html) }))
+        .catch(error => ({ url, error: error.message })));
+    }
+    return this.pages.get(url);
+  }
+
+  // ============================================
+  // CLAIMS
+  // ============================================
+
+  /**
+   * Quotable claims from structured research (research-schema.json)
+   * [{ path, kind: 'hook' | 'activity' | 'founder', text, date, source_url }]
+   */
+  static claimsFrom(structured) {
+    if (!structured) return [];
+
+    const claims = [];
+    (structured.hooks || []).forEach((hook, i) => {
+      claims.push({ path: `hooks[${i}]`, kind: 'hook', text: hook.text, date: null, source_url: hook.source_url || null });
+    });
+    (structured.recent_activity || []).forEach((item, i) => {
+      claims.push({ path: `recent_activity[${i}]`, kind: 'activity', text: item.description, date: item.date || null, source_url: item.source_url || null });
+    });
+    if (structured.founder?.name) {
+      claims.push({ path: 'founder.name', kind: 'founder', text: structured.founder.name, date: null, source_url: null });
+    }
+    return claims;
+  }
+
+  /**
+   * Content stems and numbers a page has to contain for the claim to count as found
+   */
+  static claimTerms(claim) {
+    const tokens = TextSignals.tokenize(claim.text || '');
+    const words = [...new Set(tokens
+      .filter(token => !/^\d/.test(token.norm) && token.norm.length > 2 && !STOPWORDS.has(token.norm))
+      .map(token => token.stem))];
+    const numbers = [...new Set(tokens.filter(token => /^\d/.test(token.norm)).map(token => token.norm))];
+
+    const year = claim.date ? claim.date.substring(0, 4) : null;
+    if (year && !numbers.includes(year)) numbers.push(year);
+    const month = claim.date && claim.date.length >= 7 ? MONTHS[parseInt(claim.date.substring(5, 7)) - 1] : null;
+
+    return { words, numbers, month };
+  }
+
+  /**
+   * Passages of a page - a sentence and the one after it, so a claim split over
+   * two sentences ("Opened a Denver office. The move in March 2024 ...") is still found
+   */
+  static passages(text) {
+    const sentences = text.split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+    return sentences.map((sentence, i) => {
+      const passage = sentences[i + 1] ? `${sentence} ${sentences[i + 1]}` : sentence;
+      const tokens = TextSignals.tokenize(passage);
+      return {
+        text: passage,
+        stems: new Set(tokens.map(token => token.stem)),
+        numbers: new Set(tokens.filter(token => /^\d/.test(token.norm)).map(token => token.norm))
+      };
+    });
+  }
+
+  static evidence(text) {
+    return text.length > MAX_EVIDENCE_LENGTH ? `${text.substring(0, MAX_EVIDENCE_LENGTH)}…` : text;
+  }
+
+  /**
+   * Find one claim in one page's text: { status, evidence, coverage, reason }
+   */
+  static locate(claim, text) {
+    if (claim.kind === 'founder') return CitationVerifier.locateName(claim.text, text);
+
+    const { words, numbers, month } = CitationVerifier.claimTerms(claim);
+    if (words.length === 0) return { status: 'unverified', evidence: null, coverage: 0, reason: 'nothing to look for in the claim' };
+
+    let best = null;
+    for (const passage of CitationVerifier.passages(text)) {
+      const coverage = words.filter(word => passage.stems.has(word)).length / words.length;
+      const numbersFound = numbers.filter(number => passage.numbers.has(number)).length;
+      if (!best || coverage + numbersFound * 0.1 > best.coverage + best.numbersFound * 0.1) {
+        best = { passage, coverage, numbersFound };
+      }
+    }
+
+    const coverage = best ? Math.round(best.coverage * 100) / 100 : 0;
+    if (!best || best.coverage < TOPIC_COVERAGE) {
+      return { status: 'unverified', evidence: null, coverage, reason: 'claim not found on the page' };
+    }
+
+    const evidence = CitationVerifier.evidence(best.passage.text);
+    const missing = numbers.filter(number => !best.passage.numbers.has(number));
+    const monthOk = !month || best.passage.text.toLowerCase().includes(month) || /\d{4}-\d{2}/.test(best.passage.text);
+
+    if (missing.length > 0) {
+      // Same topic, but the page gives a different year / figure
+      const conflicting = [...best.passage.numbers].filter(number => !numbers.includes(number) && missing.some(m => m.length === number.length));
+      if (conflicting.length > 0) {
+        return { status: 'contradicted', evidence, coverage, reason: `page says ${conflicting.join(', ')}, claim says ${missing.join(', ')}` };
+      }
+      return { status: 'unverified', evidence, coverage, reason: `${missing.join(', ')} not on the page` };
+    }
+
+    if (best.coverage >= VERIFIED_COVERAGE && monthOk) return { status: 'verified', evidence, coverage, reason: null };
+    return { status: 'unverified', evidence, coverage, reason: monthOk ? 'only part of the claim is on the page' : `${month} not on the page` };
+  }
+
+  /**
+   * A person's name: verified when the full name appears, contradicted when the
+   * page names someone else as founder / CEO / owner
+   */
+  static locateName(name, text) {
+    const wanted = TextSignals.tokenize(name).map(token => token.norm);
+    const tokens = TextSignals.tokenize(text);
+    for (let i = 0; i + wanted.length <= tokens.length; i++) {
+      if (wanted.every((norm, j) => tokens[i + j].norm === norm)) {
+        const start = tokens[i].start;
+        return { status: 'verified', evidence: TextSignals.span(text, start, tokens[i + wanted.length - 1].end), coverage: 1, reason: null };
+      }
+    }
+
+    for (const pattern of FOUNDER_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        const other = match[1];
+        // "Founder Jane" for "Jane Doe" is the same person, not a contradiction
+        if (TextSignals.tokenize(other).some(token => wanted.includes(token.norm))) continue;
+        return {
+          status: 'contradicted',
+          evidence: TextSignals.span(text, match.index, match.index + match[0].length),
+          coverage: 0,
+          reason: `page names ${other}`
+        };
+      }
+    }
+
+    return { status: 'unverified', evidence: null, coverage: 0, reason: 'name not found on the page' };
+  }
+
+  // ============================================
+  // VERIFY
+  // ============================================
+
+  /**
+   * Verify every claim in structured research against its cited pages
+   * sources: citation URLs returned with the research
+   * Returns { checked_at, claims: [{ path, kind, text, source_url, status, evidence, reason }], summary }
+   */
+  async verify(structured, sources = []) {
+    const claims = CitationVerifier.claimsFrom(structured);
+    const cited = [...new Set([
+      ...claims.map(claim => claim.source_url).filter(Boolean),
+      ...(sources || []).filter(url => typeof url === 'string' && /^https?:\/\//i.test(url))
+    ])].slice(0, this.maxPages);
+
+    const results = [];
+    for (const claim of claims) {
+      // A claim with its own source is checked there; otherwise any cited page will do
+      const urls = claim.source_url ? [claim.source_url] : cited;
+      const pages = await Promise.all(urls.map(url => this.page(url)));
+      const readable = pages.filter(page => page.text);
+
+      let result = null;
+      let url = claim.source_url;
+      for (const page of readable) {
+        const located = CitationVerifier.locate(claim, page.text);
+        if (!result || STATUS_RANK[located.status] > STATUS_RANK[result.status]) {
+          result = located;
+          url = page.url;
+        }
+        if (located.status === 'verified') break;
+      }
+      if (!result) {
+        result = { status: 'unverified', evidence: null, reason: urls.length === 0 ? 'no cited source' : `source unavailable (${pages[0].error})` };
+      }
+
+      results.push({
+        path: claim.path,
+        kind: claim.kind,
+        text: claim.text,
+        source_url: url || null,
+        status: result.status,
+        evidence: result.evidence,
+        reason: result.reason || null
+      });
+    }
+
+    const summary = { verified: 0, unverified: 0, contradicted: 0 };
+    results.forEach(result => { summary[result.status]++; });
+
+    return {
+      checked_at: new Date().toISOString(),
+      pages: cited.length,
+      claims: results,
+      summary
+    };
+  }
+
+  /**
+   * Status of one claim ('verified' | 'unverified' | 'contradicted') from a verify() result
+   */
+  static statusOf(verification, path) {
+    return verification?.claims?.find(claim => claim.path === path)?.status || 'unverified';
+  }
+}
+
+module.exports = CitationVerifier;
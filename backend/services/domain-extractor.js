@@ -1,18 +1,25 @@
 /**
  * Domain Extractor Service
  * Visits ProductHunt/IndieHackers pages and extracts the actual company website
+ *
+ * Pages are fetched through PoliteFetcher: pages a platform's robots.txt
+ * disallows are skipped, and requests are paced per host
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
+const PoliteFetcher = require('./polite-fetcher');
 
 class DomainExtractor {
-  constructor() {
+  constructor({ fetcher = new PoliteFetcher() } = {}) {
+    this.fetcher = fetcher;
+
     // Platform domains that are sources, not real company domains
     this.platformDomains = [
       'producthunt.com',
       'indiehackers.com',
       'reddit.com',
+      'redd.it',
+      'quora.com',
       'twitter.com',
       'x.com',
       'linkedin.com',
@@ -58,15 +65,7 @@ class DomainExtractor {
     try {
       console.log(`   🔍 Extracting domain from ProductHunt: ${url}`);
 
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-        },
-        timeout: 15000
-      });
-
-      const $ = cheerio.load(response.data);
+      const $ = cheerio.load(await this.fetcher.get(url, { timeoutMs: 15000 }));
 
       // ProductHunt has the website link in several possible places
       let websiteUrl = null;
@@ -147,15 +146,7 @@ class DomainExtractor {
     try {
       console.log(`   🔍 Extracting domain from IndieHackers: ${url}`);
 
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
-        },
-        timeout: 15000
-      });
-
-      const $ = cheerio.load(response.data);
+      const $ = cheerio.load(await this.fetcher.get(url, { timeoutMs: 15000 }));
       let websiteUrl = null;
 
       // IndieHackers product pages have website links
@@ -221,15 +212,7 @@ class DomainExtractor {
    */
   async extractGeneric(url, companyName) {
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-          'Accept': 'text/html,application/xhtml+xml'
-        },
-        timeout: 10000
-      });
-
-      const $ = cheerio.load(response.data);
+      const $ = cheerio.load(await this.fetcher.get(url));
 
       // Look for external links
       let websiteUrl = null;
@@ -281,7 +264,7 @@ class DomainExtractor {
   }
 
   /**
-   * Batch extract domains for multiple leads
+   * Batch extract domains for multiple leads - PoliteFetcher paces each platform host
    */
   async extractBatch(leads) {
     const results = [];
@@ -297,9 +280,6 @@ class DomainExtractor {
           extracted_domain: domain,
           url: url
         });
-
-        // Rate limit: 1 second between requests
-        await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
 
@@ -1,74 +1,111 @@
 /**
  * Email Finder Service
- * Open-source email discovery from websites and search engines
+ * Open-source email discovery from company websites
  *
  * Methods:
- * 1. Scrape target website directly (contact page, about, footer)
- * 2. Search Google for "@domain.com" emails
- * 3. Try common email patterns (hello@, contact@, info@, founder name@)
+ * 1. Scrape the website: homepage plus the contact / team / about pages its
+ *    sitemap and navigation link to (PoliteFetcher - robots.txt, per-host pacing)
+ * 2. Try common email patterns (hello@, contact@, info@)
+ * 3. The decision makers' own addresses (first.last, flast, ...), ranked by the
+ *    pattern the company's published addresses follow (EmailPatterns)
+ *
+ * Every candidate goes through EmailVerifier (MX + SMTP RCPT probe). Invalid
+ * addresses are dropped, and a guess is only used when the mail server confirms
+ * it exists. The chosen address records how it was derived and a confidence.
  */
 
-const axios = require('axios');
 const cheerio = require('cheerio');
+const EmailVerifier = require('./email-verifier');
+const EmailPatterns = require('./email-patterns');
+const PoliteFetcher = require('./polite-fetcher');
+
+// "Jane Doe", "Mary-Kate O'Neil" - mailto link text that names the address's owner
+const PERSON_NAME = /^[A-Z][a-zA-Z'’-]+(?:\s+[A-Z][a-zA-Z'’.-]+){1,2}$/;
+
+// Only when the sitemap and navigation point nowhere useful
+const FALLBACK_PATHS = ['/contact', '/about'];
 
 class EmailFinder {
-  constructor() {
-    this.userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
-    this.timeout = 10000;
+  /**
+   * fetchPage(url) -> html overrides the live fetch (fixtures, tests); robots.txt
+   * is then read through it too
+   */
+  constructor({ verifier = new EmailVerifier(), fetcher = new PoliteFetcher(), fetchPage = null } = {}) {
+    this.verifier = verifier;
+    this.fetcher = fetcher;
+    this.fetchPage = fetchPage || (url => this.fetchLive(url));
+    this.readRobots = fetchPage ? async origin => PoliteFetcher.parseRobots(await fetchPage(`${origin}/robots.txt`)) : undefined;
+  }
+
+  async fetchLive(url) {
+    return this.fetcher.get(url, { headers: { 'Accept-Language': 'en-US,en;q=0.9' } });
   }
 
   /**
    * Main method: Find emails for a company
+   * people: decision makers [{ name, title, source }] to derive personal addresses for
    */
-  async findEmails(companyName, domain) {
+  async findEmails(companyName, domain, { people = [] } = {}) {
     console.log(`📧 Finding emails for ${companyName} (${domain})...`);
 
     const results = {
       emails: [],
       sources: {},
       primaryEmail: null,
+      verification: {},
+      primaryVerification: null,
+      pattern: null,
+      candidates: [],
+      derivation: null,
       confidence: 'low'
     };
 
     try {
       // Method 1: Scrape the website directly
-      const websiteEmails = await this.scrapeWebsite(domain);
+      const names = new Map(); // email -> name in its mailto link
+      const websiteEmails = await this.scrapeWebsite(domain, names);
       if (websiteEmails.length > 0) {
         results.emails.push(...websiteEmails);
         results.sources['website'] = websiteEmails;
         console.log(`   ✅ Found ${websiteEmails.length} emails from website`);
       }
 
-      // Method 2: Search Google for emails (if website didn't yield results)
-      if (results.emails.length === 0) {
-        const googleEmails = await this.searchGoogle(domain);
-        if (googleEmails.length > 0) {
-          results.emails.push(...googleEmails);
-          results.sources['google'] = googleEmails;
-          console.log(`   ✅ Found ${googleEmails.length} emails from Google`);
-        }
-      }
-
-      // Method 3: Try common email patterns
+      // Method 2: Try common email patterns
       const commonPatterns = this.generateCommonPatterns(domain, companyName);
       results.sources['patterns'] = commonPatterns;
 
       // Deduplicate and clean
       results.emails = [...new Set(results.emails.map(e => e.toLowerCase()))];
 
-      // Pick the best primary email
-      results.primaryEmail = this.selectBestEmail(results.emails, commonPatterns, domain);
+      // Method 3: Decision makers' addresses, ranked by the pattern the domain's own addresses use
+      const named = [...people.map(person => ({ name: person.name })), ...[...names].map(([email, name]) => ({ email, name }))];
+      const learned = EmailPatterns.learn(results.emails.filter(e => e.endsWith(`@${domain}`)), named);
+      results.pattern = EmailPatterns.dominant(learned);
+      results.candidates = people
+        .filter(person => person?.name)
+        .flatMap(person => EmailPatterns.candidates(person, domain, learned));
+      if (results.candidates.length > 0) {
+        console.log(`   👤 ${results.candidates.length} personal candidates${results.pattern ? ` (domain uses ${results.pattern.pattern})` : ''}`);
+      }
 
-      // Set confidence level
-      if (results.primaryEmail && results.sources['website']?.includes(results.primaryEmail)) {
-        results.confidence = 'high';
-      } else if (results.primaryEmail && results.sources['google']?.includes(results.primaryEmail)) {
-        results.confidence = 'medium';
-      } else if (results.primaryEmail) {
-        results.confidence = 'low';
+      // Verify what was found and the personal candidates - plus the role guesses if nothing was found
+      results.verification = await this.verifyCandidates([...new Set([
+        ...results.emails,
+        ...results.candidates.map(candidate => candidate.email),
+        ...(results.emails.length === 0 ? commonPatterns : [])
+      ])]);
+
+      // Pick the best primary email, and record how we got it
+      const primary = this.choosePrimary(results, commonPatterns, domain);
+      if (primary) {
+        results.primaryEmail = primary.email;
+        results.derivation = primary.derivation;
+        results.confidence = primary.confidence;
+        results.primaryVerification = results.verification[primary.email] || null;
       }
 
-      console.log(`   📧 Primary email: ${results.primaryEmail || 'none found'} (${results.confidence} confidence)`);
+      const status = results.primaryVerification?.status;
+      console.log(`   📧 Primary email: ${results.primaryEmail || 'none found'} (${results.confidence} confidence${status ? `, ${status}` : ''}${results.derivation ? `, ${results.derivation.method}` : ''})`);
 
     } catch (error) {
       console.error(`   ❌ Email finder error: ${error.message}`);
@@ -78,38 +115,30 @@ class EmailFinder {
   }
 
   /**
-   * Scrape website for email addresses
+   * Scrape website for email addresses: the homepage, then the contact / team /
+   * about pages the site links to (sitemap, navigation)
    */
-  async scrapeWebsite(domain) {
+  async scrapeWebsite(domain, names = new Map()) {
     const emails = new Set();
-    const pagesToScrape = [
-      `https://${domain}`,
-      `https://${domain}/contact`,
-      `https://${domain}/contact-us`,
-      `https://${domain}/about`,
-      `https://${domain}/about-us`,
-      `https://${domain}/team`,
-      `https://www.${domain}`,
-      `https://www.${domain}/contact`,
-      `https://www.${domain}/about`
-    ];
+    const { homepage, pages } = await this.fetcher.discoverPages(domain, { fetchPage: this.fetchPage, robots: this.readRobots });
 
-    for (const url of pagesToScrape) {
-      try {
-        const response = await axios.get(url, {
-          headers: { 'User-Agent': this.userAgent },
-          timeout: this.timeout,
-          maxRedirects: 3
-        });
+    if (homepage) {
+      this.extractEmailsFromHtml(homepage.html, domain, names).forEach(email => emails.add(email));
+    }
 
-        const foundEmails = this.extractEmailsFromHtml(response.data, domain);
-        foundEmails.forEach(email => emails.add(email));
+    const pagesToScrape = pages.length > 0
+      ? pages.map(page => page.url)
+      : FALLBACK_PATHS.map(path => `${homepage?.url || `https://${domain}`}${path}`);
 
-        // Stop if we found emails
-        if (emails.size >= 3) break;
+    for (const url of pagesToScrape) {
+      // Stop if we found emails
+      if (emails.size >= 3) break;
 
+      try {
+        const html = await this.fetchPage(url);
+        this.extractEmailsFromHtml(html, domain, names).forEach(email => emails.add(email));
       } catch (error) {
-        // Silently continue - page might not exist
+        // Missing page or blocked by robots.txt - try the next one
       }
     }
 
@@ -117,9 +146,10 @@ class EmailFinder {
   }
 
   /**
-   * Extract emails from HTML content
+   * Extract emails from HTML content - names (Map) collects "Jane Doe" from
+   * <a href="mailto:jane@...">Jane Doe</a>
    */
-  extractEmailsFromHtml(html, domain) {
+  extractEmailsFromHtml(html, domain, names = null) {
     const emails = new Set();
 
     // Load HTML with cheerio
@@ -131,6 +161,9 @@ class EmailFinder {
       const email = href.replace('mailto:', '').split('?')[0].trim().toLowerCase();
       if (this.isValidEmail(email)) {
         emails.add(email);
+
+        const text = $(el).text().replace(/\s+/g, ' ').trim();
+        if (names && PERSON_NAME.test(text)) names.set(email, text);
       }
     });
 
@@ -165,46 +198,11 @@ class EmailFinder {
   }
 
   /**
-   * Search Google for emails from domain
-   */
-  async searchGoogle(domain) {
-    const emails = new Set();
-
-    try {
-      // Use Google search to find emails
-      const searchQuery = encodeURIComponent(`"@${domain}" email`);
-      const url = `https://www.google.com/search?q=${searchQuery}&num=20`;
-
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'text/html,application/xhtml+xml',
-          'Accept-Language': 'en-US,en;q=0.9'
-        },
-        timeout: this.timeout
-      });
-
-      // Extract emails from search results
-      const foundEmails = this.extractEmailsFromHtml(response.data, domain);
-      foundEmails.forEach(email => {
-        // Only include emails from the target domain
-        if (email.endsWith(`@${domain}`) || email.endsWith(`@www.${domain}`)) {
-          emails.add(email);
-        }
-      });
-
-    } catch (error) {
-      console.log(`   ⚠️ Google search failed: ${error.message}`);
-    }
-
-    return Array.from(emails);
-  }
-
-  /**
-   * Generate common email patterns
+   * Generate common (role inbox) email patterns - personal ones come from the
+   * decision makers' names (EmailPatterns)
    */
   generateCommonPatterns(domain, companyName) {
-    const patterns = [
+    return [
       `hello@${domain}`,
       `contact@${domain}`,
       `info@${domain}`,
@@ -213,46 +211,92 @@ class EmailFinder {
       `team@${domain}`,
       `admin@${domain}`
     ];
+  }
 
-    // Try to extract a name from company name
-    const nameParts = companyName.toLowerCase().split(/\s+/);
-    if (nameParts.length >= 2) {
-      const firstName = nameParts[0].replace(/[^a-z]/g, '');
-      if (firstName.length >= 2) {
-        patterns.unshift(`${firstName}@${domain}`);
-      }
+  /**
+   * Primary email with its derivation and confidence, or null:
+   * 1. a decision maker's address published on the site (high)
+   * 2. a decision maker's address the mail server confirmed (high with a learned pattern, else medium)
+   * 3. the best address found on the website (high), then a confirmed role guess (low)
+   */
+  choosePrimary(results, patterns, domain) {
+    const { emails, candidates, verification } = results;
+    const fromCandidate = (candidate, method) => ({
+      method,
+      person: candidate.person,
+      pattern: candidate.pattern,
+      basis: candidate.basis,
+      evidence: candidate.evidence,
+      verification: verification[candidate.email]?.status || null
+    });
+
+    const published = candidates.find(c => emails.includes(c.email) && verification[c.email]?.status !== 'invalid');
+    if (published) {
+      return { email: published.email, derivation: fromCandidate(published, 'website'), confidence: 'high' };
+    }
+
+    const confirmed = candidates.find(c => EmailVerifier.isSendable(verification[c.email]));
+    if (confirmed) {
+      return {
+        email: confirmed.email,
+        derivation: fromCandidate(confirmed, 'person_pattern'),
+        confidence: confirmed.basis === 'learned' ? 'high' : 'medium'
+      };
     }
 
-    return patterns;
+    const best = this.selectBestEmail(emails, patterns, domain, verification);
+    if (!best) return null;
+
+    const method = emails.includes(best) ? 'website' : 'role_pattern';
+    return {
+      email: best,
+      derivation: { method, person: null, pattern: null, basis: null, evidence: [], verification: verification[best]?.status || null },
+      confidence: method === 'website' ? 'high' : 'low'
+    };
   }
 
   /**
-   * Select the best email from found emails
+   * SMTP-verify candidate addresses ({ email: result }) - {} if verification itself fails
    */
-  selectBestEmail(foundEmails, patterns, domain) {
-    if (foundEmails.length === 0) {
-      // No emails found - return best pattern guess
-      return patterns[0] || null;
+  async verifyCandidates(emails) {
+    if (!this.verifier || emails.length === 0) return {};
+
+    try {
+      return await this.verifier.verifyMany(emails);
+    } catch (error) {
+      console.log(`   ⚠️ Email verification failed: ${error.message}`);
+      return {};
     }
+  }
 
-    // Priority order for email selection
-    const priority = ['hello', 'contact', 'info', 'hi', 'team', 'support'];
+  /**
+   * Select the best email from found emails. Addresses the mail server rejected
+   * are never picked, verified ones are preferred, and a pattern guess is only
+   * returned when verification confirmed it
+   */
+  selectBestEmail(foundEmails, patterns, domain, verification = {}) {
+    const usable = foundEmails.filter(e => verification[e]?.status !== 'invalid');
 
-    // Check for priority emails first
-    for (const prefix of priority) {
-      const match = foundEmails.find(e => e.startsWith(`${prefix}@`));
-      if (match) return match;
+    if (usable.length === 0) {
+      // No emails found - only a guess the mail server vouched for
+      return patterns.find(e => EmailVerifier.isSendable(verification[e])) || null;
     }
 
-    // Check for personal emails (not generic)
-    const personalEmail = foundEmails.find(e => {
-      const prefix = e.split('@')[0];
-      return !['hello', 'contact', 'info', 'support', 'team', 'admin', 'noreply', 'no-reply'].includes(prefix);
-    });
-    if (personalEmail) return personalEmail;
+    // Priority order for email selection
+    const priority = ['hello', 'contact', 'info', 'hi', 'team', 'support'];
+    const ranked = [
+      // Priority emails first
+      ...priority.map(prefix => usable.find(e => e.startsWith(`${prefix}@`))).filter(Boolean),
+      // Then personal emails (not generic)
+      ...usable.filter(e => {
+        const prefix = e.split('@')[0];
+        return !['hello', 'contact', 'info', 'support', 'team', 'admin', 'noreply', 'no-reply'].includes(prefix);
+      }),
+      // Then whatever else was found
+      ...usable
+    ];
 
-    // Return first found email
-    return foundEmails[0];
+    return ranked.find(e => EmailVerifier.isSendable(verification[e])) || ranked[0];
   }
 
   /**
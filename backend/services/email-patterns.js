@@ -0,0 +1,162 @@
+/**
+ * Email Patterns
+ * Person-level address guesses: permutations of a decision maker's name
+ * (first.last, flast, first, ...), ranked by the pattern the company's own
+ * addresses use
+ *
+ *   const learned = EmailPatterns.learn(['mike.ross@harbor.com'], [{ name: 'Mike Ross' }]);
+ *   EmailPatterns.candidates({ name: 'Jane Doe' }, 'harbor.com', learned);
+ *   // [{ email: 'jane.doe@harbor.com', pattern: 'first.last', basis: 'learned', score, ... }, ...]
+ *
+ * A personal address found on the site is matched against the names we know
+ * (the decision makers, the text of its mailto link) to tell which pattern it
+ * follows; without a name, only its shape counts (a dot or underscore between
+ * two words), and a single word is too ambiguous to learn from. Domains with
+ * nothing to learn from fall back to how common each pattern is.
+ */
+
+const EmailVerifier = require('./email-verifier');
+
+// Rough share of each pattern at small and mid-sized companies
+const PATTERNS = [
+  { id: 'first', prior: 0.26, build: ({ first }) => first },
+  { id: 'first.last', prior: 0.24, build: ({ first, last }) => last && `${first}.${last}` },
+  { id: 'flast', prior: 0.14, build: ({ first, last }) => last && `${first[0]}${last}` },
+  { id: 'firstlast', prior: 0.08, build: ({ first, last }) => last && `${first}${last}` },
+  { id: 'f.last', prior: 0.05, build: ({ first, last }) => last && `${first[0]}.${last}` },
+  { id: 'firstl', prior: 0.04, build: ({ first, last }) => last && `${first}${last[0]}` },
+  { id: 'first_last', prior: 0.03, build: ({ first, last }) => last && `${first}_${last}` },
+  { id: 'last', prior: 0.03, build: ({ last }) => last },
+  { id: 'first.l', prior: 0.02, build: ({ first, last }) => last && `${first}.${last[0]}` },
+  { id: 'last.first', prior: 0.02, build: ({ first, last }) => last && `${last}.${first}` },
+  { id: 'lastf', prior: 0.02, build: ({ first, last }) => last && `${last}${first[0]}` },
+  { id: 'first-last', prior: 0.01, build: ({ first, last }) => last && `${first}-${last}` }
+];
+
+// Shapes that give the pattern away without knowing the name
+const SHAPES = [
+  { pattern: /^[a-z]{2,}\.[a-z]{2,}$/, id: 'first.last' },
+  { pattern: /^[a-z]\.[a-z]{2,}$/, id: 'f.last' },
+  { pattern: /^[a-z]{2,}\.[a-z]$/, id: 'first.l' },
+  { pattern: /^[a-z]{2,}_[a-z]{2,}$/, id: 'first_last' },
+  { pattern: /^[a-z]{2,}-[a-z]{2,}$/, id: 'first-last' }
+];
+
+const NAME_NOISE = /\b(?:dr|mr|mrs|ms|miss|prof|sir|jr|sr|ii|iii|iv|phd|md|cpa|mba|esq|cfa|pe)\b\.?/gi;
+const NAMED_MATCH_WEIGHT = 1;
+const SHAPE_MATCH_WEIGHT = 0.5;
+const LEARNED_SHARE = 0.8; // how far learned evidence outweighs the priors
+
+class EmailPatterns {
+  static get patterns() {
+    return PATTERNS.map(({ id, prior }) => ({ id, prior }));
+  }
+
+  /**
+   * "Dr. José María O'Neil-Smith Jr." -> { first: 'jose', last: 'oneilsmith' }; null without a first name
+   */
+  static nameParts(name) {
+    const words = String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '') // accents
+      .replace(/\([^)]*\)|"[^"]*"/g, ' ') // nicknames
+      .replace(NAME_NOISE, ' ')
+      .split(/[\s,]+/)
+      .map(word => word.toLowerCase().replace(/[^a-z]/g, ''))
+      .filter(Boolean);
+
+    if (words.length === 0 || words[0].length < 2) return null;
+    return { first: words[0], last: words.length > 1 ? words[words.length - 1] : null };
+  }
+
+  /**
+   * Local parts for one person: [{ local, pattern }], each pattern once
+   */
+  static permutations(name) {
+    const parts = EmailPatterns.nameParts(name);
+    if (!parts) return [];
+
+    const seen = new Set();
+    return PATTERNS
+      .map(({ id, build }) => ({ local: build(parts), pattern: id }))
+      .filter(({ local }) => local && !seen.has(local) && seen.add(local));
+  }
+
+  /**
+   * Which pattern the domain's personal addresses follow.
+   * names: [{ name, email? }] - decision makers, and names seen next to an address
+   * Returns { weights: { pattern: share }, evidence: [{ email, pattern, name? }], samples }
+   */
+  static learn(emails, names = []) {
+    const evidence = [];
+
+    for (const email of new Set(emails.map(e => String(e).toLowerCase()))) {
+      const local = email.split('@')[0];
+      if (!local || EmailVerifier.isRoleAccount(email)) continue;
+
+      // A name we know produces this address: the strongest evidence
+      const owners = names.filter(person => !person.email || person.email.toLowerCase() === email);
+      const named = owners
+        .flatMap(person => EmailPatterns.permutations(person.name)
+          .filter(permutation => permutation.local === local)
+          .map(permutation => ({ email, pattern: permutation.pattern, name: person.name, weight: NAMED_MATCH_WEIGHT })));
+
+      if (named.length > 0) {
+        // Several patterns can give the same address ("jane" is first for Jane Doe) - split the weight
+        named.forEach(match => evidence.push({ ...match, weight: match.weight / named.length }));
+        continue;
+      }
+
+      const shape = SHAPES.find(({ pattern }) => pattern.test(local));
+      if (shape) evidence.push({ email, pattern: shape.id, weight: SHAPE_MATCH_WEIGHT });
+    }
+
+    const total = evidence.reduce((sum, match) => sum + match.weight, 0);
+    const weights = {};
+    evidence.forEach(match => {
+      weights[match.pattern] = (weights[match.pattern] || 0) + match.weight / total;
+    });
+
+    return {
+      weights,
+      evidence: evidence.map(({ email, pattern, name }) => (name ? { email, pattern, name } : { email, pattern })),
+      samples: new Set(evidence.map(match => match.email)).size
+    };
+  }
+
+  /**
+   * Ranked addresses for a person at the domain: learned patterns first, then by prior
+   * person: { name, title?, source? }
+   */
+  static candidates(person, domain, learned = { weights: {}, evidence: [], samples: 0 }, { limit = 6 } = {}) {
+    const hasLearned = learned.samples > 0;
+
+    return EmailPatterns.permutations(person.name)
+      .map(({ local, pattern }) => {
+        const prior = PATTERNS.find(entry => entry.id === pattern).prior;
+        const share = learned.weights[pattern] || 0;
+        const score = hasLearned ? LEARNED_SHARE * share + (1 - LEARNED_SHARE) * prior : prior;
+
+        return {
+          email: `${local}@${domain}`,
+          pattern,
+          basis: share > 0 ? 'learned' : 'common',
+          score: Math.round(score * 1000) / 1000,
+          person: { name: person.name, title: person.title || null, source: person.source || null },
+          evidence: learned.evidence.filter(match => match.pattern === pattern).map(match => match.email)
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * The domain's most likely pattern, for reporting - null when nothing was learned
+   */
+  static dominant(learned) {
+    const [best] = Object.entries(learned.weights).sort((a, b) => b[1] - a[1]);
+    return best ? { pattern: best[0], share: Math.round(best[1] * 100) / 100, samples: learned.samples } : null;
+  }
+}
+
+module.exports = EmailPatterns;
@@ -0,0 +1,378 @@
+/**
+ * Email Verifier
+ * Checks an address can receive mail before anything is sent to it: MX lookup,
+ * then an SMTP conversation that stops at RCPT TO (no message is ever sent)
+ *
+ *   const result = await verifier.verify('jane@harborwealth.com');
+ *   // { email, status: 'valid', sendable: true, role: false, catch_all: false, mx, smtp_code, reason, checked_at }
+ *
+ * Statuses:
+ * - valid         the mail server accepted the mailbox
+ * - role_account  accepted, but a shared inbox (info@, hello@, ...)
+ * - catch_all     the domain accepts every address, so acceptance proves nothing
+ * - invalid       bad syntax, no mail server, or the mailbox was rejected
+ * - unknown       no answer either way (greylisting, blocked port 25, timeouts)
+ *
+ * Only valid and role_account are sendable. A random address is probed alongside
+ * the real ones to spot catch-all domains. MX hosts and catch-all status are
+ * cached per domain, so checking more addresses at a known domain is cheap.
+ *
+ * Many hosts block outbound port 25 - there every address comes back unknown.
+ * EMAIL_VERIFY_SMTP=false skips the probe entirely.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const RateLimiter = require('./rate-limiter');
+
+const STATUSES = ['valid', 'role_account', 'catch_all', 'invalid', 'unknown'];
+const SENDABLE = ['valid', 'role_account'];
+
+const ROLE_ACCOUNTS = [
+  'admin', 'billing', 'careers', 'contact', 'enquiries', 'hello', 'help', 'hi',
+  'hr', 'info', 'inquiries', 'jobs', 'marketing', 'media', 'news', 'noreply',
+  'no-reply', 'office', 'press', 'sales', 'support', 'team', 'webmaster'
+];
+
+const SMTP_PORT = 25;
+const TIMEOUT_MS = 8000;
+const MAX_MX_HOSTS = 2;
+const DOMAIN_TTL_MS = 24 * 60 * 60 * 1000;
+const UNKNOWN_TTL_MS = 60 * 60 * 1000; // unknown is often temporary - ask again sooner
+
+// Rejections that are about us (IP reputation, policy), not the mailbox
+const POLICY_REJECTION = /block|blacklist|spam|policy|reputation|rbl|denied|not permitted|authenticat/i;
+
+// domain -> { mx, catchAll, expiresAt, addresses: Map(email -> { result, expiresAt }) }, shared across instances
+const domains = new Map();
+
+class EmailVerifier {
+  constructor({
+    resolveMx = hostname => dns.promises.resolveMx(hostname),
+    port = SMTP_PORT,
+    connect = (host, smtpPort) => net.createConnection({ host, port: smtpPort }),
+    timeoutMs = TIMEOUT_MS,
+    heloHost = process.env.EMAIL_VERIFY_HELO || 'maggieforbesstrategies.com',
+    mailFrom = process.env.EMAIL_VERIFY_FROM || process.env.RESEND_FROM_EMAIL || 'maggie@maggieforbesstrategies.com',
+    smtp = process.env.EMAIL_VERIFY_SMTP !== 'false',
+    limiter = new RateLimiter()
+  } = {}) {
+    this.resolveMx = resolveMx;
+    this.port = port;
+    this.connect = connect;
+    this.timeoutMs = timeoutMs;
+    this.heloHost = heloHost;
+    this.mailFrom = mailFrom;
+    this.smtp = smtp;
+    this.limiter = limiter;
+  }
+
+  static get statuses() {
+    return STATUSES;
+  }
+
+  static isSendable(result) {
+    return !!result && SENDABLE.includes(result.status);
+  }
+
+  static isValidSyntax(email) {
+    return /^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i.test(email || '') && !/\.\.|^\.|\.@/.test(email);
+  }
+
+  static isRoleAccount(email) {
+    return ROLE_ACCOUNTS.includes(String(email).split('@')[0].toLowerCase());
+  }
+
+  static clearCache() {
+    domains.clear();
+  }
+
+  /**
+   * Verify one address
+   */
+  async verify(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    const results = await this.verifyMany([normalized]);
+    return results[normalized];
+  }
+
+  /**
+   * Verify several addresses - one SMTP conversation per domain. Returns { email: result }
+   */
+  async verifyMany(emails) {
+    const results = {};
+    const byDomain = new Map();
+
+    for (const raw of emails) {
+      const email = String(raw || '').trim().toLowerCase();
+      if (results[email] || byDomain.get(email.split('@')[1])?.includes(email)) continue;
+
+      if (!EmailVerifier.isValidSyntax(email)) {
+        results[email] = this.result(email, 'invalid', { reason: 'Not a valid email address' });
+        continue;
+      }
+
+      const domain = email.split('@')[1];
+      const cached = this.cached(domain, email);
+      if (cached) {
+        results[email] = { ...cached, cached: true };
+        continue;
+      }
+
+      if (!byDomain.has(domain)) byDomain.set(domain, []);
+      byDomain.get(domain).push(email);
+    }
+
+    for (const [domain, pending] of byDomain) {
+      Object.assign(results, await this.verifyDomain(domain, pending));
+    }
+    return results;
+  }
+
+  // ============================================
+  // PER DOMAIN
+  // ============================================
+
+  async verifyDomain(domain, emails) {
+    const entry = this.domainEntry(domain);
+    const finish = (status, fields) => Object.fromEntries(emails.map(email => {
+      const result = this.result(email, status, { mx: entry.mx?.hosts[0] || null, ...fields });
+      return [email, this.remember(entry, email, result)];
+    }));
+
+    if (!entry.mx) entry.mx = await this.lookupMx(domain);
+    if (entry.mx.hosts.length === 0) {
+      const { missing, error } = entry.mx;
+      if (!missing) entry.mx = null; // lookup error - try again next time
+      return missing
+        ? finish('invalid', { reason: 'Domain has no mail server' })
+        : finish('unknown', { reason: `MX lookup failed: ${error}` });
+    }
+
+    // Known catch-all: the server would accept anything, no need to ask again
+    if (entry.catchAll) return finish('catch_all', { catch_all: true, reason: 'Domain accepts every address' });
+    if (!this.smtp) return finish('unknown', { reason: 'SMTP probe disabled (EMAIL_VERIFY_SMTP=false)' });
+
+    const probe = entry.catchAll === undefined ? `${crypto.randomBytes(6).toString('hex')}.probe@${domain}` : null;
+    let replies;
+    try {
+      if (this.limiter) await this.limiter.take('smtp_verify');
+      replies = await this.ask(entry.mx.hosts, probe ? [...emails, probe] : emails);
+    } catch (error) {
+      return finish('unknown', { reason: `SMTP: ${error.message}` });
+    }
+
+    if (probe) {
+      const outcome = EmailVerifier.classify(replies[probe]);
+      if (outcome !== 'unknown') entry.catchAll = outcome === 'accepted';
+    }
+
+    return Object.fromEntries(emails.map(email => {
+      const reply = replies[email];
+      const outcome = EmailVerifier.classify(reply);
+      let status = 'unknown';
+      let reason = reply.message;
+
+      if (outcome === 'rejected') {
+        status = 'invalid';
+      } else if (outcome === 'accepted' && entry.catchAll) {
+        status = 'catch_all';
+        reason = 'Domain accepts every address';
+      } else if (outcome === 'accepted' && entry.catchAll === false) {
+        status = EmailVerifier.isRoleAccount(email) ? 'role_account' : 'valid';
+      } else if (outcome === 'accepted') {
+        reason = 'Could not tell whether the domain accepts every address';
+      }
+
+      const result = this.result(email, status, {
+        mx: replies.host,
+        catch_all: !!entry.catchAll,
+        smtp_code: reply.code,
+        reason
+      });
+      return [email, this.remember(entry, email, result)];
+    }));
+  }
+
+  /**
+   * MX hosts by priority. No MX record falls back to the domain itself (RFC 5321);
+   * a domain that doesn't exist or publishes a null MX can't receive mail
+   */
+  async lookupMx(domain) {
+    try {
+      const records = await this.resolveMx(domain);
+      const hosts = records
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => record.exchange)
+        .filter(host => host && host !== '.');
+      return { hosts, missing: hosts.length === 0 };
+    } catch (error) {
+      if (error.code === 'ENODATA') return { hosts: [domain], missing: false };
+      if (error.code === 'ENOTFOUND' || error.code === 'NXDOMAIN') return { hosts: [], missing: true };
+      return { hosts: [], missing: false, error: error.message };
+    }
+  }
+
+  /**
+   * 250/251 accepted, 5xx rejected (unless it's a policy block on us), anything else unknown
+   */
+  static classify(reply) {
+    if (!reply || !reply.code) return 'unknown';
+    if (reply.code === 250 || reply.code === 251) return 'accepted';
+    if (reply.code >= 500 && !POLICY_REJECTION.test(reply.message || '')) return 'rejected';
+    return 'unknown';
+  }
+
+  // ============================================
+  // SMTP
+  // ============================================
+
+  /**
+   * RCPT TO each address on the first MX host that answers. Returns { email: { code, message }, host }
+   */
+  async ask(hosts, recipients) {
+    let lastError;
+    for (const host of hosts.slice(0, MAX_MX_HOSTS)) {
+      try {
+        return { ...(await this.session(host, recipients)), host };
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  async session(host, recipients) {
+    const socket = this.connect(host, this.port);
+    socket.setTimeout(this.timeoutMs);
+    const replies = EmailVerifier.replyReader(socket);
+    const command = line => {
+      socket.write(`${line}\r\n`);
+      return replies.next();
+    };
+    const expect = (reply, code, step) => {
+      if (reply.code !== code) throw new Error(`${step} refused (${reply.code} ${reply.message})`);
+    };
+
+    try {
+      expect(await replies.next(), 220, 'Connection');
+
+      let hello = await command(`EHLO ${this.heloHost}`);
+      if (hello.code >= 500) hello = await command(`HELO ${this.heloHost}`);
+      expect(hello, 250, 'HELO');
+      expect(await command(`MAIL FROM:<${this.mailFrom}>`), 250, 'MAIL FROM');
+
+      const answers = {};
+      for (const email of recipients) {
+        answers[email] = await command(`RCPT TO:<${email}>`);
+      }
+
+      socket.end('QUIT\r\n');
+      return answers;
+    } finally {
+      if (!socket.writableEnded) socket.destroy();
+    }
+  }
+
+  /**
+   * Turn the socket's lines into SMTP replies ({ code, message }), joining multi-line ones
+   */
+  static replyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const ready = [];
+    const waiting = [];
+
+    const settle = () => {
+      while (ready.length && waiting.length) waiting.shift().resolve(ready.shift());
+      while (failure && waiting.length) waiting.shift().reject(failure);
+    };
+    const fail = error => {
+      failure = failure || error;
+      settle();
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.substring(0, newline).replace(/\r$/, '');
+        buffer = buffer.substring(newline + 1);
+        lines.push(line);
+
+        // "250-..." continues, "250 ..." ends the reply
+        if (/^\d{3}(?: |$)/.test(line)) {
+          ready.push({ code: parseInt(line.substring(0, 3), 10), message: lines.map(l => l.substring(4)).join(' ').trim() });
+          lines = [];
+        }
+      }
+      settle();
+    });
+    socket.on('error', fail);
+    socket.on('timeout', () => {
+      fail(new Error('timed out'));
+      socket.destroy();
+    });
+    socket.on('close', () => fail(new Error('connection closed')));
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        settle();
+      })
+    };
+  }
+
+  // ============================================
+  // RESULTS + CACHE
+  // ============================================
+
+  result(email, status, fields = {}) {
+    return {
+      email,
+      status,
+      sendable: SENDABLE.includes(status),
+      role: EmailVerifier.isRoleAccount(email),
+      catch_all: false,
+      mx: null,
+      smtp_code: null,
+      reason: null,
+      ...fields,
+      checked_at: new Date().toISOString()
+    };
+  }
+
+  domainEntry(domain) {
+    let entry = domains.get(domain);
+    if (!entry || entry.expiresAt < Date.now()) {
+      entry = { mx: null, catchAll: undefined, expiresAt: Date.now() + DOMAIN_TTL_MS, addresses: new Map() };
+      domains.set(domain, entry);
+    }
+    return entry;
+  }
+
+  cached(domain, email) {
+    const entry = domains.get(domain);
+    if (!entry || entry.expiresAt < Date.now()) return null;
+
+    const address = entry.addresses.get(email);
+    if (address && address.expiresAt >= Date.now()) return address.result;
+
+    // Anything at a known catch-all domain gets the same answer
+    if (entry.catchAll) return this.result(email, 'catch_all', { mx: entry.mx?.hosts[0] || null, catch_all: true, reason: 'Domain accepts every address' });
+    return null;
+  }
+
+  remember(entry, email, result) {
+    entry.addresses.set(email, {
+      result,
+      expiresAt: Date.now() + (result.status === 'unknown' ? UNKNOWN_TTL_MS : DOMAIN_TTL_MS)
+    });
+    return result;
+  }
+}
+
+module.exports = EmailVerifier;
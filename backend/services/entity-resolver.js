@@ -0,0 +1,587 @@
+/**
+ * Entity Resolver
+ * Links scored_opportunities rows from every source to one canonical company
+ *
+ * Matching order:
+ * 1. Normalized domain (www, subdomains, paths stripped; platform domains ignored)
+ * 2. Normalized name (Inc/LLC/punctuation stripped) - exact, then fuzzy
+ *
+ * Forum rows name a poster, not a company: they match only the same author on the
+ * same platform (exactly, never fuzzily), and anonymous posters aren't resolved.
+ *
+ * Confident matches are linked automatically. Ambiguous ones get their own company
+ * plus a company_match_reviews row so a human can confirm (merge) or split.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const DomainExtractor = require('./domain-extractor');
+
+// Name similarity (0-1) needed to link automatically / to queue for review
+const AUTO_MATCH_SIMILARITY = 0.9;
+const REVIEW_SIMILARITY = 0.75;
+
+// Legal suffixes dropped before comparing names
+const COMPANY_SUFFIXES = [
+  'inc', 'incorporated', 'llc', 'l l c', 'ltd', 'limited', 'corp', 'corporation',
+  'co', 'company', 'plc', 'gmbh', 'ag', 'sa', 'bv', 'pty', 'pte', 'llp', 'lp'
+];
+
+// Second-level labels where the registrable domain has three parts (acme.co.uk)
+const MULTI_PART_TLDS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu'];
+
+// Forum author placeholders - every anonymous post would otherwise be one "company"
+const ANONYMOUS_AUTHORS = ['reddit_user', '[deleted]'];
+
+// Hosts where the subdomain is the business (acme.myshopify.com)
+const SHARED_HOSTS = [
+  'myshopify.com', 'wixsite.com', 'squarespace.com', 'webflow.io',
+  'vercel.app', 'netlify.app', 'herokuapp.com', 'carrd.co', 'substack.com'
+];
+
+class EntityResolver {
+  constructor() {
+    this.supabase = lazyClient();
+    this.platformDomains = new DomainExtractor().platformDomains;
+  }
+
+  // ============================================
+  // NORMALIZATION
+  // ============================================
+
+  /**
+   * URL / hostname -> registrable domain (https://blog.acme.co.uk/x -> acme.co.uk)
+   */
+  normalizeDomain(value) {
+    if (!value) return null;
+
+    const host = String(value)
+      .toLowerCase()
+      .trim()
+      .replace(/^[a-z]+:\/\//, '')
+      .replace(/^[^@/]*@/, '') // user@ in URLs or bare emails
+      .split(/[/?#:]/)[0]
+      .replace(/\.$/, '');
+
+    if (!/^[a-z0-9.-]+\.[a-z]{2,}$/.test(host)) return null;
+
+    const parts = host.split('.');
+    const sharedHost = SHARED_HOSTS.find(h => host.endsWith('.' + h));
+    if (sharedHost) {
+      return parts.slice(-(sharedHost.split('.').length + 1)).join('.');
+    }
+
+    const keep = parts.length > 2 && parts[parts.length - 1].length === 2 &&
+      MULTI_PART_TLDS.includes(parts[parts.length - 2]) ? 3 : 2;
+
+    return parts.slice(-keep).join('.');
+  }
+
+  /**
+   * Platform domains (reddit.com, producthunt.com, ...) say where we found a lead, not who it is
+   */
+  isIdentityDomain(domain) {
+    if (!domain || domain === 'unknown.com') return false;
+    return !this.platformDomains.some(platform =>
+      domain === platform || domain.endsWith('.' + platform) || platform.endsWith('.' + domain)
+    );
+  }
+
+  /**
+   * "Acme, Inc." / "ACME Inc" / "acme" -> "acme"
+   */
+  normalizeName(name) {
+    if (!name) return '';
+
+    let normalized = String(name)
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/['’]/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+
+    // Strip trailing legal suffixes, possibly several ("Acme Holdings Co Ltd")
+    let stripped = true;
+    while (stripped) {
+      stripped = false;
+      for (const suffix of COMPANY_SUFFIXES) {
+        if (normalized.endsWith(' ' + suffix)) {
+          normalized = normalized.slice(0, -(suffix.length + 1)).trim();
+          stripped = true;
+        }
+      }
+    }
+
+    return normalized.replace(/^the /, '');
+  }
+
+  /**
+   * Blocking key for fuzzy candidates - first 4 letters, so typos later in the name still meet
+   */
+  nameKey(normalizedName) {
+    return normalizedName.replace(/ /g, '').slice(0, 4);
+  }
+
+  /**
+   * Dice coefficient over character bigrams of two normalized names
+   */
+  nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const bigrams = (s) => {
+      const compact = s.replace(/ /g, '');
+      const counts = new Map();
+      for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const aGrams = bigrams(a);
+    const bGrams = bigrams(b);
+    let overlap = 0;
+    let total = 0;
+
+    aGrams.forEach((count, gram) => {
+      overlap += Math.min(count, bGrams.get(gram) || 0);
+      total += count;
+    });
+    bGrams.forEach(count => { total += count; });
+
+    return total === 0 ? 0 : (2 * overlap) / total;
+  }
+
+  /**
+   * Identity fields used for matching an opportunity / lead
+   * Forum rows get an author identity ("reddit.com:u/jane_doe") that only matches exactly
+   */
+  identify(opportunity) {
+    const domain = this.normalizeDomain(opportunity.company_domain);
+
+    if (opportunity.source === 'forum') {
+      const author = String(opportunity.company_name || '').trim().toLowerCase().replace(/^\/+/, '');
+      if (!author || ANONYMOUS_AUTHORS.includes(author)) {
+        return { domain: null, normalizedName: '', nameKey: '', author: null, anonymous: true };
+      }
+
+      const handle = `${domain || 'forum'}:${author}`.substring(0, 255);
+      return { domain: null, normalizedName: handle, nameKey: handle, author: handle };
+    }
+
+    const normalizedName = this.normalizeName(opportunity.company_name);
+
+    return {
+      domain: this.isIdentityDomain(domain) ? domain : null,
+      normalizedName,
+      nameKey: this.nameKey(normalizedName)
+    };
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * Find the company an opportunity belongs to (read-only)
+   * Returns { company, match_type, similarity, candidate }
+   * - company:   confident match, or null
+   * - candidate: ambiguous match that needs review, or null
+   */
+  async match(opportunity) {
+    const identity = this.identify(opportunity);
+    const candidates = await this.fetchCandidates([identity]);
+    return this.matchAgainst(identity, candidates);
+  }
+
+  /**
+   * Batch version of match() - one round of lookups for a whole import file
+   */
+  async matchMany(opportunities) {
+    const identities = opportunities.map(o => this.identify(o));
+    const candidates = await this.fetchCandidates(identities);
+    return identities.map(identity => this.matchAgainst(identity, candidates));
+  }
+
+  /**
+   * Companies sharing a domain or a name key with any of the identities
+   */
+  async fetchCandidates(identities) {
+    const domains = [...new Set(identities.map(i => i.domain).filter(Boolean))];
+    const nameKeys = [...new Set(identities.map(i => i.nameKey).filter(Boolean))];
+    const byId = new Map();
+
+    // Query in chunks - large .in() lists blow past the PostgREST URL limit
+    for (let i = 0; i < domains.length; i += 200) {
+      const { data, error } = await this.supabase
+        .from('companies')
+        .select('*')
+        .overlaps('domains', domains.slice(i, i + 200));
+      if (error) throw new Error(error.message);
+      (data || []).forEach(c => byId.set(c.id, c));
+    }
+
+    for (let i = 0; i < nameKeys.length; i += 200) {
+      const { data, error } = await this.supabase
+        .from('companies')
+        .select('*')
+        .in('name_key', nameKeys.slice(i, i + 200));
+      if (error) throw new Error(error.message);
+      (data || []).forEach(c => byId.set(c.id, c));
+    }
+
+    return [...byId.values()];
+  }
+
+  matchAgainst(identity, candidates) {
+    const none = { company: null, match_type: 'none', similarity: 0, candidate: null };
+
+    // Forum authors: the same handle or nothing
+    if (identity.anonymous) return none;
+    if (identity.author) {
+      const company = candidates.find(c => c.normalized_name === identity.author);
+      return company ? { company, match_type: 'author', similarity: 1, candidate: null } : none;
+    }
+
+    // 1. Domain - strongest signal
+    if (identity.domain) {
+      const company = candidates.find(c => (c.domains || []).includes(identity.domain));
+      if (company) return { company, match_type: 'domain', similarity: 1, candidate: null };
+    }
+
+    if (!identity.normalizedName) return none;
+
+    // 2. Name - best scoring candidate with the same name key
+    let best = null;
+    let bestSimilarity = 0;
+    for (const company of candidates) {
+      if (company.name_key !== identity.nameKey) continue;
+      // Company names never fuzzy-match a forum author
+      if (company.normalized_name.includes(':')) continue;
+      const similarity = this.nameSimilarity(identity.normalizedName, company.normalized_name);
+      if (similarity > bestSimilarity) {
+        best = company;
+        bestSimilarity = similarity;
+      }
+    }
+
+    if (!best || bestSimilarity < REVIEW_SIMILARITY) return none;
+
+    // Same name but both sides have a different real domain - could be two businesses
+    const domainConflict = identity.domain && best.primary_domain && best.primary_domain !== identity.domain;
+
+    if (bestSimilarity >= AUTO_MATCH_SIMILARITY && !domainConflict) {
+      return {
+        company: best,
+        match_type: bestSimilarity === 1 ? 'name_exact' : 'name_fuzzy',
+        similarity: bestSimilarity,
+        candidate: null
+      };
+    }
+
+    return {
+      company: null,
+      match_type: domainConflict ? 'name_domain_conflict' : 'name_fuzzy',
+      similarity: bestSimilarity,
+      candidate: best
+    };
+  }
+
+  // ============================================
+  // LINKING
+  // ============================================
+
+  /**
+   * Link a saved scored_opportunities row to its canonical company
+   * Creates the company (and a review for ambiguous matches) when needed.
+   * Anonymous forum posts stay unlinked (company_id null)
+   */
+  async resolve(opportunity) {
+    const identity = this.identify(opportunity);
+    if (identity.anonymous) {
+      return { company_id: null, match_type: 'anonymous', created: false, review_id: null };
+    }
+
+    const result = this.matchAgainst(identity, await this.fetchCandidates([identity]));
+
+    let company = result.company;
+    if (company) {
+      company = await this.addEvidence(company, identity, opportunity.source);
+    } else {
+      company = await this.createCompany(opportunity, identity);
+    }
+
+    const { error } = await this.supabase
+      .from('scored_opportunities')
+      .update({ company_id: company.id })
+      .eq('id', opportunity.id);
+
+    if (error) throw new Error(error.message);
+
+    let reviewId = null;
+    if (result.candidate && result.candidate.id !== company.id) {
+      reviewId = await this.queueReview(opportunity.id, company.id, result);
+    }
+
+    return {
+      company_id: company.id,
+      match_type: result.match_type,
+      created: !result.company,
+      review_id: reviewId
+    };
+  }
+
+  /**
+   * Backfill: link opportunities that have no company yet (oldest first)
+   */
+  async resolveUnlinked(limit = 500) {
+    const { data: opportunities, error } = await this.supabase
+      .from('scored_opportunities')
+      .select('id, company_name, company_domain, source')
+      .is('company_id', null)
+      // NOT IN alone would also drop rows with no company_name
+      .or(`company_name.is.null,company_name.not.in.(${ANONYMOUS_AUTHORS.map(author => `"${author}"`).join(',')})`)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    const summary = { processed: 0, linked: 0, created: 0, queued_for_review: 0, errors: [] };
+
+    for (const opportunity of opportunities || []) {
+      try {
+        const result = await this.resolve(opportunity);
+        summary.processed++;
+        if (result.created) summary.created++;
+        else summary.linked++;
+        if (result.review_id) summary.queued_for_review++;
+      } catch (err) {
+        summary.errors.push({ opportunity_id: opportunity.id, error: err.message });
+      }
+    }
+
+    console.log(`✅ Entity resolution: ${summary.processed} processed, ${summary.linked} linked, ${summary.created} new companies, ${summary.queued_for_review} queued for review`);
+    return summary;
+  }
+
+  async createCompany(opportunity, identity) {
+    const { data, error } = await this.supabase
+      .from('companies')
+      .insert({
+        canonical_name: (opportunity.company_name || identity.domain || 'Unknown').substring(0, 255),
+        normalized_name: identity.normalizedName,
+        name_key: identity.nameKey,
+        primary_domain: identity.domain,
+        domains: identity.domain ? [identity.domain] : [],
+        sources: opportunity.source ? [opportunity.source] : []
+      })
+      .select()
+      .single();
+
+    // Another scan created the same domain in the meantime - use that one
+    if (error && error.code === '23505' && identity.domain) {
+      const existing = await this.fetchCandidates([{ domain: identity.domain }]);
+      if (existing.length > 0) return this.addEvidence(existing[0], identity, opportunity.source);
+    }
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Record a new domain / source on an existing company
+   */
+  async addEvidence(company, identity, source) {
+    const domains = company.domains || [];
+    const sources = company.sources || [];
+    const newDomain = identity.domain && !domains.includes(identity.domain);
+    const newSource = source && !sources.includes(source);
+
+    if (!newDomain && !newSource) return company;
+
+    const { data, error } = await this.supabase
+      .from('companies')
+      .update({
+        domains: newDomain ? [...domains, identity.domain] : domains,
+        primary_domain: company.primary_domain || identity.domain || null,
+        sources: newSource ? [...sources, source] : sources,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', company.id)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async queueReview(opportunityId, companyId, result) {
+    const { data, error } = await this.supabase
+      .from('company_match_reviews')
+      .insert({
+        opportunity_id: opportunityId,
+        company_id: companyId,
+        candidate_company_id: result.candidate.id,
+        similarity: Math.round(result.similarity * 1000) / 1000,
+        reason: result.match_type === 'name_domain_conflict'
+          ? 'Same name, different domain'
+          : 'Similar name'
+      })
+      .select('id')
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data.id;
+  }
+
+  // ============================================
+  // COMPANIES & REVIEWS
+  // ============================================
+
+  /**
+   * Company plus every linked opportunity (one per source sighting)
+   */
+  async getCompany(companyId) {
+    const { data: company, error } = await this.supabase
+      .from('companies')
+      .select('*')
+      .eq('id', companyId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw new Error(error.message);
+    if (!company) return null;
+
+    const { data: evidence } = await this.supabase
+      .from('scored_opportunities')
+      .select('id, created_at, source, company_name, company_domain, overall_score, priority_tier, opportunity_data')
+      .eq('company_id', companyId)
+      .order('created_at', { ascending: false });
+
+    return { ...company, evidence: evidence || [] };
+  }
+
+  async getReviews(status = 'pending', limit = 50) {
+    const { data: reviews, error } = await this.supabase
+      .from('company_match_reviews')
+      .select('*')
+      .eq('status', status)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+    if (!reviews || reviews.length === 0) return [];
+
+    const companyIds = [...new Set(reviews.flatMap(r => [r.company_id, r.candidate_company_id]).filter(Boolean))];
+    const opportunityIds = [...new Set(reviews.map(r => r.opportunity_id).filter(Boolean))];
+
+    const [{ data: companies }, { data: opportunities }] = await Promise.all([
+      this.supabase.from('companies').select('*').in('id', companyIds),
+      this.supabase
+        .from('scored_opportunities')
+        .select('id, company_name, company_domain, source, created_at')
+        .in('id', opportunityIds)
+    ]);
+
+    const companyById = Object.fromEntries((companies || []).map(c => [c.id, c]));
+    const opportunityById = Object.fromEntries((opportunities || []).map(o => [o.id, o]));
+
+    return reviews.map(review => ({
+      ...review,
+      opportunity: opportunityById[review.opportunity_id] || null,
+      company: companyById[review.company_id] || null,
+      candidate_company: companyById[review.candidate_company_id] || null
+    }));
+  }
+
+  async getReview(reviewId) {
+    const { data, error } = await this.supabase
+      .from('company_match_reviews')
+      .select('*')
+      .eq('id', reviewId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw new Error(error.message);
+    return data || null;
+  }
+
+  /**
+   * Confirm: the two companies are the same business - merge into the candidate
+   */
+  async confirmReview(reviewId) {
+    const review = await this.getReview(reviewId);
+    if (!review) throw new Error('Review not found');
+    if (review.status !== 'pending') throw new Error(`Review already ${review.status}`);
+    if (!review.company_id || !review.candidate_company_id) throw new Error('Review companies no longer exist');
+
+    // Merge first - if it fails the review stays pending and can be retried
+    const merged = await this.mergeCompanies(review.company_id, review.candidate_company_id);
+    await this.markReview(reviewId, 'confirmed');
+
+    return { review_id: reviewId, status: 'confirmed', company: merged };
+  }
+
+  /**
+   * Split: different businesses - keep the opportunity on its own company
+   */
+  async splitReview(reviewId) {
+    const review = await this.getReview(reviewId);
+    if (!review) throw new Error('Review not found');
+    if (review.status !== 'pending') throw new Error(`Review already ${review.status}`);
+
+    await this.markReview(reviewId, 'split');
+    return { review_id: reviewId, status: 'split', company_id: review.company_id };
+  }
+
+  async markReview(reviewId, status) {
+    const { error } = await this.supabase
+      .from('company_match_reviews')
+      .update({ status, resolved_at: new Date().toISOString() })
+      .eq('id', reviewId);
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Move every opportunity, domain and source from one company to another, then drop it
+   */
+  async mergeCompanies(fromId, intoId) {
+    const [{ data: from }, { data: into }] = await Promise.all([
+      this.supabase.from('companies').select('*').eq('id', fromId).single(),
+      this.supabase.from('companies').select('*').eq('id', intoId).single()
+    ]);
+
+    if (!from || !into) throw new Error('Company not found');
+
+    const { error: moveError } = await this.supabase
+      .from('scored_opportunities')
+      .update({ company_id: intoId })
+      .eq('company_id', fromId);
+
+    if (moveError) throw new Error(moveError.message);
+
+    // Delete first so the unique primary_domain index doesn't block the update below
+    const { error: deleteError } = await this.supabase
+      .from('companies')
+      .delete()
+      .eq('id', fromId);
+
+    if (deleteError) throw new Error(deleteError.message);
+
+    const { data, error } = await this.supabase
+      .from('companies')
+      .update({
+        domains: [...new Set([...(into.domains || []), ...(from.domains || [])])],
+        sources: [...new Set([...(into.sources || []), ...(from.sources || [])])],
+        primary_domain: into.primary_domain || from.primary_domain,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', intoId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+}
+
+module.exports = EntityResolver;
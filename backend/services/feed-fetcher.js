@@ -0,0 +1,222 @@
+/**
+ * Feed Fetcher
+ * Incremental RSS/Atom polling for the feed-based lead sources
+ *
+ * - Conditional GETs: sends the stored ETag / Last-Modified, a 304 means nothing new.
+ *   New validators are only stored once every item from that response has been
+ *   processed and marked seen (saveValidators) - otherwise the next run would get
+ *   a 304 and never retry the items that failed
+ * - Seen-item store: GUID/URL of every processed item, so each run only analyzes new ones
+ * - Feed health: last success, consecutive failures and average new items per run
+ * - Requests go through PoliteFetcher (UnboundBot user agent, paced per host);
+ *   feeds are meant for automated readers, so robots.txt and the page cache don't apply
+ */
+
+const { lazyClient } = require('./supabase-client');
+const PoliteFetcher = require('./polite-fetcher');
+
+class FeedFetcher {
+  constructor() {
+    this.supabase = lazyClient();
+    this.fetcher = new PoliteFetcher();
+  }
+
+  /**
+   * Fetch one feed and return only items we haven't processed before
+   * Returns { items, total, notModified, validators } - pass validators to
+   * saveValidators once the items are processed
+   */
+  async fetchFeed(parser, feed, sourceId, perFeedLimit) {
+    const health = await this.getFeedHealth(feed.url);
+
+    const headers = { ...(parser.options.headers || {}) };
+    if (health?.etag) headers['If-None-Match'] = health.etag;
+    if (health?.last_modified) headers['If-Modified-Since'] = health.last_modified;
+
+    let response;
+    try {
+      response = await this.fetcher.fetch(feed.url, {
+        headers,
+        timeoutMs: parser.options.timeout,
+        robots: false,
+        cache: false
+      });
+    } catch (error) {
+      await this.recordFailure(feed, sourceId, health, error);
+      throw error;
+    }
+
+    if (response.status === 304) {
+      await this.recordSuccess(feed, sourceId, health, { status: 304, newItems: 0 });
+      return { items: [], total: 0, notModified: true };
+    }
+
+    let parsed;
+    try {
+      parsed = await parser.parseString(response.body);
+    } catch (error) {
+      await this.recordFailure(feed, sourceId, health, error);
+      throw error;
+    }
+
+    const recent = parsed.items.slice(0, perFeedLimit);
+    const seen = await this.getSeenKeys(feed.url, recent.map(item => this.itemKey(item)));
+    const items = recent.filter(item => !seen.has(this.itemKey(item)));
+
+    await this.recordSuccess(feed, sourceId, health, { status: 200, newItems: items.length });
+
+    const validators = {
+      feed,
+      sourceId,
+      etag: response.headers.etag || null,
+      lastModified: response.headers['last-modified'] || null
+    };
+    return { items, total: recent.length, notModified: false, validators };
+  }
+
+  /**
+   * Stable identity for a feed item: GUID, then link, then title
+   */
+  itemKey(item) {
+    return String(item.guid || item.id || item.link || item.title || '').substring(0, 500);
+  }
+
+  // ============================================
+  // SEEN-ITEM STORE
+  // ============================================
+
+  async getSeenKeys(feedUrl, keys) {
+    const seen = new Set();
+    const uniqueKeys = [...new Set(keys.filter(Boolean))];
+    if (uniqueKeys.length === 0) return seen;
+
+    // Query in chunks - large .in() lists blow past the PostgREST URL limit
+    for (let i = 0; i < uniqueKeys.length; i += 100) {
+      const { data, error } = await this.supabase
+        .from('seen_feed_items')
+        .select('item_key')
+        .eq('feed_url', feedUrl)
+        .in('item_key', uniqueKeys.slice(i, i + 100));
+
+      if (error) throw new Error(error.message);
+      (data || []).forEach(row => seen.add(row.item_key));
+    }
+
+    return seen;
+  }
+
+  /**
+   * Remember processed items - entries are { feed, item }
+   * Returns false when the store couldn't be updated
+   */
+  async markSeen(entries) {
+    const rows = entries
+      .map(({ feed, item }) => ({
+        feed_url: feed.url,
+        item_key: this.itemKey(item),
+        item_url: item.link || null,
+        title: (item.title || '').substring(0, 300)
+      }))
+      .filter(row => row.item_key);
+
+    if (rows.length === 0) return true;
+
+    const { error } = await this.supabase
+      .from('seen_feed_items')
+      .upsert(rows, { onConflict: 'feed_url,item_key', ignoreDuplicates: true });
+
+    if (error) {
+      console.log(`   ⚠️  Could not update seen items: ${error.message}`);
+      return false;
+    }
+    return true;
+  }
+
+  // ============================================
+  // FEED HEALTH
+  // ============================================
+
+  async getFeedHealth(feedUrl) {
+    const { data, error } = await this.supabase
+      .from('feed_health')
+      .select('*')
+      .eq('feed_url', feedUrl)
+      .single();
+
+    if (error && error.code !== 'PGRST116') {
+      console.log(`   ⚠️  Could not read feed health: ${error.message}`);
+    }
+    return data || null;
+  }
+
+  /**
+   * Store the ETag / Last-Modified of fully processed feeds - entries are fetchFeed's validators
+   */
+  async saveValidators(entries) {
+    for (const { feed, sourceId, etag, lastModified } of entries) {
+      await this.saveHealth({
+        feed_url: feed.url,
+        feed_name: feed.name,
+        source_id: sourceId,
+        etag,
+        last_modified: lastModified
+      });
+    }
+  }
+
+  async recordSuccess(feed, sourceId, health, { status, newItems }) {
+    const runs = (health?.successful_runs || 0) + 1;
+    const previousAvg = Number(health?.avg_new_items || 0);
+
+    await this.saveHealth({
+      feed_url: feed.url,
+      feed_name: feed.name,
+      source_id: sourceId,
+      last_status: status,
+      last_success_at: new Date().toISOString(),
+      consecutive_failures: 0,
+      successful_runs: runs,
+      last_new_items: newItems,
+      avg_new_items: Math.round((previousAvg + (newItems - previousAvg) / runs) * 100) / 100
+    });
+  }
+
+  async recordFailure(feed, sourceId, health, error) {
+    await this.saveHealth({
+      feed_url: feed.url,
+      feed_name: feed.name,
+      source_id: sourceId,
+      last_status: error.response?.status || null,
+      last_failure_at: new Date().toISOString(),
+      last_error: error.message.substring(0, 500),
+      consecutive_failures: (health?.consecutive_failures || 0) + 1
+    });
+  }
+
+  async saveHealth(row) {
+    const { error } = await this.supabase
+      .from('feed_health')
+      .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: 'feed_url' });
+
+    if (error) console.log(`   ⚠️  Could not update feed health: ${error.message}`);
+  }
+
+  /**
+   * Health of every feed, optionally for one source
+   */
+  async getHealth(sourceId = null) {
+    let query = this.supabase
+      .from('feed_health')
+      .select('*')
+      .order('consecutive_failures', { ascending: false })
+      .order('feed_name');
+
+    if (sourceId) query = query.eq('source_id', sourceId);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+}
+
+module.exports = FeedFetcher;
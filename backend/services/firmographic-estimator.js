@@ -0,0 +1,447 @@
+/**
+ * Firmographic Estimator
+ * Turns research text, import data and website signals into headcount and
+ * revenue bands (with a confidence value) and fills employee_score / revenue_score
+ *
+ * Signals, strongest first:
+ * - Import data: employee_count / revenue columns from CRM exports
+ * - Research text: "$5M in revenue", "team of 40", "200+ employees"
+ * - Website: team page headcount, careers page (ATS embed, open roles), pricing tiers
+ *
+ * Scores measure fit with the $3M-$25M founder-led target, pulled toward 50
+ * when confidence is low so a weak guess never dominates prioritization.
+ */
+
+const cheerio = require('cheerio');
+const { lazyClient } = require('./supabase-client');
+const EntityResolver = require('./entity-resolver');
+const PoliteFetcher = require('./polite-fetcher');
+
+// Bands: [label, min, max, fit score (0-100)]
+const HEADCOUNT_BANDS = [
+  ['1-10', 1, 10, 20],
+  ['11-50', 11, 50, 80],
+  ['51-200', 51, 200, 100],
+  ['201-500', 201, 500, 50],
+  ['501-1000', 501, 1000, 20],
+  ['1000+', 1001, Infinity, 10]
+];
+
+const REVENUE_BANDS = [
+  ['<1M', 0, 999999, 15],
+  ['1M-3M', 1000000, 2999999, 45],
+  ['3M-10M', 3000000, 9999999, 100],
+  ['10M-25M', 10000000, 24999999, 90],
+  ['25M-100M', 25000000, 99999999, 40],
+  ['100M+', 100000000, Infinity, 10]
+];
+
+// Rough revenue per employee for small service / software businesses
+const REVENUE_PER_EMPLOYEE = 150000;
+
+// Base confidence per signal source
+const SOURCE_CONFIDENCE = {
+  import: 0.8,
+  research: 0.6,
+  team_page: 0.5,
+  careers_page: 0.3,
+  pricing_page: 0.25,
+  derived: 0.3
+};
+
+const ATS_PATTERNS = /(boards\.greenhouse\.io|jobs\.lever\.co|jobs\.ashbyhq\.com|apply\.workable\.com|bamboohr\.com\/careers|recruitee\.com|breezy\.hr)/i;
+
+class FirmographicEstimator {
+  /**
+   * Band labels, smallest first - { headcount: ['1-10', ...], revenue: ['<1M', ...] }
+   */
+  static get bands() {
+    return {
+      headcount: HEADCOUNT_BANDS.map(([label]) => label),
+      revenue: REVENUE_BANDS.map(([label]) => label)
+    };
+  }
+
+  constructor({ fetcher = new PoliteFetcher() } = {}) {
+    this.supabase = lazyClient();
+    this.resolver = new EntityResolver();
+    this.fetcher = fetcher;
+  }
+
+  // ============================================
+  // TEXT & IMPORT SIGNALS
+  // ============================================
+
+  /**
+   * "1,200" / "5.5" / "5.5m" style numbers -> number
+   */
+  parseAmount(value, unit = '') {
+    const number = parseFloat(String(value).replace(/,/g, ''));
+    if (isNaN(number)) return null;
+
+    const u = unit.toLowerCase();
+    if (u.startsWith('b')) return number * 1e9;
+    if (u.startsWith('m')) return number * 1e6;
+    if (u.startsWith('k') || u.startsWith('thousand')) return number * 1e3;
+    return number;
+  }
+
+  /**
+   * Headcount and revenue mentions in free text (research findings)
+   */
+  extractFromText(text) {
+    const signals = [];
+    if (!text) return signals;
+
+    // "50-100 employees", "200+ employees", "team of 12", "12 staff"
+    const headcountRange = text.match(/(\d[\d,]*)\s*(?:-|–|to)\s*(\d[\d,]*)\s*(?:employees|team members|people|staff)/i);
+    const headcountSingle = text.match(/(\d[\d,]*)\s*\+?\s*(?:full[- ]time\s+)?(?:employees|team members|people|staff)\b/i) ||
+      text.match(/team of\s+(?:about\s+|around\s+|over\s+)?(\d[\d,]*)/i);
+
+    if (headcountRange) {
+      const low = this.parseAmount(headcountRange[1]);
+      const high = this.parseAmount(headcountRange[2]);
+      signals.push({ metric: 'headcount', value: Math.sqrt(low * high), source: 'research', detail: headcountRange[0], confidence: SOURCE_CONFIDENCE.research * 0.9 });
+    } else if (headcountSingle) {
+      signals.push({ metric: 'headcount', value: this.parseAmount(headcountSingle[1]), source: 'research', detail: headcountSingle[0], confidence: SOURCE_CONFIDENCE.research });
+    } else if (/\b(solo(preneur)?|one[- ]person|sole proprietor|just me)\b/i.test(text)) {
+      signals.push({ metric: 'headcount', value: 1, source: 'research', detail: 'solo operator', confidence: SOURCE_CONFIDENCE.research * 0.7 });
+    } else if (/\bsmall team\b/i.test(text)) {
+      signals.push({ metric: 'headcount', value: 6, source: 'research', detail: 'small team', confidence: SOURCE_CONFIDENCE.research * 0.4 });
+    }
+
+    // "$5-10 million", "$3M to $5M in revenue"
+    const revenueRange = text.match(/\$\s?(\d+(?:\.\d+)?)\s*(k|m|million|b|billion)?\s*(?:-|–|to)\s*\$?\s?(\d+(?:\.\d+)?)\s*(k|m|million|b|billion)\b/i);
+    // "$5M in revenue", "$2.5 million ARR", "revenue of $800k", "12 million in revenue"
+    const revenueSingle = text.match(/\$\s?(\d+(?:\.\d+)?)\s*(k|m|million|b|billion)\b[^.]{0,40}?\b(revenue|arr|sales|turnover)/i) ||
+      text.match(/(?:revenue|arr|sales|turnover)[^.$]{0,30}?\$\s?(\d+(?:\.\d+)?)\s*(k|m|million|b|billion)\b/i) ||
+      text.match(/(\d+(?:\.\d+)?)\s*(million|billion)\s*(?:dollars\s*)?(?:in\s*)?(revenue|arr|sales)/i);
+
+    if (revenueRange) {
+      const high = this.parseAmount(revenueRange[3], revenueRange[4]);
+      const low = this.parseAmount(revenueRange[1], revenueRange[2] || revenueRange[4]);
+      signals.push({ metric: 'revenue', value: Math.sqrt(low * high), source: 'research', detail: revenueRange[0], confidence: SOURCE_CONFIDENCE.research * 0.9 });
+    } else if (revenueSingle) {
+      signals.push({ metric: 'revenue', value: this.parseAmount(revenueSingle[1], revenueSingle[2]), source: 'research', detail: revenueSingle[0], confidence: SOURCE_CONFIDENCE.research });
+    }
+
+    return signals.filter(s => s.value > 0);
+  }
+
+  /**
+   * Import columns: "11-50", "1,200", "$5M", "$1M-$10M", "5000000"
+   */
+  extractFromImport(data) {
+    const signals = [];
+
+    const parseRange = (raw, defaultUnit = '') => {
+      const parts = String(raw).match(/\$?\s?(\d[\d,.]*)\s*([kmb]|million|billion)?/gi);
+      if (!parts) return null;
+      const values = parts.map(p => {
+        const m = p.match(/\$?\s?(\d[\d,.]*)\s*([kmb]|million|billion)?/i);
+        return this.parseAmount(m[1], m[2] || defaultUnit);
+      }).filter(v => v > 0);
+      if (values.length === 0) return null;
+      return values.length > 1 ? Math.sqrt(values[0] * values[values.length - 1]) : values[0];
+    };
+
+    if (data.employee_count) {
+      const value = /\+/.test(data.employee_count)
+        ? parseRange(data.employee_count) * 1.5 // "1000+" - open-ended, lean higher
+        : parseRange(data.employee_count);
+      if (value) signals.push({ metric: 'headcount', value, source: 'import', detail: `employee_count: ${data.employee_count}`, confidence: SOURCE_CONFIDENCE.import });
+    }
+
+    if (data.revenue) {
+      const value = parseRange(data.revenue);
+      if (value) signals.push({ metric: 'revenue', value, source: 'import', detail: `revenue: ${data.revenue}`, confidence: SOURCE_CONFIDENCE.import });
+    }
+
+    return signals;
+  }
+
+  /**
+   * All research text we keep on an opportunity
+   */
+  collectResearchText(opportunityData = {}) {
+    const pieces = [];
+    const collect = (value) => {
+      if (typeof value === 'string') pieces.push(value);
+      else if (value && typeof value === 'object') Object.values(value).forEach(collect);
+    };
+
+    const research = opportunityData.lead_research || {};
+    // raw_response duplicates the findings and sources are URLs
+    const { raw_response, sources, ...findings } = research;
+    collect(findings);
+    collect(opportunityData.research);
+
+    return pieces.join('\n');
+  }
+
+  // ============================================
+  // WEBSITE SIGNALS
+  // ============================================
+
+  /**
+   * Count people on a team/about page (cards with a photo + name, or team-member blocks)
+   */
+  analyzeTeamPage(html) {
+    const $ = cheerio.load(html);
+    let count = $('[class*="team-member"], [class*="teammember"], [class*="team_member"], [class*="person-card"], [class*="staff-member"]').length;
+
+    if (count === 0) {
+      // Fall back to photos inside a section that talks about the team
+      $('section, div').each((i, el) => {
+        const attrs = `${$(el).attr('id') || ''} ${$(el).attr('class') || ''}`;
+        if (/team|people|staff|leadership/i.test(attrs)) {
+          count = Math.max(count, $(el).find('img').length);
+        }
+      });
+    }
+
+    if (count < 2) return null;
+    // Team pages usually show leadership plus a subset of staff
+    return {
+      metric: 'headcount',
+      value: Math.round(count * 1.5),
+      source: 'team_page',
+      detail: `${count} people on team page`,
+      confidence: SOURCE_CONFIDENCE.team_page
+    };
+  }
+
+  /**
+   * Careers page: an ATS embed or a list of open roles means a real hiring process
+   */
+  analyzeCareersPage(html) {
+    const $ = cheerio.load(html);
+    const hasAts = ATS_PATTERNS.test(html);
+    const roles = $('a[href*="/job"], a[href*="/careers/"], a[href*="/positions/"], [class*="job-listing"], [class*="opening"], [class*="position"]').length;
+
+    if (!hasAts && roles === 0) return null;
+
+    return {
+      metric: 'headcount',
+      value: Math.max(15, roles * 8),
+      source: 'careers_page',
+      detail: `${hasAts ? 'ATS embed' : 'careers page'}${roles ? `, ~${roles} open roles` : ''}`,
+      confidence: SOURCE_CONFIDENCE.careers_page
+    };
+  }
+
+  /**
+   * Pricing page: an enterprise / "contact sales" tier and high price points suggest more revenue
+   */
+  analyzePricingPage(html) {
+    const $ = cheerio.load(html);
+    const text = $('body').text();
+    const prices = [...text.matchAll(/\$\s?(\d[\d,]*)(?:\.\d{2})?\s*(?:\/|per)\s*(mo|month|yr|year)/gi)]
+      .map(m => this.parseAmount(m[1]) / (/^y/i.test(m[2]) ? 12 : 1))
+      .filter(p => p > 0);
+    const enterprise = /\b(enterprise|contact sales|talk to sales|custom pricing)\b/i.test(text);
+
+    if (prices.length === 0 && !enterprise) return null;
+
+    const maxMonthly = prices.length > 0 ? Math.max(...prices) : 0;
+    let value = 500000;
+    if (enterprise) value = 3000000;
+    else if (maxMonthly >= 500) value = 2000000;
+    else if (maxMonthly >= 100) value = 1000000;
+
+    return {
+      metric: 'revenue',
+      value,
+      source: 'pricing_page',
+      detail: `${prices.length} price points (max $${Math.round(maxMonthly)}/mo)${enterprise ? ', enterprise tier' : ''}`,
+      confidence: SOURCE_CONFIDENCE.pricing_page
+    };
+  }
+
+  async fetchPage(url) {
+    return this.fetcher.get(url);
+  }
+
+  /**
+   * Try the usual team / careers / pricing paths on a domain
+   */
+  async crawlSignals(domain) {
+    const signals = [];
+    const checks = [
+      { paths: ['/team', '/about', '/about-us', '/our-team'], analyze: html => this.analyzeTeamPage(html) },
+      { paths: ['/careers', '/jobs', '/join-us'], analyze: html => this.analyzeCareersPage(html) },
+      { paths: ['/pricing', '/plans'], analyze: html => this.analyzePricingPage(html) }
+    ];
+
+    for (const check of checks) {
+      for (const path of check.paths) {
+        try {
+          const signal = check.analyze(await this.fetchPage(`https://${domain}${path}`));
+          if (signal) {
+            signals.push({ ...signal, detail: `${path}: ${signal.detail}` });
+            break;
+          }
+        } catch {
+          // Missing page - try the next path
+        }
+      }
+    }
+
+    return signals;
+  }
+
+  // ============================================
+  // COMBINING
+  // ============================================
+
+  /**
+   * Confidence-weighted geometric mean of the signals for one metric
+   * Returns { estimate, band, confidence, signals } or null
+   */
+  combine(signals, bands) {
+    if (signals.length === 0) return null;
+
+    const totalWeight = signals.reduce((sum, s) => sum + s.confidence, 0);
+    const logEstimate = signals.reduce((sum, s) => sum + Math.log10(s.value) * s.confidence, 0) / totalWeight;
+    const estimate = Math.round(Math.pow(10, logEstimate));
+
+    // Independent signals add up; disagreement (> 10x apart) costs confidence
+    let confidence = 1 - signals.reduce((product, s) => product * (1 - s.confidence), 1);
+    const logs = signals.map(s => Math.log10(s.value));
+    if (Math.max(...logs) - Math.min(...logs) > 1) confidence *= 0.7;
+    confidence = Math.round(Math.min(0.95, confidence) * 100) / 100;
+
+    const band = bands.find(([, min, max]) => estimate >= min && estimate <= max) || bands[bands.length - 1];
+
+    return {
+      estimate,
+      band: band[0],
+      fit: band[3],
+      confidence,
+      signals: signals.map(s => ({ source: s.source, value: Math.round(s.value), detail: s.detail, confidence: s.confidence }))
+    };
+  }
+
+  /**
+   * Score = band fit, pulled toward a neutral 50 by low confidence
+   */
+  toScore(result) {
+    if (!result) return null;
+    return Math.round(50 + (result.fit - 50) * result.confidence);
+  }
+
+  /**
+   * Estimate headcount and revenue from every available signal
+   */
+  estimate(opportunityData = {}, websiteSignals = []) {
+    const signals = [
+      ...this.extractFromImport(opportunityData),
+      ...this.extractFromText(this.collectResearchText(opportunityData)),
+      ...websiteSignals
+    ];
+
+    let headcountSignals = signals.filter(s => s.metric === 'headcount');
+    let revenueSignals = signals.filter(s => s.metric === 'revenue');
+
+    // Fill a missing metric from the other one
+    if (revenueSignals.length === 0 && headcountSignals.length > 0) {
+      const headcount = this.combine(headcountSignals, HEADCOUNT_BANDS);
+      revenueSignals = [{
+        metric: 'revenue',
+        value: headcount.estimate * REVENUE_PER_EMPLOYEE,
+        source: 'derived',
+        detail: `~${headcount.estimate} people × $${REVENUE_PER_EMPLOYEE / 1000}k`,
+        confidence: Math.min(SOURCE_CONFIDENCE.derived, headcount.confidence * 0.5)
+      }];
+    } else if (headcountSignals.length === 0 && revenueSignals.length > 0) {
+      const revenue = this.combine(revenueSignals, REVENUE_BANDS);
+      headcountSignals = [{
+        metric: 'headcount',
+        value: Math.max(1, revenue.estimate / REVENUE_PER_EMPLOYEE),
+        source: 'derived',
+        detail: `$${Math.round(revenue.estimate / 1000)}k ÷ $${REVENUE_PER_EMPLOYEE / 1000}k per person`,
+        confidence: Math.min(SOURCE_CONFIDENCE.derived, revenue.confidence * 0.5)
+      }];
+    }
+
+    const headcount = this.combine(headcountSignals, HEADCOUNT_BANDS);
+    const revenue = this.combine(revenueSignals, REVENUE_BANDS);
+
+    return {
+      headcount,
+      revenue,
+      employee_score: this.toScore(headcount),
+      revenue_score: this.toScore(revenue),
+      estimated_at: new Date().toISOString()
+    };
+  }
+
+  // ============================================
+  // ENRICHMENT
+  // ============================================
+
+  /**
+   * Estimate and save firmographics for one opportunity
+   * crawl=false skips the website and only uses data we already have
+   */
+  async enrichOpportunity(opportunity, { crawl = true } = {}) {
+    let websiteSignals = [];
+    const domain = this.resolver.normalizeDomain(opportunity.company_domain);
+
+    if (crawl && this.resolver.isIdentityDomain(domain)) {
+      console.log(`📏 Checking team/careers/pricing pages for ${domain}...`);
+      websiteSignals = await this.crawlSignals(domain);
+    }
+
+    const firmographics = this.estimate(opportunity.opportunity_data || {}, websiteSignals);
+
+    const update = {
+      opportunity_data: { ...(opportunity.opportunity_data || {}), firmographics }
+    };
+    // Only overwrite scores when we actually have an estimate
+    if (firmographics.employee_score !== null) update.employee_score = firmographics.employee_score;
+    if (firmographics.revenue_score !== null) update.revenue_score = firmographics.revenue_score;
+
+    const { error } = await this.supabase
+      .from('scored_opportunities')
+      .update(update)
+      .eq('id', opportunity.id);
+
+    if (error) throw new Error(error.message);
+
+    return {
+      opportunity_id: opportunity.id,
+      headcount: firmographics.headcount && { band: firmographics.headcount.band, confidence: firmographics.headcount.confidence },
+      revenue: firmographics.revenue && { band: firmographics.revenue.band, confidence: firmographics.revenue.confidence },
+      employee_score: firmographics.employee_score,
+      revenue_score: firmographics.revenue_score
+    };
+  }
+
+  /**
+   * Enrich opportunities that have no firmographics yet (best leads first)
+   */
+  async enrichPending(limit = 10, options = {}) {
+    const { data: opportunities, error } = await this.supabase
+      .from('scored_opportunities')
+      .select('id, company_name, company_domain, opportunity_data')
+      .is('opportunity_data->firmographics', null)
+      .order('overall_score', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    const results = [];
+    for (const opportunity of opportunities || []) {
+      try {
+        results.push(await this.enrichOpportunity(opportunity, options));
+      } catch (err) {
+        results.push({ opportunity_id: opportunity.id, error: err.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = FirmographicEstimator;
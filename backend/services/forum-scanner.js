@@ -1,22 +1,25 @@
-const { createClient } = require('@supabase/supabase-js');
 const Parser = require('rss-parser');
+const SourceAdapter = require('./source-adapter');
+const ScoreExplainer = require('./score-explainer');
+const TextSignals = require('./text-signals');
 
-class ForumScanner {
+class ForumScanner extends SourceAdapter {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    super({
+      id: 'forums',
+      name: 'Forums',
+      description: 'Reddit startup/business communities',
+      duplicateWindowHours: 24 // the same poster coming back with a new question is a new signal
+    });
     this.parser = new Parser({
       timeout: 15000,
       headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'application/rss+xml, application/xml, text/xml, */*'
       }
     });
 
-    // Reddit and other forum RSS feeds
-    this.forums = [
+    // Reddit and other forum RSS feeds - editable through /api/sources/forums/feeds
+    this.defaultFeeds = [
       { name: 'r/startups', url: 'https://www.reddit.com/r/startups/.rss' },
       { name: 'r/Entrepreneur', url: 'https://www.reddit.com/r/Entrepreneur/.rss' },
       { name: 'r/SaaS', url: 'https://www.reddit.com/r/SaaS/.rss' },
@@ -25,121 +28,120 @@ class ForumScanner {
       { name: 'r/digital_marketing', url: 'https://www.reddit.com/r/digital_marketing/.rss' },
       { name: 'r/growthhacking', url: 'https://www.reddit.com/r/growthhacking/.rss' }
     ];
+    this.feeds = this.defaultFeeds;
+
+    // Keyword lists - editable through /api/sources/forums/keywords/:list
+    this.defaultKeywords = {
+      // Pain point indicators
+      pain: [
+        'struggling', 'problem', 'issue', 'challenge', 'difficult',
+        'need help', 'looking for', 'how do i', 'cant figure',
+        'frustrated', 'failing', 'stuck', 'advice needed'
+      ],
+      // Question indicators (people asking questions are seeking solutions)
+      question: [
+        'how to', 'how can', 'what is the best', 'any recommendations',
+        'does anyone know', 'looking for', 'need', 'want'
+      ],
+      // Business context
+      business: [
+        'startup', 'business', 'saas', 'company', 'revenue',
+        'customer', 'user', 'client', 'sales', 'marketing',
+        'product', 'service', 'growth', 'scale'
+      ]
+    };
+    this.keywords = { ...this.defaultKeywords };
   }
 
-  async scanAllForums() {
-    console.log('🔍 Scanning forums for opportunities...');
-    const opportunities = [];
-
-    try {
-      for (const forum of this.forums) {
-        try {
-          console.log(`📡 Scanning ${forum.name}...`);
-          const feed = await this.parser.parseURL(forum.url);
-
-          // Analyze recent posts (last 20)
-          const recentPosts = feed.items.slice(0, 20);
-          console.log(`   Found ${recentPosts.length} posts in ${forum.name}`);
-
-          for (const post of recentPosts) {
-            const opportunity = this.analyzePost(post, forum.name);
-            if (opportunity) {
-              // Check for duplicates
-              const { data: existing } = await this.supabase
-                .from('scored_opportunities')
-                .select('id')
-                .eq('company_name', opportunity.author)
-                .eq('source', 'forum')
-                .gte('created_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()) // Last 24 hours
-                .limit(1);
-
-              if (existing && existing.length > 0) {
-                continue; // Skip duplicate
-              }
-
-              // Save to database with enhanced data
-              const { data, error } = await this.supabase
-                .from('scored_opportunities')
-                .insert({
-                  company_name: opportunity.author,
-                  company_domain: 'reddit.com',
-                  overall_score: opportunity.fit_score * 10,
-                  signal_strength_score: opportunity.engagement * 10,
-                  route_to_outreach: opportunity.fit_score >= 7,
-                  priority_tier: opportunity.urgency === 'urgent' ? 'tier_1' : 'tier_2',
-                  source: 'forum',
-                  opportunity_data: {
-                    forum: forum.name,
-                    post_title: opportunity.title,
-                    post_url: opportunity.url,
-                    pain_point: opportunity.pain_point,
-                    business_area: opportunity.business_area,
-                    urgency: opportunity.urgency,
-                    engagement_score: opportunity.engagement,
-                    posted_at: post.pubDate || post.isoDate
-                  }
-                })
-                .select();
-
-              if (!error && data) {
-                opportunities.push(data[0]);
-                console.log(`   ✅ Saved: ${opportunity.author} (score: ${opportunity.fit_score * 10})`);
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error scanning ${forum.name}:`, error.message);
-        }
-      }
-
-      console.log(`✅ Found ${opportunities.length} new opportunities from forums`);
-      return opportunities;
-    } catch (error) {
-      console.error('❌ Forum scan error:', error);
-      return [];
-    }
+  /**
+   * Analyze recent posts (last 20) from every forum
+   */
+  async fetch() {
+    return this.fetchFeeds(this.parser, this.feeds, 20);
   }
 
-  analyzePost(post, forumName) {
-    const title = (post.title || '').toLowerCase();
-    const content = (post.contentSnippet || post.content || '').toLowerCase();
-    const text = title + ' ' + content;
-
-    // Pain point indicators
-    const painKeywords = [
-      'struggling', 'problem', 'issue', 'challenge', 'difficult',
-      'need help', 'looking for', 'how do i', 'cant figure',
-      'frustrated', 'failing', 'stuck', 'advice needed'
-    ];
-
-    // Question indicators (people asking questions are seeking solutions)
-    const questionKeywords = [
-      'how to', 'how can', 'what is the best', 'any recommendations',
-      'does anyone know', 'looking for', 'need', 'want'
-    ];
-
-    // Business context
-    const businessKeywords = [
-      'startup', 'business', 'saas', 'company', 'revenue',
-      'customer', 'user', 'client', 'sales', 'marketing',
-      'product', 'service', 'growth', 'scale'
-    ];
+  normalize({ item, feed }) {
+    return {
+      title: item.title || '',
+      content: item.contentSnippet || item.content || '',
+      url: item.link,
+      author: this.extractAuthor(item),
+      published_at: item.pubDate || item.isoDate || null,
+      feed,
+      raw: item
+    };
+  }
 
-    let painScore = 0;
-    let questionScore = 0;
-    let businessScore = 0;
+  async analyze(normalized) {
+    const opportunity = this.analyzePost(normalized.raw, normalized.feed.name);
+    if (!opportunity) return null;
+
+    return {
+      company_name: opportunity.author,
+      company_domain: 'reddit.com',
+      overall_score: opportunity.fit_score * 10,
+      signal_strength_score: opportunity.engagement * 10,
+      route_to_outreach: opportunity.fit_score >= 7,
+      priority_tier: opportunity.urgency === 'urgent' ? 'tier_1' : 'tier_2',
+      source: 'forum',
+      opportunity_data: {
+        forum: normalized.feed.name,
+        post_title: opportunity.title,
+        post_url: opportunity.url,
+        pain_point: opportunity.pain_point,
+        business_area: opportunity.business_area,
+        urgency: opportunity.urgency,
+        engagement_score: opportunity.engagement,
+        posted_at: normalized.published_at,
+        score_explanation: this.explainScore(opportunity)
+      }
+    };
+  }
 
-    painKeywords.forEach(keyword => {
-      if (text.includes(keyword)) painScore++;
+  /**
+   * score_explanation: one point per pain/question/business keyword, fit capped at 10
+   */
+  explainScore(opportunity) {
+    const { pain, question, business } = opportunity.keyword_hits;
+    const raw = pain.length + question.length + business.length;
+    const tier = opportunity.urgency === 'urgent' ? 'tier_1' : 'tier_2';
+    const routed = opportunity.fit_score >= 7;
+    const list = (name, label, hits) => ScoreExplainer.component(name, { label, hits, raw: hits.length, value: hits.length });
+
+    return ScoreExplainer.explain({
+      scorer: 'forums',
+      score: opportunity.fit_score,
+      maxScore: 10,
+      overallScore: opportunity.fit_score * 10,
+      outcome: tier,
+      outcomeReason: `Urgency ${opportunity.urgency} (${pain.length} pain keywords) -> ${tier}; fit ${opportunity.fit_score} ${routed ? '>= 7 routes to outreach' : '< 7 not routed'}`,
+      qualification: {
+        met: 2,
+        required: 2,
+        criteria: {
+          business: { met: true, signals: business.map(h => h.keyword) },
+          pain_or_question: { met: true, signals: [...pain, ...question].map(h => h.keyword) }
+        },
+        auto_qualified_by: []
+      },
+      components: [
+        list('pain', 'Pain keywords', pain),
+        list('question', 'Question keywords', question),
+        list('business', 'Business keywords', business),
+        ScoreExplainer.component('fit', { label: 'Fit (sum, capped)', raw, value: opportunity.fit_score, max: 10 })
+      ]
     });
+  }
 
-    questionKeywords.forEach(keyword => {
-      if (text.includes(keyword)) questionScore++;
-    });
+  analyzePost(post, forumName) {
+    const signals = new TextSignals({ title: post.title, content: post.contentSnippet || post.content });
 
-    businessKeywords.forEach(keyword => {
-      if (text.includes(keyword)) businessScore++;
-    });
+    const painHits = signals.hits(this.keywords.pain, 1);
+    const questionHits = signals.hits(this.keywords.question, 1);
+    const businessHits = signals.hits(this.keywords.business, 1);
+    const painScore = painHits.length;
+    const questionScore = questionHits.length;
+    const businessScore = businessHits.length;
 
     // Calculate total engagement
     const engagement = Math.min(10, (painScore + questionScore));
@@ -153,11 +155,16 @@ class ForumScanner {
         forum: forumName,
         url: post.link,
         author: this.extractAuthor(post),
-        pain_point: this.extractPainPoint(text),
-        business_area: this.detectBusinessArea(text),
+        pain_point: this.extractPainPoint(signals),
+        business_area: this.detectBusinessArea(signals),
         urgency: painScore >= 2 ? 'urgent' : (questionScore >= 1 ? 'high' : 'medium'),
         fit_score: fitScore,
-        engagement: engagement
+        engagement: engagement,
+        keyword_hits: {
+          pain: painHits,
+          question: questionHits,
+          business: businessHits
+        }
       };
     }
 
@@ -170,22 +177,22 @@ class ForumScanner {
     return 'reddit_user';
   }
 
-  extractPainPoint(text) {
-    if (text.includes('struggling') || text.includes('stuck')) return 'Facing operational challenges';
-    if (text.includes('need help') || text.includes('advice needed')) return 'Seeking expert guidance';
-    if (text.includes('looking for') || text.includes('recommendations')) return 'Actively searching for solutions';
-    if (text.includes('how to') || text.includes('how can')) return 'Knowledge gap - needs implementation help';
-    if (text.includes('failing') || text.includes('not working')) return 'Current solution failing';
+  extractPainPoint(signals) {
+    if (signals.hasAny(['struggling', 'stuck'])) return 'Facing operational challenges';
+    if (signals.hasAny(['need help', 'advice needed'])) return 'Seeking expert guidance';
+    if (signals.hasAny(['looking for', 'recommendations'])) return 'Actively searching for solutions';
+    if (signals.hasAny(['how to', 'how can'])) return 'Knowledge gap - needs implementation help';
+    if (signals.hasAny(['failing', 'not working'])) return 'Current solution failing';
     return 'Business challenge or question';
   }
 
-  detectBusinessArea(text) {
-    if (text.includes('marketing') || text.includes('customer acquisition') || text.includes('advertising')) return 'marketing';
-    if (text.includes('sales') || text.includes('revenue') || text.includes('conversion')) return 'sales';
-    if (text.includes('product') || text.includes('development') || text.includes('feature')) return 'product';
-    if (text.includes('operations') || text.includes('workflow') || text.includes('automation')) return 'operations';
-    if (text.includes('growth') || text.includes('scale') || text.includes('expand')) return 'growth';
-    if (text.includes('funding') || text.includes('investor') || text.includes('capital')) return 'funding';
+  detectBusinessArea(signals) {
+    if (signals.hasAny(['marketing', 'customer acquisition', 'advertising'])) return 'marketing';
+    if (signals.hasAny(['sales', 'revenue', 'conversion'])) return 'sales';
+    if (signals.hasAny(['product', 'development', 'feature'])) return 'product';
+    if (signals.hasAny(['operations', 'workflow', 'automation'])) return 'operations';
+    if (signals.hasAny(['growth', 'scale', 'expand'])) return 'growth';
+    if (signals.hasAny(['funding', 'investor', 'capital'])) return 'funding';
     return 'general';
   }
 
@@ -0,0 +1,90 @@
+/**
+ * Gap Classifier
+ * Classifies an opportunity's pain text (post, snippet, research) into the gap
+ * taxonomy in gap-taxonomy.json - no API calls
+ *
+ * Every category with enough evidence becomes a gap, so one company can have
+ * several. Each keyword hit is quoted (the sentence it sits in); a quote counts
+ * QUOTE_WEIGHT, or CUED_QUOTE_WEIGHT when the sentence also states a problem
+ * ("struggling with", "too much time"). Confidence combines the quotes as
+ * independent evidence: 1 - (1 - w1)(1 - w2)..., capped at MAX_CONFIDENCE.
+ */
+
+const TextSignals = require('./text-signals');
+const taxonomy = require('./gap-taxonomy.json');
+
+const QUOTE_WEIGHT = 0.3;
+const CUED_QUOTE_WEIGHT = 0.5;
+const MAX_CONFIDENCE = 0.95;
+const MIN_CONFIDENCE = 0.35; // one quote alone needs a pain cue
+const MAX_QUOTES = 5;
+
+class GapClassifier {
+  constructor(definition = taxonomy) {
+    this.taxonomy = definition;
+  }
+
+  static get categories() {
+    return taxonomy.categories.map(({ id, type, label }) => ({ id, type, label }));
+  }
+
+  /**
+   * Evidence quotes for a category - one per distinct sentence, strongest first
+   */
+  collectEvidence(signals, category) {
+    const quotes = new Map();
+
+    category.keywords.forEach(keyword => {
+      signals.find(keyword).filter(match => !match.negated).forEach(match => {
+        const quote = signals.quote(match);
+        const key = `${match.field}|${quote}`;
+        if (quotes.has(key)) {
+          quotes.get(key).keywords.push(keyword);
+          return;
+        }
+
+        const painCue = new TextSignals(quote).matched(this.taxonomy.pain_cues)[0] || null;
+        quotes.set(key, {
+          quote,
+          field: match.field,
+          keywords: [keyword],
+          pain_cue: painCue,
+          weight: painCue ? CUED_QUOTE_WEIGHT : QUOTE_WEIGHT
+        });
+      });
+    });
+
+    return [...quotes.values()].sort((a, b) => b.weight - a.weight);
+  }
+
+  static combine(evidence) {
+    const confidence = 1 - evidence.reduce((remaining, item) => remaining * (1 - item.weight), 1);
+    return Math.round(Math.min(confidence, MAX_CONFIDENCE) * 100) / 100;
+  }
+
+  /**
+   * Gaps found in an opportunity, most confident first:
+   * [{ type, category, label, description, solution, confidence, evidence }]
+   */
+  classify(opportunity) {
+    const signals = TextSignals.fromObject(opportunity, this.taxonomy.text_fields);
+
+    return this.taxonomy.categories
+      .map(category => {
+        const evidence = this.collectEvidence(signals, category);
+        return {
+          type: category.type,
+          category: category.id,
+          label: category.label,
+          description: category.description,
+          solution: category.solution,
+          confidence: GapClassifier.combine(evidence),
+          evidence: evidence.slice(0, MAX_QUOTES).map(({ weight, ...quote }) => quote)
+        };
+      })
+      .filter(gap => gap.confidence >= MIN_CONFIDENCE)
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+module.exports = GapClassifier;
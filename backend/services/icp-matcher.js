@@ -0,0 +1,193 @@
+/**
+ * ICP Matcher
+ * Scores an opportunity against ideal customer profiles - no API calls
+ *
+ * Each criterion a profile defines is met, missed or unknown (no data yet):
+ *   industry    - industries keywords in the import's industry column, company name or
+ *                 research background (or OutreachBrain's detected industry)
+ *   tenure      - OutreachBrain founder stage (early_growth ... exit_ready)
+ *   headcount / revenue - opportunity_data.firmographics bands
+ *   location    - import location column
+ *   tech_stack  - tools or categories from opportunity_data.tech_stack
+ * Score = weighted share of criteria met (unknown counts half), 0-100.
+ * excluded_keywords and required_keywords are gates: a hit / a miss scores 0.
+ */
+
+const OutreachBrain = require('./outreach-brain');
+const TextSignals = require('./text-signals');
+const scoringRules = require('./scoring-rules.json');
+
+const DEFAULT_WEIGHTS = {
+  industry: 25,
+  revenue: 20,
+  tenure: 15,
+  headcount: 10,
+  location: 10,
+  tech_stack: 10
+};
+const CRITERIA = Object.keys(DEFAULT_WEIGHTS);
+const CREDIT = { match: 1, unknown: 0.5, mismatch: 0 }; // missing data neither proves nor rules out a fit
+const DEFAULT_MIN_MATCH = 60;
+
+class IcpMatcher {
+  constructor() {
+    this.brain = new OutreachBrain();
+  }
+
+  static get criteria() {
+    return CRITERIA;
+  }
+
+  /**
+   * Founder stage names, from OutreachBrain.TENURE_THRESHOLDS
+   */
+  static get founderStages() {
+    return Object.keys(OutreachBrain.TENURE_THRESHOLDS).map(key => key.toLowerCase());
+  }
+
+  /**
+   * The lead shape OutreachBrain reads (research background from any research format)
+   */
+  brainLead(opportunity) {
+    const data = opportunity.opportunity_data || {};
+    return {
+      company_name: opportunity.company_name || '',
+      lead_research: {
+        company_background: data.lead_research?.company_background || data.research?.companyBackground || data.research_summary || ''
+      }
+    };
+  }
+
+  // ============================================
+  // CRITERIA - each returns { status: match | mismatch | unknown, detail }
+  // ============================================
+
+  matchIndustry(industries, opportunity, lead) {
+    const data = opportunity.opportunity_data || {};
+    const signals = new TextSignals({
+      industry: data.industry,
+      company_name: lead.company_name,
+      company_background: lead.lead_research.company_background
+    });
+
+    const hit = signals.evidence(industries, 1)[0];
+    if (hit) return { status: 'match', detail: `"${hit.keyword}" in ${hit.field}` };
+
+    const detected = this.brain.analyzeIndustry(lead).detected;
+    if (detected !== 'unknown') {
+      const label = detected.replace(/_/g, ' ');
+      return new TextSignals(label).hasAny(industries)
+        ? { status: 'match', detail: `detected industry ${label}` }
+        : { status: 'mismatch', detail: `detected industry ${label}` };
+    }
+
+    if (data.industry) return { status: 'mismatch', detail: `industry "${data.industry}"` };
+    return { status: 'unknown', detail: 'no industry data' };
+  }
+
+  matchTenure(stages, lead) {
+    const { years } = this.brain.analyzeTenure(lead);
+    if (!years) return { status: 'unknown', detail: 'no founding year in research' };
+
+    const stage = this.brain.determineFounderStage(years);
+    return { status: stages.includes(stage) ? 'match' : 'mismatch', detail: `${years} years (${stage})` };
+  }
+
+  matchBand(bands, estimate, label) {
+    if (!estimate?.band) return { status: 'unknown', detail: `no ${label} estimate` };
+    return { status: bands.includes(estimate.band) ? 'match' : 'mismatch', detail: `${label} ${estimate.band}` };
+  }
+
+  matchLocation(locations, opportunity) {
+    const location = opportunity.opportunity_data?.location;
+    if (!location) return { status: 'unknown', detail: 'no location' };
+    return { status: new TextSignals(location).hasAny(locations) ? 'match' : 'mismatch', detail: location };
+  }
+
+  matchTechStack(tools, opportunity) {
+    const techStack = opportunity.opportunity_data?.tech_stack;
+    if (!techStack) return { status: 'unknown', detail: 'tech stack not scanned' };
+
+    const wanted = tools.map(tool => tool.toLowerCase());
+    const detected = (techStack.technologies || []).map(t => t.name);
+    const found = [
+      ...detected.filter(name => wanted.includes(name.toLowerCase())),
+      ...Object.entries(techStack.categories || {})
+        .filter(([category, names]) => wanted.includes(category.toLowerCase()) && names.length > 0)
+        .map(([category]) => category)
+    ];
+
+    return found.length > 0
+      ? { status: 'match', detail: found.join(', ') }
+      : { status: 'mismatch', detail: detected.length > 0 ? `uses ${detected.slice(0, 5).join(', ')}` : 'nothing detected' };
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * One profile: { icp_id, name, score, matched, criteria, excluded_by, missing_required }
+   */
+  matchProfile(opportunity, profile) {
+    const data = opportunity.opportunity_data || {};
+    const lead = this.brainLead(opportunity);
+    const weights = { ...DEFAULT_WEIGHTS, ...(profile.weights || {}) };
+    const content = TextSignals.fromObject(opportunity, scoringRules.content_fields);
+
+    const criteria = {};
+    if (profile.industries?.length) criteria.industry = this.matchIndustry(profile.industries, opportunity, lead);
+    if (profile.tenure_stages?.length) criteria.tenure = this.matchTenure(profile.tenure_stages, lead);
+    if (profile.headcount_bands?.length) criteria.headcount = this.matchBand(profile.headcount_bands, data.firmographics?.headcount, 'headcount');
+    if (profile.revenue_bands?.length) criteria.revenue = this.matchBand(profile.revenue_bands, data.firmographics?.revenue, 'revenue');
+    if (profile.locations?.length) criteria.location = this.matchLocation(profile.locations, opportunity);
+    if (profile.tech_stack?.length) criteria.tech_stack = this.matchTechStack(profile.tech_stack, opportunity);
+
+    let earned = 0;
+    let possible = 0;
+    Object.entries(criteria).forEach(([name, result]) => {
+      result.weight = weights[name];
+      earned += weights[name] * CREDIT[result.status];
+      possible += weights[name];
+    });
+
+    const excludedBy = content.evidence(profile.excluded_keywords || [], Infinity);
+    const missingRequired = (profile.required_keywords || []).filter(keyword => !content.has(keyword));
+
+    const score = excludedBy.length > 0 || missingRequired.length > 0
+      ? 0
+      : (possible > 0 ? Math.round(earned / possible * 100) : 100);
+    const minMatch = profile.min_match ?? DEFAULT_MIN_MATCH;
+
+    return {
+      icp_id: profile.id,
+      name: profile.name,
+      score,
+      min_match: minMatch,
+      matched: score >= minMatch,
+      criteria,
+      excluded_by: excludedBy,
+      missing_required: missingRequired
+    };
+  }
+
+  /**
+   * Best fit across profiles - icp_id is null unless the best profile reaches its min_match
+   * Returns { icp_id, icp_match_score, profiles, matched_at } (stored as opportunity_data.icp_match)
+   */
+  match(opportunity, profiles) {
+    const results = profiles
+      .map(profile => this.matchProfile(opportunity, profile))
+      .sort((a, b) => b.score - a.score);
+
+    const best = results.find(result => result.matched) || null;
+    return {
+      icp_id: best ? best.icp_id : null,
+      icp_match_score: best ? best.score : (results[0]?.score ?? null),
+      profiles: results,
+      matched_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = IcpMatcher;
@@ -0,0 +1,331 @@
+/**
+ * ICP Profiles
+ * Ideal customer profiles stored in icp_profiles, and the icp_id / icp_match_score
+ * every scored opportunity carries
+ *
+ * Until a profile is saved the built-in icp-defaults.json profiles are used; the
+ * first save copies them into the table so edits start from the current list.
+ * Matching (see icp-matcher.js) stores the best profile in icp_id (null when none
+ * reaches its min_match), the best score in icp_match_score and the per-profile
+ * breakdown in opportunity_data.icp_match.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const IcpMatcher = require('./icp-matcher');
+const FirmographicEstimator = require('./firmographic-estimator');
+const defaults = require('./icp-defaults.json');
+
+const CACHE_TTL_MS = 60 * 1000;
+const PAGE_SIZE = 1000;
+const LIST_FIELDS = ['industries', 'tenure_stages', 'headcount_bands', 'revenue_bands', 'locations', 'required_keywords', 'excluded_keywords', 'tech_stack'];
+
+// Enabled profiles shared across requests
+let activeCache = { profiles: null, loadedAt: 0 };
+
+class IcpProfiles {
+  constructor() {
+    this.supabase = lazyClient();
+    this.matcher = new IcpMatcher();
+  }
+
+  static get defaultProfiles() {
+    return defaults.profiles;
+  }
+
+  static clearCache() {
+    activeCache = { profiles: null, loadedAt: 0 };
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Check a profile definition - returns a list of problems (empty when valid)
+   */
+  static validate(profile) {
+    const errors = [];
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['Profile must be a JSON object'];
+
+    if (typeof profile.id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,49}$/.test(profile.id)) {
+      errors.push('id must be 1-50 lowercase letters, digits, - or _');
+    }
+    if (typeof profile.name !== 'string' || !profile.name.trim() || profile.name.length > 100) {
+      errors.push('name must be a non-empty string (max 100 chars)');
+    }
+
+    LIST_FIELDS.forEach(field => {
+      const value = profile[field];
+      if (value !== undefined && !(Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() && v.length <= 100))) {
+        errors.push(`${field} must be a list of strings`);
+      }
+    });
+
+    const allowed = {
+      tenure_stages: IcpMatcher.founderStages,
+      headcount_bands: FirmographicEstimator.bands.headcount,
+      revenue_bands: FirmographicEstimator.bands.revenue
+    };
+    Object.entries(allowed).forEach(([field, values]) => {
+      if (!Array.isArray(profile[field])) return;
+      profile[field].filter(v => !values.includes(v)).forEach(v => errors.push(`${field}: unknown value "${v}" (expected one of ${values.join(', ')})`));
+    });
+
+    if (profile.weights !== undefined) {
+      if (!profile.weights || typeof profile.weights !== 'object') {
+        errors.push('weights must be an object');
+      } else {
+        Object.entries(profile.weights).forEach(([name, weight]) => {
+          if (!IcpMatcher.criteria.includes(name)) errors.push(`weights.${name}: unknown criterion (expected one of ${IcpMatcher.criteria.join(', ')})`);
+          else if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) errors.push(`weights.${name} must be a number >= 0`);
+        });
+      }
+    }
+
+    if (profile.min_match !== undefined && (typeof profile.min_match !== 'number' || profile.min_match < 0 || profile.min_match > 100)) {
+      errors.push('min_match must be a number between 0 and 100');
+    }
+
+    return errors;
+  }
+
+  // ============================================
+  // PROFILES
+  // ============================================
+
+  async getStoredProfiles() {
+    const { data, error } = await this.supabase
+      .from('icp_profiles')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * Every profile with its enabled flag - stored rows, or the built-ins
+   */
+  async list() {
+    const rows = await this.getStoredProfiles();
+    if (rows.length === 0) {
+      return defaults.profiles.map(profile => ({ ...profile, enabled: true, is_default: true }));
+    }
+    return rows.map(row => ({ ...row.definition, enabled: row.enabled, is_default: false, updated_at: row.updated_at }));
+  }
+
+  /**
+   * Enabled profiles for matching (cached for a minute, built-ins if the table can't be read)
+   */
+  async getActiveProfiles() {
+    if (activeCache.profiles && Date.now() - activeCache.loadedAt < CACHE_TTL_MS) {
+      return activeCache.profiles;
+    }
+
+    let profiles = defaults.profiles;
+    try {
+      const rows = await this.getStoredProfiles();
+      if (rows.length > 0) profiles = rows.filter(row => row.enabled).map(row => row.definition);
+    } catch (error) {
+      console.warn(`⚠️  Could not load ICP profiles, using built-in profiles: ${error.message}`);
+    }
+
+    activeCache = { profiles, loadedAt: Date.now() };
+    return profiles;
+  }
+
+  /**
+   * Copy the built-ins into the table before the first edit
+   */
+  async seedDefaults() {
+    const rows = await this.getStoredProfiles();
+    if (rows.length > 0) return;
+
+    const { error } = await this.supabase
+      .from('icp_profiles')
+      .insert(defaults.profiles.map(profile => ({ id: profile.id, name: profile.name, definition: profile, enabled: true })));
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Create or replace a profile - returns { profile } or { errors }
+   */
+  async save(id, profile, { enabled = true } = {}) {
+    const definition = { ...profile, id };
+    const errors = IcpProfiles.validate(definition);
+    if (errors.length > 0) return { errors };
+
+    await this.seedDefaults();
+
+    const { data, error } = await this.supabase
+      .from('icp_profiles')
+      .upsert({ id, name: definition.name, definition, enabled, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    IcpProfiles.clearCache();
+    console.log(`🎯 ICP profile ${id} saved`);
+    return { profile: { ...data.definition, enabled: data.enabled } };
+  }
+
+  /**
+   * Delete a profile - returns { removed } or { notFound }
+   * Opportunities keep their icp_id until they're matched again
+   */
+  async remove(id) {
+    await this.seedDefaults();
+
+    const { data, error } = await this.supabase
+      .from('icp_profiles')
+      .delete()
+      .eq('id', id)
+      .select('id');
+
+    if (error) throw new Error(error.message);
+    if (!data || data.length === 0) return { notFound: true };
+
+    IcpProfiles.clearCache();
+    return { removed: id };
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * Columns to store for an opportunity that hasn't been saved yet
+   * Returns { icp_id, icp_match_score, opportunity_data } - spread over the insert
+   */
+  async matchFields(opportunity) {
+    const match = this.matcher.match(opportunity, await this.getActiveProfiles());
+    return {
+      icp_id: match.icp_id,
+      icp_match_score: match.icp_match_score,
+      opportunity_data: { ...(opportunity.opportunity_data || {}), icp_match: match }
+    };
+  }
+
+  /**
+   * Re-match one stored opportunity - returns { match } or { notFound }
+   */
+  async matchOpportunity(id) {
+    const { data: opportunity, error } = await this.supabase
+      .from('scored_opportunities')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!opportunity) return { notFound: true };
+
+    return { match: await this.store(opportunity) };
+  }
+
+  async store(opportunity) {
+    const fields = await this.matchFields(opportunity);
+    const { error } = await this.supabase
+      .from('scored_opportunities')
+      .update(fields)
+      .eq('id', opportunity.id);
+
+    if (error) throw new Error(error.message);
+    return { opportunity_id: opportunity.id, icp_id: fields.icp_id, icp_match_score: fields.icp_match_score };
+  }
+
+  /**
+   * Match opportunities that were never matched (all=true re-matches the most recent ones)
+   */
+  async matchPending(limit = 100, { all = false } = {}) {
+    let query = this.supabase
+      .from('scored_opportunities')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (!all) query = query.is('icp_match_score', null);
+
+    const { data: opportunities, error } = await query;
+    if (error) throw new Error(error.message);
+
+    const results = [];
+    for (const opportunity of opportunities || []) {
+      try {
+        results.push(await this.store(opportunity));
+      } catch (err) {
+        results.push({ opportunity_id: opportunity.id, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  // ============================================
+  // REPORTING
+  // ============================================
+
+  /**
+   * Funnel per ICP: matched opportunities, average match, researched, contacted, replied
+   */
+  async report() {
+    const profiles = await this.list();
+    const rows = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('scored_opportunities')
+        .select('id, icp_id, icp_match_score, researched_at:opportunity_data->lead_research->>researched_at')
+        .not('icp_id', 'is', null)
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    const { count: unmatched, error: countError } = await this.supabase
+      .from('scored_opportunities')
+      .select('id', { count: 'exact', head: true })
+      .is('icp_id', null);
+    if (countError) throw new Error(countError.message);
+
+    // Outreach outcomes per opportunity (campaigns linked through opportunity_id)
+    const outcomes = {};
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('outreach_campaigns')
+        .select('opportunity_id, sent_at, replied_at')
+        .not('opportunity_id', 'is', null)
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+      (data || []).forEach(campaign => {
+        const outcome = outcomes[campaign.opportunity_id] || { contacted: false, replied: false };
+        outcome.contacted = outcome.contacted || !!campaign.sent_at;
+        outcome.replied = outcome.replied || !!campaign.replied_at;
+        outcomes[campaign.opportunity_id] = outcome;
+      });
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    const summary = profiles.map(profile => {
+      const matched = rows.filter(row => row.icp_id === profile.id);
+      const contacted = matched.filter(row => outcomes[row.id]?.contacted).length;
+      const replied = matched.filter(row => outcomes[row.id]?.replied).length;
+
+      return {
+        icp_id: profile.id,
+        name: profile.name,
+        enabled: profile.enabled,
+        opportunities: matched.length,
+        avg_match_score: matched.length > 0 ? Math.round(matched.reduce((sum, row) => sum + row.icp_match_score, 0) / matched.length) : null,
+        researched: matched.filter(row => row.researched_at).length,
+        contacted,
+        replied,
+        reply_rate: contacted > 0 ? Math.round(replied / contacted * 100) : null
+      };
+    });
+
+    return { profiles: summary, unmatched: unmatched || 0 };
+  }
+}
+
+module.exports = IcpProfiles;
@@ -1,11 +1,57 @@
 /**
  * Intelligent Qualification & Scoring Service
  * Rule-based scoring - NO API COSTS
+ *
+ * Signals, weights, caps and thresholds come from a versioned JSON ruleset
+ * (see scoring-rules.json). By default the active ruleset from scoring_rulesets
+ * is loaded at scoring time; pass a ruleset to the constructor to pin one
+ * (used to test drafts).
+ *
+ * Keywords are matched with TextSignals against the ruleset's content_fields only
+ * (stemmed, negation-aware), not against the serialized opportunity.
+ *
+ * processOpportunity() also returns a structured explanation (see score-explainer.js)
+ * that callers store as opportunity_data.score_explanation.
  */
 
+const ScoreExplainer = require('./score-explainer');
+const TextSignals = require('./text-signals');
+const defaultRules = require('./scoring-rules.json');
+
 class IntelligentScorer {
-  constructor() {
-    // No API dependencies - pure rule-based logic
+  constructor(ruleset = null) {
+    this.ruleset = ruleset;
+    this.pinned = !!ruleset;
+  }
+
+  get rules() {
+    return this.ruleset || defaultRules;
+  }
+
+  /**
+   * Refresh the active ruleset (cached by ScoringRulesets) unless one is pinned
+   */
+  async loadRuleset() {
+    if (this.pinned) return this.ruleset;
+    // Required here - scoring-rulesets.js requires this file
+    const ScoringRulesets = require('./scoring-rulesets');
+    this.ruleset = await ScoringRulesets.getActiveRules();
+    return this.ruleset;
+  }
+
+  /**
+   * Highest possible total (sum of dimension caps)
+   */
+  get maxScore() {
+    return Object.values(this.rules.dimensions).reduce((sum, dim) => sum + dim.max, 0);
+  }
+
+  /**
+   * Tokenized content fields of an opportunity (rulesets saved before
+   * content_fields existed fall back to the built-in list)
+   */
+  contentSignals(opportunity) {
+    return TextSignals.fromObject(opportunity, this.rules.content_fields || defaultRules.content_fields);
   }
 
   /**
@@ -13,27 +59,27 @@ class IntelligentScorer {
    * More lenient - qualify if they show buying signals
    */
   async preQualify(opportunity) {
+    const { qualification } = this.rules;
     const signals = this.detectSignals(opportunity);
 
-    // Check if opportunity has high score from discovery
-    const hasHighScore = (opportunity.overall_score || 0) >= 70;
-    const isRoutedToOutreach = opportunity.route_to_outreach === true;
-
-    const qualificationCriteria = {
-      lookingForSolutions: signals.needsHelp || signals.hiring || signals.sourcingSolutions || hasHighScore,
-      hasBudget: signals.fundingMentioned || signals.payingForTools || signals.budgetSignals || hasHighScore,
-      relevantPainPoint: signals.painPointDetected || hasHighScore,
-      reachable: signals.hasContactInfo || isRoutedToOutreach // Allow outreach-routed leads
-    };
+    const qualificationCriteria = {};
+    const details = { criteria: {}, required: qualification.min_criteria };
+    Object.entries(qualification.criteria).forEach(([name, signalNames]) => {
+      qualificationCriteria[name] = this.anySignal(signals, signalNames);
+      details.criteria[name] = { met: qualificationCriteria[name], signals: signalNames.filter(n => signals[n] === true) };
+    });
 
-    // Qualify if 3 out of 4 criteria are met OR if already marked for outreach
+    // Qualify if enough criteria are met OR an auto-qualify signal fires (already routed, high score)
     const metCriteria = Object.values(qualificationCriteria).filter(v => v === true).length;
-    const isQualified = metCriteria >= 3 || isRoutedToOutreach || hasHighScore;
+    details.met = metCriteria;
+    details.auto_qualified_by = (qualification.auto_qualify || []).filter(n => signals[n] === true);
+    const isQualified = metCriteria >= qualification.min_criteria || details.auto_qualified_by.length > 0;
 
     return {
       qualified: isQualified,
       criteria: qualificationCriteria,
       signals: signals,
+      details,
       reason: isQualified ? 'Meets qualification criteria' : this.getDisqualificationReason(qualificationCriteria)
     };
   }
@@ -41,76 +87,80 @@ class IntelligentScorer {
   /**
    * Detect signals in opportunity data
    */
-  detectSignals(opportunity) {
-    const text = JSON.stringify(opportunity).toLowerCase();
+  detectSignals(opportunity, text = this.contentSignals(opportunity)) {
+    const signals = {};
+
+    Object.entries(this.rules.signals).forEach(([name, def]) => {
+      signals[name] =
+        (def.keywords ? text.hasAny(def.keywords) : false) ||
+        (def.fields ? def.fields.some(field => !!opportunity[field]) : false) ||
+        (def.min_overall_score !== undefined ? (opportunity.overall_score || 0) >= def.min_overall_score : false);
+    });
 
-    return {
-      // Looking for solutions signals
-      needsHelp: this.containsAny(text, [
-        'need help', 'looking for', 'anyone know', 'recommendations',
-        'struggle with', 'problem with', 'issue with', 'difficulty',
-        'cant figure out', 'stuck on', 'how to', 'best way to'
-      ]),
-
-      hiring: this.containsAny(text, [
-        'hiring', 'looking to hire', 'need developer', 'need designer',
-        'freelancer', 'contractor', 'agency', 'consultant', 'full-time',
-        'part-time', 'seeking', 'recruiting'
-      ]),
-
-      sourcingSolutions: this.containsAny(text, [
-        'tool for', 'software for', 'platform for', 'service for',
-        'solution for', 'alternative to', 'better than', 'recommend',
-        'which tool', 'what software', 'looking at'
-      ]),
-
-      // Budget signals
-      fundingMentioned: this.containsAny(text, [
-        'funded', 'raised', 'series a', 'series b', 'seed round',
-        'venture', 'investors', 'valuation', '$', 'million', 'k funding'
-      ]),
-
-      payingForTools: this.containsAny(text, [
-        'subscription', 'paying for', 'using', 'license',
-        'per month', 'annual plan', 'pricing', 'cost'
-      ]),
-
-      budgetSignals: this.containsAny(text, [
-        'budget', 'spend', 'invest', 'allocate', 'worth it',
-        'roi', 'return', 'revenue', 'profitable', 'customers'
-      ]),
-
-      // Pain point signals
-      painPointDetected: this.containsAny(text, [
-        'problem', 'issue', 'challenge', 'struggle', 'difficult',
-        'frustrating', 'slow', 'manual', 'time consuming', 'inefficient',
-        'bottleneck', 'blocker', 'broken'
-      ]),
-
-      // Urgency signals
-      urgencyHigh: this.containsAny(text, [
-        'asap', 'urgent', 'immediately', 'right now', 'today',
-        'this week', 'deadline', 'critical', 'emergency'
-      ]),
-
-      urgencyMedium: this.containsAny(text, [
-        'soon', 'next week', 'this month', 'looking to start',
-        'planning to', 'need by'
-      ]),
-
-      // Client acquisition fit signals
-      clientAcquisitionFit: this.containsAny(text, [
-        'lead generation', 'get clients', 'find customers', 'sales',
-        'outreach', 'marketing', 'growth', 'acquisition', 'convert',
-        'closing deals', 'pipeline', 'prospecting'
-      ]),
-
-      // Contact signals - be more lenient
-      hasContactInfo: !!(opportunity.company_domain || opportunity.contact_email || opportunity.route_to_outreach),
-
-      // Check opportunity_data for additional signals
-      hasOpportunityData: !!(opportunity.opportunity_data && Object.keys(opportunity.opportunity_data).length > 0)
-    };
+    // Check opportunity_data for additional signals
+    signals.hasOpportunityData = !!(opportunity.opportunity_data && Object.keys(opportunity.opportunity_data).length > 0);
+
+    return signals;
+  }
+
+  /**
+   * Score one dimension from its rule definition, capped at dim.max
+   * Returns { raw, value, capped, fired } - fired lists the keywords / signals that added points
+   */
+  scoreDimension(dim, text, signals) {
+    let raw = 0;
+    const fired = [];
+
+    if (dim.type === 'keyword_count') {
+      text.hits(dim.keywords, dim.points).forEach(hit => {
+        raw += dim.points;
+        fired.push(hit);
+      });
+    } else if (dim.type === 'sum') {
+      dim.rules.forEach(rule => {
+        if (this.anySignal(signals, rule.any)) {
+          raw += rule.points;
+          fired.push({ signals: rule.any.filter(n => signals[n] === true), weight: rule.points });
+        }
+      });
+    } else if (dim.type === 'first_match') {
+      const rule = dim.rules.find(r => this.anySignal(signals, r.any));
+      raw = rule ? rule.value : (dim.default || 0);
+      fired.push(rule
+        ? { signals: rule.any.filter(n => signals[n] === true), weight: rule.value }
+        : { default: true, weight: raw });
+    }
+
+    const rounded = dim.round ? Math.round(raw) : raw;
+    return { raw, value: Math.min(dim.max, rounded), capped: rounded > dim.max, fired };
+  }
+
+  /**
+   * Evidence for one signal: matched keywords with their text spans, or the field that set it
+   */
+  signalEvidence(name, opportunity, text) {
+    const def = this.rules.signals[name];
+    if (!def) return [];
+
+    const matches = [];
+    if (def.keywords) matches.push(...text.evidence(def.keywords));
+    if (def.fields) {
+      def.fields.filter(field => !!opportunity[field])
+        .forEach(field => matches.push({ field, span: String(opportunity[field]).substring(0, 80) }));
+    }
+    if (def.min_overall_score !== undefined && (opportunity.overall_score || 0) >= def.min_overall_score) {
+      matches.push({ field: 'overall_score', span: `${opportunity.overall_score} >= ${def.min_overall_score}` });
+    }
+    return matches;
+  }
+
+  /**
+   * First threshold entry the score reaches (highest min_score first)
+   */
+  pickThreshold(entries, score) {
+    return [...entries]
+      .sort((a, b) => b.min_score - a.min_score)
+      .find(entry => score >= entry.min_score) || null;
   }
 
   /**
@@ -118,74 +168,55 @@ class IntelligentScorer {
    * Calculate score from signals - NO API CALLS
    */
   async scoreQualifiedLead(opportunity) {
-    const text = JSON.stringify(opportunity).toLowerCase();
-    const signals = this.detectSignals(opportunity);
-
-    // 1. PAIN POINT SEVERITY (1-10)
-    let painSeverity = 0;
-    const painKeywords = [
-      'problem', 'issue', 'challenge', 'struggle', 'difficult',
-      'frustrating', 'slow', 'manual', 'time consuming', 'inefficient',
-      'bottleneck', 'blocker', 'broken', 'failing', 'losing money'
-    ];
-    painKeywords.forEach(keyword => {
-      if (text.includes(keyword)) painSeverity += 0.8;
+    const rules = this.rules;
+    const text = this.contentSignals(opportunity);
+    const signals = this.detectSignals(opportunity, text);
+
+    const breakdown = {};
+    const components = [];
+    Object.entries(rules.dimensions).forEach(([name, dim]) => {
+      const result = this.scoreDimension(dim, text, signals);
+      breakdown[name] = result.value;
+
+      const hits = result.fired.map(hit => {
+        if (hit.keyword) return hit;
+        if (hit.default) return { signal: 'default', weight: hit.weight, matches: [] };
+        return {
+          signal: hit.signals.join(' + '),
+          weight: hit.weight,
+          matches: hit.signals.flatMap(n => this.signalEvidence(n, opportunity, text))
+        };
+      });
+      components.push(ScoreExplainer.component(name, { label: dim.label || name, hits, raw: result.raw, value: result.value, max: dim.max, capped: result.capped }));
     });
-    painSeverity = Math.min(10, Math.round(painSeverity));
-
-    // 2. BUDGET LIKELIHOOD (1-10)
-    let budgetLikelihood = 0;
-    if (signals.fundingMentioned) budgetLikelihood += 4;
-    if (signals.payingForTools) budgetLikelihood += 3;
-    if (signals.budgetSignals) budgetLikelihood += 3;
-    budgetLikelihood = Math.min(10, budgetLikelihood);
-
-    // 3. URGENCY (1-10)
-    let urgency = 5; // default medium
-    if (signals.urgencyHigh) urgency = 9;
-    else if (signals.urgencyMedium) urgency = 7;
-    else if (signals.needsHelp || signals.hiring) urgency = 6;
-
-    // 4. FIT WITH UNBOUND SERVICES (1-10)
-    let serviceFit = 0;
-    if (signals.clientAcquisitionFit) serviceFit += 5;
-    if (signals.needsHelp) serviceFit += 2;
-    if (signals.hiring || signals.sourcingSolutions) serviceFit += 3;
-    serviceFit = Math.min(10, serviceFit);
-
-    const totalScore = painSeverity + budgetLikelihood + urgency + serviceFit;
+
+    const totalScore = Object.values(breakdown).reduce((sum, value) => sum + value, 0);
 
     // Determine recommendation
-    let recommendation = 'SKIP';
-    if (totalScore >= 30) recommendation = 'PRIORITY';
-    else if (totalScore >= 25) recommendation = 'QUALIFIED';
-    else if (totalScore >= 20) recommendation = 'MAYBE';
+    const action = this.pickThreshold(rules.actions, totalScore);
+    const recommendation = action ? action.name : rules.default_action;
 
     // Generate insights
-    const keyInsights = [];
-    if (painSeverity >= 7) keyInsights.push('High pain point severity detected');
-    if (budgetLikelihood >= 7) keyInsights.push('Strong budget indicators');
-    if (urgency >= 8) keyInsights.push('High urgency - act quickly');
-    if (serviceFit >= 7) keyInsights.push('Excellent fit for our services');
-
-    // Generate approach
-    let suggestedApproach = 'Standard outreach';
-    if (totalScore >= 30) {
-      suggestedApproach = 'Priority contact - personalized approach, reference specific pain points';
-    } else if (totalScore >= 25) {
-      suggestedApproach = 'Qualified lead - personalized outreach with value proposition';
-    }
+    const keyInsights = (rules.insights || [])
+      .filter(insight => breakdown[insight.dimension] >= insight.min)
+      .map(insight => insight.text);
+
+    const labels = Object.entries(rules.dimensions)
+      .map(([name, dim]) => `${dim.label || name}=${breakdown[name]}`)
+      .join(', ');
 
     return {
-      painSeverity,
-      budgetLikelihood,
-      urgency,
-      serviceFit,
+      ...breakdown,
+      breakdown,
+      components,
       totalScore,
       recommendation,
-      reasoning: `Score ${totalScore}/40: Pain=${painSeverity}, Budget=${budgetLikelihood}, Urgency=${urgency}, Fit=${serviceFit}`,
+      outcomeReason: action
+        ? `Score ${totalScore} reached the ${action.name} threshold (${action.min_score})`
+        : `Score ${totalScore} is below every action threshold (lowest: ${Math.min(...rules.actions.map(a => a.min_score))})`,
+      reasoning: `Score ${totalScore}/${this.maxScore}: ${labels}`,
       keyInsights,
-      suggestedApproach
+      suggestedApproach: action?.approach || rules.default_approach
     };
   }
 
@@ -193,6 +224,8 @@ class IntelligentScorer {
    * Complete qualification + scoring flow
    */
   async processOpportunity(opportunity) {
+    await this.loadRuleset();
+
     // Step 1: Pre-qualify
     const qualification = await this.preQualify(opportunity);
 
@@ -200,39 +233,80 @@ class IntelligentScorer {
       return {
         qualified: false,
         reason: qualification.reason,
-        action: 'SKIP',
-        score: 0
+        action: this.rules.default_action,
+        score: 0,
+        ruleset_version: this.rules.version,
+        explanation: this.buildExplanation({
+          score: 0,
+          outcome: this.rules.default_action,
+          outcomeReason: `Not qualified - ${qualification.details.met} of ${qualification.details.required} required criteria met (${qualification.reason})`,
+          qualification
+        })
       };
     }
 
     // Step 2: Score qualified lead
     const scoring = await this.scoreQualifiedLead(opportunity);
 
-    // Step 3: Determine action
-    let action = 'SKIP';
-    if (scoring.totalScore >= 30) {
-      action = 'PRIORITY'; // Top priority
-    } else if (scoring.totalScore >= 25) {
-      action = 'QUALIFIED'; // Worth pursuing
-    } else if (scoring.totalScore >= 20) {
-      action = 'MAYBE'; // Review manually
-    }
-
     return {
       qualified: true,
-      action: action,
+      action: scoring.recommendation,
       score: scoring.totalScore,
-      breakdown: {
-        painSeverity: scoring.painSeverity,
-        budgetLikelihood: scoring.budgetLikelihood,
-        urgency: scoring.urgency,
-        serviceFit: scoring.serviceFit
-      },
+      breakdown: scoring.breakdown,
       recommendation: scoring.recommendation,
       reasoning: scoring.reasoning,
       keyInsights: scoring.keyInsights,
       suggestedApproach: scoring.suggestedApproach,
-      signals: qualification.signals
+      signals: qualification.signals,
+      ruleset_version: this.rules.version,
+      explanation: this.buildExplanation({
+        score: scoring.totalScore,
+        outcome: scoring.recommendation,
+        outcomeReason: scoring.outcomeReason,
+        qualification,
+        components: scoring.components
+      })
+    };
+  }
+
+  /**
+   * opportunity_data.score_explanation payload
+   */
+  buildExplanation({ score, outcome, outcomeReason, qualification, components = [] }) {
+    return ScoreExplainer.explain({
+      scorer: 'intelligent-scorer',
+      rulesetVersion: this.rules.version,
+      score,
+      maxScore: this.maxScore,
+      overallScore: this.overallScore(score),
+      outcome,
+      outcomeReason,
+      qualification: qualification.details,
+      components
+    });
+  }
+
+  /**
+   * 0-100 overall_score from a raw total
+   */
+  overallScore(score) {
+    return Math.round(score / this.maxScore * 100);
+  }
+
+  /**
+   * Map a processOpportunity() result onto scored_opportunities columns
+   * (score is out of maxScore, overall_score is 0-100)
+   */
+  toOpportunityFields(result) {
+    const rules = this.rules;
+    const score = result.score || 0;
+    const tier = this.pickThreshold(rules.tiers, score);
+
+    return {
+      overall_score: this.overallScore(score),
+      route_to_outreach: !!result.qualified && score >= rules.route_to_outreach_min_score,
+      priority_tier: tier ? tier.name : rules.default_tier,
+      scoring_ruleset_version: result.ruleset_version || rules.version
     };
   }
 
@@ -268,8 +342,8 @@ class IntelligentScorer {
   }
 
   // Helper methods
-  containsAny(text, keywords) {
-    return keywords.some(keyword => text.includes(keyword.toLowerCase()));
+  anySignal(signals, names) {
+    return names.some(name => signals[name] === true);
   }
 
   getDisqualificationReason(criteria) {
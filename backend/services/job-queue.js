@@ -0,0 +1,372 @@
+/**
+ * Job Queue
+ * Durable background jobs (background_jobs table) for work too slow for an HTTP
+ * request - lead research, company discovery, email finding
+ *
+ *   queue.register('research_leads', async (payload, job) => { ...; await job.progress({ done, total }); return result; });
+ *   const job = await queue.enqueue('research_leads', { limit: 10 }); // poll GET /api/jobs/:id
+ *
+ * - Workers claim queued jobs with a conditional update, so a job runs once even
+ *   with several server instances
+ * - concurrency caps jobs per process, and per type (register's { concurrency })
+ * - running jobs heartbeat; a job whose worker stopped (restart, crash) is
+ *   re-queued after staleMs and resumes from the progress it saved - handlers
+ *   keep their checkpoint (ids done so far, ...) in progress
+ * - failed jobs are retried with a growing delay until max_attempts
+ * - cancelling a running job flips job.cancelled(); handlers stop at the next item
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const { lazyClient } = require('./supabase-client');
+
+const STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const DEFAULT_CONCURRENCY = 2;
+const POLL_MS = 3000;
+const HEARTBEAT_MS = 15000;
+const STALE_MS = 60000;
+const RETRY_DELAY_MS = 30000; // x attempts
+const RECOVER_EVERY_TICKS = 10;
+
+class JobQueue {
+  constructor({
+    concurrency = parseInt(process.env.JOB_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    pollMs = POLL_MS,
+    staleMs = STALE_MS
+  } = {}) {
+    this.supabase = lazyClient();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.concurrency = concurrency;
+    this.pollMs = pollMs;
+    this.staleMs = staleMs;
+    this.handlers = new Map(); // type -> { handler, concurrency, maxAttempts }
+    this.running = new Map(); // job id -> { type, cancelled }
+    this.timer = null;
+    this.ticks = 0;
+    this.ticking = false;
+    this.lastError = null;
+  }
+
+  static get statuses() {
+    return STATUSES;
+  }
+
+  /**
+   * handler(payload, job) -> result; job: { id, attempts, progress(update), state, cancelled() }
+   */
+  register(type, handler, { concurrency = 1, maxAttempts = 3 } = {}) {
+    this.handlers.set(type, { handler, concurrency, maxAttempts });
+    return this;
+  }
+
+  get types() {
+    return [...this.handlers.keys()];
+  }
+
+  // ============================================
+  // JOBS
+  // ============================================
+
+  async enqueue(type, payload = {}) {
+    const registered = this.handlers.get(type);
+    if (!registered) throw new Error(`Unknown job type "${type}"`);
+
+    const { data, error } = await this.supabase
+      .from('background_jobs')
+      .insert({ type, payload, status: 'queued', max_attempts: registered.maxAttempts, progress: {} })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    console.log(`📥 Job queued: ${type} ${data.id}`);
+
+    // Start right away if a worker slot is free instead of waiting for the next poll
+    if (this.timer) setImmediate(() => this.tick());
+    return data;
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from('background_jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async list({ status, type, limit = 50 } = {}) {
+    let query = this.supabase
+      .from('background_jobs')
+      .select('id, type, status, progress, error, attempts, max_attempts, created_at, started_at, finished_at')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(limit, 200));
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * Queued jobs are cancelled outright; running ones stop at the handler's next checkpoint
+   */
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job) return { notFound: true };
+    if (!['queued', 'running'].includes(job.status)) {
+      return { errors: [`Job is already ${job.status}`] };
+    }
+
+    const { data, error } = await this.supabase
+      .from('background_jobs')
+      .update({ status: 'cancelled', finished_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .in('status', ['queued', 'running'])
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) return { errors: ['Job finished before it could be cancelled'] };
+
+    const local = this.running.get(id);
+    if (local) local.cancelled = true;
+    return { job: data };
+  }
+
+  /**
+   * Run a failed or cancelled job again, keeping its progress (it resumes where it stopped)
+   */
+  async retry(id) {
+    const job = await this.get(id);
+    if (!job) return { notFound: true };
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return { errors: [`Only failed or cancelled jobs can be retried (job is ${job.status})`] };
+    }
+
+    const { data, error } = await this.supabase
+      .from('background_jobs')
+      .update({
+        status: 'queued',
+        attempts: 0,
+        error: null,
+        run_after: new Date().toISOString(),
+        finished_at: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', job.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) return { errors: ['Job changed while retrying - try again'] };
+    return { job: data };
+  }
+
+  // ============================================
+  // WORKER
+  // ============================================
+
+  start() {
+    if (this.timer) return;
+    console.log(`⚙️  Job worker ${this.workerId} started (${this.concurrency} at a time: ${this.types.join(', ')})`);
+    this.timer = setInterval(() => this.tick(), this.pollMs);
+    this.recoverStale().then(() => this.tick());
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and start as many queued jobs as there are free slots
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      if (++this.ticks % RECOVER_EVERY_TICKS === 0) await this.recoverStale();
+
+      const free = this.concurrency - this.running.size;
+      if (free <= 0 || this.handlers.size === 0) return;
+
+      const { data: queued, error } = await this.supabase
+        .from('background_jobs')
+        .select('*')
+        .eq('status', 'queued')
+        .in('type', this.types)
+        .lte('run_after', new Date().toISOString())
+        .order('created_at', { ascending: true })
+        .limit(free * 5);
+
+      if (error) throw new Error(error.message);
+      this.lastError = null;
+
+      for (const job of queued || []) {
+        if (this.running.size >= this.concurrency) break;
+
+        const { concurrency } = this.handlers.get(job.type);
+        const sameType = [...this.running.values()].filter(entry => entry.type === job.type).length;
+        if (sameType >= concurrency) continue;
+
+        const claimed = await this.claim(job);
+        if (claimed) this.run(claimed);
+      }
+    } catch (error) {
+      // Polling every few seconds - only log when the problem changes
+      if (error.message !== this.lastError) console.warn(`⚠️  Job worker: ${error.message}`);
+      this.lastError = error.message;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * queued -> running, only if no other worker got there first
+   */
+  async claim(job) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from('background_jobs')
+      .update({
+        status: 'running',
+        locked_by: this.workerId,
+        locked_at: now,
+        heartbeat_at: now,
+        started_at: job.started_at || now,
+        attempts: (job.attempts || 0) + 1,
+        updated_at: now
+      })
+      .eq('id', job.id)
+      .eq('status', 'queued')
+      .select()
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Write fields on a job this worker holds - false if it was cancelled or taken over
+   */
+  async touch(id, fields) {
+    const now = new Date().toISOString();
+    const { data, error } = await this.supabase
+      .from('background_jobs')
+      .update({ ...fields, heartbeat_at: now, updated_at: now })
+      .eq('id', id)
+      .eq('status', 'running')
+      .eq('locked_by', this.workerId)
+      .select('id');
+
+    if (error) {
+      console.warn(`⚠️  Job ${id}: ${error.message}`);
+      return true; // transient - keep going, the next write will tell
+    }
+    return data.length > 0;
+  }
+
+  async run(job) {
+    const { handler } = this.handlers.get(job.type);
+    const entry = { type: job.type, cancelled: false };
+    this.running.set(job.id, entry);
+
+    const resumed = job.progress && Object.keys(job.progress).length > 0;
+    console.log(`▶️  Job ${job.type} ${job.id} (attempt ${job.attempts}/${job.max_attempts}${resumed ? ', resuming' : ''})`);
+
+    const heartbeat = setInterval(async () => {
+      if (!(await this.touch(job.id, {}))) entry.cancelled = true;
+    }, HEARTBEAT_MS);
+
+    const context = {
+      id: job.id,
+      attempts: job.attempts,
+      // What the job saved before a restart / retry ({} on the first run)
+      state: { ...(job.progress || {}) },
+      progress: async update => {
+        context.state = { ...context.state, ...update, updated_at: new Date().toISOString() };
+        if (!(await this.touch(job.id, { progress: context.state }))) entry.cancelled = true;
+      },
+      cancelled: () => entry.cancelled
+    };
+
+    try {
+      const result = await handler(job.payload || {}, context);
+
+      if (entry.cancelled) {
+        console.log(`⏹️  Job ${job.type} ${job.id} stopped (cancelled)`);
+      } else {
+        await this.touch(job.id, { status: 'completed', result: result ?? null, error: null, finished_at: new Date().toISOString(), locked_by: null });
+        console.log(`✅ Job ${job.type} ${job.id} completed`);
+      }
+    } catch (error) {
+      const retry = error.retryable !== false && job.attempts < job.max_attempts;
+      const fields = retry
+        ? { status: 'queued', error: error.message, locked_by: null, run_after: new Date(Date.now() + RETRY_DELAY_MS * job.attempts).toISOString() }
+        : { status: 'failed', error: error.message, finished_at: new Date().toISOString(), locked_by: null };
+
+      await this.touch(job.id, fields);
+      console.error(`❌ Job ${job.type} ${job.id} ${retry ? `failed, retrying in ${(RETRY_DELAY_MS * job.attempts) / 1000}s` : 'failed'}: ${error.message}`);
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(job.id);
+    }
+  }
+
+  /**
+   * Re-queue running jobs whose worker stopped heartbeating (restart, crash) -
+   * or fail them once they've used up their attempts
+   */
+  async recoverStale() {
+    try {
+      const cutoff = new Date(Date.now() - this.staleMs).toISOString();
+      const { data: stale, error } = await this.supabase
+        .from('background_jobs')
+        .select('id, type, attempts, max_attempts, locked_by')
+        .eq('status', 'running')
+        .lt('heartbeat_at', cutoff);
+
+      if (error) throw new Error(error.message);
+
+      for (const job of stale || []) {
+        const exhausted = job.attempts >= job.max_attempts;
+        const now = new Date().toISOString();
+        const fields = exhausted
+          ? { status: 'failed', error: 'Worker stopped before the job finished', finished_at: now, locked_by: null, updated_at: now }
+          : { status: 'queued', run_after: now, locked_by: null, updated_at: now };
+
+        await this.supabase
+          .from('background_jobs')
+          .update(fields)
+          .eq('id', job.id)
+          .eq('status', 'running')
+          .eq('locked_by', job.locked_by);
+
+        console.log(`♻️  Job ${job.type} ${job.id}: worker ${job.locked_by} stopped - ${exhausted ? 'failed' : 're-queued to resume'}`);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Job recovery: ${error.message}`);
+    }
+  }
+
+  /**
+   * This worker's slots and what it's running, for the API
+   */
+  describe() {
+    return {
+      worker_id: this.workerId,
+      started: !!this.timer,
+      concurrency: this.concurrency,
+      running: [...this.running.entries()].map(([id, entry]) => ({ id, type: entry.type })),
+      types: [...this.handlers.entries()].map(([type, { concurrency, maxAttempts }]) => ({ type, concurrency, max_attempts: maxAttempts }))
+    };
+  }
+}
+
+module.exports = JobQueue;
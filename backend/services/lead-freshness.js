@@ -0,0 +1,181 @@
+/**
+ * Lead Freshness
+ * Time-decay for scored opportunities - a lead loses half its freshness every
+ * half-life (per source), and the live priority blends that with the static score
+ *
+ *   freshness     = 0.5 ^ (age_days / half_life_days)             (1 = just posted)
+ *   live_priority = overall_score * (FLOOR + (1 - FLOOR) * freshness)
+ *
+ * Age runs from when the post was published (posted_at / published), falling
+ * back to created_at. Half-lives are stored in source_freshness; sources without
+ * a row use the built-in defaults, and a null half-life means the source never decays.
+ */
+
+const { lazyClient } = require('./supabase-client');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_HALF_LIFE_DAYS = 3650;
+
+// Old leads keep a fifth of their score so a strong stale lead still beats a weak fresh one
+const FRESHNESS_FLOOR = 0.2;
+
+// Half-life in days by scored_opportunities.source (news rows use the feed name)
+const DEFAULT_HALF_LIVES = {
+  forum: 3,               // Reddit threads get answered (or die) within days
+  rss: 7,
+  indie_hackers: 14,
+  'discover-company': 60,
+  manual_import: 90       // Imported lists aren't tied to a moment
+};
+const DEFAULT_HALF_LIFE = 14;
+
+// Stored half-lives shared across requests
+let halfLifeCache = { halfLives: null, loadedAt: 0 };
+
+class LeadFreshness {
+  constructor() {
+    this.supabase = lazyClient();
+  }
+
+  static get defaultHalfLives() {
+    return DEFAULT_HALF_LIVES;
+  }
+
+  // ============================================
+  // HALF-LIVES
+  // ============================================
+
+  /**
+   * Effective half-lives: defaults overlaid with stored rows (cached for a minute)
+   * Returns { source: days | null, default: days }
+   */
+  async getHalfLives() {
+    if (halfLifeCache.halfLives && Date.now() - halfLifeCache.loadedAt < CACHE_TTL_MS) {
+      return halfLifeCache.halfLives;
+    }
+
+    const halfLives = { ...DEFAULT_HALF_LIVES, default: DEFAULT_HALF_LIFE };
+    try {
+      const { data, error } = await this.supabase.from('source_freshness').select('source, half_life_days');
+      if (error) throw new Error(error.message);
+      (data || []).forEach(row => {
+        halfLives[row.source] = row.half_life_days === null ? null : Number(row.half_life_days);
+      });
+    } catch (error) {
+      console.warn(`⚠️  Could not load freshness half-lives, using defaults: ${error.message}`);
+    }
+
+    halfLifeCache = { halfLives, loadedAt: Date.now() };
+    return halfLives;
+  }
+
+  /**
+   * Everything the API shows: the effective half-life per source and where it came from
+   */
+  async describe() {
+    halfLifeCache = { halfLives: null, loadedAt: 0 };
+    const halfLives = await this.getHalfLives();
+    const sources = Object.keys(halfLives).filter(source => source !== 'default');
+
+    return {
+      floor: FRESHNESS_FLOOR,
+      default_half_life_days: halfLives.default,
+      sources: sources.sort().map(source => ({
+        source,
+        half_life_days: halfLives[source],
+        is_default: source in DEFAULT_HALF_LIVES && halfLives[source] === DEFAULT_HALF_LIVES[source]
+      }))
+    };
+  }
+
+  /**
+   * Set a source's half-life (null = never decays) - returns { setting } or { errors }
+   */
+  async setHalfLife(source, halfLifeDays) {
+    const errors = [];
+    if (!source || source.length > 100) errors.push('source must be 1-100 characters');
+    if (halfLifeDays !== null && (typeof halfLifeDays !== 'number' || !isFinite(halfLifeDays) || halfLifeDays <= 0 || halfLifeDays > MAX_HALF_LIFE_DAYS)) {
+      errors.push(`half_life_days must be a number of days between 0 and ${MAX_HALF_LIFE_DAYS}, or null to disable decay`);
+    }
+    if (errors.length > 0) return { errors };
+
+    const { data, error } = await this.supabase
+      .from('source_freshness')
+      .upsert({ source, half_life_days: halfLifeDays, updated_at: new Date().toISOString() }, { onConflict: 'source' })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    halfLifeCache = { halfLives: null, loadedAt: 0 };
+    return { setting: data };
+  }
+
+  /**
+   * Drop a stored half-life so the source goes back to its default
+   */
+  async resetHalfLife(source) {
+    const { error } = await this.supabase.from('source_freshness').delete().eq('source', source);
+    if (error) throw new Error(error.message);
+    halfLifeCache = { halfLives: null, loadedAt: 0 };
+    return { source, half_life_days: source in DEFAULT_HALF_LIVES ? DEFAULT_HALF_LIVES[source] : DEFAULT_HALF_LIFE };
+  }
+
+  // ============================================
+  // SCORING
+  // ============================================
+
+  /**
+   * When the lead's signal happened - post date if the source recorded one, else row creation
+   */
+  static postedAt(opportunity) {
+    const data = opportunity.opportunity_data || {};
+    for (const value of [data.posted_at, data.published, data.published_at, opportunity.created_at]) {
+      const time = value ? new Date(value).getTime() : NaN;
+      if (!isNaN(time)) return time;
+    }
+    return null;
+  }
+
+  /**
+   * { score, age_days, half_life_days, posted_at } for one opportunity
+   * Leads with no timestamp or a non-decaying source count as fully fresh
+   */
+  static freshness(opportunity, halfLives, now = Date.now()) {
+    const source = opportunity.source || 'unknown';
+    const halfLife = source in halfLives ? halfLives[source] : halfLives.default;
+    const postedAt = LeadFreshness.postedAt(opportunity);
+    const ageDays = postedAt === null ? null : Math.max(0, (now - postedAt) / DAY_MS);
+
+    const score = ageDays === null || halfLife === null ? 1 : Math.pow(0.5, ageDays / halfLife);
+    return {
+      score: Math.round(score * 1000) / 1000,
+      age_days: ageDays === null ? null : Math.round(ageDays * 10) / 10,
+      half_life_days: halfLife,
+      posted_at: postedAt === null ? null : new Date(postedAt).toISOString()
+    };
+  }
+
+  /**
+   * Static score blended with freshness (same 0-100 scale as overall_score)
+   */
+  static livePriority(overallScore, freshnessScore) {
+    return Math.round((overallScore || 0) * (FRESHNESS_FLOOR + (1 - FRESHNESS_FLOOR) * freshnessScore) * 10) / 10;
+  }
+
+  /**
+   * Opportunities with freshness and live_priority attached, highest live priority first
+   */
+  async rank(opportunities, now = Date.now()) {
+    const halfLives = await this.getHalfLives();
+
+    return opportunities
+      .map(opportunity => {
+        const freshness = LeadFreshness.freshness(opportunity, halfLives, now);
+        return { ...opportunity, freshness, live_priority: LeadFreshness.livePriority(opportunity.overall_score, freshness.score) };
+      })
+      .sort((a, b) => b.live_priority - a.live_priority);
+  }
+}
+
+module.exports = LeadFreshness;
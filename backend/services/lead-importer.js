@@ -0,0 +1,483 @@
+/**
+ * Lead Importer
+ * Parses CSV/Excel exports (Apollo, LinkedIn Sales Nav, etc.), maps their
+ * columns onto our lead fields, validates every row and scores it with
+ * IntelligentScorer before anything is written to scored_opportunities.
+ *
+ * Flow:
+ * 1. parseFile()      - CSV/XLSX buffer -> array of raw rows
+ * 2. prepareImport()  - map + validate + dedupe + score + ICP match (this IS the dry run)
+ * 3. commitImport()   - insert the rows prepareImport() marked as 'insert'
+ */
+
+const XLSX = require('xlsx');
+const { lazyClient } = require('./supabase-client');
+const IntelligentScorer = require('./intelligent-scorer');
+const EntityResolver = require('./entity-resolver');
+const FirmographicEstimator = require('./firmographic-estimator');
+const IcpProfiles = require('./icp-profiles');
+
+class LeadImporter {
+  constructor() {
+    this.supabase = lazyClient();
+    this.scorer = new IntelligentScorer();
+    this.resolver = new EntityResolver();
+    this.estimator = new FirmographicEstimator();
+    this.icpProfiles = new IcpProfiles();
+
+    // Fields a column can be mapped to
+    this.targetFields = [
+      'company_name',
+      'company_domain',
+      'contact_email',
+      'contact_first_name',
+      'contact_last_name',
+      'contact_full_name',
+      'job_title',
+      'linkedin_url',
+      'location',
+      'industry',
+      'employee_count',
+      'revenue',
+      'phone',
+      'notes'
+    ];
+
+    // Header aliases used when no saved mapping is given
+    this.headerAliases = {
+      company_name: ['company', 'company name', 'account name', 'organization', 'organization name', 'business name'],
+      company_domain: ['website', 'domain', 'company domain', 'company website', 'website url', 'url'],
+      contact_email: ['email', 'email address', 'work email', 'contact email', 'business email', 'discovered email'],
+      contact_first_name: ['first name', 'firstname', 'first'],
+      contact_last_name: ['last name', 'lastname', 'last', 'surname'],
+      contact_full_name: ['name', 'full name', 'contact name', 'contact'],
+      job_title: ['title', 'job title', 'position', 'role', 'current title'],
+      linkedin_url: ['linkedin', 'linkedin url', 'person linkedin url', 'profile url', 'linkedin profile'],
+      location: ['location', 'city', 'geography', 'region'],
+      industry: ['industry', 'sector', 'vertical'],
+      employee_count: ['employees', '# employees', 'employee count', 'company size', 'headcount'],
+      revenue: ['revenue', 'annual revenue', 'company revenue'],
+      phone: ['phone', 'phone number', 'mobile', 'work phone', 'corporate phone'],
+      notes: ['notes', 'note', 'comments', 'description']
+    };
+  }
+
+  /**
+   * Parse an uploaded CSV/XLSX file into raw row objects keyed by header
+   */
+  parseFile(buffer, filename = '') {
+    const isCsv = /\.csv$/i.test(filename);
+
+    // raw: true keeps CSV cells as typed (no date/number guessing on domains, zip codes, etc.)
+    const workbook = XLSX.read(buffer, { type: 'buffer', raw: isCsv });
+    const sheetName = workbook.SheetNames[0];
+
+    if (!sheetName) {
+      throw new Error('File contains no sheets');
+    }
+
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '', raw: false });
+
+    return rows.map(row => {
+      const cleaned = {};
+      for (const [header, value] of Object.entries(row)) {
+        cleaned[String(header).trim()] = typeof value === 'string' ? value.trim() : value;
+      }
+      // Keep the spreadsheet row number (1-based) so dry-run errors point at the right line
+      Object.defineProperty(cleaned, '__rowNum__', { value: row.__rowNum__ + 1, enumerable: false });
+      return cleaned;
+    });
+  }
+
+  /**
+   * Guess a column mapping from header names
+   */
+  autoMapColumns(headers) {
+    const mapping = {};
+
+    for (const header of headers) {
+      const normalized = header.toLowerCase().replace(/[_\s]+/g, ' ').trim();
+
+      if (this.targetFields.includes(normalized.replace(/\s/g, '_'))) {
+        mapping[header] = normalized.replace(/\s/g, '_');
+        continue;
+      }
+
+      for (const [field, aliases] of Object.entries(this.headerAliases)) {
+        if (aliases.includes(normalized) && !Object.values(mapping).includes(field)) {
+          mapping[header] = field;
+          break;
+        }
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Validate a column mapping before saving or using it
+   */
+  validateMapping(columns) {
+    const errors = [];
+
+    if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+      return ['columns must be an object of { "Source Header": "target_field" }'];
+    }
+
+    for (const [header, field] of Object.entries(columns)) {
+      if (!this.targetFields.includes(field)) {
+        errors.push(`Unknown target field "${field}" for column "${header}"`);
+      }
+    }
+
+    const targets = Object.values(columns);
+    if (!targets.includes('company_name') && !targets.includes('company_domain') && !targets.includes('contact_email')) {
+      errors.push('Mapping must include at least one of company_name, company_domain or contact_email');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Apply a column mapping to one raw row
+   */
+  applyMapping(row, columns) {
+    const lead = {};
+
+    for (const [header, field] of Object.entries(columns)) {
+      const value = row[header];
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        lead[field] = String(value).trim();
+      }
+    }
+
+    if (lead.company_domain) {
+      lead.company_domain = this.normalizeDomain(lead.company_domain);
+    }
+    if (lead.contact_email) {
+      lead.contact_email = lead.contact_email.toLowerCase();
+    }
+    if (!lead.contact_full_name && (lead.contact_first_name || lead.contact_last_name)) {
+      lead.contact_full_name = [lead.contact_first_name, lead.contact_last_name].filter(Boolean).join(' ');
+    }
+
+    // Fall back to the email domain when the export has no website column
+    if (!lead.company_domain && lead.contact_email && !this.isFreeMailDomain(lead.contact_email)) {
+      lead.company_domain = lead.contact_email.split('@')[1];
+    }
+
+    return lead;
+  }
+
+  /**
+   * Strip protocol, subdomains and paths from a website value
+   * Unparseable values are kept as-is so validateLead() can report them
+   */
+  normalizeDomain(value) {
+    return this.resolver.normalizeDomain(value) || String(value).toLowerCase().trim();
+  }
+
+  isFreeMailDomain(email) {
+    const domain = email.split('@')[1] || '';
+    return ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'icloud.com', 'aol.com', 'me.com', 'live.com']
+      .includes(domain);
+  }
+
+  /**
+   * Row-level validation - returns a list of error strings
+   */
+  validateLead(lead) {
+    const errors = [];
+
+    if (!lead.company_name && !lead.contact_email && !lead.company_domain) {
+      errors.push('Row needs a company name, domain or email');
+    }
+
+    if (lead.contact_email && !/^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/.test(lead.contact_email)) {
+      errors.push(`Invalid email: ${lead.contact_email}`);
+    }
+
+    if (lead.company_domain && !/^[a-z0-9.-]+\.[a-z]{2,}$/.test(lead.company_domain)) {
+      errors.push(`Invalid domain: ${lead.company_domain}`);
+    }
+
+    if (lead.linkedin_url && !/linkedin\.com\//i.test(lead.linkedin_url)) {
+      errors.push(`LinkedIn URL does not point to linkedin.com: ${lead.linkedin_url}`);
+    }
+
+    if (lead.company_name && lead.company_name.length > 255) {
+      errors.push('Company name longer than 255 characters');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Look up leads that already exist
+   * Company matches go through EntityResolver (normalized domain, fuzzy name);
+   * contact emails are matched against scored_opportunities directly
+   */
+  async findExistingMatches(leads) {
+    const emails = [...new Set(leads.map(l => l.contact_email).filter(Boolean))];
+    const existing = { byEmail: {}, companies: [] };
+
+    // Query in chunks - large .in() lists blow past the PostgREST URL limit
+    for (let i = 0; i < emails.length; i += 200) {
+      const { data, error } = await this.supabase
+        .from('scored_opportunities')
+        .select('id, opportunity_data->>discovered_email')
+        .in('opportunity_data->>discovered_email', emails.slice(i, i + 200));
+
+      if (error) throw error;
+      (data || []).forEach(r => { existing.byEmail[r.discovered_email] = r.id; });
+    }
+
+    existing.companies = await this.resolver.matchMany(leads);
+
+    return existing;
+  }
+
+  /**
+   * Build the opportunity record we would insert for a lead
+   */
+  buildOpportunity(lead, source) {
+    const opportunityData = {
+      import_source: source,
+      imported_at: new Date().toISOString(),
+      discovered_email: lead.contact_email || null
+    };
+
+    for (const field of this.targetFields) {
+      if (!['company_name', 'company_domain', 'contact_email'].includes(field) && lead[field]) {
+        opportunityData[field] = lead[field];
+      }
+    }
+
+    return {
+      company_name: (lead.company_name || lead.company_domain || lead.contact_email).substring(0, 255),
+      company_domain: lead.company_domain || '',
+      contact_email: lead.contact_email || null,
+      contact_name: lead.contact_full_name || null,
+      source,
+      opportunity_data: opportunityData
+    };
+  }
+
+  /**
+   * Map, validate, dedupe and score every row.
+   * Nothing is written - the result is the dry-run report.
+   */
+  async prepareImport(rows, columns, source = 'manual_import') {
+    const report = {
+      source,
+      columns,
+      rows: [],
+      summary: { total: rows.length, to_insert: 0, existing_companies: 0, duplicates: 0, invalid: 0 }
+    };
+
+    const mapped = rows.map((row, i) => ({
+      rowNumber: row.__rowNum__ || i + 2, // JSON imports have no sheet row: +2 = header row + 1-based
+      lead: this.applyMapping(row, columns)
+    }));
+    const existing = await this.findExistingMatches(mapped.map(m => m.lead));
+    const seenInFile = {};
+
+    for (const [i, { rowNumber, lead }] of mapped.entries()) {
+      const entry = { row_number: rowNumber, lead, status: 'insert', errors: [], duplicate_of: null };
+
+      entry.errors = this.validateLead(lead);
+      if (entry.errors.length > 0) {
+        entry.status = 'invalid';
+        report.summary.invalid++;
+        report.rows.push(entry);
+        continue;
+      }
+
+      // Duplicate against the database - same contact, or a company we already know
+      // with no new contact to add (a new email at a known company is imported and
+      // linked to that company by resolve())
+      const emailMatchId = lead.contact_email && existing.byEmail[lead.contact_email];
+      const companyMatch = existing.companies[i];
+
+      // Duplicate within the same file
+      const identity = this.resolver.identify(lead);
+      const fileKey = lead.contact_email || identity.domain || identity.normalizedName;
+
+      if (emailMatchId) {
+        entry.status = 'duplicate';
+        entry.duplicate_of = { type: 'existing', opportunity_id: emailMatchId, match: 'email' };
+      } else if (companyMatch.company && !lead.contact_email) {
+        entry.status = 'duplicate';
+        entry.duplicate_of = {
+          type: 'existing',
+          company_id: companyMatch.company.id,
+          company_name: companyMatch.company.canonical_name,
+          match: companyMatch.match_type
+        };
+      } else if (seenInFile[fileKey]) {
+        entry.status = 'duplicate';
+        entry.duplicate_of = { type: 'in_file', row_number: seenInFile[fileKey] };
+      }
+
+      if (entry.status === 'duplicate') {
+        report.summary.duplicates++;
+        report.rows.push(entry);
+        continue;
+      }
+
+      seenInFile[fileKey] = rowNumber;
+
+      if (companyMatch.company) {
+        entry.existing_company = {
+          company_id: companyMatch.company.id,
+          company_name: companyMatch.company.canonical_name,
+          match: companyMatch.match_type
+        };
+        report.summary.existing_companies++;
+      }
+
+      // Close but not certain - imported, then queued for review by resolve()
+      if (!companyMatch.company && companyMatch.candidate) {
+        entry.possible_match = {
+          company_id: companyMatch.candidate.id,
+          company_name: companyMatch.candidate.canonical_name,
+          similarity: Math.round(companyMatch.similarity * 1000) / 1000
+        };
+      }
+
+      const opportunity = this.buildOpportunity(lead, source);
+      const scoring = await this.scorer.processOpportunity(opportunity);
+      const fields = this.scorer.toOpportunityFields(scoring);
+
+      // Size/revenue bands from the employee_count / revenue columns
+      const firmographics = this.estimator.estimate(opportunity.opportunity_data);
+      if (firmographics.employee_score !== null) fields.employee_score = firmographics.employee_score;
+      if (firmographics.revenue_score !== null) fields.revenue_score = firmographics.revenue_score;
+
+      const icp = await this.icpProfiles.matchFields({ ...opportunity, opportunity_data: { ...opportunity.opportunity_data, firmographics } });
+
+      entry.record = {
+        company_name: opportunity.company_name,
+        company_domain: opportunity.company_domain,
+        source,
+        ...fields,
+        icp_id: icp.icp_id,
+        icp_match_score: icp.icp_match_score,
+        opportunity_data: {
+          ...icp.opportunity_data,
+          scoring: {
+            qualified: scoring.qualified,
+            score: scoring.score,
+            action: scoring.action,
+            reasoning: scoring.reasoning || scoring.reason,
+            breakdown: scoring.breakdown || null
+          },
+          score_explanation: scoring.explanation
+        }
+      };
+      entry.scoring = {
+        score: scoring.score,
+        action: scoring.action,
+        overall_score: fields.overall_score,
+        headcount_band: firmographics.headcount?.band || null,
+        revenue_band: firmographics.revenue?.band || null,
+        icp_id: icp.icp_id,
+        icp_match_score: icp.icp_match_score
+      };
+
+      report.summary.to_insert++;
+      report.rows.push(entry);
+    }
+
+    return report;
+  }
+
+  /**
+   * Insert every row prepareImport() marked as 'insert' and link it to its company
+   */
+  async commitImport(report) {
+    const results = {
+      imported: 0,
+      duplicates: report.summary.duplicates,
+      invalid: report.summary.invalid,
+      queued_for_review: 0,
+      errors: []
+    };
+
+    for (const entry of report.rows.filter(r => r.status === 'insert')) {
+      const { data, error } = await this.supabase
+        .from('scored_opportunities')
+        .insert(entry.record)
+        .select('id, company_name, company_domain, source')
+        .single();
+
+      if (error) {
+        results.errors.push({ row_number: entry.row_number, lead: entry.record.company_name, error: error.message });
+        continue;
+      }
+
+      results.imported++;
+
+      try {
+        const { review_id } = await this.resolver.resolve(data);
+        if (review_id) results.queued_for_review++;
+      } catch (err) {
+        console.log(`   ⚠️  Entity resolution skipped for row ${entry.row_number}: ${err.message}`);
+      }
+    }
+
+    return results;
+  }
+
+  // ============================================
+  // SAVED COLUMN MAPPINGS
+  // ============================================
+
+  async getMappings() {
+    const { data, error } = await this.supabase
+      .from('lead_import_mappings')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getMapping(name) {
+    const { data, error } = await this.supabase
+      .from('lead_import_mappings')
+      .select('*')
+      .eq('name', name)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async saveMapping(name, columns, description = null) {
+    const { data, error } = await this.supabase
+      .from('lead_import_mappings')
+      .upsert({
+        name,
+        description,
+        columns,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'name' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteMapping(name) {
+    const { error } = await this.supabase
+      .from('lead_import_mappings')
+      .delete()
+      .eq('name', name);
+
+    if (error) throw error;
+  }
+}
+
+module.exports = LeadImporter;
@@ -0,0 +1,164 @@
+/**
+ * Lead Model Trainer
+ * Offline training for LeadModel from outreach outcomes
+ *
+ * 1. loadOutcomes()  - contacted leads from outreach_campaigns, labelled positive when
+ *                      any campaign replied, reached meeting_scheduled or converted
+ * 2. buildDataset()  - join to scored_opportunities and extract features
+ * 3. run()           - deterministic train/holdout split, fit, and compare ranking
+ *                      quality (AUC, precision@k) against the rule-based overall_score
+ */
+
+const crypto = require('crypto');
+const { lazyClient } = require('./supabase-client');
+const LeadModel = require('./lead-model');
+
+const POSITIVE_STATUSES = ['replied', 'interested', 'booking', 'booking_sent', 'meeting_scheduled'];
+const MIN_EXAMPLES_PER_CLASS = 5;
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+
+class LeadModelTrainer {
+  constructor() {
+    this.supabase = lazyClient();
+  }
+
+  isPositive(campaign) {
+    return !!campaign.replied_at || campaign.converted === true || POSITIVE_STATUSES.includes(campaign.status);
+  }
+
+  /**
+   * One label per contacted opportunity: { opportunityId: 0|1 }
+   */
+  async loadOutcomes() {
+    const labels = {};
+    const stats = { campaigns: 0, unlinked_campaigns: 0 };
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('outreach_campaigns')
+        .select('*')
+        .not('sent_at', 'is', null)
+        .order('sent_at', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+
+      for (const campaign of data || []) {
+        stats.campaigns++;
+        if (!campaign.opportunity_id) {
+          stats.unlinked_campaigns++;
+          continue;
+        }
+        const label = this.isPositive(campaign) ? 1 : 0;
+        labels[campaign.opportunity_id] = Math.max(labels[campaign.opportunity_id] || 0, label);
+      }
+
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    return { labels, stats };
+  }
+
+  /**
+   * [{ id, opportunity, features, label }] for every labelled opportunity still in the table
+   */
+  async buildDataset(labels) {
+    const ids = Object.keys(labels);
+    const rows = [];
+
+    for (let i = 0; i < ids.length; i += ID_CHUNK) {
+      const { data, error } = await this.supabase
+        .from('scored_opportunities')
+        .select('*')
+        .in('id', ids.slice(i, i + ID_CHUNK));
+
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+    }
+
+    return rows.map(opportunity => ({
+      id: opportunity.id,
+      opportunity,
+      features: LeadModel.extractFeatures(opportunity),
+      label: labels[opportunity.id]
+    }));
+  }
+
+  /**
+   * Stable split on the opportunity id so re-runs hold out the same leads
+   */
+  isHoldout(id, holdoutPercent) {
+    const bucket = parseInt(crypto.createHash('md5').update(String(id)).digest('hex').substring(0, 8), 16) % 100;
+    return bucket < holdoutPercent;
+  }
+
+  /**
+   * AUC and precision@k for a list of scores against labels
+   */
+  rankingQuality(scores, labels, k) {
+    const round = value => value === null ? null : Math.round(value * 1000) / 1000;
+    return {
+      auc: round(LeadModel.auc(scores, labels)),
+      precision_at_k: round(LeadModel.precisionAtK(scores, labels, k))
+    };
+  }
+
+  /**
+   * Train on contacted leads and report model vs rules on the held-out set
+   * Returns { model, report }
+   */
+  async run({ holdoutPercent = 20, epochs = 500, learningRate = 0.5, l2 = 0.01, minFeatureCount = 3 } = {}) {
+    console.log('📚 Loading outreach outcomes...');
+    const { labels, stats } = await this.loadOutcomes();
+    const dataset = await this.buildDataset(labels);
+
+    const train = dataset.filter(e => !this.isHoldout(e.id, holdoutPercent));
+    const holdout = dataset.filter(e => this.isHoldout(e.id, holdoutPercent));
+    const count = (examples, label) => examples.filter(e => e.label === label).length;
+
+    console.log(`   ${dataset.length} contacted leads (${count(dataset, 1)} positive) - ${train.length} train / ${holdout.length} holdout`);
+
+    if (count(train, 1) < MIN_EXAMPLES_PER_CLASS || count(train, 0) < MIN_EXAMPLES_PER_CLASS) {
+      throw new Error(`Not enough outcome data to train: need at least ${MIN_EXAMPLES_PER_CLASS} positive and ${MIN_EXAMPLES_PER_CLASS} negative training leads (have ${count(train, 1)} / ${count(train, 0)})`);
+    }
+
+    console.log('🧮 Fitting logistic regression...');
+    const features = LeadModel.buildVocabulary(train.map(e => e.features), minFeatureCount);
+    const model = LeadModel.train(train, { features, epochs, learningRate, l2 });
+    model.version = new Date().toISOString().replace(/[-:]/g, '').substring(0, 13); // e.g. 20261019T1042
+
+    // Held-out comparison: model probability vs the stored rule-based overall_score
+    const holdoutLabels = holdout.map(e => e.label);
+    const k = Math.max(1, Math.round(holdout.length * 0.1));
+    const comparison = {
+      k,
+      base_rate: holdout.length > 0 ? Math.round(count(holdout, 1) / holdout.length * 1000) / 1000 : null,
+      model: this.rankingQuality(holdout.map(e => model.predictFeatures(e.features)), holdoutLabels, k),
+      rules: this.rankingQuality(holdout.map(e => e.opportunity.overall_score || 0), holdoutLabels, k)
+    };
+
+    model.metrics = { holdout: comparison };
+
+    const report = {
+      version: model.version,
+      trained_at: new Date().toISOString(),
+      data: {
+        ...stats,
+        contacted_leads: dataset.length,
+        positives: count(dataset, 1),
+        train: { examples: train.length, positives: count(train, 1) },
+        holdout: { examples: holdout.length, positives: count(holdout, 1), percent: holdoutPercent }
+      },
+      holdout: comparison,
+      top_weights: Object.entries(model.weights)
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .slice(0, 15)
+        .map(([feature, weight]) => ({ feature, weight: Math.round(weight * 1000) / 1000 }))
+    };
+
+    return { model, report };
+  }
+}
+
+module.exports = LeadModelTrainer;
@@ -0,0 +1,231 @@
+/**
+ * Lead Model
+ * Logistic regression over features built from a scored opportunity, trained on
+ * outreach outcomes (replied / meeting scheduled / converted). Plain JS, no deps.
+ *
+ * Serialized with toJSON() and stored in scoring_models; LeadModel.fromJSON()
+ * restores it for scoring. Training lives in lead-model-trainer.js.
+ */
+
+const SCORE_COLUMNS = ['overall_score', 'signal_strength_score', 'tech_stack_score', 'revenue_score', 'employee_score'];
+
+class LeadModel {
+  constructor({ version = null, features = [], weights = {}, bias = 0, training = null, metrics = null } = {}) {
+    this.version = version;
+    this.features = features;
+    this.weights = weights;
+    this.bias = bias;
+    this.training = training;
+    this.metrics = metrics;
+  }
+
+  // ============================================
+  // FEATURES
+  // ============================================
+
+  /**
+   * Sparse feature map for one opportunity - { name: value }, values roughly 0-1
+   */
+  static extractFeatures(opportunity) {
+    const data = opportunity.opportunity_data || {};
+    const features = {};
+
+    features[`source:${(opportunity.source || 'unknown').toLowerCase()}`] = 1;
+
+    // Score columns (0-100), with an indicator when the enrichment never ran
+    SCORE_COLUMNS.forEach(column => {
+      const value = opportunity[column];
+      if (value === null || value === undefined) features[`missing:${column}`] = 1;
+      else features[`score:${column}`] = Math.max(0, Math.min(100, value)) / 100;
+    });
+
+    // Reachability and research depth
+    if (opportunity.contact_email || data.discovered_email || data.contact_email) features['has:email'] = 1;
+    if (opportunity.company_domain && !/^(unknown\.com|reddit\.com)$/.test(opportunity.company_domain)) features['has:domain'] = 1;
+
+    const research = data.lead_research || data.research;
+    if (research) {
+      const length = JSON.stringify(research).length;
+      features['has:research'] = 1;
+      features['research:length'] = Math.min(1, Math.log10(1 + length) / 4);
+    }
+
+    // Rule components from score_explanation, as a share of their cap
+    (data.score_explanation?.components || []).forEach(component => {
+      if (component.max) features[`component:${component.name}`] = Math.min(1, component.value / component.max);
+    });
+
+    // Firmographic bands and tech stack categories
+    const firmographics = data.firmographics || {};
+    if (firmographics.headcount?.band) features[`headcount:${firmographics.headcount.band}`] = 1;
+    if (firmographics.revenue?.band) features[`revenue:${firmographics.revenue.band}`] = 1;
+
+    Object.entries(data.tech_stack?.categories || {}).forEach(([category, tools]) => {
+      if (tools.length > 0) features[`tech:${category}`] = 1;
+    });
+
+    if (data.business_area) features[`area:${String(data.business_area).toLowerCase()}`] = 1;
+    if (data.urgency) features[`urgency:${String(data.urgency).toLowerCase()}`] = 1;
+
+    return features;
+  }
+
+  /**
+   * Features seen in at least minCount training rows (rarer ones would just be noise)
+   */
+  static buildVocabulary(featureMaps, minCount = 3) {
+    const counts = {};
+    featureMaps.forEach(map => Object.keys(map).forEach(name => {
+      counts[name] = (counts[name] || 0) + 1;
+    }));
+    return Object.keys(counts).filter(name => counts[name] >= minCount).sort();
+  }
+
+  // ============================================
+  // TRAINING & PREDICTION
+  // ============================================
+
+  static sigmoid(z) {
+    return 1 / (1 + Math.exp(-z));
+  }
+
+  /**
+   * Batch gradient descent with L2 regularization
+   * examples: [{ features: {name: value}, label: 0|1 }]
+   * balanced: weight positives by negatives/positives so rare outcomes aren't ignored
+   */
+  static train(examples, { features, epochs = 500, learningRate = 0.5, l2 = 0.01, balanced = true } = {}) {
+    const vocabulary = features || LeadModel.buildVocabulary(examples.map(e => e.features));
+    const positives = examples.filter(e => e.label === 1).length;
+    const negatives = examples.length - positives;
+    const positiveWeight = balanced && positives > 0 ? negatives / positives : 1;
+    const totalWeight = negatives + positives * positiveWeight;
+
+    const weights = Object.fromEntries(vocabulary.map(name => [name, 0]));
+    let bias = 0;
+
+    for (let epoch = 0; epoch < epochs; epoch++) {
+      const gradients = Object.fromEntries(vocabulary.map(name => [name, 0]));
+      let biasGradient = 0;
+
+      for (const example of examples) {
+        let z = bias;
+        for (const [name, value] of Object.entries(example.features)) {
+          if (name in weights) z += weights[name] * value;
+        }
+        const sampleWeight = example.label === 1 ? positiveWeight : 1;
+        const error = (LeadModel.sigmoid(z) - example.label) * sampleWeight;
+
+        biasGradient += error;
+        for (const [name, value] of Object.entries(example.features)) {
+          if (name in gradients) gradients[name] += error * value;
+        }
+      }
+
+      bias -= learningRate * biasGradient / totalWeight;
+      vocabulary.forEach(name => {
+        weights[name] -= learningRate * (gradients[name] / totalWeight + l2 * weights[name]);
+      });
+    }
+
+    return new LeadModel({
+      features: vocabulary,
+      weights,
+      bias,
+      training: { examples: examples.length, positives, epochs, learning_rate: learningRate, l2, balanced }
+    });
+  }
+
+  /**
+   * Probability (0-1) that outreach to this lead gets a positive outcome
+   */
+  predictFeatures(features) {
+    let z = this.bias;
+    for (const [name, value] of Object.entries(features)) {
+      if (name in this.weights) z += this.weights[name] * value;
+    }
+    return LeadModel.sigmoid(z);
+  }
+
+  predict(opportunity) {
+    return this.predictFeatures(LeadModel.extractFeatures(opportunity));
+  }
+
+  /**
+   * Probability plus the features that pushed it up or down the most
+   */
+  explain(opportunity, top = 5) {
+    const features = LeadModel.extractFeatures(opportunity);
+    const contributions = Object.entries(features)
+      .filter(([name]) => name in this.weights)
+      .map(([name, value]) => ({ feature: name, value: Math.round(value * 1000) / 1000, contribution: Math.round(this.weights[name] * value * 1000) / 1000 }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    const probability = this.predictFeatures(features);
+    return {
+      model_version: this.version,
+      probability: Math.round(probability * 1000) / 1000,
+      score: Math.round(probability * 100),
+      top_features: contributions.slice(0, top)
+    };
+  }
+
+  // ============================================
+  // RANKING METRICS
+  // ============================================
+
+  /**
+   * Area under the ROC curve - chance a random positive ranks above a random negative
+   * (ties count half). null when either class is missing.
+   */
+  static auc(scores, labels) {
+    const pairs = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+    const positives = labels.filter(l => l === 1).length;
+    const negatives = labels.length - positives;
+    if (positives === 0 || negatives === 0) return null;
+
+    // Average ranks for ties, then Mann-Whitney U
+    let rankSum = 0;
+    for (let i = 0; i < pairs.length;) {
+      let j = i;
+      while (j < pairs.length && pairs[j].score === pairs[i].score) j++;
+      const averageRank = (i + 1 + j) / 2;
+      for (let k = i; k < j; k++) if (pairs[k].label === 1) rankSum += averageRank;
+      i = j;
+    }
+
+    return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+  }
+
+  /**
+   * Share of positives among the k highest-scored leads
+   */
+  static precisionAtK(scores, labels, k) {
+    const ranked = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => b.score - a.score);
+    const top = ranked.slice(0, k);
+    return top.length > 0 ? top.filter(p => p.label === 1).length / top.length : null;
+  }
+
+  // ============================================
+  // SERIALIZATION
+  // ============================================
+
+  toJSON() {
+    return {
+      type: 'logistic_regression',
+      version: this.version,
+      features: this.features,
+      weights: this.weights,
+      bias: this.bias,
+      training: this.training,
+      metrics: this.metrics
+    };
+  }
+
+  static fromJSON(json) {
+    if (json.type !== 'logistic_regression') throw new Error(`Unsupported model type: ${json.type}`);
+    return new LeadModel(json);
+  }
+}
+
+module.exports = LeadModel;
@@ -0,0 +1,73 @@
+/**
+ * LLM Provider
+ * Base class for every model provider (Perplexity, Anthropic, the offline stub)
+ *
+ * Providers only make one call: complete() takes a request and returns
+ * { text, citations, model, usage } or throws. Retries, timeouts and fallback to
+ * the next provider are handled by LLMRouter, so providers don't retry themselves.
+ *
+ * Errors should carry status (HTTP status, if any) and code (e.g. ECONNABORTED)
+ * so the router can tell retryable failures (rate limits, timeouts, 5xx) apart.
+ */
+
+class LLMProvider {
+  constructor({ id, name, defaultModel }) {
+    this.id = id;
+    this.name = name;
+    this.defaultModel = defaultModel;
+  }
+
+  /**
+   * Whether the provider can be called (API key present) - unconfigured providers are skipped
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * One completion
+   * request: { prompt, system, model, maxTokens, temperature, timeoutMs }
+   * Returns { text, citations: [url], model, usage: { input_tokens, output_tokens } }
+   */
+  async complete(request) {
+    throw new Error(`${this.constructor.name} must implement complete()`);
+  }
+
+  /**
+   * Error with the HTTP status / error code of a failed API call, readable message
+   */
+  static apiError(providerName, error) {
+    const status = error.response?.status ?? error.status ?? null;
+    const data = error.response?.data ?? error.error ?? null;
+    let message = error.message;
+
+    if (status === 401) {
+      message = 'Invalid API key';
+    } else if (status === 400) {
+      message = `Bad request: ${JSON.stringify(data)}`;
+    } else if (status === 429) {
+      message = 'Rate limited';
+    } else if (data) {
+      message = `API error (${status}): ${JSON.stringify(data)}`;
+    }
+
+    const wrapped = new Error(`${providerName}: ${message}`);
+    wrapped.status = status;
+    wrapped.code = error.code;
+    return wrapped;
+  }
+
+  /**
+   * Summary for the API
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      default_model: this.defaultModel,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+module.exports = LLMProvider;
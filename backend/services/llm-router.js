@@ -0,0 +1,279 @@
+/**
+ * LLM Router
+ * Sends every model call through one place: picks the provider chain and model
+ * for the task (llm-config.json), applies the timeout, retries rate limits /
+ * timeouts / 5xx, and falls back to the next provider when one fails
+ *
+ *   const llm = LLMRouter.createDefault();
+ *   const { text, citations, provider, model } = await llm.complete('research', { prompt, system });
+ *
+ * Configuration (environment wins over llm-config.json):
+ * - LLM_PROVIDER=stub               every task uses only this provider (offline runs / tests)
+ * - LLM_TASK_RESEARCH=perplexity:sonar-pro,anthropic
+ *                                   chain for one task - provider[:model], first one first
+ *
+ * Unconfigured providers (no API key) are skipped. Adding a provider: extend
+ * LLMProvider, then register it in createDefault().
+ *
+ * With a ledger (AISpendLedger, on by default) every completed call is recorded
+ * with its cost and context, and calls over budget fail with code BUDGET_EXCEEDED
+ * before any provider is tried.
+ *
+ * With a limiter (RateLimiter, on by default) each provider call first takes a
+ * token from that provider's bucket, so concurrent jobs stay under its rate limit.
+ */
+
+const defaultConfig = require('./llm-config.json');
+const PerplexityProvider = require('./perplexity-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const StubProvider = require('./stub-provider');
+const AISpendLedger = require('./ai-spend-ledger');
+const RateLimiter = require('./rate-limiter');
+
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN'];
+
+class LLMRouter {
+  constructor({ config = defaultConfig, env = process.env, ledger = null, limiter = null } = {}) {
+    this.config = config;
+    this.env = env;
+    this.ledger = ledger;
+    this.limiter = limiter;
+    this.providers = new Map();
+  }
+
+  /**
+   * Router with all built-in providers, recording spend and rate limiting
+   * (pass ledger: null / limiter: null to skip)
+   */
+  static createDefault({ ledger = new AISpendLedger(), limiter = new RateLimiter(), ...options } = {}) {
+    const router = new LLMRouter({ ...options, ledger, limiter });
+    router.register(new PerplexityProvider());
+    router.register(new AnthropicProvider());
+    router.register(new StubProvider());
+    return router;
+  }
+
+  register(provider) {
+    if (!provider.id) throw new Error('LLM provider must have an id');
+    // Re-registering replaces the provider (tests swap in their own stub)
+    this.providers.set(provider.id, provider);
+    return this;
+  }
+
+  get(id) {
+    return this.providers.get(id) || null;
+  }
+
+  // ============================================
+  // CONFIGURATION
+  // ============================================
+
+  /**
+   * Settings for a task - task config over defaults (unknown tasks get the defaults)
+   */
+  settingsFor(task) {
+    const { description, ...settings } = this.config.tasks[task] || {};
+    return { ...this.config.defaults, ...settings };
+  }
+
+  /**
+   * [{ provider, model }] in the order they're tried
+   */
+  chainFor(task) {
+    const forced = this.env.LLM_PROVIDER;
+    const override = this.env[`LLM_TASK_${task.toUpperCase()}`];
+
+    let chain;
+    let origin;
+    if (forced) {
+      chain = [{ provider: forced }];
+      origin = 'LLM_PROVIDER';
+    } else if (override) {
+      chain = override.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const [provider, ...model] = part.split(':');
+        return { provider, model: model.join(':') || undefined };
+      });
+      origin = `LLM_TASK_${task.toUpperCase()}`;
+    } else {
+      chain = this.settingsFor(task).chain;
+      origin = 'llm-config.json';
+    }
+
+    return chain.map(link => {
+      const provider = this.get(link.provider);
+      if (!provider) throw new Error(`Unknown LLM provider "${link.provider}" in ${origin} (expected ${[...this.providers.keys()].join(', ')})`);
+      return { provider, model: link.model || provider.defaultModel };
+    });
+  }
+
+  // ============================================
+  // CALLS
+  // ============================================
+
+  static isRetryable(error) {
+    return error.status === 429 || error.status >= 500 || RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Reject with an ETIMEDOUT error if the provider call takes longer than timeoutMs
+   */
+  static withTimeout(promise, timeoutMs, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${label}: timed out after ${timeoutMs / 1000}s`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+      }, timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * One provider with retries - returns the provider's result or throws its last error
+   */
+  async attempt(provider, model, request, settings, attempts) {
+    for (let retry = 0; ; retry++) {
+      if (this.limiter) await this.limiter.take(provider.id);
+      const started = Date.now();
+      try {
+        const result = await LLMRouter.withTimeout(
+          provider.complete({ ...request, model, timeoutMs: settings.timeout_ms }),
+          settings.timeout_ms,
+          provider.name
+        );
+
+        // VALIDATE: make sure we got actual content
+        if (!result.text || result.text.trim().length < settings.min_length) {
+          throw new Error(`${provider.name}: empty or too-short response`);
+        }
+
+        attempts.push({ provider: provider.id, model, ok: true, latency_ms: Date.now() - started });
+        return result;
+      } catch (error) {
+        attempts.push({ provider: provider.id, model, ok: false, error: error.message, latency_ms: Date.now() - started });
+
+        if (!LLMRouter.isRetryable(error) || retry >= settings.max_retries) throw error;
+
+        const waitTime = (retry + 1) * settings.retry_delay_ms; // 5s, 10s, 15s by default
+        console.log(`   ⏳ Retry ${retry + 1}/${settings.max_retries} in ${waitTime / 1000}s (${error.message})`);
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      }
+    }
+  }
+
+  /**
+   * Token counts the provider didn't report, estimated at ~4 characters per token
+   */
+  static usageFor(result, request) {
+    const usage = result.usage || {};
+    const estimated = usage.input_tokens == null || usage.output_tokens == null;
+    return {
+      input_tokens: usage.input_tokens ?? Math.ceil(((request.system || '').length + request.prompt.length) / 4),
+      output_tokens: usage.output_tokens ?? Math.ceil(result.text.length / 4),
+      ...(estimated ? { estimated: true } : {})
+    };
+  }
+
+  /**
+   * Throw BUDGET_EXCEEDED when the task (or all AI spend) is over a daily / monthly cap
+   */
+  async ensureBudget(task) {
+    if (!this.ledger) return;
+
+    const budget = await this.ledger.checkBudget(task);
+    if (budget.allowed) return;
+
+    const caps = budget.exceeded.map(cap => `${cap.scope === 'all' ? 'all tasks' : cap.scope} ${cap.period === 'day' ? 'daily' : 'monthly'} $${cap.limit} (spent $${cap.spent})`);
+    console.log(`   ⏸️  ${task}: AI budget exhausted - ${caps.join(', ')}`);
+    const error = new Error(`AI budget exhausted for ${task}: ${caps.join(', ')}`);
+    error.code = 'BUDGET_EXCEEDED';
+    error.exceeded = budget.exceeded;
+    throw error;
+  }
+
+  /**
+   * Complete a prompt for a task
+   * request: { prompt, system, maxTokens, temperature } - omitted values come from the task config
+   * context: { opportunity_id, campaign_id, source, company_name } - recorded with the spend
+   * Returns { text, citations, provider, model, usage, attempts, latency_ms }
+   */
+  async complete(task, { prompt, system = null, maxTokens, temperature, context = null } = {}) {
+    const settings = this.settingsFor(task);
+    const chain = this.chainFor(task);
+    await this.ensureBudget(task);
+
+    const request = {
+      prompt,
+      system,
+      maxTokens: maxTokens ?? settings.max_tokens,
+      temperature: (temperature ?? settings.temperature) ?? undefined
+    };
+
+    const started = Date.now();
+    const attempts = [];
+    const failures = [];
+
+    for (const [index, { provider, model }] of chain.entries()) {
+      if (!provider.isConfigured()) {
+        failures.push(`${provider.id}: not configured`);
+        continue;
+      }
+
+      try {
+        const result = await this.attempt(provider, model, request, settings, attempts);
+        const usage = LLMRouter.usageFor(result, request);
+        const latency = Date.now() - started;
+        if (this.ledger) {
+          await this.ledger.record({ task, provider: provider.id, model: result.model || model, usage, latencyMs: latency, context });
+        }
+
+        return {
+          text: result.text,
+          citations: result.citations || [],
+          provider: provider.id,
+          model: result.model || model,
+          usage,
+          attempts,
+          latency_ms: latency
+        };
+      } catch (error) {
+        failures.push(error.message);
+        if (index < chain.length - 1) {
+          console.log(`   ↪️  ${task}: ${provider.name} failed (${error.message}) - falling back`);
+        }
+      }
+    }
+
+    console.log(`   ❌ ${task}: every provider failed (${failures.join('; ')})`);
+    const error = new Error(`No LLM provider could complete "${task}": ${failures.join('; ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Providers and the resolved chain per task, for the API
+   */
+  describe() {
+    const tasks = {};
+    Object.keys(this.config.tasks).forEach(task => {
+      const settings = this.settingsFor(task);
+      tasks[task] = {
+        description: this.config.tasks[task].description || null,
+        chain: this.chainFor(task).map(({ provider, model }) => ({ provider: provider.id, model, configured: provider.isConfigured() })),
+        max_tokens: settings.max_tokens,
+        temperature: settings.temperature,
+        timeout_ms: settings.timeout_ms,
+        max_retries: settings.max_retries
+      };
+    });
+
+    return {
+      forced_provider: this.env.LLM_PROVIDER || null,
+      providers: [...this.providers.values()].map(provider => provider.describe()),
+      tasks
+    };
+  }
+}
+
+module.exports = LLMRouter;
@@ -0,0 +1,149 @@
+/**
+ * News Feed Scanner
+ * Startup/tech news feeds (Hacker News, TechCrunch, ...) scored with quick phrase checks
+ * Originally lived inline in populate-opportunities.js
+ */
+
+const Parser = require('rss-parser');
+const SourceAdapter = require('./source-adapter');
+const ScoreExplainer = require('./score-explainer');
+const TextSignals = require('./text-signals');
+
+// Points per phrase for overall_score (capped at 100)
+const FIT_WEIGHTS = {
+  'struggling': 20,
+  'need help': 15,
+  'looking for': 10,
+  'revenue': 15,
+  'startup': 10,
+  'growth': 10
+};
+
+class NewsFeedScanner extends SourceAdapter {
+  constructor() {
+    super({
+      id: 'news',
+      name: 'News Feeds',
+      description: 'Startup and tech news feeds'
+    });
+    this.parser = new Parser({
+      headers: {
+        'Accept': 'application/rss+xml, application/xml, text/xml, */*'
+      }
+    });
+
+    // Editable through /api/sources/news/feeds and /api/sources/news/keywords/:list
+    this.defaultFeeds = [
+      { name: 'Indie Hackers', url: 'https://www.indiehackers.com/feed' },
+      { name: 'Hacker News', url: 'https://news.ycombinator.com/rss' },
+      { name: 'Entrepreneur', url: 'https://www.entrepreneur.com/latest.rss' },
+      { name: 'TechCrunch', url: 'https://techcrunch.com/feed/' }
+    ];
+    this.feeds = this.defaultFeeds;
+
+    this.defaultKeywords = {
+      pain: ['struggling', 'problem', 'issue', 'challenge', 'need help', 'looking for', 'how to', 'advice needed', 'stuck'],
+      business: ['startup', 'business', 'saas', 'company', 'revenue', 'customer', 'marketing', 'sales', 'growth']
+    };
+    this.keywords = { ...this.defaultKeywords };
+  }
+
+  /**
+   * Analyze recent items (last 10) from every feed
+   */
+  async fetch() {
+    return this.fetchFeeds(this.parser, this.feeds, 10);
+  }
+
+  normalize({ item, feed }) {
+    return {
+      title: item.title || '',
+      content: item.contentSnippet || '',
+      url: item.link,
+      author: item.creator || item.author || null,
+      published_at: item.pubDate || item.isoDate || null,
+      feed,
+      raw: item
+    };
+  }
+
+  /**
+   * Keep items that mention both a pain point and a business context
+   */
+  async analyze(item) {
+    const signals = new TextSignals({ title: item.title, content: item.content });
+
+    // Detect pain points
+    const hasPain = signals.hasAny(this.keywords.pain);
+    const hasBusiness = signals.hasAny(this.keywords.business);
+
+    if (!hasPain || !hasBusiness) return null;
+
+    const fitScore = this.calculateFitScore(signals);
+    const routed = fitScore >= 50;
+    const tier = fitScore >= 70 ? 'tier_1' : 'tier_2';
+
+    return {
+      company_name: item.author || item.feed.name,
+      company_domain: this.extractDomain(item.url),
+      overall_score: fitScore,
+      signal_strength_score: 80,
+      route_to_outreach: routed,
+      priority_tier: tier,
+      source: item.feed.name,
+      opportunity_data: {
+        title: item.title,
+        url: item.url,
+        published: item.published_at,
+        snippet: item.content.substring(0, 200),
+        score_explanation: this.explainFitScore(signals, fitScore, tier, routed)
+      }
+    };
+  }
+
+  /**
+   * Most items have no author, so the "company" is the feed itself - dedupe on the article instead
+   */
+  async findDuplicate(opportunity) {
+    return this.findDuplicateByUrl(opportunity, opportunity.opportunity_data.url);
+  }
+
+  calculateFitScore(signals) {
+    let fitScore = 0;
+    Object.entries(FIT_WEIGHTS).forEach(([phrase, points]) => {
+      if (signals.has(phrase)) fitScore += points;
+    });
+    return Math.min(fitScore, 100);
+  }
+
+  /**
+   * score_explanation: the pain/business gate plus each weighted phrase that fired
+   */
+  explainFitScore(signals, fitScore, tier, routed) {
+    const gate = list => ({ met: true, signals: signals.matched(this.keywords[list]) });
+
+    const hits = Object.entries(FIT_WEIGHTS).flatMap(([phrase, points]) => signals.hits([phrase], points));
+    const raw = hits.reduce((sum, hit) => sum + hit.weight, 0);
+
+    return ScoreExplainer.explain({
+      scorer: 'news',
+      score: fitScore,
+      maxScore: 100,
+      overallScore: fitScore,
+      outcome: tier,
+      outcomeReason: `Fit ${fitScore} ${fitScore >= 70 ? '>= 70 (tier_1)' : '< 70 (tier_2)'}, ${routed ? '>= 50 routes to outreach' : '< 50 not routed'}`,
+      qualification: { met: 2, required: 2, criteria: { pain: gate('pain'), business: gate('business') }, auto_qualified_by: [] },
+      components: [ScoreExplainer.component('fit', { label: 'Fit phrases', hits, raw, value: fitScore, max: 100 })]
+    });
+  }
+
+  extractDomain(url) {
+    try {
+      return new URL(url).hostname.replace('www.', '');
+    } catch {
+      return 'unknown.com';
+    }
+  }
+}
+
+module.exports = NewsFeedScanner;
@@ -8,14 +8,25 @@
  * 4. Learns from feedback (opens, replies, meetings)
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const { lazyClient } = require('./supabase-client');
+
+// Tenure thresholds for messaging angles - each key is also a founder stage name
+// (EARLY_GROWTH -> early_growth), which ICP profiles match on
+const TENURE_THRESHOLDS = {
+  EARLY_GROWTH: 5,      // < 5 years: scaling, systems building
+  MID_GROWTH: 10,       // 5-10 years: leadership layer, reducing dependency
+  MATURE: 15,           // 10-15 years: preparing for transition
+  SUCCESSION: 20,       // 15-20 years: active succession planning
+  EXIT_READY: 25        // 20+ years: exit optimization, legacy
+};
 
 class OutreachBrain {
+  static get TENURE_THRESHOLDS() {
+    return TENURE_THRESHOLDS;
+  }
+
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    this.supabase = lazyClient();
 
     // In-memory pattern cache (loaded from DB on init)
     this.patterns = {
@@ -25,14 +36,7 @@ class OutreachBrain {
       tenureAngles: {}
     };
 
-    // Tenure thresholds for messaging angles
-    this.TENURE_THRESHOLDS = {
-      EARLY_GROWTH: 5,      // < 5 years: scaling, systems building
-      MID_GROWTH: 10,       // 5-10 years: leadership layer, reducing dependency
-      MATURE: 15,           // 10-15 years: preparing for transition
-      SUCCESSION: 20,       // 15-20 years: active succession planning
-      EXIT_READY: 25        // 20+ years: exit optimization, legacy
-    };
+    this.TENURE_THRESHOLDS = TENURE_THRESHOLDS;
   }
 
   /**
@@ -0,0 +1,63 @@
+/**
+ * Perplexity Provider
+ * Web-grounded answers from the Perplexity chat completions API - returns the
+ * cited source URLs alongside the text
+ */
+
+const axios = require('axios');
+const LLMProvider = require('./llm-provider');
+
+class PerplexityProvider extends LLMProvider {
+  constructor({ apiKey = process.env.PERPLEXITY_API_KEY } = {}) {
+    super({ id: 'perplexity', name: 'Perplexity', defaultModel: 'sonar' });
+    this.apiKey = apiKey;
+    this.endpoint = 'https://api.perplexity.ai/chat/completions';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async complete({ prompt, system, model, maxTokens, temperature, timeoutMs }) {
+    if (!this.apiKey) {
+      throw new Error('Perplexity API key not configured');
+    }
+
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+
+    try {
+      const response = await axios.post(
+        this.endpoint,
+        {
+          model: model || this.defaultModel,
+          messages,
+          temperature,
+          max_tokens: maxTokens
+        },
+        {
+          headers: {
+            'Authorization': `Bearer ${this.apiKey}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: timeoutMs
+        }
+      );
+
+      return {
+        text: response.data.choices[0]?.message?.content || '',
+        citations: response.data.citations || [],
+        model: response.data.model || model || this.defaultModel,
+        usage: {
+          input_tokens: response.data.usage?.prompt_tokens ?? null,
+          output_tokens: response.data.usage?.completion_tokens ?? null
+        }
+      };
+    } catch (error) {
+      throw LLMProvider.apiError(this.name, error);
+    }
+  }
+}
+
+module.exports = PerplexityProvider;
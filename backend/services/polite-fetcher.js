@@ -0,0 +1,455 @@
+/**
+ * Polite Fetcher
+ * The one way our scrapers fetch other people's websites: honors robots.txt,
+ * paces requests per host, caches responses on disk, and finds a site's
+ * contact / team / about pages from its sitemap and navigation instead of
+ * guessing URLs
+ *
+ *   const fetcher = new PoliteFetcher();
+ *   const html = await fetcher.get('https://harbor.com/about');
+ *   const { homepage, pages } = await fetcher.discoverPages('harbor.com');
+ *   // pages: [{ url: 'https://harbor.com/contact-us', source: 'sitemap' | 'nav', kind: 'contact' }, ...]
+ *
+ * - Identifies itself as UnboundBot; callers can't override the User-Agent
+ * - robots.txt is read once per host: the UnboundBot group if there is one,
+ *   else *, longest matching Allow/Disallow wins. A missing robots.txt (4xx)
+ *   allows everything; an unreachable one (5xx, network) blocks the host for a
+ *   while. Crawl-delay slows that host down further
+ * - Every request, redirects included, takes a token from the host's bucket
+ *   (RateLimiter, CRAWL_PER_HOST_PER_MINUTE, default 12)
+ * - Responses (200s, permanent redirects, 404/410) are cached under
+ *   CRAWL_CACHE_DIR for CRAWL_CACHE_TTL_HOURS (default 24); stale entries are
+ *   revalidated with their ETag / Last-Modified
+ *
+ * Blocked URLs throw with error.code ROBOTS_DISALLOWED; HTTP errors throw with
+ * error.response.status, like axios, so callers' error handling is unchanged.
+ * Feeds are fetched with { robots: false, cache: false }: they are published
+ * for automated readers and FeedFetcher keeps its own conditional GETs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const RateLimiter = require('./rate-limiter');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; UnboundBot/1.0; +https://unbound.team)';
+const ROBOTS_AGENT = 'unboundbot';
+const HTML_ACCEPT = 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8';
+
+const DEFAULT_PER_MINUTE = 12;
+const DEFAULT_BURST = 3;
+const TIMEOUT_MS = 10000;
+const MAX_BYTES = 3 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_TTL_HOURS = 24;
+const CACHE_KEEP_MS = 7 * 24 * 60 * 60 * 1000; // stale entries are kept this long for revalidation
+const ROBOTS_RETRY_MS = 10 * 60 * 1000; // an unreachable robots.txt blocks the host this long
+const CACHEABLE = [200, 301, 308, 404, 410];
+const REDIRECTS = [301, 302, 303, 307, 308];
+
+// Pages worth reading for contacts, best first
+const PAGE_KINDS = [
+  { kind: 'contact', pattern: /contact|get-in-touch|reach-us/i },
+  { kind: 'team', pattern: /team|people|leadership|staff|founders?|management/i },
+  { kind: 'about', pattern: /about|who-we-are|our-story|company/i }
+];
+const MAX_SITEMAPS = 3;
+const MAX_PAGE_DEPTH = 2; // /about/team yes, /blog/2024/our-team-offsite no
+const MAX_DISCOVERED = 5;
+
+// origin -> Promise<{ rules, crawlDelay, sitemaps, expiresAt }>, shared across instances
+const robotsFiles = new Map();
+let pruned = false;
+
+class PoliteFetcher {
+  /**
+   * transport(options) -> { status, headers, data } overrides axios (tests)
+   */
+  constructor({
+    cacheDir = process.env.CRAWL_CACHE_DIR || path.join(__dirname, '..', '.cache', 'crawl'),
+    cacheTtlMs = (Number(process.env.CRAWL_CACHE_TTL_HOURS) || CACHE_TTL_HOURS) * 60 * 60 * 1000,
+    perHostPerMinute = Number(process.env.CRAWL_PER_HOST_PER_MINUTE) || DEFAULT_PER_MINUTE,
+    burst = DEFAULT_BURST,
+    timeoutMs = TIMEOUT_MS,
+    limiter = new RateLimiter({ limits: {}, env: {} }),
+    transport = options => axios.request(options)
+  } = {}) {
+    this.cacheDir = cacheDir;
+    this.cacheTtlMs = cacheTtlMs;
+    this.limit = { per_minute: perHostPerMinute, burst };
+    this.timeoutMs = timeoutMs;
+    this.limiter = limiter;
+    this.transport = transport;
+    this.hostRobots = new Map(); // host -> the robots.txt its limit was set from
+  }
+
+  static get userAgent() {
+    return USER_AGENT;
+  }
+
+  static clearCache() {
+    robotsFiles.clear();
+  }
+
+  // ============================================
+  // FETCHING
+  // ============================================
+
+  /**
+   * Page body as text
+   */
+  async get(url, options = {}) {
+    return (await this.fetch(url, options)).body;
+  }
+
+  /**
+   * Fetch a URL politely. Returns { url (after redirects), status, headers, body, fromCache }
+   * - headers: extra request headers (User-Agent is always ours)
+   * - robots / cache: false skips the robots.txt check / the disk cache
+   * A 304 is returned (not thrown) when the caller sent its own validators
+   */
+  async fetch(url, { headers = {}, accept = HTML_ACCEPT, robots = true, cache = true, timeoutMs = this.timeoutMs } = {}) {
+    let target = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+      if (!['http:', 'https:'].includes(target.protocol)) throw new Error(`Unsupported URL: ${target.href}`);
+
+      const rules = robots ? await this.robotsFor(target.origin) : null;
+      if (rules && !PoliteFetcher.isAllowed(rules.rules, target.pathname + target.search)) {
+        throw Object.assign(new Error(`Blocked by robots.txt: ${target.href}`), { code: 'ROBOTS_DISALLOWED', url: target.href });
+      }
+
+      const cached = cache ? await this.readCache(target.href) : null;
+      let response;
+
+      if (cached && Date.now() - cached.fetched_at < this.cacheTtlMs) {
+        response = { ...cached, fromCache: true };
+      } else {
+        await this.pace(target, rules);
+
+        const conditional = {};
+        if (cached?.headers.etag) conditional['If-None-Match'] = cached.headers.etag;
+        if (cached?.headers['last-modified']) conditional['If-Modified-Since'] = cached.headers['last-modified'];
+
+        const live = await this.transport({
+          method: 'get',
+          url: target.href,
+          headers: { Accept: accept, ...headers, ...conditional, 'User-Agent': USER_AGENT },
+          timeout: timeoutMs,
+          maxContentLength: MAX_BYTES,
+          maxRedirects: 0, // followed here, so every hop is checked and paced
+          responseType: 'text',
+          validateStatus: () => true
+        });
+
+        if (live.status === 304 && cached) {
+          response = { ...cached, fetched_at: Date.now(), fromCache: true };
+          await this.writeCache(response);
+        } else {
+          response = {
+            url: target.href,
+            status: live.status,
+            headers: { ...(live.headers || {}) },
+            body: typeof live.data === 'string' ? live.data : String(live.data ?? ''),
+            fetched_at: Date.now(),
+            fromCache: false
+          };
+          if (cache && CACHEABLE.includes(response.status)) await this.writeCache(response);
+        }
+      }
+
+      if (REDIRECTS.includes(response.status) && response.headers.location) {
+        if (redirects >= MAX_REDIRECTS) throw new Error(`Too many redirects: ${url}`);
+        target = new URL(response.headers.location, target);
+        continue;
+      }
+
+      if ((response.status >= 200 && response.status < 300) || response.status === 304) {
+        const { url: finalUrl, status, headers: responseHeaders, body, fromCache } = response;
+        return { url: finalUrl, status, headers: responseHeaders, body, fromCache };
+      }
+
+      throw Object.assign(new Error(`Request failed with status code ${response.status}`), {
+        url: target.href,
+        response: { status: response.status, headers: response.headers }
+      });
+    }
+  }
+
+  /**
+   * Wait for the host's token - www. and the bare domain share one bucket
+   * The host's limit is set when its robots.txt is first seen (Crawl-delay) and
+   * kept for fetches that skip robots.txt; until then it gets the default
+   */
+  async pace(target, robots = null) {
+    const host = `host:${target.host.replace(/^www\./, '')}`;
+
+    if (robots && this.hostRobots.get(host) !== robots) {
+      this.hostRobots.set(host, robots);
+      this.limiter.setLimit(host, robots.crawlDelay > 0
+        ? { per_minute: Math.min(this.limit.per_minute, 60 / robots.crawlDelay), burst: 1 }
+        : this.limit);
+    } else if (!this.limiter.limits[host]) {
+      this.limiter.setLimit(host, this.limit);
+    }
+
+    await this.limiter.take(host);
+  }
+
+  // ============================================
+  // ROBOTS.TXT
+  // ============================================
+
+  async robotsFor(origin) {
+    let pending = robotsFiles.get(origin);
+    if (pending && (await pending).expiresAt < Date.now()) pending = null;
+
+    if (!pending) {
+      pending = this.loadRobots(origin);
+      robotsFiles.set(origin, pending);
+    }
+    return pending;
+  }
+
+  async loadRobots(origin) {
+    try {
+      const response = await this.fetch(`${origin}/robots.txt`, { robots: false, accept: 'text/plain' });
+      return { ...PoliteFetcher.robotsRules(PoliteFetcher.parseRobots(response.body)), expiresAt: Date.now() + this.cacheTtlMs };
+    } catch (error) {
+      const status = error.response?.status;
+
+      // No robots.txt (or not ours to read): nothing is off limits
+      if (status >= 400 && status < 500) {
+        return { rules: [], crawlDelay: null, sitemaps: [], expiresAt: Date.now() + this.cacheTtlMs };
+      }
+
+      // Server error or unreachable: stay off the host until we know its rules
+      console.log(`   ⚠️  robots.txt unavailable for ${origin} (${error.message}) - skipping the host for now`);
+      return { rules: [{ allow: false, path: '/' }], crawlDelay: null, sitemaps: [], expiresAt: Date.now() + ROBOTS_RETRY_MS };
+    }
+  }
+
+  /**
+   * robots.txt text -> { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+   */
+  static parseRobots(text) {
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+
+    for (const raw of String(text || '').split(/\r?\n/)) {
+      const line = raw.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator < 0) continue;
+
+      const field = line.substring(0, separator).trim().toLowerCase();
+      const value = line.substring(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive User-agent lines share one group
+        if (!group || group.rules.length > 0 || group.crawlDelay !== null) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+      } else if ((field === 'allow' || field === 'disallow') && group) {
+        if (value) group.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay' && group) {
+        const delay = Number(value);
+        if (delay > 0) group.crawlDelay = delay;
+      } else if (field === 'sitemap' && value) {
+        sitemaps.push(value);
+      }
+    }
+
+    return { groups, sitemaps };
+  }
+
+  /**
+   * The rules that apply to us: every UnboundBot group, else every * group
+   */
+  static robotsRules({ groups, sitemaps }) {
+    const ours = groups.filter(group => group.agents.includes(ROBOTS_AGENT));
+    const applicable = ours.length > 0 ? ours : groups.filter(group => group.agents.includes('*'));
+    const delays = applicable.map(group => group.crawlDelay).filter(Boolean);
+
+    return {
+      rules: applicable.flatMap(group => group.rules),
+      crawlDelay: delays.length > 0 ? Math.max(...delays) : null,
+      sitemaps
+    };
+  }
+
+  /**
+   * Longest matching rule wins, Allow on a tie; * and a trailing $ work as in Google's parser
+   */
+  static isAllowed(rules, urlPath) {
+    if (urlPath === '/robots.txt') return true;
+
+    let best = null;
+    for (const rule of rules) {
+      const anchored = rule.path.endsWith('$');
+      const pattern = (anchored ? rule.path.slice(0, -1) : rule.path)
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*');
+      if (!new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(urlPath)) continue;
+
+      if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+        best = rule;
+      }
+    }
+    return best ? best.allow : true;
+  }
+
+  // ============================================
+  // PAGE DISCOVERY
+  // ============================================
+
+  /**
+   * Homepage plus the site's contact / team / about pages, from the sitemaps
+   * robots.txt lists (or /sitemap.xml) and the homepage's links.
+   * fetchPage(url) -> text defaults to this.get (EmailFinder passes its own for fixtures)
+   * robots(origin) -> { sitemaps } defaults to the robots.txt robotsFor() already read
+   * Returns { homepage: { url, html } | null, pages: [{ url, source, kind }] }
+   */
+  async discoverPages(domain, { fetchPage = url => this.get(url), robots = origin => this.robotsFor(origin), limit = MAX_DISCOVERED } = {}) {
+    const site = domain.replace(/^www\./, '');
+    const found = new Map(); // pathname -> page
+    let homepage = null;
+
+    for (const url of [`https://${site}`, `https://www.${site}`]) {
+      try {
+        homepage = { url, html: await fetchPage(url) };
+        break;
+      } catch {
+        // Try www.
+      }
+    }
+
+    const add = (url, source, text = '') => {
+      let parsed;
+      try {
+        parsed = new URL(url, homepage?.url || `https://${site}`);
+      } catch {
+        return;
+      }
+      if (parsed.host.replace(/^www\./, '') !== site || !['http:', 'https:'].includes(parsed.protocol)) return;
+
+      const segments = parsed.pathname.split('/').filter(Boolean);
+      if (segments.length === 0 || segments.length > MAX_PAGE_DEPTH) return;
+      if (/\.(pdf|jpe?g|png|gif|svg|zip|mp4|xml)$/i.test(parsed.pathname)) return;
+
+      const kind = PAGE_KINDS.findIndex(({ pattern }) => pattern.test(parsed.pathname) || pattern.test(text));
+      if (kind < 0 || found.has(parsed.pathname)) return;
+      found.set(parsed.pathname, { url: parsed.origin + parsed.pathname, source, kind: PAGE_KINDS[kind].kind, rank: kind });
+    };
+
+    // Sitemaps: whatever robots.txt lists, else the usual location; follow index files
+    let sitemaps = [];
+    try {
+      sitemaps = (await robots(`https://${site}`)).sitemaps;
+    } catch {
+      // No robots.txt
+    }
+    const queue = sitemaps.length > 0 ? sitemaps : [`https://${site}/sitemap.xml`];
+
+    for (let read = 0; read < MAX_SITEMAPS && queue.length > 0; read++) {
+      try {
+        const { pages, sitemaps: nested } = PoliteFetcher.sitemapLinks(await fetchPage(queue.shift()));
+        pages.forEach(url => add(url, 'sitemap'));
+        // Page sitemaps first - post and product sitemaps rarely list a contact page
+        queue.push(...nested.sort((a, b) => /page|main/i.test(b) - /page|main/i.test(a)));
+      } catch {
+        // Missing or unreadable sitemap
+      }
+    }
+
+    if (homepage) {
+      PoliteFetcher.links(homepage.html, homepage.url).forEach(link => add(link.url, 'nav', link.text));
+    }
+
+    const pages = [...found.values()]
+      .sort((a, b) => a.rank - b.rank || a.url.length - b.url.length)
+      .slice(0, limit)
+      .map(({ url, source, kind }) => ({ url, source, kind }));
+
+    return { homepage, pages };
+  }
+
+  /**
+   * <loc> entries of a sitemap or sitemap index: { pages, sitemaps }
+   */
+  static sitemapLinks(xml) {
+    const $ = cheerio.load(xml || '', { xmlMode: true });
+    const locs = selector => $(selector).map((i, el) => $(el).text().trim()).get().filter(Boolean);
+    return { pages: locs('url > loc'), sitemaps: locs('sitemap > loc') };
+  }
+
+  /**
+   * Links on a page: [{ url, text }], absolute
+   */
+  static links(html, baseUrl) {
+    const $ = cheerio.load(html || '');
+    const links = [];
+
+    $('a[href]').each((i, el) => {
+      try {
+        links.push({ url: new URL($(el).attr('href'), baseUrl).href, text: $(el).text().replace(/\s+/g, ' ').trim() });
+      } catch {
+        // Ignore malformed hrefs
+      }
+    });
+
+    return links;
+  }
+
+  // ============================================
+  // DISK CACHE
+  // ============================================
+
+  cacheFile(url) {
+    return path.join(this.cacheDir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+  }
+
+  async readCache(url) {
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.cacheFile(url), 'utf8'));
+      return entry.url === url ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async writeCache({ url, status, headers, body, fetched_at }) {
+    try {
+      await fs.promises.mkdir(this.cacheDir, { recursive: true });
+      await fs.promises.writeFile(this.cacheFile(url), JSON.stringify({ url, status, headers, body, fetched_at }));
+      if (!pruned) {
+        pruned = true;
+        this.prune().catch(() => {});
+      }
+    } catch (error) {
+      // The cache is best effort - a read-only disk just means more requests
+      console.log(`   ⚠️  Could not cache ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete entries too old to revalidate (runs once per process)
+   */
+  async prune(maxAgeMs = CACHE_KEEP_MS) {
+    let removed = 0;
+    for (const file of await fs.promises.readdir(this.cacheDir)) {
+      const stat = await fs.promises.stat(path.join(this.cacheDir, file));
+      if (Date.now() - stat.mtimeMs > maxAgeMs) {
+        await fs.promises.unlink(path.join(this.cacheDir, file));
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = PoliteFetcher;
@@ -0,0 +1,118 @@
+/**
+ * Rate Limiter
+ * Token buckets per provider (perplexity, anthropic, email_finder, ...) so
+ * background jobs pace themselves by what each API allows instead of fixed sleeps
+ *
+ *   await limiter.take('perplexity'); // waits until a token is free
+ *
+ * A bucket holds up to `burst` tokens and refills at `per_minute`. Buckets are
+ * shared by every limiter in the process (all workers draw from the same budget).
+ * Providers without a limit are never throttled.
+ *
+ * Override per provider with RATE_LIMIT_<PROVIDER>=<per minute>[/<burst>],
+ * e.g. RATE_LIMIT_PERPLEXITY=30/5
+ */
+
+const DEFAULT_LIMITS = {
+  perplexity: { per_minute: 20, burst: 3 },
+  anthropic: { per_minute: 40, burst: 5 },
+  email_finder: { per_minute: 12, burst: 2 },
+  smtp_verify: { per_minute: 10, burst: 3 } // RCPT probes against prospects' mail servers
+};
+
+// provider -> { tokens, updatedAt, limit }, shared across instances
+const buckets = new Map();
+
+class RateLimiter {
+  constructor({ limits = DEFAULT_LIMITS, env = process.env } = {}) {
+    this.limits = { ...limits };
+    Object.keys(env)
+      .filter(key => key.startsWith('RATE_LIMIT_'))
+      .forEach(key => {
+        const [perMinute, burst] = String(env[key]).split('/').map(Number);
+        if (!(perMinute > 0)) return;
+        this.limits[key.substring('RATE_LIMIT_'.length).toLowerCase()] = { per_minute: perMinute, burst: burst > 0 ? burst : 1 };
+      });
+  }
+
+  /**
+   * Set one provider's limit at runtime (PoliteFetcher adds hosts as it meets them)
+   */
+  setLimit(provider, limit) {
+    this.limits[provider] = limit;
+    return this;
+  }
+
+  bucket(provider) {
+    const limit = this.limits[provider];
+    if (!limit) return null;
+
+    let bucket = buckets.get(provider);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: Date.now(), limit };
+      buckets.set(provider, bucket);
+    } else if (bucket.limit.per_minute !== limit.per_minute || bucket.limit.burst !== limit.burst) {
+      // A new limit keeps the tokens left (capped at the new burst) - starting
+      // over from a full bucket would hand out a free burst
+      RateLimiter.refill(bucket);
+      bucket.limit = limit;
+      bucket.tokens = Math.min(bucket.tokens, limit.burst);
+    }
+    return bucket;
+  }
+
+  /**
+   * Add the tokens earned since the last check (capped at burst)
+   */
+  static refill(bucket, now = Date.now()) {
+    const earned = ((now - bucket.updatedAt) / 60000) * bucket.limit.per_minute;
+    bucket.tokens = Math.min(bucket.limit.burst, bucket.tokens + earned);
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until `tokens` are available (0 = now)
+   */
+  waitTime(provider, tokens = 1) {
+    const bucket = this.bucket(provider);
+    if (!bucket) return 0;
+
+    RateLimiter.refill(bucket);
+    if (bucket.tokens >= tokens) return 0;
+    return Math.ceil(((tokens - bucket.tokens) / bucket.limit.per_minute) * 60000);
+  }
+
+  /**
+   * Take a token, waiting for the bucket to refill if it's empty
+   * Throws when asking for more tokens than the bucket can ever hold
+   */
+  async take(provider, tokens = 1) {
+    const limit = this.limits[provider];
+    if (limit && tokens > limit.burst) {
+      throw new Error(`Cannot take ${tokens} tokens for ${provider} - its burst is ${limit.burst}`);
+    }
+
+    for (;;) {
+      const wait = this.waitTime(provider, tokens);
+      if (wait === 0) {
+        const bucket = this.bucket(provider);
+        if (bucket) bucket.tokens -= tokens;
+        return;
+      }
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Limits and tokens left per provider, for the API
+   */
+  describe() {
+    return Object.entries(this.limits).map(([provider, limit]) => {
+      const bucket = this.bucket(provider);
+      RateLimiter.refill(bucket);
+      return { provider, per_minute: limit.per_minute, burst: limit.burst, available: Math.floor(bucket.tokens) };
+    });
+  }
+}
+
+module.exports = RateLimiter;
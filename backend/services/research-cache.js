@@ -0,0 +1,169 @@
+/**
+ * Research Cache
+ * Stores Perplexity answers per company so the same business found by several
+ * sources (or discovered twice) costs one lookup
+ *
+ * Keyed by query type + normalized domain (blog.acme.com and acme.com share an
+ * entry); companies without an identity domain (forum usernames, platform URLs)
+ * fall back to the normalized company name. Entries expire after the TTL
+ * (RESEARCH_CACHE_TTL_DAYS, default 30 days). Hit/miss counters cover the running
+ * process; the table keeps lifetime hits per entry.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const EntityResolver = require('./entity-resolver');
+
+const DEFAULT_TTL_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 1000;
+
+// Lookups since the process started, shared by every AIResearcher
+const sessionStats = { hits: 0, misses: 0, writes: 0, errors: 0 };
+
+class ResearchCache {
+  constructor({ ttlDays = parseFloat(process.env.RESEARCH_CACHE_TTL_DAYS) || DEFAULT_TTL_DAYS } = {}) {
+    this.supabase = lazyClient();
+    this.resolver = new EntityResolver();
+    this.ttlDays = ttlDays;
+  }
+
+  /**
+   * { key, domain, type } for a company and query type - null when there's nothing to key on
+   */
+  keyFor(company, type) {
+    const domain = this.resolver.normalizeDomain(company.company_domain || company.domain);
+    if (domain && this.resolver.isIdentityDomain(domain)) {
+      return { key: `${type}:${domain}`, domain, type };
+    }
+
+    const name = this.resolver.normalizeName(company.company_name);
+    if (!name) return null;
+    return { key: `${type}:name:${name}`, domain: null, type };
+  }
+
+  // ============================================
+  // LOOKUP
+  // ============================================
+
+  /**
+   * Cached response for a key, or null (missing, expired, or the cache is unreachable)
+   */
+  async get(entry) {
+    try {
+      const { data, error } = await this.supabase
+        .from('research_cache')
+        .select('response, created_at, hits')
+        .eq('cache_key', entry.key)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle();
+
+      if (error) throw new Error(error.message);
+      if (!data) {
+        sessionStats.misses++;
+        return null;
+      }
+
+      sessionStats.hits++;
+      await this.supabase
+        .from('research_cache')
+        .update({ hits: (data.hits || 0) + 1, last_hit_at: new Date().toISOString() })
+        .eq('cache_key', entry.key);
+
+      console.log(`   💾 Research cache hit: ${entry.key}`);
+      return { ...data.response, cached_at: data.created_at };
+    } catch (error) {
+      sessionStats.errors++;
+      console.warn(`⚠️  Research cache unavailable (${error.message}) - calling the API`);
+      return null;
+    }
+  }
+
+  async set(entry, response) {
+    try {
+      const now = Date.now();
+      const { error } = await this.supabase
+        .from('research_cache')
+        .upsert({
+          cache_key: entry.key,
+          domain: entry.domain,
+          query_type: entry.type,
+          response,
+          hits: 0,
+          created_at: new Date(now).toISOString(),
+          expires_at: new Date(now + this.ttlDays * DAY_MS).toISOString()
+        }, { onConflict: 'cache_key' });
+
+      if (error) throw new Error(error.message);
+      sessionStats.writes++;
+    } catch (error) {
+      sessionStats.errors++;
+      console.warn(`⚠️  Could not cache research for ${entry.key}: ${error.message}`);
+    }
+  }
+
+  // ============================================
+  // ADMIN
+  // ============================================
+
+  /**
+   * Entries, expired entries and lifetime hits per query type, plus this process's hit rate
+   */
+  async stats() {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .from('research_cache')
+        .select('query_type, hits, expires_at')
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    const now = new Date();
+    const byType = {};
+    rows.forEach(row => {
+      const type = byType[row.query_type] || { entries: 0, expired: 0, hits: 0 };
+      type.entries++;
+      if (new Date(row.expires_at) <= now) type.expired++;
+      type.hits += row.hits || 0;
+      byType[row.query_type] = type;
+    });
+
+    const lookups = sessionStats.hits + sessionStats.misses;
+    return {
+      ttl_days: this.ttlDays,
+      entries: rows.length,
+      expired: rows.filter(row => new Date(row.expires_at) <= now).length,
+      lifetime_hits: rows.reduce((sum, row) => sum + (row.hits || 0), 0),
+      by_type: byType,
+      session: { ...sessionStats, hit_rate: lookups > 0 ? Math.round(sessionStats.hits / lookups * 100) / 100 : null }
+    };
+  }
+
+  /**
+   * Delete entries - for one domain / query type, or only the expired ones
+   * Returns { removed } or { errors }
+   */
+  async clear({ domain, type, expiredOnly = false } = {}) {
+    let query = this.supabase.from('research_cache').delete();
+
+    if (domain) {
+      const normalized = this.resolver.normalizeDomain(domain);
+      if (!normalized) return { errors: [`Invalid domain: ${domain}`] };
+      query = query.eq('domain', normalized);
+    }
+    if (type) query = query.eq('query_type', type);
+    if (expiredOnly) query = query.lte('expires_at', new Date().toISOString());
+    if (!domain && !type && !expiredOnly) query = query.neq('cache_key', '');
+
+    const { data, error } = await query.select('cache_key');
+    if (error) throw new Error(error.message);
+
+    console.log(`🧹 Research cache: removed ${data.length} entries`);
+    return { removed: data.length };
+  }
+}
+
+module.exports = ResearchCache;
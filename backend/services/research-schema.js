@@ -0,0 +1,311 @@
+/**
+ * Research Schema
+ * Parses, repairs and validates structured lead research against
+ * research-schema.json (a JSON Schema subset: type, enum, required, properties,
+ * items, minLength, pattern, format uri, minimum / maximum, maxItems)
+ *
+ * Repair fixes what a model commonly gets slightly wrong without another call:
+ * numbers as strings ("about 45"), "unknown" for null, enum casing, dates like
+ * "March 2024", URLs wrapped in text, a single object where a list belongs,
+ * extra fields. List items that still don't validate are dropped. Whatever is
+ * left in errors needs the model to try again.
+ *
+ *   const { value, errors, repairs } = ResearchSchema.check(modelText);
+ */
+
+const researchSchema = require('./research-schema.json');
+
+const EMPTY_VALUES = /^(null|none|n\/a|na|unknown|not available|not found|not specified|-)?$/i;
+const URL_PATTERN = /https?:\/\/[^\s"'<>)\]]+/i;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+class ResearchSchema {
+  static get schema() {
+    return researchSchema;
+  }
+
+  static get version() {
+    return researchSchema.$id.split('/')[1];
+  }
+
+  /**
+   * Example object for the prompt - enums as "a|b|c", everything else as its description
+   */
+  static template(node = researchSchema) {
+    if (node.enum) return node.enum.join('|');
+    const type = [].concat(node.type)[0];
+    if (type === 'object') {
+      return Object.fromEntries(Object.entries(node.properties).map(([key, child]) => [key, ResearchSchema.template(child)]));
+    }
+    if (type === 'array') return [ResearchSchema.template(node.items)];
+    return node.description || type;
+  }
+
+  /**
+   * First JSON object in the model's answer (code fences and prose around it are ignored)
+   */
+  static parse(text) {
+    const start = (text || '').indexOf('{');
+    const end = (text || '').lastIndexOf('}');
+    if (start === -1 || end < start) return { error: 'No JSON object in the response' };
+
+    try {
+      return { data: JSON.parse(text.substring(start, end + 1)) };
+    } catch (error) {
+      return { error: `Invalid JSON: ${error.message}` };
+    }
+  }
+
+  // ============================================
+  // REPAIR
+  // ============================================
+
+  static typesOf(node) {
+    if (node.enum) return ['string'];
+    return [].concat(node.type || []);
+  }
+
+  /**
+   * "2024-03-05T10:00:00Z", "March 5, 2024", "Mar 2024", "2024" -> YYYY-MM-DD / YYYY-MM / YYYY (null if no year)
+   */
+  static normalizeDate(text) {
+    const iso = text.match(/^(\d{4}-\d{2}(?:-\d{2})?)/);
+    if (iso) return iso[1];
+
+    const year = text.match(/\b(1[89]\d{2}|20\d{2})\b/);
+    if (!year) return null;
+
+    const month = MONTHS.findIndex(name => new RegExp(`\\b${name}`, 'i').test(text));
+    if (month === -1) return year[1];
+
+    const mm = String(month + 1).padStart(2, '0');
+    const day = text.replace(year[1], '').match(/\b([0-3]?\d)(?:st|nd|rd|th)?\b/);
+    return day && parseInt(day[1]) >= 1 && parseInt(day[1]) <= 31
+      ? `${year[1]}-${mm}-${day[1].padStart(2, '0')}`
+      : `${year[1]}-${mm}`;
+  }
+
+  /**
+   * Coerce value towards the schema node - returns the repaired value (undefined = leave out)
+   */
+  static repair(value, node, path, repairs) {
+    const types = ResearchSchema.typesOf(node);
+    const nullable = types.includes('null');
+    const note = (to, why) => { repairs.push(`${path || '(root)'}: ${why}`); return to; };
+
+    if (value === undefined) {
+      if (types.includes('array')) return note([], 'missing list set to []');
+      if (nullable) return note(null, 'missing value set to null');
+      if (node.default !== undefined) return note(node.default, `missing value set to "${node.default}"`);
+      return undefined;
+    }
+    if (value === null && nullable) return null;
+    if (typeof value === 'string' && nullable && EMPTY_VALUES.test(value.trim())) {
+      return note(null, `"${value}" read as null`);
+    }
+
+    if (node.enum) {
+      if (node.enum.includes(value)) return value;
+      const key = String(value ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+      if (node.enum.includes(key)) return note(key, `"${value}" read as "${key}"`);
+      if (node.default !== undefined) return note(node.default, `"${value}" is not one of ${node.enum.join(', ')} - set to "${node.default}"`);
+      return value;
+    }
+
+    if (types.includes('integer') || types.includes('number')) {
+      let number = value;
+      if (typeof value === 'string') {
+        const match = value.replace(/(\d),(\d)/g, '$1$2').match(/-?\d+(?:\.\d+)?/);
+        number = match ? parseFloat(match[0]) : NaN;
+      }
+      if (typeof number === 'number' && !isNaN(number)) {
+        if (types.includes('integer') && !Number.isInteger(number)) number = Math.round(number);
+        const inRange = (node.minimum === undefined || number >= node.minimum) && (node.maximum === undefined || number <= node.maximum);
+        if (inRange) return number === value ? value : note(number, `"${value}" read as ${number}`);
+        if (nullable) return note(null, `${number} out of range - set to null`);
+        return value;
+      }
+      return nullable ? note(null, `"${value}" is not a number - set to null`) : value;
+    }
+
+    if (types.includes('boolean')) {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (['true', 'yes'].includes(text)) return note(true, `"${value}" read as true`);
+      if (['false', 'no'].includes(text)) return note(false, `"${value}" read as false`);
+      return nullable ? note(null, `"${value}" is not true/false - set to null`) : value;
+    }
+
+    if (types.includes('string')) {
+      if (typeof value === 'number') value = note(String(value), 'number read as text');
+      if (typeof value !== 'string') return value;
+
+      const text = value.trim();
+      if (node.format === 'uri' && !/^https?:\/\/\S+$/i.test(text)) {
+        const url = text.match(URL_PATTERN);
+        if (url) return note(url[0].replace(/[.,;:]+$/, ''), 'URL taken from surrounding text');
+        return nullable ? note(null, `"${value}" is not a URL - set to null`) : value;
+      }
+      if (node.pattern && !new RegExp(node.pattern).test(text)) {
+        const date = ResearchSchema.normalizeDate(text);
+        if (date && new RegExp(node.pattern).test(date)) return note(date, `"${value}" read as ${date}`);
+        return nullable ? note(null, `"${value}" doesn't match ${node.pattern} - set to null`) : value;
+      }
+      return text;
+    }
+
+    if (types.includes('array')) {
+      let items = value;
+      if (!Array.isArray(items)) {
+        if (items === null) return note([], 'null list set to []');
+        items = note([items], 'single item wrapped in a list');
+      }
+
+      const kept = [];
+      items.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const repaired = ResearchSchema.repair(item, node.items, itemPath, repairs);
+        if (repaired === undefined || ResearchSchema.validate(repaired, node.items, itemPath).length > 0) {
+          note(null, `item ${index} dropped (invalid)`);
+          return;
+        }
+        kept.push(repaired);
+      });
+
+      if (node.maxItems !== undefined && kept.length > node.maxItems) {
+        return note(kept.slice(0, node.maxItems), `list cut to ${node.maxItems} items`);
+      }
+      return kept;
+    }
+
+    if (types.includes('object')) {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return nullable ? note(null, 'not an object - set to null') : value;
+      }
+
+      const repaired = {};
+      Object.entries(node.properties || {}).forEach(([key, child]) => {
+        const childValue = ResearchSchema.repair(value[key], child, path ? `${path}.${key}` : key, repairs);
+        if (childValue !== undefined) repaired[key] = childValue;
+      });
+      Object.keys(value)
+        .filter(key => !(node.properties || {})[key])
+        .forEach(key => note(null, `unknown field "${key}" dropped`));
+      return repaired;
+    }
+
+    return value;
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  /**
+   * Schema violations as readable strings ([] when valid)
+   */
+  static validate(value, node = researchSchema, path = '', errors = []) {
+    const where = path || '(root)';
+
+    if (node.enum) {
+      if (!node.enum.includes(value)) errors.push(`${where}: must be one of ${node.enum.join(', ')}`);
+      return errors;
+    }
+
+    const types = ResearchSchema.typesOf(node);
+    const actual = ResearchSchema.typeOf(value);
+    const matches = types.includes(actual) || (actual === 'integer' && types.includes('number'));
+    if (!matches) {
+      errors.push(`${where}: expected ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+
+    if (actual === 'string') {
+      if (node.minLength !== undefined && value.trim().length < node.minLength) errors.push(`${where}: too short (min ${node.minLength} characters)`);
+      if (node.pattern && !new RegExp(node.pattern).test(value)) errors.push(`${where}: doesn't match ${node.pattern}`);
+      if (node.format === 'uri' && !/^https?:\/\/\S+$/i.test(value)) errors.push(`${where}: not an http(s) URL`);
+    } else if (actual === 'integer' || actual === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) errors.push(`${where}: below ${node.minimum}`);
+      if (node.maximum !== undefined && value > node.maximum) errors.push(`${where}: above ${node.maximum}`);
+    } else if (actual === 'array') {
+      if (node.maxItems !== undefined && value.length > node.maxItems) errors.push(`${where}: more than ${node.maxItems} items`);
+      value.forEach((item, index) => ResearchSchema.validate(item, node.items, `${path}[${index}]`, errors));
+    } else if (actual === 'object') {
+      (node.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key}: required`);
+      });
+      Object.entries(node.properties || {}).forEach(([key, child]) => {
+        if (value[key] !== undefined) ResearchSchema.validate(value[key], child, path ? `${path}.${key}` : key, errors);
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse + repair + validate a model answer: { value, errors, repairs }
+   */
+  static check(text) {
+    const parsed = ResearchSchema.parse(text);
+    if (parsed.error) return { value: null, errors: [parsed.error], repairs: [] };
+
+    const repairs = [];
+    const value = ResearchSchema.repair(parsed.data, researchSchema, '', repairs);
+    return { value, errors: ResearchSchema.validate(value), repairs };
+  }
+
+  // ============================================
+  // TEXT SECTIONS
+  // ============================================
+
+  static label(id) {
+    const text = id.replace(/_/g, ' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Plain-text sections (company_background, founder_profile, ...) for code that reads research as text
+   */
+  static toSections(research) {
+    const { company, founder, pain_points: painPoints, recent_activity: activity, hooks } = research;
+    const source = url => (url ? ` (${url})` : '');
+    const sentence = text => (text && !/[.!?]$/.test(text) ? `${text}.` : text);
+
+    const background = [
+      sentence(company.summary),
+      company.industry ? `Industry: ${company.industry}.` : null,
+      company.founded_year ? `Founded in ${company.founded_year}.` : null,
+      company.years_in_business ? `${company.years_in_business} years in business.` : null,
+      company.revenue_estimate ? `Estimated revenue: ${company.revenue_estimate}.` : null,
+      company.employee_estimate ? `About ${company.employee_estimate} employees.` : null,
+      company.fit ? `Fit: ${company.fit}${company.fit_reason ? ` - ${company.fit_reason}` : ''}.` : null
+    ];
+
+    const founderProfile = [
+      sentence([founder.name, founder.title].filter(Boolean).join(', ')) || null,
+      founder.tenure_years ? `Leading the company for ${founder.tenure_years} years.` : null,
+      founder.hands_on === true ? 'Still hands-on in daily operations.' : founder.hands_on === false ? 'Not involved in daily operations.' : null,
+      founder.transition_signals?.length > 0 ? `Transition signals: ${founder.transition_signals.join('; ')}.` : null
+    ];
+
+    return {
+      company_background: background.filter(Boolean).join(' '),
+      founder_profile: founderProfile.filter(Boolean).join(' '),
+      growth_ceiling_indicators: painPoints
+        .map(pain => `- ${ResearchSchema.label(pain.category)}: ${sentence(pain.description)} Evidence: ${pain.evidence}${source(pain.source_url)}`)
+        .join('\n'),
+      personalization_hooks: hooks.map(hook => `- ${hook.text}${source(hook.source_url)}`).join('\n'),
+      recent_activity: activity.map(item => `- ${item.date || 'Undated'}: ${item.description}${source(item.source_url)}`).join('\n'),
+      outreach_angle: research.outreach_angle
+    };
+  }
+}
+
+module.exports = ResearchSchema;
@@ -1,17 +1,19 @@
-const { createClient } = require('@supabase/supabase-js');
 const Parser = require('rss-parser');
+const SourceAdapter = require('./source-adapter');
 const DomainExtractor = require('./domain-extractor');
+const ScoreExplainer = require('./score-explainer');
+const TextSignals = require('./text-signals');
 
-class RSSMonitor {
+class RSSMonitor extends SourceAdapter {
   constructor() {
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_KEY
-    );
+    super({
+      id: 'rss',
+      name: 'RSS Feeds',
+      description: 'Indie Hackers / Product Hunt launches plus entrepreneur blog feeds'
+    });
     this.parser = new Parser({
       timeout: 10000,
       headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; UnboundBot/1.0; +https://unbound.team)',
         'Accept': 'application/rss+xml, application/xml, text/xml, */*'
       }
     });
@@ -31,156 +33,195 @@ class RSSMonitor {
       { url: 'https://neilpatel.com/feed/', name: 'Neil Patel', type: 'content' },
     ];
 
-    // Combined feeds
-    this.feeds = [...this.businessOwnerFeeds, ...this.contentFeeds];
+    // Combined feeds - editable through /api/sources/rss/feeds
+    this.feedTypes = ['business_owners', 'content'];
+    this.defaultFeeds = [...this.businessOwnerFeeds, ...this.contentFeeds];
+    this.feeds = this.defaultFeeds;
+
+    // Keyword lists - editable per source through /api/sources/rss/keywords/:list
+    this.defaultKeywords = {
+      // Pain points and business needs (content feeds)
+      pain: [
+        'struggling', 'difficult', 'problem', 'issue', 'challenge',
+        'need help', 'looking for', 'how to', 'cant figure',
+        'frustrat', 'painful', 'slow', 'broken', 'fail',
+        'mistake', 'wrong', 'avoid', 'stop', 'fix',
+        'improve', 'better', 'optimize', 'increase', 'boost',
+        'strategy', 'tips', 'guide', 'secrets', 'ways to'
+      ],
+      business: [
+        'startup', 'business', 'saas', 'company', 'revenue',
+        'customer', 'marketing', 'sales', 'growth', 'scale',
+        'leads', 'conversion', 'traffic', 'email', 'outreach',
+        'clients', 'prospects', 'pipeline', 'funnel', 'roi',
+        'entrepreneur', 'founder', 'agency', 'freelance', 'consulting'
+      ],
+      // Action-oriented keywords (people looking for solutions)
+      action: [
+        'get more', 'find', 'acquire', 'generate', 'build',
+        'create', 'launch', 'start', 'grow', 'automate'
+      ],
+      // Business owner signals - these people are actively building/running businesses
+      owner_signals: [
+        'launched', 'built', 'created', 'founded', 'starting',
+        'my startup', 'my saas', 'my product', 'my app', 'my business',
+        'we launched', 'we built', 'just shipped', 'going live',
+        'mrr', 'revenue', 'customers', 'users', 'subscribers',
+        'feedback', 'looking for', 'need help', 'struggling',
+        'growing', 'scaling', 'marketing', 'sales', 'acquisition'
+      ]
+    };
+    this.keywords = { ...this.defaultKeywords };
   }
 
-  async scanAllFeeds() {
-    console.log('🔍 Scanning RSS feeds for opportunities...');
-    const opportunities = [];
-
-    try {
-      for (const feedConfig of this.feeds) {
-        try {
-          console.log(`📡 Fetching ${feedConfig.name}...`);
-          const feed = await this.parser.parseURL(feedConfig.url);
-
-          // Analyze recent items (last 15)
-          const recentItems = feed.items.slice(0, 15);
-          console.log(`   Found ${recentItems.length} items in ${feedConfig.name}`);
-
-          for (const item of recentItems) {
-            // Different analysis for business owner feeds vs content feeds
-            const isBusinessOwnerFeed = feedConfig.type === 'business_owners';
-            const opportunity = isBusinessOwnerFeed
-              ? this.analyzeBusinessPost(item, feedConfig.name)
-              : this.analyzeItem(item, feedConfig.name);
-
-            if (opportunity) {
-              // For business owner feeds, extract the REAL company domain from the page
-              let companyDomain = opportunity.company_domain;
-              if (isBusinessOwnerFeed && !companyDomain) {
-                try {
-                  console.log(`   🔍 Extracting real domain for: ${opportunity.company_name || opportunity.title}`);
-                  companyDomain = await this.domainExtractor.extractCompanyDomain(item.link, opportunity.company_name);
-                } catch (err) {
-                  console.log(`   ⚠️  Domain extraction skipped: ${err.message}`);
-                }
-              }
-
-              // Fallback to extracting from link if no domain found
-              const finalDomain = companyDomain || this.extractDomain(item.link);
-
-              // Check for duplicates first
-              const { data: existing } = await this.supabase
-                .from('scored_opportunities')
-                .select('id')
-                .eq('company_domain', finalDomain)
-                .eq('company_name', (opportunity.company_name || opportunity.title).substring(0, 100))
-                .limit(1);
-
-              if (existing && existing.length > 0) {
-                continue; // Skip duplicate
-              }
-
-              // Business owner posts get higher priority
-              const baseScore = isBusinessOwnerFeed ? 70 : opportunity.fit_score * 10;
-              const signalStrength = isBusinessOwnerFeed ? 90 : (opportunity.urgency === 'high' ? 80 : 50);
-
-              // Flag if we couldn't get a real domain (platform domain means needs lookup)
-              const isPlatformDomain = this.domainExtractor.isPlatformDomain(finalDomain);
-
-              // Save to database with more data
-              const { data, error } = await this.supabase
-                .from('scored_opportunities')
-                .insert({
-                  company_name: opportunity.company_name || opportunity.title.substring(0, 255),
-                  company_domain: finalDomain,
-                  overall_score: baseScore,
-                  signal_strength_score: signalStrength,
-                  route_to_outreach: isBusinessOwnerFeed || opportunity.fit_score >= 7,
-                  priority_tier: isBusinessOwnerFeed ? 'tier_1' : (opportunity.fit_score >= 8 ? 'tier_1' : 'tier_2'),
-                  source: isBusinessOwnerFeed ? 'indie_hackers' : 'rss',
-                  opportunity_data: {
-                    source_feed: feedConfig.name,
-                    feed_type: feedConfig.type,
-                    url: item.link,
-                    published: item.pubDate || item.isoDate,
-                    pain_point: opportunity.pain_point,
-                    business_area: opportunity.business_area,
-                    author: opportunity.author || item.creator || null,
-                    content_preview: (item.contentSnippet || '').substring(0, 500),
-                    needs_email_lookup: true,  // Flag for email enrichment
-                    has_real_domain: !isPlatformDomain,  // Track if we have a real company domain
-                    extracted_domain: companyDomain  // Store extracted domain separately
-                  }
-                })
-                .select();
-
-              if (!error && data) {
-                opportunities.push(data[0]);
-                const icon = isBusinessOwnerFeed ? '🎯' : '✅';
-                console.log(`   ${icon} Saved: ${(opportunity.company_name || opportunity.title).substring(0, 50)}...`);
-              }
-            }
-          }
-        } catch (error) {
-          console.error(`Error parsing feed ${feedConfig.name}:`, error.message);
-        }
-      }
-
-      console.log(`✅ Found ${opportunities.length} new opportunities from RSS feeds`);
-      return opportunities;
-    } catch (error) {
-      console.error('❌ RSS scan error:', error);
-      return [];
-    }
+  /**
+   * Analyze recent items (last 15) from every feed
+   */
+  async fetch() {
+    return this.fetchFeeds(this.parser, this.feeds, 15);
   }
 
-  analyzeItem(item, sourceName) {
-    const title = (item.title || '').toLowerCase();
-    const content = (item.contentSnippet || item.content || '').toLowerCase();
-    const text = title + ' ' + content;
-
-    // Look for pain points and business needs - expanded keywords
-    const painKeywords = [
-      'struggling', 'difficult', 'problem', 'issue', 'challenge',
-      'need help', 'looking for', 'how to', 'cant figure',
-      'frustrat', 'painful', 'slow', 'broken', 'fail',
-      'mistake', 'wrong', 'avoid', 'stop', 'fix',
-      'improve', 'better', 'optimize', 'increase', 'boost',
-      'strategy', 'tips', 'guide', 'secrets', 'ways to'
-    ];
+  normalize({ item, feed }) {
+    return {
+      title: item.title || '',
+      content: item.contentSnippet || item.content || '',
+      url: item.link,
+      author: item.creator || item.author || null,
+      published_at: item.pubDate || item.isoDate || null,
+      feed,
+      raw: item
+    };
+  }
 
-    const businessKeywords = [
-      'startup', 'business', 'saas', 'company', 'revenue',
-      'customer', 'marketing', 'sales', 'growth', 'scale',
-      'leads', 'conversion', 'traffic', 'email', 'outreach',
-      'clients', 'prospects', 'pipeline', 'funnel', 'roi',
-      'entrepreneur', 'founder', 'agency', 'freelance', 'consulting'
-    ];
+  /**
+   * Different analysis for business owner feeds vs content feeds
+   */
+  async analyze(normalized) {
+    const { raw: item, feed: feedConfig } = normalized;
+    const isBusinessOwnerFeed = feedConfig.type === 'business_owners';
+    const opportunity = isBusinessOwnerFeed
+      ? this.analyzeBusinessPost(item, feedConfig.name)
+      : this.analyzeItem(item, feedConfig.name);
+
+    if (!opportunity) return null;
+
+    // For business owner feeds, extract the REAL company domain from the page
+    let companyDomain = opportunity.company_domain;
+    if (isBusinessOwnerFeed && !companyDomain) {
+      try {
+        console.log(`   🔍 Extracting real domain for: ${opportunity.company_name || opportunity.title}`);
+        companyDomain = await this.domainExtractor.extractCompanyDomain(item.link, opportunity.company_name);
+      } catch (err) {
+        console.log(`   ⚠️  Domain extraction skipped: ${err.message}`);
+      }
+    }
 
-    // Action-oriented keywords (people looking for solutions)
-    const actionKeywords = [
-      'get more', 'find', 'acquire', 'generate', 'build',
-      'create', 'launch', 'start', 'grow', 'automate'
-    ];
+    // Fallback to extracting from link if no domain found
+    const finalDomain = companyDomain || this.extractDomain(item.link);
+
+    // Business owner posts get higher priority
+    const baseScore = isBusinessOwnerFeed ? 70 : opportunity.fit_score * 10;
+    const signalStrength = isBusinessOwnerFeed ? 90 : (opportunity.urgency === 'high' ? 80 : 50);
+
+    const routed = isBusinessOwnerFeed || opportunity.fit_score >= 7;
+    const tier = isBusinessOwnerFeed ? 'tier_1' : (opportunity.fit_score >= 8 ? 'tier_1' : 'tier_2');
+
+    // Flag if we couldn't get a real domain (platform domain means needs lookup)
+    const isPlatformDomain = this.domainExtractor.isPlatformDomain(finalDomain);
+
+    return {
+      company_name: (opportunity.company_name || opportunity.title).substring(0, 100),
+      company_domain: finalDomain,
+      overall_score: baseScore,
+      signal_strength_score: signalStrength,
+      route_to_outreach: routed,
+      priority_tier: tier,
+      source: isBusinessOwnerFeed ? 'indie_hackers' : 'rss',
+      opportunity_data: {
+        source_feed: feedConfig.name,
+        feed_type: feedConfig.type,
+        url: item.link,
+        published: normalized.published_at,
+        pain_point: opportunity.pain_point,
+        business_area: opportunity.business_area,
+        author: opportunity.author || normalized.author,
+        content_preview: (item.contentSnippet || '').substring(0, 500),
+        needs_email_lookup: true,  // Flag for email enrichment
+        has_real_domain: !isPlatformDomain,  // Track if we have a real company domain
+        extracted_domain: companyDomain,  // Store extracted domain separately
+        score_explanation: this.explainScore(opportunity, baseScore, tier, routed)
+      }
+    };
+  }
 
-    let painScore = 0;
-    let businessScore = 0;
-    let actionScore = 0;
+  /**
+   * score_explanation for both feed types
+   * Business owner posts get a fixed baseline; content posts score on keyword counts
+   */
+  explainScore(opportunity, overallScore, tier, routed) {
+    const hits = opportunity.keyword_hits;
+    const list = (name, label, listHits) => ScoreExplainer.component(name, { label, hits: listHits, raw: listHits.length, value: listHits.length });
+
+    if (opportunity.is_business_owner) {
+      return ScoreExplainer.explain({
+        scorer: 'rss',
+        score: opportunity.fit_score,
+        maxScore: 10,
+        overallScore,
+        outcome: tier,
+        outcomeReason: `Business owner feed (${opportunity.source}) - fixed baseline score ${overallScore}, always tier_1 and routed to outreach`,
+        qualification: {
+          met: 1,
+          required: 1,
+          criteria: { owner_signal_or_trusted_feed: { met: true, signals: hits.owner_signals.map(h => h.keyword) } },
+          auto_qualified_by: ['Indie Hackers', 'Product Hunt'].includes(opportunity.source) ? [opportunity.source] : []
+        },
+        components: [list('owner_signals', 'Owner signals (urgency only)', hits.owner_signals)]
+      });
+    }
 
-    painKeywords.forEach(keyword => {
-      if (text.includes(keyword)) painScore++;
+    const total = hits.pain.length + hits.business.length + hits.action.length;
+    return ScoreExplainer.explain({
+      scorer: 'rss',
+      score: opportunity.fit_score,
+      maxScore: 10,
+      overallScore,
+      outcome: tier,
+      outcomeReason: `Fit ${opportunity.fit_score} ${opportunity.fit_score >= 8 ? '>= 8 (tier_1)' : '< 8 (tier_2)'}, ${routed ? '>= 7 routes to outreach' : '< 7 not routed'}`,
+      qualification: {
+        met: 1,
+        required: 1,
+        criteria: { three_keywords_or_two_business: { met: true, signals: [...hits.pain, ...hits.business, ...hits.action].map(h => h.keyword) } },
+        auto_qualified_by: []
+      },
+      components: [
+        list('pain', 'Pain keywords', hits.pain),
+        list('business', 'Business keywords', hits.business),
+        list('action', 'Action keywords', hits.action),
+        ScoreExplainer.component('fit', { label: 'Fit (ceil(total / 2) + 3)', raw: Math.ceil(total / 2) + 3, value: opportunity.fit_score, max: 10 })
+      ]
     });
+  }
 
-    businessKeywords.forEach(keyword => {
-      if (text.includes(keyword)) businessScore++;
-    });
+  /**
+   * Blog posts all share the publisher's domain - dedupe content feeds per article
+   */
+  async findDuplicate(opportunity) {
+    if (opportunity.opportunity_data.feed_type === 'content') {
+      return this.findDuplicateByUrl(opportunity, opportunity.opportunity_data.url);
+    }
+    return super.findDuplicate(opportunity);
+  }
 
-    actionKeywords.forEach(keyword => {
-      if (text.includes(keyword)) actionScore++;
-    });
+  analyzeItem(item, sourceName) {
+    const signals = new TextSignals({ title: item.title, content: item.contentSnippet || item.content });
+
+    const painHits = signals.hits(this.keywords.pain, 1);
+    const businessHits = signals.hits(this.keywords.business, 1);
+    const actionHits = signals.hits(this.keywords.action, 1);
+    const painScore = painHits.length;
+    const businessScore = businessHits.length;
+    const actionScore = actionHits.length;
 
     // More lenient matching - business content from these feeds is usually relevant
     const totalScore = painScore + businessScore + actionScore;
@@ -192,10 +233,15 @@ class RSSMonitor {
         title: item.title,
         source: sourceName,
         url: item.link,
-        pain_point: this.extractPainPoint(text),
-        business_area: this.detectBusinessArea(text),
+        pain_point: this.extractPainPoint(signals),
+        business_area: this.detectBusinessArea(signals),
         urgency: painScore >= 2 ? 'high' : (actionScore >= 2 ? 'high' : 'medium'),
-        fit_score: fitScore
+        fit_score: fitScore,
+        keyword_hits: {
+          pain: painHits,
+          business: businessHits,
+          action: actionHits
+        }
       };
     }
 
@@ -223,25 +269,15 @@ class RSSMonitor {
       companyDomain = domainMatch[1];
     }
 
-    // Business owner signals - these people are actively building/running businesses
-    const ownerSignals = [
-      'launched', 'built', 'created', 'founded', 'starting',
-      'my startup', 'my saas', 'my product', 'my app', 'my business',
-      'we launched', 'we built', 'just shipped', 'going live',
-      'mrr', 'revenue', 'customers', 'users', 'subscribers',
-      'feedback', 'looking for', 'need help', 'struggling',
-      'growing', 'scaling', 'marketing', 'sales', 'acquisition'
-    ];
-
-    let signalCount = 0;
-    ownerSignals.forEach(signal => {
-      if (text.includes(signal)) signalCount++;
-    });
+    const signals = new TextSignals({ title: item.title, content: item.contentSnippet || item.content });
+    const ownerHits = signals.hits(this.keywords.owner_signals, 0);
+    const signalCount = ownerHits.length;
 
     // Almost all Indie Hackers posts are from real business owners
     // Product Hunt posts are product launches
     // These are HIGH VALUE leads
     if (signalCount >= 1 || sourceName === 'Indie Hackers' || sourceName === 'Product Hunt') {
+
       return {
         title: item.title,
         company_name: companyName,
@@ -249,42 +285,45 @@ class RSSMonitor {
         author: author,
         source: sourceName,
         url: item.link,
-        pain_point: this.extractBusinessPainPoint(text),
-        business_area: this.detectBusinessArea(text),
+        pain_point: this.extractBusinessPainPoint(signals),
+        business_area: this.detectBusinessArea(signals),
         urgency: signalCount >= 3 ? 'high' : 'medium',
         fit_score: 8, // High baseline for business owner posts
-        is_business_owner: true
+        is_business_owner: true,
+        keyword_hits: {
+          owner_signals: ownerHits
+        }
       };
     }
 
     return null;
   }
 
-  extractBusinessPainPoint(text) {
-    if (text.includes('struggling') || text.includes('hard time')) return 'Facing growth challenges';
-    if (text.includes('need help') || text.includes('looking for advice')) return 'Seeking expertise';
-    if (text.includes('customer') || text.includes('acquisition')) return 'Customer acquisition challenges';
-    if (text.includes('marketing') || text.includes('traffic')) return 'Marketing/visibility challenges';
-    if (text.includes('sales') || text.includes('convert')) return 'Sales conversion challenges';
-    if (text.includes('scale') || text.includes('grow')) return 'Scaling challenges';
-    if (text.includes('launched') || text.includes('new')) return 'Early stage - needs traction';
+  extractBusinessPainPoint(signals) {
+    if (signals.hasAny(['struggling', 'hard time'])) return 'Facing growth challenges';
+    if (signals.hasAny(['need help', 'looking for advice'])) return 'Seeking expertise';
+    if (signals.hasAny(['customer', 'acquisition'])) return 'Customer acquisition challenges';
+    if (signals.hasAny(['marketing', 'traffic'])) return 'Marketing/visibility challenges';
+    if (signals.hasAny(['sales', 'convert'])) return 'Sales conversion challenges';
+    if (signals.hasAny(['scale', 'grow'])) return 'Scaling challenges';
+    if (signals.hasAny(['launched', 'new'])) return 'Early stage - needs traction';
     return 'Building/growing a business';
   }
 
-  extractPainPoint(text) {
-    if (text.includes('struggling')) return 'Facing operational challenges';
-    if (text.includes('need help')) return 'Seeking assistance';
-    if (text.includes('looking for')) return 'Actively searching for solutions';
-    if (text.includes('how to')) return 'Knowledge gap';
+  extractPainPoint(signals) {
+    if (signals.has('struggling')) return 'Facing operational challenges';
+    if (signals.has('need help')) return 'Seeking assistance';
+    if (signals.has('looking for')) return 'Actively searching for solutions';
+    if (signals.has('how to')) return 'Knowledge gap';
     return 'General business challenge';
   }
 
-  detectBusinessArea(text) {
-    if (text.includes('marketing') || text.includes('customer acquisition')) return 'marketing';
-    if (text.includes('sales') || text.includes('revenue')) return 'sales';
-    if (text.includes('product') || text.includes('development')) return 'product';
-    if (text.includes('operations') || text.includes('workflow')) return 'operations';
-    if (text.includes('growth') || text.includes('scale')) return 'growth';
+  detectBusinessArea(signals) {
+    if (signals.hasAny(['marketing', 'customer acquisition'])) return 'marketing';
+    if (signals.hasAny(['sales', 'revenue'])) return 'sales';
+    if (signals.hasAny(['product', 'development'])) return 'product';
+    if (signals.hasAny(['operations', 'workflow'])) return 'operations';
+    if (signals.hasAny(['growth', 'scale'])) return 'growth';
     return 'general';
   }
 
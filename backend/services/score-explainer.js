@@ -0,0 +1,56 @@
+/**
+ * Score Explainer
+ * Builds the structured opportunity_data.score_explanation every scorer stores:
+ * which keywords fired, the text span each came from, its weight, and which cap applied
+ *
+ * Shape:
+ * {
+ *   scorer, ruleset_version, score, max_score, overall_score,
+ *   outcome, outcome_reason,
+ *   qualification: { met, required, criteria: { name: { met, signals } }, auto_qualified_by } | null,
+ *   components: [{ name, label, raw, value, max, capped, hits }],
+ *   generated_at
+ * }
+ *
+ * A hit is { keyword, weight, field, span } for keyword lists, or
+ * { signal, weight, matches: [{ keyword, field, span }] } for signal-based rules
+ * (field / span come from TextSignals matches)
+ */
+
+class ScoreExplainer {
+  /**
+   * One scored component; capped when the raw points exceeded max
+   */
+  static component(name, { label = name, hits = [], raw, value, max = null, capped = null }) {
+    const roundedRaw = Math.round(raw * 100) / 100;
+    return {
+      name,
+      label,
+      raw: roundedRaw,
+      value,
+      max,
+      capped: capped !== null ? capped : (max !== null && roundedRaw > max),
+      hits
+    };
+  }
+
+  /**
+   * Assemble the stored explanation
+   */
+  static explain({ scorer, rulesetVersion = null, score, maxScore, overallScore, outcome, outcomeReason, components = [], qualification = null }) {
+    return {
+      scorer,
+      ruleset_version: rulesetVersion,
+      score,
+      max_score: maxScore,
+      overall_score: overallScore,
+      outcome,
+      outcome_reason: outcomeReason,
+      qualification,
+      components,
+      generated_at: new Date().toISOString()
+    };
+  }
+}
+
+module.exports = ScoreExplainer;
@@ -0,0 +1,120 @@
+/**
+ * Scoring Models
+ * Trained LeadModels stored as JSON in scoring_models, used as an alternative
+ * scorer next to the rule-based IntelligentScorer
+ *
+ * train-lead-model.js saves each run as a draft with its holdout report;
+ * activating a version makes it the one scoreOpportunity() uses.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const LeadModel = require('./lead-model');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+// Active model cache shared across requests
+let activeCache = { model: null, loadedAt: 0 };
+
+class ScoringModels {
+  constructor() {
+    this.supabase = lazyClient();
+  }
+
+  async list() {
+    const { data, error } = await this.supabase
+      .from('scoring_models')
+      .select('version, status, metrics, trained_at, activated_at')
+      .order('trained_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async get(version) {
+    const { data, error } = await this.supabase
+      .from('scoring_models')
+      .select('*')
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Active model as a LeadModel (cached for a minute), or null when none is active
+   */
+  async getActiveModel() {
+    if (activeCache.loadedAt && Date.now() - activeCache.loadedAt < CACHE_TTL_MS) {
+      return activeCache.model;
+    }
+
+    const { data, error } = await this.supabase
+      .from('scoring_models')
+      .select('*')
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+
+    activeCache = { model: data ? LeadModel.fromJSON(data.model) : null, loadedAt: Date.now() };
+    return activeCache.model;
+  }
+
+  /**
+   * Save a trained model (and its report) as a draft
+   */
+  async save(model, report) {
+    const { data, error } = await this.supabase
+      .from('scoring_models')
+      .insert({
+        version: model.version,
+        model: model.toJSON(),
+        metrics: report,
+        status: 'draft',
+        trained_at: report.trained_at
+      })
+      .select('version, status, trained_at')
+      .single();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  /**
+   * Make a version active - returns { model } or { notFound }
+   */
+  async activate(version) {
+    const target = await this.get(version);
+    if (!target) return { notFound: true };
+    if (target.status === 'active') return { model: target };
+
+    const { error: retireError } = await this.supabase
+      .from('scoring_models')
+      .update({ status: 'retired' })
+      .eq('status', 'active');
+    if (retireError) throw new Error(retireError.message);
+
+    const { data, error } = await this.supabase
+      .from('scoring_models')
+      .update({ status: 'active', activated_at: new Date().toISOString() })
+      .eq('version', version)
+      .select('version, status, metrics, trained_at, activated_at')
+      .single();
+    if (error) throw new Error(error.message);
+
+    activeCache = { model: null, loadedAt: 0 };
+    console.log(`🧠 Lead model ${version} activated`);
+    return { model: data };
+  }
+
+  /**
+   * Model score for one opportunity, or null when no model is active
+   */
+  async scoreOpportunity(opportunity) {
+    const model = await this.getActiveModel();
+    return model ? model.explain(opportunity) : null;
+  }
+}
+
+module.exports = ScoringModels;
@@ -0,0 +1,383 @@
+/**
+ * Scoring Rulesets
+ * Versioned JSON rulesets for IntelligentScorer, stored in scoring_rulesets
+ *
+ * Lifecycle: save a draft -> test it against stored opportunities -> activate.
+ * Only one ruleset is active at a time; activating retires the previous one.
+ * With no active row the built-in scoring-rules.json is used.
+ *
+ * Versions are immutable once activated - edits need a new version so every
+ * scoring_ruleset_version on scored_opportunities maps to exactly one ruleset.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const IntelligentScorer = require('./intelligent-scorer');
+const defaultRules = require('./scoring-rules.json');
+
+const DIMENSION_TYPES = ['keyword_count', 'sum', 'first_match'];
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_TEST_SAMPLE = 1000;
+
+// Active ruleset cache shared by every scorer in the process
+let activeCache = { rules: null, loadedAt: 0 };
+
+class ScoringRulesets {
+  constructor() {
+    this.supabase = lazyClient();
+  }
+
+  static get defaultRules() {
+    return defaultRules;
+  }
+
+  /**
+   * Active rules for scoring - cached for a minute, built-in rules if none are active
+   * or the table can't be read
+   */
+  static async getActiveRules() {
+    if (activeCache.rules && Date.now() - activeCache.loadedAt < CACHE_TTL_MS) {
+      return activeCache.rules;
+    }
+
+    let rules = defaultRules;
+    try {
+      const active = await new ScoringRulesets().getActive();
+      if (active) rules = active.rules;
+    } catch (error) {
+      console.warn(`⚠️  Could not load active scoring ruleset, using built-in v${defaultRules.version}: ${error.message}`);
+    }
+
+    activeCache = { rules, loadedAt: Date.now() };
+    return rules;
+  }
+
+  static clearCache() {
+    activeCache = { rules: null, loadedAt: 0 };
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Check a ruleset document - returns a list of problems (empty when valid)
+   */
+  static validate(rules) {
+    const errors = [];
+    const isNumber = v => typeof v === 'number' && isFinite(v);
+    const isStringList = v => Array.isArray(v) && v.length > 0 && v.every(s => typeof s === 'string' && s.trim());
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['Ruleset must be a JSON object'];
+    }
+
+    if (typeof rules.version !== 'string' || !rules.version.trim() || rules.version.length > 50) {
+      errors.push('version must be a non-empty string (max 50 chars)');
+    }
+
+    // Signals
+    const signals = rules.signals && typeof rules.signals === 'object' ? rules.signals : null;
+    if (!signals || Object.keys(signals).length === 0) {
+      errors.push('signals must define at least one signal');
+    } else {
+      Object.entries(signals).forEach(([name, def]) => {
+        if (!def || (def.keywords === undefined && def.fields === undefined && def.min_overall_score === undefined)) {
+          errors.push(`signals.${name} needs keywords, fields or min_overall_score`);
+          return;
+        }
+        if (def.keywords !== undefined && !isStringList(def.keywords)) errors.push(`signals.${name}.keywords must be a list of strings`);
+        if (def.fields !== undefined && !isStringList(def.fields)) errors.push(`signals.${name}.fields must be a list of field names`);
+        if (def.min_overall_score !== undefined && !isNumber(def.min_overall_score)) errors.push(`signals.${name}.min_overall_score must be a number`);
+      });
+    }
+
+    if (rules.content_fields !== undefined && !isStringList(rules.content_fields)) {
+      errors.push('content_fields must be a list of field paths (e.g. "opportunity_data.title")');
+    }
+
+    const checkSignalRefs = (list, path) => {
+      if (!isStringList(list)) {
+        errors.push(`${path} must be a list of signal names`);
+        return;
+      }
+      list.filter(s => !signals || !(s in signals)).forEach(s => errors.push(`${path} references unknown signal "${s}"`));
+    };
+
+    // Qualification
+    const qualification = rules.qualification;
+    if (!qualification || typeof qualification.criteria !== 'object') {
+      errors.push('qualification.criteria is required');
+    } else {
+      Object.entries(qualification.criteria).forEach(([name, list]) => checkSignalRefs(list, `qualification.criteria.${name}`));
+      const count = Object.keys(qualification.criteria).length;
+      if (!Number.isInteger(qualification.min_criteria) || qualification.min_criteria < 0 || qualification.min_criteria > count) {
+        errors.push(`qualification.min_criteria must be a whole number between 0 and ${count}`);
+      }
+      if (qualification.auto_qualify !== undefined) checkSignalRefs(qualification.auto_qualify, 'qualification.auto_qualify');
+    }
+
+    // Dimensions
+    const dimensions = rules.dimensions && typeof rules.dimensions === 'object' ? rules.dimensions : null;
+    if (!dimensions || Object.keys(dimensions).length === 0) {
+      errors.push('dimensions must define at least one dimension');
+    } else {
+      Object.entries(dimensions).forEach(([name, dim]) => {
+        const path = `dimensions.${name}`;
+        if (!DIMENSION_TYPES.includes(dim?.type)) {
+          errors.push(`${path}.type must be one of: ${DIMENSION_TYPES.join(', ')}`);
+          return;
+        }
+        if (!isNumber(dim.max) || dim.max <= 0) errors.push(`${path}.max must be a positive number`);
+
+        if (dim.type === 'keyword_count') {
+          if (!isStringList(dim.keywords)) errors.push(`${path}.keywords must be a list of strings`);
+          if (!isNumber(dim.points)) errors.push(`${path}.points must be a number`);
+        } else {
+          const valueKey = dim.type === 'sum' ? 'points' : 'value';
+          if (!Array.isArray(dim.rules) || dim.rules.length === 0) {
+            errors.push(`${path}.rules must be a non-empty list`);
+          } else {
+            dim.rules.forEach((rule, i) => {
+              checkSignalRefs(rule.any, `${path}.rules[${i}].any`);
+              if (!isNumber(rule[valueKey])) errors.push(`${path}.rules[${i}].${valueKey} must be a number`);
+            });
+          }
+          if (dim.type === 'first_match' && dim.default !== undefined && !isNumber(dim.default)) {
+            errors.push(`${path}.default must be a number`);
+          }
+        }
+      });
+    }
+
+    // Thresholds
+    const checkThresholds = (list, path) => {
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${path} must be a non-empty list`);
+        return;
+      }
+      list.forEach((entry, i) => {
+        if (typeof entry.name !== 'string' || !entry.name) errors.push(`${path}[${i}].name is required`);
+        if (!isNumber(entry.min_score)) errors.push(`${path}[${i}].min_score must be a number`);
+      });
+    };
+    checkThresholds(rules.actions, 'actions');
+    checkThresholds(rules.tiers, 'tiers');
+    if (typeof rules.default_action !== 'string') errors.push('default_action is required');
+    if (typeof rules.default_tier !== 'string') errors.push('default_tier is required');
+    if (!isNumber(rules.route_to_outreach_min_score)) errors.push('route_to_outreach_min_score must be a number');
+
+    if (rules.insights !== undefined) {
+      if (!Array.isArray(rules.insights)) {
+        errors.push('insights must be a list');
+      } else {
+        rules.insights.forEach((insight, i) => {
+          if (!dimensions || !(insight.dimension in dimensions)) errors.push(`insights[${i}] references unknown dimension "${insight.dimension}"`);
+          if (!isNumber(insight.min)) errors.push(`insights[${i}].min must be a number`);
+          if (typeof insight.text !== 'string') errors.push(`insights[${i}].text is required`);
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  // ============================================
+  // READ
+  // ============================================
+
+  async list() {
+    const { data, error } = await this.supabase
+      .from('scoring_rulesets')
+      .select('version, description, status, created_at, activated_at')
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async get(version) {
+    const { data, error } = await this.supabase
+      .from('scoring_rulesets')
+      .select('*')
+      .eq('version', version)
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  async getActive() {
+    const { data, error } = await this.supabase
+      .from('scoring_rulesets')
+      .select('*')
+      .eq('status', 'active')
+      .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // ============================================
+  // WRITE
+  // ============================================
+
+  /**
+   * Save (or overwrite) a draft ruleset
+   * Returns { ruleset } or { errors }
+   */
+  async saveDraft(rules) {
+    const errors = ScoringRulesets.validate(rules);
+    if (errors.length > 0) return { errors };
+
+    const existing = await this.get(rules.version);
+    if (existing && existing.status !== 'draft') {
+      return { errors: [`Version ${rules.version} is ${existing.status} - save changes under a new version`] };
+    }
+    if (!existing && rules.version === defaultRules.version) {
+      return { errors: [`Version ${rules.version} is the built-in ruleset - use a new version`] };
+    }
+
+    const row = { version: rules.version, description: rules.description || null, rules, status: 'draft' };
+    const query = existing
+      ? this.supabase.from('scoring_rulesets').update(row).eq('version', rules.version)
+      : this.supabase.from('scoring_rulesets').insert(row);
+
+    const { data, error } = await query.select().single();
+    if (error) throw new Error(error.message);
+    return { ruleset: data };
+  }
+
+  /**
+   * Make a version the active ruleset (the built-in version can be re-activated to roll back)
+   * Returns { ruleset } or { notFound }
+   */
+  async activate(version) {
+    let target = await this.get(version);
+
+    if (!target && version === defaultRules.version) {
+      const { data, error } = await this.supabase
+        .from('scoring_rulesets')
+        .insert({ version, description: defaultRules.description, rules: defaultRules, status: 'draft' })
+        .select()
+        .single();
+      if (error) throw new Error(error.message);
+      target = data;
+    }
+
+    if (!target) return { notFound: true };
+    if (target.status === 'active') return { ruleset: target };
+
+    const { error: retireError } = await this.supabase
+      .from('scoring_rulesets')
+      .update({ status: 'retired' })
+      .eq('status', 'active');
+    if (retireError) throw new Error(retireError.message);
+
+    const { data, error } = await this.supabase
+      .from('scoring_rulesets')
+      .update({ status: 'active', activated_at: new Date().toISOString() })
+      .eq('version', version)
+      .select()
+      .single();
+    if (error) throw new Error(error.message);
+
+    ScoringRulesets.clearCache();
+    console.log(`📐 Scoring ruleset v${version} activated`);
+    return { ruleset: data };
+  }
+
+  // ============================================
+  // TESTING
+  // ============================================
+
+  /**
+   * The same fields the live scorer sees for a stored row: its columns, the
+   * contact email the importer and agents pass as contact_email, and
+   * overall_score / route_to_outreach (read by highScore, hasContactInfo and
+   * routedToOutreach). Only the stored scoring explanation is dropped.
+   */
+  scoringInput(row) {
+    const { scoring, ...opportunityData } = row.opportunity_data || {};
+    return {
+      company_name: row.company_name,
+      company_domain: row.company_domain,
+      contact_email: opportunityData.discovered_email || null,
+      source: row.source,
+      overall_score: row.overall_score,
+      route_to_outreach: row.route_to_outreach,
+      opportunity_data: opportunityData
+    };
+  }
+
+  /**
+   * Score recent stored opportunities with both the active ruleset and a draft
+   * and report how actions, tiers and outreach routing would change
+   */
+  async testRuleset(version, { limit = 200 } = {}) {
+    const draft = await this.get(version);
+    if (!draft) return { notFound: true };
+
+    const activeRules = await ScoringRulesets.getActiveRules();
+
+    const { data: rows, error } = await this.supabase
+      .from('scored_opportunities')
+      .select('id, company_name, company_domain, source, overall_score, route_to_outreach, opportunity_data')
+      .order('created_at', { ascending: false })
+      .limit(Math.min(limit, MAX_TEST_SAMPLE));
+
+    if (error) throw new Error(error.message);
+
+    const activeScorer = new IntelligentScorer(activeRules);
+    const draftScorer = new IntelligentScorer(draft.rules);
+    const summarize = () => ({ actions: {}, tiers: {}, routed_to_outreach: 0, qualified: 0, avg_overall_score: 0 });
+    const summary = { active: summarize(), draft: summarize() };
+    const changes = [];
+
+    const tally = (bucket, result, fields) => {
+      bucket.actions[result.action] = (bucket.actions[result.action] || 0) + 1;
+      bucket.tiers[fields.priority_tier] = (bucket.tiers[fields.priority_tier] || 0) + 1;
+      if (fields.route_to_outreach) bucket.routed_to_outreach++;
+      if (result.qualified) bucket.qualified++;
+      bucket.avg_overall_score += fields.overall_score;
+    };
+
+    for (const row of rows || []) {
+      const input = this.scoringInput(row);
+      const before = await activeScorer.processOpportunity(input);
+      const after = await draftScorer.processOpportunity(input);
+      const beforeFields = activeScorer.toOpportunityFields(before);
+      const afterFields = draftScorer.toOpportunityFields(after);
+
+      tally(summary.active, before, beforeFields);
+      tally(summary.draft, after, afterFields);
+
+      if (before.action !== after.action || beforeFields.priority_tier !== afterFields.priority_tier) {
+        changes.push({
+          id: row.id,
+          company_name: row.company_name,
+          active: { action: before.action, overall_score: beforeFields.overall_score, tier: beforeFields.priority_tier },
+          draft: { action: after.action, overall_score: afterFields.overall_score, tier: afterFields.priority_tier },
+          delta: afterFields.overall_score - beforeFields.overall_score
+        });
+      }
+    }
+
+    const sampleSize = (rows || []).length;
+    [summary.active, summary.draft].forEach(bucket => {
+      bucket.avg_overall_score = sampleSize > 0 ? Math.round(bucket.avg_overall_score / sampleSize * 10) / 10 : 0;
+    });
+
+    changes.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+    return {
+      draft_version: draft.version,
+      active_version: activeRules.version,
+      sample_size: sampleSize,
+      summary,
+      changed: changes.length,
+      changes: changes.slice(0, 25)
+    };
+  }
+}
+
+module.exports = ScoringRulesets;
@@ -8,6 +8,52 @@
  * The bot thinks like a skilled salesperson reading a research brief.
  */
 
+const TextSignals = require('./text-signals');
+const CitationVerifier = require('./citation-verifier');
+
+// What each pain point sounds like in an email, and what MFS offers for it
+const PAIN_POINT_COPY = {
+  leadership_dependency: {
+    message: "you're still the one everyone turns to for the big decisions",
+    solution: "building a leadership layer that can carry the weight"
+  },
+  relationship_revenue: {
+    message: "your best clients came through relationships you personally built",
+    solution: "creating a pipeline that doesn't depend on your personal network"
+  },
+  infrastructure_gap: {
+    message: "the systems that got you here won't get you to the next level",
+    solution: "architecting infrastructure that scales without adding complexity"
+  },
+  team_dependency: {
+    message: "your team needs you in the room to deliver at your standard",
+    solution: "building systems so your team can operate at your level"
+  },
+  general_growth: {
+    message: "you've built something valuable but it still runs through you",
+    solution: "creating systems that let you step back without stepping down"
+  }
+};
+
+// Structured research (research-schema.json) pain point categories -> email pain points
+const STRUCTURED_PAIN_TYPES = {
+  leadership_dependency: 'leadership_dependency',
+  relationship_revenue: 'relationship_revenue',
+  operational_bottleneck: 'infrastructure_gap',
+  scaling_plateau: 'infrastructure_gap',
+  team_limitation: 'team_dependency'
+};
+
+// Structured hook types -> the hook types the openers know
+const STRUCTURED_HOOK_TYPES = {
+  achievement: 'achievement',
+  media: 'achievement',
+  speaking: 'achievement',
+  milestone: 'milestone',
+  news: 'milestone',
+  personal: 'personal'
+};
+
 class SmartEmailWriter {
   constructor() {
     // Maggie Forbes positioning
@@ -84,6 +130,7 @@ class SmartEmailWriter {
    * Check if lead has real Perplexity research
    */
   hasRealResearch(research) {
+    if (research.structured) return true;
     const bg = research.company_background || '';
     const pain = research.pain_points || '';
     return (bg.length > 100 && !bg.includes('Research skipped')) ||
@@ -224,8 +271,8 @@ class SmartEmailWriter {
 
       // From research
       tenure: this.extractTenure(research),
-      revenue: this.extractRevenue(research),
-      employees: this.extractEmployees(research),
+      revenue: this.extractRevenue(research, lead),
+      employees: this.extractEmployees(research, lead),
       industry: this.extractIndustry(research, lead),
 
       // Pain points detected
@@ -270,6 +317,16 @@ class SmartEmailWriter {
    * Extract tenure/years in business
    */
   extractTenure(research) {
+    const structured = research.structured;
+    if (structured) {
+      const { founder, company } = structured;
+      if (founder.tenure_years) return { years: founder.tenure_years, source: 'structured' };
+      if (company.years_in_business) return { years: company.years_in_business, source: 'structured' };
+      if (company.founded_year) {
+        return { years: new Date().getFullYear() - company.founded_year, source: 'structured', foundedYear: company.founded_year };
+      }
+    }
+
     const background = research.company_background || research.companyBackground?.findings || '';
 
     // Look for "X years" pattern
@@ -290,9 +347,16 @@ class SmartEmailWriter {
 
   /**
    * Extract revenue indicators
+   * Prefers the FirmographicEstimator result saved on the lead
    */
-  extractRevenue(research) {
-    const background = research.company_background || research.companyBackground?.findings || '';
+  extractRevenue(research, lead = {}) {
+    const estimate = lead.opportunity_data?.firmographics?.revenue;
+    if (estimate) {
+      return { amount: estimate.estimate, raw: estimate.band, band: estimate.band, confidence: estimate.confidence };
+    }
+
+    const background = research.structured?.company.revenue_estimate ||
+      research.company_background || research.companyBackground?.findings || '';
 
     const patterns = [
       { regex: /\$(\d+(?:\.\d+)?)\s*(?:million|M)/i, multiplier: 1000000 },
@@ -312,8 +376,13 @@ class SmartEmailWriter {
 
   /**
    * Extract employee count
+   * Prefers the FirmographicEstimator result saved on the lead
    */
-  extractEmployees(research) {
+  extractEmployees(research, lead = {}) {
+    const estimate = lead.opportunity_data?.firmographics?.headcount;
+    if (estimate) return estimate.estimate;
+    if (research.structured?.company.employee_estimate) return research.structured.company.employee_estimate;
+
     const background = research.company_background || research.companyBackground?.findings || '';
 
     const match = background.match(/(\d+)\s*(?:\+\s*)?(?:employees?|team members?|people|staff)/i);
@@ -328,7 +397,10 @@ class SmartEmailWriter {
    * Extract industry
    */
   extractIndustry(research, lead) {
-    const background = research.company_background || research.companyBackground?.findings || '';
+    const company = research.structured?.company;
+    const background = company
+      ? `${company.industry || ''} ${company.summary}`
+      : research.company_background || research.companyBackground?.findings || '';
     const text = (background + ' ' + (lead.company_name || '')).toLowerCase();
 
     const industries = {
@@ -358,89 +430,73 @@ class SmartEmailWriter {
    * Detect pain points from research
    */
   detectPainPoints(research) {
+    if (research.structured) {
+      const structuredPain = this.structuredPainPoints(research.structured);
+      if (structuredPain.length > 0) return structuredPain;
+    }
+
     const painPoints = [];
-    const painText = (
-      (research.pain_points || '') +
-      (research.painPointAnalysis?.findings || '') +
-      (research.company_background || '') +
-      (research.companyBackground?.findings || '')
-    ).toLowerCase();
+    const painText = new TextSignals({
+      pain_points: research.pain_points,
+      pain_point_analysis: research.painPointAnalysis?.findings,
+      company_background: research.company_background,
+      company_background_findings: research.companyBackground?.findings
+    });
 
     // Leadership dependency indicators
-    if (
-      painText.includes('founder') ||
-      painText.includes('owner-operated') ||
-      painText.includes('leadership dependency') ||
-      painText.includes('key person') ||
-      painText.includes('bottleneck') ||
-      painText.includes('wears many hats') ||
-      painText.includes('hands-on')
-    ) {
-      painPoints.push({
-        type: 'leadership_dependency',
-        confidence: 'high',
-        message: "you're still the one everyone turns to for the big decisions",
-        solution: "building a leadership layer that can carry the weight"
-      });
+    if (painText.hasAny([
+      'founder', 'owner-operated', 'leadership dependency', 'key person',
+      'bottleneck', 'wears many hats', 'hands-on'
+    ])) {
+      painPoints.push({ type: 'leadership_dependency', confidence: 'high', ...PAIN_POINT_COPY.leadership_dependency });
     }
 
     // Relationship-dependent revenue
-    if (
-      painText.includes('relationship') ||
-      painText.includes('referral') ||
-      painText.includes('word of mouth') ||
-      painText.includes('network') ||
-      painText.includes('personal connections') ||
-      painText.includes('no systematic')
-    ) {
-      painPoints.push({
-        type: 'relationship_revenue',
-        confidence: 'high',
-        message: "your best clients came through relationships you personally built",
-        solution: "creating a pipeline that doesn't depend on your personal network"
-      });
+    if (painText.hasAny([
+      'relationship', 'referral', 'word of mouth', 'network',
+      'personal connections', 'no systematic'
+    ])) {
+      painPoints.push({ type: 'relationship_revenue', confidence: 'high', ...PAIN_POINT_COPY.relationship_revenue });
     }
 
     // Infrastructure/scaling issues
-    if (
-      painText.includes('manual') ||
-      painText.includes('scale') ||
-      painText.includes('scaling') ||
-      painText.includes('infrastructure') ||
-      painText.includes('systems') ||
-      painText.includes('process') ||
-      painText.includes('operational')
-    ) {
-      painPoints.push({
-        type: 'infrastructure_gap',
-        confidence: 'medium',
-        message: "the systems that got you here won't get you to the next level",
-        solution: "architecting infrastructure that scales without adding complexity"
-      });
+    if (painText.hasAny([
+      'manual', 'scale', 'infrastructure', 'systems', 'process', 'operational'
+    ])) {
+      painPoints.push({ type: 'infrastructure_gap', confidence: 'medium', ...PAIN_POINT_COPY.infrastructure_gap });
     }
 
     // Team dependency
-    if (
-      painText.includes('team needs') ||
-      painText.includes('can\'t delegate') ||
-      painText.includes('quality control') ||
-      painText.includes('standards')
-    ) {
-      painPoints.push({
-        type: 'team_dependency',
-        confidence: 'medium',
-        message: "your team needs you in the room to deliver at your standard",
-        solution: "building systems so your team can operate at your level"
-      });
+    if (painText.hasAny([
+      'team needs', 'can\'t delegate', 'quality control', 'standards'
+    ])) {
+      painPoints.push({ type: 'team_dependency', confidence: 'medium', ...PAIN_POINT_COPY.team_dependency });
     }
 
     // Default pain point if nothing detected
     if (painPoints.length === 0) {
+      painPoints.push({ type: 'general_growth', confidence: 'low', ...PAIN_POINT_COPY.general_growth });
+    }
+
+    return painPoints;
+  }
+
+  /**
+   * Pain points from structured research - one per category, sourced evidence first
+   */
+  structuredPainPoints(structured) {
+    const painPoints = [];
+    const ranked = [...structured.pain_points].sort((a, b) => Number(!!b.source_url) - Number(!!a.source_url));
+
+    for (const pain of ranked) {
+      const type = STRUCTURED_PAIN_TYPES[pain.category];
+      if (!type || painPoints.some(existing => existing.type === type)) continue;
       painPoints.push({
-        type: 'general_growth',
-        confidence: 'low',
-        message: "you've built something valuable but it still runs through you",
-        solution: "creating systems that let you step back without stepping down"
+        type,
+        confidence: pain.source_url ? 'high' : 'medium',
+        ...PAIN_POINT_COPY[type],
+        evidence: pain.evidence,
+        source_url: pain.source_url
       });
     }
 
@@ -451,6 +507,8 @@ class SmartEmailWriter {
    * Extract personalization hooks from research
    */
   extractHooks(research) {
+    if (research.structured) return this.structuredHooks(research.structured, research.verification);
+
     const hooks = [];
     const hookText = (
       (research.personalization_hooks || '') +
@@ -478,6 +536,7 @@ class SmartEmailWriter {
             hooks.push({
               type: 'achievement',
               text: cleaned,
+              verification: 'unverified', // free-text research has no citations per claim
               quality: this.assessHookQuality(cleaned)
             });
           }
@@ -500,6 +559,7 @@ class SmartEmailWriter {
             hooks.push({
               type: 'milestone',
               text: cleaned,
+              verification: 'unverified',
               quality: this.assessHookQuality(cleaned)
             });
           }
@@ -510,6 +570,38 @@ class SmartEmailWriter {
     return hooks;
   }
 
+  /**
+   * Hooks from structured research - sourced hooks plus dated recent activity,
+   * each with its citation check (CitationVerifier) status
+   */
+  structuredHooks(structured, verification = null) {
+    const clean = text => text.trim().replace(/[.!?]+$/, '');
+
+    const hooks = structured.hooks.map((hook, i) => ({
+      type: STRUCTURED_HOOK_TYPES[hook.type] || 'milestone',
+      text: clean(hook.text),
+      source_url: hook.source_url,
+      path: `hooks[${i}]`,
+      verification: CitationVerifier.statusOf(verification, `hooks[${i}]`),
+      quality: this.assessHookQuality(clean(hook.text))
+    }));
+
+    structured.recent_activity.forEach((item, i) => {
+      if (!item.date) return;
+      hooks.push({
+        type: 'milestone',
+        text: clean(item.description),
+        date: item.date,
+        source_url: item.source_url,
+        path: `recent_activity[${i}]`,
+        verification: CitationVerifier.statusOf(verification, `recent_activity[${i}]`),
+        quality: this.assessHookQuality(clean(item.description))
+      });
+    });
+
+    return hooks.filter(hook => hook.text.length > 15 && hook.text.length < 100);
+  }
+
   /**
    * Assess hook quality
    */
@@ -533,12 +625,14 @@ class SmartEmailWriter {
 
   /**
    * Select the best hook to use
+   * Only hooks found in their cited source (verification: 'verified') are quoted to a prospect
    */
   selectBestHook(hooks) {
-    if (hooks.length === 0) return null;
+    const verified = hooks.filter(hook => hook.verification === 'verified');
+    if (verified.length === 0) return null;
 
     // Sort by quality
-    const sorted = hooks.sort((a, b) => {
+    const sorted = verified.sort((a, b) => {
       const qualityOrder = { high: 3, medium: 2, low: 1 };
       return (qualityOrder[b.quality] || 0) - (qualityOrder[a.quality] || 0);
     });
@@ -552,6 +646,19 @@ class SmartEmailWriter {
   assessResearchQuality(research) {
     let score = 0;
 
+    if (research.structured) {
+      const { founder, pain_points: painPoints, hooks, recent_activity: activity } = research.structured;
+      score++; // company summary is required by the schema
+      if (painPoints.some(pain => pain.source_url)) score++;
+      if (founder.name) score++;
+      if (hooks.length > 0 || activity.some(item => item.date)) score++;
+
+      if (score >= 4) return 'excellent';
+      if (score >= 3) return 'good';
+      if (score >= 2) return 'fair';
+      return 'poor';
+    }
+
     if (research.company_background || research.companyBackground?.findings) score++;
     if (research.pain_points || research.painPointAnalysis?.findings) score++;
     if (research.decision_maker || research.decisionMaker?.findings) score++;
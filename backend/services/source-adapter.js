@@ -0,0 +1,241 @@
+/**
+ * Source Adapter
+ * Base class for every lead source (RSS feeds, forums, news feeds, ...)
+ *
+ * Each run goes through the same four steps:
+ * 1. fetch()     - pull raw items from the source (feeds: only items not seen on earlier runs)
+ * 2. normalize() - raw item -> { title, content, url, author, published_at, feed }
+ * 3. analyze()   - normalized item -> scored_opportunities row (or null to drop it)
+ * 4. persist()   - duplicate check + ICP match + insert into scored_opportunities + link to its company
+ *
+ * Subclasses implement fetch/normalize/analyze and may override findDuplicate.
+ * Feed-based subclasses set defaultFeeds / defaultKeywords (and feedTypes if feeds
+ * have a type); the stored config from SourceConfig replaces them on every run.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const EntityResolver = require('./entity-resolver');
+const FeedFetcher = require('./feed-fetcher');
+const SourceConfig = require('./source-config');
+const IcpProfiles = require('./icp-profiles');
+
+class SourceAdapter {
+  constructor({ id, name, description = '', duplicateWindowHours = null }) {
+    this.id = id;
+    this.name = name;
+    this.description = description;
+    // Only count sightings from this source within the window as duplicates (null = any time)
+    this.duplicateWindowHours = duplicateWindowHours;
+    this.resolver = new EntityResolver();
+    this.feedFetcher = new FeedFetcher();
+    this.sourceConfig = new SourceConfig();
+    this.icpProfiles = new IcpProfiles();
+
+    // Built-in config - subclasses fill these in
+    this.defaultFeeds = [];
+    this.defaultKeywords = {};
+    this.feedTypes = null;
+
+    this.supabase = lazyClient();
+  }
+
+  /**
+   * Load feeds and keyword lists (stored config, falling back to the built-in defaults)
+   */
+  async loadConfig() {
+    try {
+      const config = await this.sourceConfig.load(this);
+      this.feeds = config.feeds;
+      this.keywords = config.keywords;
+    } catch (error) {
+      console.log(`   ⚠️  Using built-in config for ${this.name}: ${error.message}`);
+      this.feeds = this.defaultFeeds;
+      this.keywords = { ...this.defaultKeywords };
+    }
+  }
+
+  /**
+   * Pull raw items from the source
+   * Returns { items: [...], errors: [{ feed, error }] }
+   */
+  async fetch() {
+    throw new Error(`${this.constructor.name} must implement fetch()`);
+  }
+
+  /**
+   * Shared fetch for RSS/Atom based sources - only returns items not processed before
+   * Returns { items: [{ item, feed, trackSeen }], errors, notModified, validators } - one bad feed doesn't stop the rest
+   */
+  async fetchFeeds(parser, feeds, perFeedLimit) {
+    const items = [];
+    const errors = [];
+    const validators = [];
+    let notModified = 0;
+
+    for (const feed of feeds) {
+      try {
+        console.log(`📡 Fetching ${feed.name}...`);
+        const result = await this.feedFetcher.fetchFeed(parser, feed, this.id, perFeedLimit);
+
+        if (result.notModified) {
+          notModified++;
+          console.log(`   ${feed.name} not modified since last run`);
+          continue;
+        }
+
+        console.log(`   Found ${result.items.length} new of ${result.total} items in ${feed.name}`);
+        result.items.forEach(item => items.push({ item, feed, trackSeen: true }));
+        validators.push(result.validators);
+      } catch (error) {
+        console.error(`Error fetching ${feed.name}:`, error.message);
+        errors.push({ feed: feed.name, error: error.message });
+      }
+    }
+
+    return { items, errors, notModified, validators };
+  }
+
+  /**
+   * Convert one raw item into the common item shape
+   */
+  normalize(raw) {
+    throw new Error(`${this.constructor.name} must implement normalize()`);
+  }
+
+  /**
+   * Decide whether a normalized item is a lead and build its row
+   * Returns a scored_opportunities row or null
+   */
+  async analyze(item) {
+    throw new Error(`${this.constructor.name} must implement analyze()`);
+  }
+
+  /**
+   * Default duplicate check: this source already has a sighting of the same company
+   * (resolved by normalized domain / name, see EntityResolver)
+   */
+  async findDuplicate(opportunity) {
+    const { company } = await this.resolver.match(opportunity);
+    if (!company) return null;
+
+    let query = this.supabase
+      .from('scored_opportunities')
+      .select('id')
+      .eq('company_id', company.id)
+      .eq('source', opportunity.source);
+
+    if (this.duplicateWindowHours) {
+      query = query.gte('created_at', new Date(Date.now() - this.duplicateWindowHours * 60 * 60 * 1000).toISOString());
+    }
+
+    const { data: existing } = await query.limit(1);
+    return existing && existing.length > 0 ? existing[0] : null;
+  }
+
+  /**
+   * Duplicate check for article-style items where the company is just the publisher
+   */
+  async findDuplicateByUrl(opportunity, url) {
+    const { data: existing } = await this.supabase
+      .from('scored_opportunities')
+      .select('id')
+      .eq('source', opportunity.source)
+      .eq('opportunity_data->>url', url)
+      .limit(1);
+
+    return existing && existing.length > 0 ? existing[0] : null;
+  }
+
+  /**
+   * Insert an analyzed opportunity and link it to its canonical company
+   */
+  async persist(opportunity) {
+    try {
+      Object.assign(opportunity, await this.icpProfiles.matchFields(opportunity));
+    } catch (err) {
+      // Saved unmatched - POST /api/icp/match picks it up later
+      console.log(`   ⚠️  ICP match skipped: ${err.message}`);
+    }
+
+    const { data, error } = await this.supabase
+      .from('scored_opportunities')
+      .insert(opportunity)
+      .select();
+
+    if (error) throw new Error(error.message);
+
+    const saved = data[0];
+    try {
+      const { company_id } = await this.resolver.resolve(saved);
+      saved.company_id = company_id;
+    } catch (err) {
+      // The row is saved either way - POST /api/companies/resolve picks it up later
+      console.log(`   ⚠️  Entity resolution skipped: ${err.message}`);
+    }
+
+    return saved;
+  }
+
+  /**
+   * normalize -> analyze -> duplicate check -> persist for one raw item
+   */
+  async processItem(raw, stats, opportunities) {
+    const item = this.normalize(raw);
+    const opportunity = await this.analyze(item);
+    if (!opportunity) return;
+
+    stats.kept++;
+
+    const duplicate = await this.findDuplicate(opportunity, item);
+    if (duplicate) {
+      stats.duplicates++;
+      return;
+    }
+
+    const saved = await this.persist(opportunity);
+    opportunities.push(saved);
+    stats.saved++;
+    console.log(`   ✅ Saved: ${opportunity.company_name.substring(0, 50)} (score: ${opportunity.overall_score})`);
+  }
+
+  /**
+   * Run the full fetch -> normalize -> analyze -> persist pipeline
+   */
+  async run() {
+    console.log(`🔍 Scanning source: ${this.name}...`);
+    await this.loadConfig();
+
+    const stats = { fetched: 0, kept: 0, duplicates: 0, saved: 0, feeds_not_modified: 0, errors: [] };
+    const opportunities = [];
+    const processed = [];
+    const failedFeeds = new Set();
+
+    const { items, errors = [], notModified = 0, validators = [] } = await this.fetch();
+    stats.fetched = items.length;
+    stats.feeds_not_modified = notModified;
+    stats.errors.push(...errors);
+
+    for (const raw of items) {
+      try {
+        await this.processItem(raw, stats, opportunities);
+        // Items that failed are left unseen so the next run retries them
+        if (raw.trackSeen) processed.push(raw);
+      } catch (error) {
+        stats.errors.push({ item: raw?.item?.link || raw?.link || null, error: error.message });
+        if (raw?.feed) failedFeeds.add(raw.feed.url);
+      }
+    }
+
+    // New ETag / Last-Modified only once the items are marked seen - a feed with a
+    // failed item is fetched in full next run instead of answering 304
+    if (await this.feedFetcher.markSeen(processed)) {
+      await this.feedFetcher.saveValidators(validators.filter(entry => !failedFeeds.has(entry.feed.url)));
+    }
+
+    console.log(`✅ ${this.name}: ${stats.fetched} new items fetched, ${stats.kept} kept, ${stats.duplicates} duplicates skipped, ${stats.saved} saved (${stats.feeds_not_modified} feeds not modified)`);
+
+    return { source: this.id, stats, opportunities };
+  }
+}
+
+module.exports = SourceAdapter;
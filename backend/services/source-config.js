@@ -0,0 +1,333 @@
+/**
+ * Source Config
+ * Feeds and keyword lists for the lead sources, stored in source_feeds / keyword_lists
+ *
+ * Each adapter ships its built-in lists as defaults. Until a source has been edited
+ * those defaults are used; the first edit copies them into the tables so the
+ * change starts from the current list. Adapters reload config at the start of
+ * every run, so edits apply on the next scan without a redeploy.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const Parser = require('rss-parser');
+const PoliteFetcher = require('./polite-fetcher');
+
+const MAX_KEYWORDS_PER_LIST = 500;
+const MAX_KEYWORD_LENGTH = 100;
+
+class SourceConfig {
+  constructor() {
+    this.supabase = lazyClient();
+  }
+
+  // ============================================
+  // READ
+  // ============================================
+
+  /**
+   * Effective config for an adapter: stored rows, or the adapter defaults
+   * Returns { feeds, keywords, feeds_customized, customized_lists }
+   */
+  async load(adapter) {
+    const [feedRows, listRows] = await Promise.all([
+      this.getStoredFeeds(adapter.id),
+      this.getStoredKeywordLists(adapter.id)
+    ]);
+
+    const keywords = { ...adapter.defaultKeywords };
+    listRows.forEach(row => {
+      if (row.list_name in keywords) keywords[row.list_name] = row.keywords;
+    });
+
+    return {
+      feeds: feedRows.length > 0
+        ? feedRows.filter(f => f.enabled).map(f => ({ id: f.id, name: f.name, url: f.url, type: f.type || undefined }))
+        : adapter.defaultFeeds,
+      keywords,
+      feeds_customized: feedRows.length > 0,
+      customized_lists: listRows.map(r => r.list_name)
+    };
+  }
+
+  /**
+   * Everything the dashboard needs to edit one source (disabled feeds included)
+   */
+  async describe(adapter) {
+    const [feedRows, listRows] = await Promise.all([
+      this.getStoredFeeds(adapter.id),
+      this.getStoredKeywordLists(adapter.id)
+    ]);
+
+    const stored = Object.fromEntries(listRows.map(r => [r.list_name, r]));
+
+    return {
+      source: adapter.id,
+      feed_types: adapter.feedTypes,
+      feeds_customized: feedRows.length > 0,
+      feeds: feedRows.length > 0
+        ? feedRows
+        : adapter.defaultFeeds.map(f => ({ ...f, enabled: true, is_default: true })),
+      keyword_lists: Object.entries(adapter.defaultKeywords).map(([listName, defaults]) => ({
+        list_name: listName,
+        keywords: stored[listName] ? stored[listName].keywords : defaults,
+        is_default: !stored[listName],
+        updated_at: stored[listName]?.updated_at || null
+      }))
+    };
+  }
+
+  async getStoredFeeds(sourceId) {
+    const { data, error } = await this.supabase
+      .from('source_feeds')
+      .select('*')
+      .eq('source_id', sourceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async getStoredKeywordLists(sourceId) {
+    const { data, error } = await this.supabase
+      .from('keyword_lists')
+      .select('*')
+      .eq('source_id', sourceId);
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Returns a list of error strings for a feed
+   */
+  validateFeed(adapter, feed, existingFeeds = []) {
+    const errors = [];
+
+    if (!feed.name || typeof feed.name !== 'string' || !feed.name.trim()) {
+      errors.push('name is required');
+    } else if (feed.name.length > 100) {
+      errors.push('name must be 100 characters or less');
+    }
+
+    let url;
+    try {
+      url = new URL(feed.url);
+    } catch {
+      errors.push('url must be a valid URL');
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) {
+      errors.push('url must use http or https');
+    }
+
+    if (adapter.feedTypes) {
+      if (!adapter.feedTypes.includes(feed.type)) {
+        errors.push(`type must be one of: ${adapter.feedTypes.join(', ')}`);
+      }
+    } else if (feed.type) {
+      errors.push(`source "${adapter.id}" does not use feed types`);
+    }
+
+    if (feed.enabled !== undefined && typeof feed.enabled !== 'boolean') {
+      errors.push('enabled must be true or false');
+    }
+
+    if (feed.url && existingFeeds.some(f => f.url === feed.url && f.id !== feed.id)) {
+      errors.push(`feed ${feed.url} already exists for this source`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Returns { keywords (cleaned), errors }
+   */
+  validateKeywordList(adapter, listName, keywords) {
+    const errors = [];
+
+    if (!(listName in adapter.defaultKeywords)) {
+      errors.push(`Unknown keyword list "${listName}". Lists for ${adapter.id}: ${Object.keys(adapter.defaultKeywords).join(', ')}`);
+      return { keywords: [], errors };
+    }
+
+    if (!Array.isArray(keywords)) {
+      errors.push('keywords must be an array of strings');
+      return { keywords: [], errors };
+    }
+
+    const cleaned = [];
+    keywords.forEach((keyword, i) => {
+      if (typeof keyword !== 'string' || !keyword.trim()) {
+        errors.push(`keywords[${i}] must be a non-empty string`);
+      } else if (keyword.length > MAX_KEYWORD_LENGTH) {
+        errors.push(`keywords[${i}] is longer than ${MAX_KEYWORD_LENGTH} characters`);
+      } else {
+        // Scanners match against lowercased text
+        cleaned.push(keyword.trim().toLowerCase());
+      }
+    });
+
+    const unique = [...new Set(cleaned)];
+    if (unique.length === 0 && errors.length === 0) errors.push('keyword list cannot be empty');
+    if (unique.length > MAX_KEYWORDS_PER_LIST) errors.push(`keyword list cannot have more than ${MAX_KEYWORDS_PER_LIST} entries`);
+
+    return { keywords: unique, errors };
+  }
+
+  /**
+   * Fetch the feed once to make sure it parses (opt-in, used with verify=true)
+   */
+  async verifyFeed(feed) {
+    try {
+      const response = await new PoliteFetcher().fetch(feed.url, {
+        accept: 'application/rss+xml, application/xml, text/xml, */*',
+        robots: false,
+        cache: false
+      });
+      const parsed = await new Parser().parseString(response.body);
+      return { ok: true, items: parsed.items.length, title: parsed.title || null };
+    } catch (error) {
+      return { ok: false, error: error.message };
+    }
+  }
+
+  // ============================================
+  // WRITE
+  // ============================================
+
+  /**
+   * First edit of a source: copy the built-in feeds so the edit starts from them
+   */
+  async ensureFeedsSeeded(adapter) {
+    const existing = await this.getStoredFeeds(adapter.id);
+    if (existing.length > 0) return existing;
+
+    const { data, error } = await this.supabase
+      .from('source_feeds')
+      .insert(adapter.defaultFeeds.map(f => ({
+        source_id: adapter.id,
+        name: f.name,
+        url: f.url,
+        type: f.type || null,
+        enabled: true
+      })))
+      .select();
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  async addFeed(adapter, feed) {
+    const existing = await this.ensureFeedsSeeded(adapter);
+    const errors = this.validateFeed(adapter, feed, existing);
+    if (errors.length > 0) return { errors };
+
+    const { data, error } = await this.supabase
+      .from('source_feeds')
+      .insert({
+        source_id: adapter.id,
+        name: feed.name.trim(),
+        url: feed.url,
+        type: feed.type || null,
+        enabled: feed.enabled !== false
+      })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return { feed: data };
+  }
+
+  async updateFeed(adapter, feedId, updates) {
+    const existing = await this.getStoredFeeds(adapter.id);
+    const current = existing.find(f => f.id === feedId);
+    if (!current) return { notFound: true };
+
+    const merged = {
+      id: feedId,
+      name: updates.name !== undefined ? updates.name : current.name,
+      url: updates.url !== undefined ? updates.url : current.url,
+      type: updates.type !== undefined ? updates.type : (current.type || undefined),
+      enabled: updates.enabled !== undefined ? updates.enabled : current.enabled
+    };
+
+    const errors = this.validateFeed(adapter, merged, existing);
+    if (errors.length > 0) return { errors };
+
+    const { data, error } = await this.supabase
+      .from('source_feeds')
+      .update({
+        name: merged.name.trim(),
+        url: merged.url,
+        type: merged.type || null,
+        enabled: merged.enabled,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', feedId)
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return { feed: data };
+  }
+
+  async deleteFeed(adapter, feedId) {
+    const existing = await this.getStoredFeeds(adapter.id);
+    if (!existing.some(f => f.id === feedId)) return { notFound: true };
+
+    // An empty table means "use defaults" - don't let a delete silently bring them back
+    if (existing.length === 1) {
+      return { errors: ['Cannot delete the last feed of a source - disable it instead'] };
+    }
+
+    const { error } = await this.supabase
+      .from('source_feeds')
+      .delete()
+      .eq('id', feedId);
+
+    if (error) throw new Error(error.message);
+    return { deleted: true };
+  }
+
+  async saveKeywordList(adapter, listName, keywords) {
+    const validation = this.validateKeywordList(adapter, listName, keywords);
+    if (validation.errors.length > 0) return { errors: validation.errors };
+
+    const { data, error } = await this.supabase
+      .from('keyword_lists')
+      .upsert({
+        source_id: adapter.id,
+        list_name: listName,
+        keywords: validation.keywords,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'source_id,list_name' })
+      .select()
+      .single();
+
+    if (error) throw new Error(error.message);
+    return { list: data };
+  }
+
+  /**
+   * Drop a stored list so the source goes back to its built-in keywords
+   */
+  async resetKeywordList(adapter, listName) {
+    if (!(listName in adapter.defaultKeywords)) {
+      return { errors: [`Unknown keyword list "${listName}"`] };
+    }
+
+    const { error } = await this.supabase
+      .from('keyword_lists')
+      .delete()
+      .eq('source_id', adapter.id)
+      .eq('list_name', listName);
+
+    if (error) throw new Error(error.message);
+    return { list: { list_name: listName, keywords: adapter.defaultKeywords[listName], is_default: true } };
+  }
+}
+
+module.exports = SourceConfig;
@@ -0,0 +1,73 @@
+/**
+ * Source Registry
+ * Keeps track of every lead source adapter so routes and scripts can scan by id
+ *
+ * Adding a new source: extend SourceAdapter, then register it in createDefault()
+ */
+
+const RSSMonitor = require('./rss-monitor');
+const ForumScanner = require('./forum-scanner');
+const NewsFeedScanner = require('./news-feed-scanner');
+
+class SourceRegistry {
+  constructor() {
+    this.adapters = new Map();
+  }
+
+  /**
+   * Registry with all built-in sources
+   */
+  static createDefault() {
+    const registry = new SourceRegistry();
+    registry.register(new RSSMonitor());
+    registry.register(new ForumScanner());
+    registry.register(new NewsFeedScanner());
+    return registry;
+  }
+
+  register(adapter) {
+    if (!adapter.id) throw new Error('Source adapter must have an id');
+    if (this.adapters.has(adapter.id)) throw new Error(`Source "${adapter.id}" is already registered`);
+    this.adapters.set(adapter.id, adapter);
+    return this;
+  }
+
+  get(id) {
+    return this.adapters.get(id) || null;
+  }
+
+  /**
+   * Summary of registered sources for the API
+   */
+  list() {
+    return [...this.adapters.values()].map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      description: adapter.description,
+      feed_types: adapter.feedTypes,
+      keyword_lists: Object.keys(adapter.defaultKeywords)
+    }));
+  }
+
+  /**
+   * Run one source by id
+   */
+  async scan(id) {
+    const adapter = this.get(id);
+    if (!adapter) throw new Error(`Unknown source: ${id}`);
+    return adapter.run();
+  }
+
+  /**
+   * Run every registered source in turn
+   */
+  async scanAll() {
+    const results = [];
+    for (const adapter of this.adapters.values()) {
+      results.push(await adapter.run());
+    }
+    return results;
+  }
+}
+
+module.exports = SourceRegistry;
@@ -0,0 +1,99 @@
+/**
+ * Stub Provider
+ * Deterministic offline answers - no network, no API key. Lets research, reply
+ * handling and the rest of the pipeline run in tests (LLM_PROVIDER=stub)
+ *
+ * The same prompt always gets the same answer:
+ * - canned responses ({ match, text }) win when their substring/RegExp matches the prompt
+ * - prompts with a JSON template get the template back, "A|B|C" options resolved to one value
+ * - prompts with numbered section headings ("1. COMPANY BACKGROUND:") get every section filled in
+ * - anything else gets a short generic answer
+ *
+ * failures is a queue of errors ({ status, code, message }) thrown by the next calls -
+ * for exercising the router's retry and fallback handling.
+ */
+
+const crypto = require('crypto');
+const LLMProvider = require('./llm-provider');
+
+class StubProvider extends LLMProvider {
+  constructor({ responses = [], failures = [] } = {}) {
+    super({ id: 'stub', name: 'Offline stub', defaultModel: 'stub-1' });
+    this.responses = responses;
+    this.failures = [...failures];
+    this.calls = 0;
+  }
+
+  static fingerprint(text) {
+    return crypto.createHash('sha1').update(text).digest('hex').substring(0, 8);
+  }
+
+  async complete({ prompt, system, model }) {
+    this.calls++;
+
+    const failure = this.failures.shift();
+    if (failure) {
+      const error = new Error(`${this.name}: ${failure.message || 'simulated failure'}`);
+      error.status = failure.status ?? null;
+      error.code = failure.code;
+      throw error;
+    }
+
+    const fingerprint = StubProvider.fingerprint(`${system || ''}\n${prompt}`);
+    return {
+      text: this.answer(prompt, fingerprint),
+      citations: [],
+      model: model || this.defaultModel,
+      usage: { input_tokens: Math.ceil(((system || '').length + prompt.length) / 4), output_tokens: 0 }
+    };
+  }
+
+  answer(prompt, fingerprint) {
+    const canned = this.responses.find(response => (response.match instanceof RegExp
+      ? response.match.test(prompt)
+      : prompt.includes(response.match)));
+    if (canned) return canned.text;
+
+    const template = StubProvider.jsonTemplate(prompt);
+    if (template) return JSON.stringify(StubProvider.fillTemplate(template, parseInt(fingerprint, 16)), null, 2);
+
+    const headings = [...prompt.matchAll(/^\s*(\d+)\.\s+([A-Z][A-Z/&' -]+?)\s*(?:\([^)\n]*\))?:/gm)];
+    if (headings.length > 0) {
+      return headings
+        .map(([, number, heading]) => `${number}. ${heading.trim()}:\n   Offline stub findings for ${heading.trim().toLowerCase()} (ref ${fingerprint}) - no live research was run.`)
+        .join('\n\n');
+    }
+
+    return `Offline stub response (ref ${fingerprint}). No model was called; set LLM_PROVIDER or configure API keys for live answers.`;
+  }
+
+  /**
+   * Last parseable {...} block in the prompt (the "Respond in JSON" example), or null
+   */
+  static jsonTemplate(prompt) {
+    const start = prompt.lastIndexOf('\n{');
+    const end = prompt.lastIndexOf('}');
+    if (start === -1 || end < start) return null;
+
+    try {
+      const template = JSON.parse(prompt.substring(start + 1, end + 1));
+      return template && typeof template === 'object' ? template : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static fillTemplate(value, seed) {
+    if (Array.isArray(value)) return value.map(item => StubProvider.fillTemplate(item, seed));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, StubProvider.fillTemplate(item, seed)]));
+    }
+    if (typeof value === 'string' && /^[\w-]+(\|[\w-]+)+$/.test(value)) {
+      const options = value.split('|');
+      return options[seed % options.length];
+    }
+    return value;
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,28 @@
+/**
+ * Supabase Client
+ * A service-role client that isn't created until the first query, so services
+ * can be constructed without SUPABASE_URL (offline test scripts that swap in a
+ * fake client, or never touch the database at all)
+ *
+ *   this.supabase = lazyClient();
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+function lazyClient() {
+  let client = null;
+  return new Proxy({}, {
+    get(target, prop) {
+      if (!client) {
+        client = createClient(
+          process.env.SUPABASE_URL,
+          process.env.SUPABASE_SERVICE_KEY
+        );
+      }
+      const value = client[prop];
+      return typeof value === 'function' ? value.bind(client) : value;
+    }
+  });
+}
+
+module.exports = { lazyClient };
@@ -0,0 +1,322 @@
+/**
+ * Tech Stack Detector
+ * Crawls a lead's homepage plus a few linked pages and detects the tools they run
+ * (CMS, e-commerce, analytics, CRM/marketing, chat, schedulers)
+ *
+ * Signatures live in tech-signatures.json and match on script srcs, meta tags,
+ * cookies, response headers and raw HTML. Results go to opportunity_data.tech_stack
+ * and tech_stack_score.
+ *
+ * detectPage() is pure (html + headers in, detections out) so it can be run
+ * against saved fixtures - see test-tech-stack.js.
+ */
+
+const cheerio = require('cheerio');
+const { lazyClient } = require('./supabase-client');
+const EntityResolver = require('./entity-resolver');
+const PoliteFetcher = require('./polite-fetcher');
+const signatures = require('./tech-signatures.json');
+
+// Internal pages most likely to carry schedulers, chat and marketing forms
+const PRIORITY_PATHS = /(pricing|contact|about|book|demo|schedule|consult|shop|store|cart|signup|get-started)/i;
+const MAX_EXTRA_PAGES = 3;
+
+class TechStackDetector {
+  constructor({ fetcher = new PoliteFetcher() } = {}) {
+    this.fetcher = fetcher;
+    this.supabase = lazyClient();
+    this.resolver = new EntityResolver();
+    this.technologies = this.compileSignatures(signatures.technologies);
+    this.categories = signatures.categories;
+    this.scoring = signatures.scoring;
+  }
+
+  compileSignatures(technologies) {
+    const compile = (patterns = []) => patterns.map(p => new RegExp(p, 'i'));
+    const compileMap = (map = {}) => Object.fromEntries(
+      Object.entries(map).map(([key, pattern]) => [key.toLowerCase(), new RegExp(pattern, 'i')])
+    );
+
+    return technologies.map(tech => ({
+      name: tech.name,
+      category: tech.category,
+      paid: !!tech.paid,
+      scriptSrc: compile(tech.scriptSrc),
+      html: compile(tech.html),
+      cookies: compile(tech.cookies),
+      meta: compileMap(tech.meta),
+      headers: compileMap(tech.headers)
+    }));
+  }
+
+  // ============================================
+  // DETECTION
+  // ============================================
+
+  /**
+   * Detect technologies on one page
+   * headers: response headers (lowercase keys); set-cookie may be a string or array
+   * Returns [{ name, category, paid, evidence: [..] }]
+   */
+  detectPage(html, headers = {}) {
+    const $ = cheerio.load(html || '');
+
+    const scriptSrcs = $('script[src]').map((i, el) => $(el).attr('src')).get();
+    const metas = {};
+    $('meta[name]').each((i, el) => {
+      metas[$(el).attr('name').toLowerCase()] = $(el).attr('content') || '';
+    });
+    const cookies = this.parseCookieNames(headers['set-cookie']);
+
+    const detections = [];
+
+    for (const tech of this.technologies) {
+      const evidence = [];
+
+      tech.scriptSrc.forEach(re => {
+        const src = scriptSrcs.find(s => re.test(s));
+        if (src) evidence.push(`script: ${src.substring(0, 120)}`);
+      });
+
+      Object.entries(tech.meta).forEach(([name, re]) => {
+        if (metas[name] && re.test(metas[name])) evidence.push(`meta ${name}: ${metas[name].substring(0, 80)}`);
+      });
+
+      tech.cookies.forEach(re => {
+        const cookie = cookies.find(c => re.test(c));
+        if (cookie) evidence.push(`cookie: ${cookie}`);
+      });
+
+      Object.entries(tech.headers).forEach(([name, re]) => {
+        const value = headers[name];
+        if (value && re.test(String(value))) evidence.push(`header ${name}: ${String(value).substring(0, 80)}`);
+      });
+
+      tech.html.forEach(re => {
+        const match = (html || '').match(re);
+        if (match) evidence.push(`html: ${match[0].substring(0, 80)}`);
+      });
+
+      if (evidence.length > 0) {
+        detections.push({ name: tech.name, category: tech.category, paid: tech.paid, evidence });
+      }
+    }
+
+    return detections;
+  }
+
+  parseCookieNames(setCookie) {
+    if (!setCookie) return [];
+    const list = Array.isArray(setCookie) ? setCookie : [setCookie];
+    return list.map(c => c.split('=')[0].trim()).filter(Boolean);
+  }
+
+  /**
+   * Merge per-page detections into one stack
+   */
+  mergeDetections(pages) {
+    const byName = new Map();
+
+    for (const page of pages) {
+      for (const detection of page.detections) {
+        const existing = byName.get(detection.name);
+        if (existing) {
+          existing.pages.push(page.url);
+          detection.evidence.forEach(e => {
+            if (!existing.evidence.includes(e) && existing.evidence.length < 5) existing.evidence.push(e);
+          });
+        } else {
+          byName.set(detection.name, { ...detection, evidence: [...detection.evidence], pages: [page.url] });
+        }
+      }
+    }
+
+    return [...byName.values()];
+  }
+
+  /**
+   * tech_stack_score: category weights for every category present, plus a bonus per paid tool
+   */
+  calculateScore(technologies) {
+    const categories = new Set(technologies.map(t => t.category));
+    let score = 0;
+
+    categories.forEach(category => {
+      score += this.categories[category]?.weight || 0;
+    });
+    score += technologies.filter(t => t.paid).length * this.scoring.paid_tool_bonus;
+
+    return Math.min(this.scoring.max, score);
+  }
+
+  /**
+   * Build the opportunity_data.tech_stack payload from crawled pages
+   */
+  summarize(pages) {
+    const technologies = this.mergeDetections(pages);
+    const categories = {};
+
+    Object.keys(this.categories).forEach(category => {
+      categories[category] = technologies.filter(t => t.category === category).map(t => t.name);
+    });
+
+    return {
+      technologies,
+      categories,
+      // Categories with nothing detected - useful as outreach angles ("no CRM", "no scheduler")
+      missing: Object.keys(categories).filter(c => categories[c].length === 0),
+      score: this.calculateScore(technologies),
+      pages_scanned: pages.map(p => ({ url: p.url, status: p.status, error: p.error || undefined })),
+      signatures_version: signatures.version,
+      scanned_at: new Date().toISOString()
+    };
+  }
+
+  // ============================================
+  // CRAWLING
+  // ============================================
+
+  async fetchPage(url) {
+    const page = await this.fetcher.fetch(url, { accept: 'text/html,application/xhtml+xml' });
+    return { url: page.url, status: page.status, html: page.body, headers: page.headers };
+  }
+
+  /**
+   * Same-site links, pages like /pricing and /contact first
+   */
+  pickLinkedPages(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const base = new URL(baseUrl);
+    const seen = new Set([base.pathname]);
+    const links = [];
+
+    $('a[href]').each((i, el) => {
+      try {
+        const url = new URL($(el).attr('href'), base);
+        if (url.hostname.replace(/^www\./, '') !== base.hostname.replace(/^www\./, '')) return;
+        if (!['http:', 'https:'].includes(url.protocol)) return;
+        if (/\.(pdf|jpe?g|png|gif|svg|zip|mp4)$/i.test(url.pathname)) return;
+        if (seen.has(url.pathname)) return;
+        seen.add(url.pathname);
+        links.push(url.origin + url.pathname);
+      } catch {
+        // Ignore malformed hrefs
+      }
+    });
+
+    const priority = links.filter(l => PRIORITY_PATHS.test(new URL(l).pathname));
+    return [...new Set([...priority, ...links])].slice(0, MAX_EXTRA_PAGES);
+  }
+
+  /**
+   * Crawl a domain: homepage (https, then http) + up to MAX_EXTRA_PAGES linked pages
+   */
+  async crawl(domain) {
+    const failures = [];
+    let homepage = null;
+
+    for (const url of [`https://${domain}`, `http://${domain}`]) {
+      try {
+        homepage = await this.fetchPage(url);
+        break;
+      } catch (error) {
+        failures.push({ url, status: error.response?.status || null, error: error.message, detections: [] });
+      }
+    }
+
+    if (!homepage) return failures;
+
+    const pages = [];
+    pages.push({ url: homepage.url, status: homepage.status, detections: this.detectPage(homepage.html, homepage.headers) });
+
+    for (const url of this.pickLinkedPages(homepage.html, homepage.url)) {
+      try {
+        const page = await this.fetchPage(url);
+        pages.push({ url: page.url, status: page.status, detections: this.detectPage(page.html, page.headers) });
+      } catch (error) {
+        pages.push({ url, status: error.response?.status || null, error: error.message, detections: [] });
+      }
+    }
+
+    return pages;
+  }
+
+  // ============================================
+  // ENRICHMENT
+  // ============================================
+
+  /**
+   * Detect the stack for one opportunity and save it
+   */
+  async enrichOpportunity(opportunity) {
+    const domain = this.resolver.normalizeDomain(opportunity.company_domain);
+    if (!this.resolver.isIdentityDomain(domain)) {
+      return this.markSkipped(opportunity, 'No company domain to crawl');
+    }
+
+    console.log(`🧰 Detecting tech stack for ${domain}...`);
+    const pages = await this.crawl(domain);
+
+    if (!pages.some(p => !p.error)) {
+      return this.markSkipped(opportunity, `Could not fetch ${domain}: ${pages[0]?.error}`);
+    }
+
+    const techStack = this.summarize(pages);
+    await this.saveTechStack(opportunity, techStack, techStack.score);
+
+    console.log(`   ✅ ${techStack.technologies.map(t => t.name).join(', ') || 'nothing detected'} (score: ${techStack.score})`);
+    return {
+      opportunity_id: opportunity.id,
+      domain,
+      tech_stack_score: techStack.score,
+      technologies: techStack.technologies.map(t => t.name)
+    };
+  }
+
+  async saveTechStack(opportunity, techStack, score) {
+    const { error } = await this.supabase
+      .from('scored_opportunities')
+      .update({
+        tech_stack_score: score,
+        opportunity_data: { ...(opportunity.opportunity_data || {}), tech_stack: techStack }
+      })
+      .eq('id', opportunity.id);
+
+    if (error) throw new Error(error.message);
+  }
+
+  /**
+   * Record why we couldn't scan so enrichPending() doesn't keep retrying the lead
+   */
+  async markSkipped(opportunity, reason) {
+    await this.saveTechStack(opportunity, { skipped: true, reason, scanned_at: new Date().toISOString() }, null);
+    return { opportunity_id: opportunity.id, skipped: true, reason };
+  }
+
+  /**
+   * Enrich opportunities that haven't been scanned yet
+   */
+  async enrichPending(limit = 10) {
+    const { data: opportunities, error } = await this.supabase
+      .from('scored_opportunities')
+      .select('id, company_name, company_domain, opportunity_data')
+      .is('opportunity_data->tech_stack', null)
+      .order('overall_score', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+
+    const results = [];
+    for (const opportunity of opportunities || []) {
+      try {
+        results.push(await this.enrichOpportunity(opportunity));
+      } catch (err) {
+        results.push({ opportunity_id: opportunity.id, error: err.message });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = TechStackDetector;
@@ -0,0 +1,241 @@
+/**
+ * Text Signals
+ * Shared keyword / phrase matching for every scorer - tokenizes the selected
+ * content fields, stems each token and skips matches inside a negation window
+ *
+ * Keywords match as whole stemmed token sequences: "hiring" matches "hire" and
+ * "hired" but not "chairing", and "not hiring" / "no longer hiring" don't count.
+ * Only the fields passed in are searched (never key names of a serialized object),
+ * and every match carries its field and a text span for score explanations.
+ *
+ *   const signals = TextSignals.fromObject(opportunity, ['company_name', 'opportunity_data.title']);
+ *   signals.has('hiring');                // false for "we're not hiring"
+ *   signals.hits(['problem', 'slow'], 1); // [{ keyword, field, span, weight }]
+ */
+
+const SPAN_RADIUS = 40;
+const NEGATION_WINDOW = 3;
+const MAX_EVIDENCE = 5;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’]\p{L}+)*|\$/gu;
+const NEGATORS = new Set([
+  'no', 'not', 'never', 'none', 'nor', 'neither', 'without', 'cannot', 'cant', 'wont',
+  'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'havent', 'hasnt', 'hadnt'
+]);
+// Punctuation and words that end the clause a negation applies to ("not cheap, but hiring")
+const CLAUSE_PUNCTUATION = /[.!?;:,\n]/;
+const CLAUSE_WORDS = new Set(['but', 'however', 'although', 'though', 'except']);
+const SUFFIXES = ['ingly', 'edly', 'ing', 'ed', 'es', 'ly', 's', 'e'];
+
+// keyword -> stem sequence, shared across instances (keyword lists are small and reused)
+const compiledKeywords = new Map();
+
+class TextSignals {
+  /**
+   * fields: { field: text } map, or a plain string (stored as field "text")
+   */
+  constructor(fields, { negationWindow = NEGATION_WINDOW } = {}) {
+    this.negationWindow = negationWindow;
+    this.matchCache = new Map();
+
+    const entries = typeof fields === 'string' ? [['text', fields]] : Object.entries(fields || {});
+    this.fields = entries
+      .filter(([, text]) => typeof text === 'string' && text.trim())
+      .map(([field, text]) => ({ field, text, tokens: TextSignals.tokenize(text) }));
+  }
+
+  /**
+   * Build from the string values at dot paths of an object
+   * Arrays and nested objects contribute each string leaf (path[0], path.key)
+   */
+  static fromObject(object, paths, options) {
+    const fields = {};
+    const collect = (value, path) => {
+      if (typeof value === 'string') {
+        if (value.trim()) fields[path] = value;
+      } else if (Array.isArray(value)) {
+        value.forEach((item, i) => collect(item, `${path}[${i}]`));
+      } else if (value && typeof value === 'object') {
+        Object.entries(value).forEach(([key, item]) => collect(item, `${path}.${key}`));
+      }
+    };
+
+    paths.forEach(path => collect(path.split('.').reduce((value, key) => value?.[key], object), path));
+    return new TextSignals(fields, options);
+  }
+
+  // ============================================
+  // TOKENIZING & STEMMING
+  // ============================================
+
+  /**
+   * Words with their character offsets, stem, clause number and negator flag
+   * Apostrophes are dropped ("can't" -> "cant", "founder's" -> "founders")
+   */
+  static tokenize(text) {
+    const tokens = [];
+    let clause = 0;
+    let previousEnd = 0;
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+      const norm = match[0].toLowerCase().replace(/['’]/g, '');
+      if (CLAUSE_PUNCTUATION.test(text.substring(previousEnd, match.index)) || CLAUSE_WORDS.has(norm)) clause++;
+
+      tokens.push({
+        norm,
+        stem: TextSignals.stem(norm),
+        start: match.index,
+        end: match.index + match[0].length,
+        clause,
+        negator: NEGATORS.has(norm) || /n['’]t$/i.test(match[0])
+      });
+      previousEnd = match.index + match[0].length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Light suffix stripping - enough to line up hire/hires/hired/hiring and
+   * struggle/struggles/struggling, not a full Porter stemmer
+   */
+  static stem(word) {
+    if (word.length <= 3 || !/^[a-z]+$/.test(word)) return word;
+    if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+
+    for (const suffix of SUFFIXES) {
+      if (!word.endsWith(suffix) || word.length - suffix.length < 3) continue;
+      if (suffix === 'ed' && word.endsWith('eed')) continue; // need, speed
+      if (suffix === 's' && /(ss|us|is)$/.test(word)) return word; // business, status, analysis
+
+      const stem = word.slice(0, -suffix.length);
+      // stopped -> stop, planning -> plan
+      if ((suffix === 'ing' || suffix === 'ed') && /([b-df-hj-np-tv-z])\1$/.test(stem) && !/(ll|ss|zz)$/.test(stem)) {
+        return stem.slice(0, -1);
+      }
+      return stem;
+    }
+
+    return word;
+  }
+
+  static compile(keyword) {
+    if (!compiledKeywords.has(keyword)) {
+      compiledKeywords.set(keyword, TextSignals.tokenize(String(keyword)).map(token => token.stem));
+    }
+    return compiledKeywords.get(keyword);
+  }
+
+  /**
+   * Text around a match, whitespace collapsed, with ellipses where it was cut
+   */
+  static span(text, start, end) {
+    const from = Math.max(0, start - SPAN_RADIUS);
+    const to = Math.min(text.length, end + SPAN_RADIUS);
+    return `${from > 0 ? '…' : ''}${text.substring(from, to).replace(/\s+/g, ' ')}${to < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * The sentence a match sits in (for evidence quotes) - falls back to the
+   * span around the match when the sentence is longer than maxLength
+   */
+  quote(match, maxLength = 200) {
+    const { text } = this.fields.find(f => f.field === match.field);
+    const from = text.substring(0, match.start).search(/[^.!?\n]*$/);
+    const next = text.substring(match.end).search(/[.!?\n]/);
+    const to = next === -1 ? text.length : match.end + next + 1;
+
+    const sentence = text.substring(from, to).replace(/\s+/g, ' ').trim();
+    return sentence.length <= maxLength ? sentence : TextSignals.span(text, match.start, match.end);
+  }
+
+  // ============================================
+  // MATCHING
+  // ============================================
+
+  /**
+   * A negator within negationWindow tokens before the match, in the same clause
+   */
+  isNegated(tokens, index) {
+    for (let i = index - 1; i >= 0 && i >= index - this.negationWindow; i--) {
+      if (tokens[i].clause !== tokens[index].clause) return false;
+      if (tokens[i].negator) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Every occurrence of a keyword: [{ keyword, field, start, end, span, negated }]
+   */
+  find(keyword) {
+    const stems = TextSignals.compile(keyword);
+    const matches = [];
+    if (stems.length === 0) return matches;
+
+    for (const { field, text, tokens } of this.fields) {
+      for (let i = 0; i + stems.length <= tokens.length; i++) {
+        const matched = stems.every((stem, k) => tokens[i + k].stem === stem && tokens[i + k].clause === tokens[i].clause);
+        if (!matched) continue;
+
+        const last = tokens[i + stems.length - 1];
+        matches.push({
+          keyword,
+          field,
+          start: tokens[i].start,
+          end: last.end,
+          span: TextSignals.span(text, tokens[i].start, last.end),
+          negated: this.isNegated(tokens, i)
+        });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * First non-negated occurrence, or null
+   */
+  match(keyword) {
+    if (!this.matchCache.has(keyword)) {
+      this.matchCache.set(keyword, this.find(keyword).find(m => !m.negated) || null);
+    }
+    return this.matchCache.get(keyword);
+  }
+
+  has(keyword) {
+    return this.match(keyword) !== null;
+  }
+
+  hasAny(keywords) {
+    return keywords.some(keyword => this.has(keyword));
+  }
+
+  /**
+   * Keywords from the list that matched
+   */
+  matched(keywords) {
+    return keywords.filter(keyword => this.has(keyword));
+  }
+
+  /**
+   * Score explanation hits for a keyword list: [{ keyword, field, span, weight }]
+   */
+  hits(keywords, weight) {
+    return this.matched(keywords).map(keyword => {
+      const { field, span } = this.match(keyword);
+      return { keyword, field, span, weight };
+    });
+  }
+
+  /**
+   * Evidence for a keyword-based signal (first few keywords that matched)
+   */
+  evidence(keywords, limit = MAX_EVIDENCE) {
+    return this.matched(keywords).slice(0, limit).map(keyword => {
+      const { field, span } = this.match(keyword);
+      return { keyword, field, span };
+    });
+  }
+}
+
+module.exports = TextSignals;
@@ -0,0 +1,212 @@
+/**
+ * Trend Clusterer
+ * Groups short pain-point texts into themes - TF-IDF vectors over stemmed
+ * words, then single-pass leader clustering, a merge of similar themes and one
+ * reassignment pass
+ *
+ * No model or API calls: a document joins the most similar theme centroid when
+ * the cosine similarity reaches SIMILARITY_THRESHOLD, otherwise it starts a new
+ * theme. Themes are labelled with their heaviest centroid terms.
+ *
+ *   const clusterer = new TrendClusterer();
+ *   const { themes } = clusterer.cluster([{ id, text }, ...]); // ids must be unique
+ *   // [{ label, terms, documents: [{ id, text, similarity }] }]
+ */
+
+const TextSignals = require('./text-signals');
+
+const SIMILARITY_THRESHOLD = 0.25;
+const MIN_THEME_SIZE = 3;
+const MAX_TERMS_PER_DOCUMENT = 25; // keep vectors sparse - the heaviest terms carry the topic
+const LABEL_TERMS = 3;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be',
+  'because', 'been', 'before', 'being', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'doing', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'him',
+  'his', 'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'ive', 'just', 'like', 'me', 'more',
+  'most', 'my', 'no', 'not', 'now', 'of', 'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over',
+  'really', 'she', 'should', 'so', 'some', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'through', 'to', 'too', 'up', 'us', 'very', 'want', 'was', 'we',
+  'were', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you',
+  'your', 'anyone', 'anything', 'something', 'thing', 'things', 'know', 'think', 'much', 'many',
+  'still', 'even', 'make', 'way', 'new', 'year', 'years', 'day', 'days', 'time', 'going', 'dont'
+]);
+
+class TrendClusterer {
+  constructor({ similarityThreshold = SIMILARITY_THRESHOLD, minThemeSize = MIN_THEME_SIZE } = {}) {
+    this.similarityThreshold = similarityThreshold;
+    this.minThemeSize = minThemeSize;
+  }
+
+  static get defaults() {
+    return { similarity_threshold: SIMILARITY_THRESHOLD, min_theme_size: MIN_THEME_SIZE };
+  }
+
+  // ============================================
+  // TF-IDF
+  // ============================================
+
+  /**
+   * Stemmed content words - stopwords, numbers and 1-2 letter words dropped
+   * surfaceForms counts the original words per stem (for readable labels)
+   */
+  static terms(text, surfaceForms) {
+    return TextSignals.tokenize(text || '')
+      .filter(token => token.norm.length > 2 && !STOPWORDS.has(token.norm) && !/^\d+$/.test(token.norm) && token.norm !== '$')
+      .map(token => {
+        if (surfaceForms) {
+          const forms = surfaceForms.get(token.stem) || new Map();
+          forms.set(token.norm, (forms.get(token.norm) || 0) + 1);
+          surfaceForms.set(token.stem, forms);
+        }
+        return token.stem;
+      });
+  }
+
+  /**
+   * Unit-length TF-IDF vectors (Map term -> weight), one per document
+   */
+  vectorize(termLists) {
+    const documentFrequency = new Map();
+    termLists.forEach(terms => new Set(terms).forEach(term => {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+
+    const total = termLists.length;
+    return termLists.map(terms => {
+      const counts = new Map();
+      terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+      const weighted = [...counts.entries()]
+        .map(([term, count]) => [term, (1 + Math.log(count)) * Math.log((1 + total) / (1 + documentFrequency.get(term)))])
+        .filter(([, weight]) => weight > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_TERMS_PER_DOCUMENT);
+
+      const norm = Math.sqrt(weighted.reduce((sum, [, weight]) => sum + weight * weight, 0)) || 1;
+      return new Map(weighted.map(([term, weight]) => [term, weight / norm]));
+    });
+  }
+
+  // ============================================
+  // CLUSTERING
+  // ============================================
+
+  static newCentroid() {
+    return { sums: new Map(), norm2: 0, members: [] };
+  }
+
+  static addToCentroid(centroid, vector, index) {
+    vector.forEach((weight, term) => {
+      const before = centroid.sums.get(term) || 0;
+      const after = before + weight;
+      centroid.sums.set(term, after);
+      centroid.norm2 += after * after - before * before;
+    });
+    centroid.members.push(index);
+  }
+
+  static similarity(vector, centroid) {
+    if (centroid.norm2 <= 0) return 0;
+    let dot = 0;
+    vector.forEach((weight, term) => {
+      dot += weight * (centroid.sums.get(term) || 0);
+    });
+    return dot / Math.sqrt(centroid.norm2);
+  }
+
+  static centroidSimilarity(a, b) {
+    if (a.norm2 <= 0 || b.norm2 <= 0) return 0;
+    const [small, large] = a.sums.size <= b.sums.size ? [a, b] : [b, a];
+    let dot = 0;
+    small.sums.forEach((weight, term) => {
+      dot += weight * (large.sums.get(term) || 0);
+    });
+    return dot / Math.sqrt(a.norm2 * b.norm2);
+  }
+
+  static best(vector, centroids) {
+    let best = { index: -1, similarity: 0 };
+    centroids.forEach((centroid, index) => {
+      const similarity = TrendClusterer.similarity(vector, centroid);
+      if (similarity > best.similarity) best = { index, similarity };
+    });
+    return best;
+  }
+
+  /**
+   * Themes with at least minThemeSize documents, largest first:
+   * [{ label, terms, documents: [{ ...document, similarity }] }]
+   * plus { unclustered } - documents that didn't join a theme
+   */
+  cluster(documents) {
+    const surfaceForms = new Map();
+    const vectors = this.vectorize(documents.map(doc => TrendClusterer.terms(doc.text, surfaceForms)));
+
+    // Pass 1 - leader clustering in document order
+    let centroids = [];
+    vectors.forEach((vector, index) => {
+      if (vector.size === 0) return;
+      const best = TrendClusterer.best(vector, centroids);
+      if (best.index !== -1 && best.similarity >= this.similarityThreshold) {
+        TrendClusterer.addToCentroid(centroids[best.index], vector, index);
+      } else {
+        const centroid = TrendClusterer.newCentroid();
+        TrendClusterer.addToCentroid(centroid, vector, index);
+        centroids.push(centroid);
+      }
+    });
+
+    // Merge themes that document order split in two
+    const merged = [];
+    centroids
+      .sort((a, b) => b.members.length - a.members.length)
+      .forEach(centroid => {
+        const target = merged.find(candidate => TrendClusterer.centroidSimilarity(candidate, centroid) >= this.similarityThreshold);
+        if (target) {
+          centroid.members.forEach(index => TrendClusterer.addToCentroid(target, vectors[index], index));
+        } else {
+          merged.push(centroid);
+        }
+      });
+
+    // Pass 2 - reassign every document to its closest theme (order no longer matters)
+    const seeds = merged.filter(centroid => centroid.members.length >= this.minThemeSize);
+    centroids = seeds.map(() => TrendClusterer.newCentroid());
+    vectors.forEach((vector, index) => {
+      const best = TrendClusterer.best(vector, seeds);
+      if (best.index !== -1 && best.similarity >= this.similarityThreshold) {
+        TrendClusterer.addToCentroid(centroids[best.index], vector, index);
+      }
+    });
+
+    const label = stem => {
+      const forms = surfaceForms.get(stem);
+      return forms ? [...forms.entries()].sort((a, b) => b[1] - a[1])[0][0] : stem;
+    };
+
+    const themes = centroids
+      .filter(centroid => centroid.members.length >= this.minThemeSize)
+      .map(centroid => {
+        const terms = [...centroid.sums.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 8)
+          .map(([stem]) => label(stem));
+
+        return {
+          label: terms.slice(0, LABEL_TERMS).join(' / '),
+          terms,
+          documents: centroid.members
+            .map(index => ({ ...documents[index], similarity: Math.round(TrendClusterer.similarity(vectors[index], centroid) * 100) / 100 }))
+            .sort((a, b) => b.similarity - a.similarity)
+        };
+      })
+      .sort((a, b) => b.documents.length - a.documents.length);
+
+    const clustered = new Set(themes.flatMap(theme => theme.documents.map(doc => doc.id)));
+    return { themes, unclustered: documents.filter(doc => !clustered.has(doc.id)) };
+  }
+}
+
+module.exports = TrendClusterer;
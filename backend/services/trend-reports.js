@@ -0,0 +1,280 @@
+/**
+ * Trend Reports
+ * Weekly market trend reports from the pain points we collect - clusters forum /
+ * feed pain points and market gap descriptions into themes (TrendClusterer) and
+ * compares each theme's volume with the week before
+ *
+ * Documents: one per scored opportunity (pain_point + post title + post text) and
+ * one per market gap (gap_description + evidence quotes). Both weeks are clustered
+ * together so a theme means the same thing in both. Reports are stored in
+ * trend_reports (one per week) and rendered as JSON or Markdown.
+ */
+
+const { lazyClient } = require('./supabase-client');
+const TrendClusterer = require('./trend-clusterer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const PAGE_SIZE = 1000;
+const REPRESENTATIVES = 3;
+const EMERGING_MIN_VOLUME = 3;
+const EMERGING_MIN_GROWTH = 0.5; // +50% week over week
+const TEXT_LENGTH = 280;
+
+class TrendReports {
+  constructor() {
+    this.supabase = lazyClient();
+    this.clusterer = new TrendClusterer();
+  }
+
+  /**
+   * Monday-to-Monday (UTC) week containing date - default is the last complete week
+   */
+  static weekBounds(date) {
+    const day = date ? new Date(date) : new Date(Date.now() - WEEK_MS);
+    if (isNaN(day.getTime())) return null;
+
+    const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return { start, end: new Date(start.getTime() + WEEK_MS) };
+  }
+
+  // ============================================
+  // DOCUMENTS
+  // ============================================
+
+  async fetchAll(buildQuery) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    return rows;
+  }
+
+  /**
+   * Pain-point documents collected between from and to: [{ id, kind, text, at, ... }]
+   */
+  async collectDocuments(from, to) {
+    const opportunities = await this.fetchAll(() => this.supabase
+      .from('scored_opportunities')
+      .select('id, company_name, source, created_at, pain_point:opportunity_data->>pain_point, post_title:opportunity_data->>post_title, title:opportunity_data->>title, content_preview:opportunity_data->>content_preview, snippet:opportunity_data->>snippet, post_url:opportunity_data->>post_url, url:opportunity_data->>url')
+      .gte('created_at', from.toISOString())
+      .lt('created_at', to.toISOString())
+      .order('created_at', { ascending: true }));
+
+    const gaps = await this.fetchAll(() => this.supabase
+      .from('market_gaps')
+      .select('id, opportunity_id, company_name, gap_type, gap_category, gap_description, evidence, identified_at')
+      .gte('identified_at', from.toISOString())
+      .lt('identified_at', to.toISOString())
+      .order('identified_at', { ascending: true }));
+
+    const documents = [
+      ...opportunities.map(opp => ({
+        id: `opportunity:${opp.id}`,
+        kind: 'opportunity',
+        record_id: opp.id,
+        company_name: opp.company_name,
+        source: opp.source,
+        url: opp.post_url || opp.url || null,
+        at: opp.created_at,
+        title: opp.post_title || opp.title || null,
+        text: [opp.pain_point, opp.post_title || opp.title, opp.content_preview || opp.snippet].filter(Boolean).join('. ')
+      })),
+      ...gaps.map(gap => ({
+        id: `gap:${gap.id}`,
+        kind: 'gap',
+        record_id: gap.id,
+        opportunity_id: gap.opportunity_id,
+        company_name: gap.company_name,
+        source: `gap:${gap.gap_category || gap.gap_type}`,
+        url: null,
+        at: gap.identified_at,
+        title: gap.gap_description,
+        text: [gap.gap_description, ...(gap.evidence || []).map(e => e.quote)].filter(Boolean).join('. ')
+      }))
+    ];
+
+    return documents.filter(doc => doc.text.trim());
+  }
+
+  // ============================================
+  // REPORT
+  // ============================================
+
+  static growth(current, previous) {
+    if (previous === 0) return null; // new this week
+    return Math.round((current - previous) / previous * 100) / 100;
+  }
+
+  static excerpt(text) {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    return clean.length > TEXT_LENGTH ? `${clean.substring(0, TEXT_LENGTH - 1)}…` : clean;
+  }
+
+  /**
+   * Build the report for the week containing weekOf (default: last complete week)
+   */
+  async build(weekOf) {
+    const period = TrendReports.weekBounds(weekOf);
+    const previous = { start: new Date(period.start.getTime() - WEEK_MS), end: period.start };
+
+    const documents = await this.collectDocuments(previous.start, period.end);
+    const inCurrent = doc => new Date(doc.at) >= period.start;
+    const { themes, unclustered } = this.clusterer.cluster(documents);
+
+    const reportThemes = themes.map((theme, index) => {
+      const current = theme.documents.filter(inCurrent);
+      const volume = { current: current.length, previous: theme.documents.length - current.length };
+      const growth = TrendReports.growth(volume.current, volume.previous);
+
+      const sources = {};
+      current.forEach(doc => { sources[doc.source || 'unknown'] = (sources[doc.source || 'unknown'] || 0) + 1; });
+
+      return {
+        id: index + 1,
+        label: theme.label,
+        terms: theme.terms,
+        volume,
+        growth,
+        emerging: volume.current >= EMERGING_MIN_VOLUME && (growth === null || growth >= EMERGING_MIN_GROWTH),
+        sources,
+        // Closest to the theme centre first (documents are sorted by similarity)
+        representative: (current.length > 0 ? current : theme.documents).slice(0, REPRESENTATIVES).map(doc => ({
+          kind: doc.kind,
+          id: doc.record_id,
+          company_name: doc.company_name,
+          source: doc.source,
+          url: doc.url,
+          at: doc.at,
+          title: doc.title,
+          text: TrendReports.excerpt(doc.text),
+          similarity: doc.similarity
+        }))
+      };
+    })
+      .filter(theme => theme.volume.current > 0 || theme.volume.previous > 0)
+      .sort((a, b) => b.volume.current - a.volume.current || b.volume.previous - a.volume.previous);
+
+    const currentDocuments = documents.filter(inCurrent);
+    return {
+      period: { start: period.start.toISOString(), end: period.end.toISOString() },
+      previous_period: { start: previous.start.toISOString(), end: previous.end.toISOString() },
+      generated_at: new Date().toISOString(),
+      documents: {
+        current: currentDocuments.length,
+        previous: documents.length - currentDocuments.length,
+        opportunities: currentDocuments.filter(doc => doc.kind === 'opportunity').length,
+        gaps: currentDocuments.filter(doc => doc.kind === 'gap').length
+      },
+      unclustered: {
+        current: unclustered.filter(inCurrent).length,
+        previous: unclustered.filter(doc => !inCurrent(doc)).length
+      },
+      emerging: reportThemes.filter(theme => theme.emerging).map(theme => theme.id),
+      themes: reportThemes,
+      parameters: { ...TrendClusterer.defaults, emerging_min_volume: EMERGING_MIN_VOLUME, emerging_min_growth: EMERGING_MIN_GROWTH }
+    };
+  }
+
+  /**
+   * Build and store the week's report (re-generating replaces it)
+   */
+  async generate(weekOf) {
+    const report = await this.build(weekOf);
+
+    const { data, error } = await this.supabase
+      .from('trend_reports')
+      .upsert({
+        period_start: report.period.start,
+        period_end: report.period.end,
+        report,
+        generated_at: report.generated_at
+      }, { onConflict: 'period_start' })
+      .select('id')
+      .single();
+
+    if (error) throw new Error(error.message);
+    console.log(`📈 Trend report for week of ${report.period.start.substring(0, 10)}: ${report.themes.length} themes, ${report.emerging.length} emerging`);
+    return { id: data.id, ...report };
+  }
+
+  async list(limit = 12) {
+    const { data, error } = await this.supabase
+      .from('trend_reports')
+      .select('id, period_start, period_end, generated_at')
+      .order('period_start', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(error.message);
+    return data || [];
+  }
+
+  /**
+   * A stored report by id, or the most recent one for id 'latest' (null if none)
+   */
+  async get(id) {
+    let query = this.supabase.from('trend_reports').select('id, report');
+    query = id === 'latest'
+      ? query.order('period_start', { ascending: false }).limit(1)
+      : query.eq('id', id);
+
+    const { data, error } = await query.maybeSingle();
+    if (error) throw new Error(error.message);
+    return data ? { id: data.id, ...data.report } : null;
+  }
+
+  // ============================================
+  // MARKDOWN
+  // ============================================
+
+  static formatGrowth(theme) {
+    if (theme.growth === null) return theme.volume.current > 0 ? 'new' : '-';
+    return `${theme.growth >= 0 ? '+' : ''}${Math.round(theme.growth * 100)}%`;
+  }
+
+  static toMarkdown(report) {
+    const week = report.period.start.substring(0, 10);
+    const emerging = report.themes.filter(theme => theme.emerging);
+    const escape = value => String(value ?? '').replace(/\|/g, '\\|');
+
+    const lines = [
+      `# Market trends - week of ${week}`,
+      '',
+      `${report.documents.current} pain points this week (${report.documents.opportunities} posts, ${report.documents.gaps} market gaps) vs ${report.documents.previous} the week before.`,
+      `${report.themes.length} themes; ${report.unclustered.current} pain points this week didn't fit a theme.`,
+      '',
+      '## Emerging themes',
+      '',
+      ...(emerging.length > 0
+        ? emerging.map(theme => `- **${theme.label}** - ${theme.volume.current} this week (${TrendReports.formatGrowth(theme)})`)
+        : ['None this week.']),
+      '',
+      '## All themes',
+      '',
+      '| Theme | This week | Previous week | Growth |',
+      '|---|---|---|---|',
+      ...report.themes.map(theme => `| ${escape(theme.label)} | ${theme.volume.current} | ${theme.volume.previous} | ${TrendReports.formatGrowth(theme)} |`),
+      ''
+    ];
+
+    report.themes.forEach(theme => {
+      lines.push(`### ${theme.label}`, '');
+      lines.push(`Terms: ${theme.terms.join(', ')}`);
+      const sources = Object.entries(theme.sources).map(([source, count]) => `${source} (${count})`);
+      if (sources.length > 0) lines.push(`Sources: ${sources.join(', ')}`);
+      lines.push('');
+      theme.representative.forEach(doc => {
+        const where = [doc.company_name, doc.source].filter(Boolean).join(', ');
+        lines.push(`> ${doc.text}`, `> - ${where}${doc.url ? ` - ${doc.url}` : ''}`, '');
+      });
+    });
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = TrendReports;
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * AI Spend Report Test
+ * Records the campaigns in fixtures/outreach-outcomes through AutoOutreachAgent,
+ * logs research and reply-handling spend against them, and checks that
+ * AISpendLedger.report() attributes it to the scored leads and their sources,
+ * and to the meeting booked in the period
+ *
+ * Usage:
+ *   node test-ai-spend-report.js
+ */
+
+require('dotenv').config();
+
+// The Resend client needs a key to construct - nothing is sent here
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const fixture = require('./fixtures/outreach-outcomes/outcomes.json');
+const AutoOutreachAgent = require('./agents/auto-outreach-agent');
+const AISpendLedger = require('./services/ai-spend-ledger');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const RESEARCH = { task: 'research', provider: 'perplexity', model: 'sonar', usage: { input_tokens: 2000, output_tokens: 1000 } };
+const REPLY = { task: 'reply_response', provider: 'anthropic', model: 'claude-3-5-haiku-20241022', usage: { input_tokens: 1000, output_tokens: 500 } };
+
+async function testAISpendReport() {
+  console.log('💸 AI SPEND REPORT TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const database = new MemoryDatabase({ companies: fixture.companies, scored_opportunities: fixture.scored_opportunities });
+
+  // Campaigns as the outreach agent writes them, with their outcomes
+  const agent = new AutoOutreachAgent();
+  agent.supabase = database;
+  agent.resolver.supabase = database;
+  for (const { outcome, ...lead } of fixture.leads) {
+    await agent.createCampaign(lead, { subject: `Quick question for ${lead.company_name}`, body: 'Hi' }, true);
+    await database.from('outreach_campaigns').update(outcome).eq('mfs_lead_id', lead.id);
+  }
+  const campaignFor = leadId => database.rows('outreach_campaigns').find(c => c.mfs_lead_id === leadId);
+  const [harbor, brightpath, northstar] = fixture.scored_opportunities;
+
+  const ledger = new AISpendLedger();
+  ledger.supabase = database;
+  const researchCost = ledger.costOf(RESEARCH.provider, RESEARCH.model, RESEARCH.usage);
+  const replyCost = ledger.costOf(REPLY.provider, REPLY.model, REPLY.usage);
+
+  // Research is recorded against the lead
+  await ledger.record({ ...RESEARCH, context: { opportunity_id: harbor.id, source: harbor.source, company_name: harbor.company_name } });
+  await ledger.record({ ...RESEARCH, context: { opportunity_id: brightpath.id, source: brightpath.source, company_name: brightpath.company_name } });
+
+  // Reply handling: the context AIConversationHandler.handleReply builds from the campaign
+  const replied = campaignFor(fixture.leads[1].id);
+  const replyContext = { campaign_id: replied.id, opportunity_id: replied.opportunity_id, company_name: replied.company_name };
+  await ledger.record({ ...REPLY, context: replyContext });
+  await ledger.record({ ...REPLY, context: replyContext });
+
+  // Campaign-only spend is attributed through the campaign's lead
+  await ledger.record({ ...REPLY, context: { campaign_id: campaignFor(fixture.leads[2].id).id } });
+
+  const report = await ledger.report({ from: '2026-09-01T00:00:00.000Z', to: new Date(Date.now() + 60 * 1000).toISOString() });
+  const rounded = value => Math.round(value * 10000) / 10000;
+  const lead = id => report.leads.top.find(entry => entry.opportunity_id === id);
+
+  check('Every call is in the totals', report.totals.calls === 5 && report.totals.cost_usd === rounded(2 * researchCost + 3 * replyCost), JSON.stringify(report.totals));
+  check('Reply spend keeps the scored lead id', database.rows('ai_spend_ledger').filter(row => row.campaign_id === replied.id).every(row => row.opportunity_id === brightpath.id));
+  check('Nothing unattributed', !report.by_source.unattributed, JSON.stringify(Object.keys(report.by_source)));
+  check('Spend by source', report.by_source.manual_import?.calls === 1 && report.by_source.rss?.calls === 4);
+  check('Three leads with spend', report.leads.count === 3, `${report.leads.count} leads`);
+  check('Lead spend includes its replies', lead(brightpath.id)?.calls === 3 && lead(brightpath.id).cost_usd === rounded(researchCost + 2 * replyCost) && lead(brightpath.id).company_name === brightpath.company_name);
+  check('Campaign-only spend lands on the campaign\'s lead', lead(northstar.id)?.calls === 1 && lead(northstar.id).source === 'rss');
+  check('Most expensive lead first', report.leads.top[0].opportunity_id === brightpath.id);
+
+  const meeting = report.meetings.booked[0];
+  check('One meeting booked in the period', report.meetings.count === 1 && meeting.campaign_id === replied.id);
+  check('Meeting is costed with its lead\'s spend', meeting.opportunity_id === brightpath.id && meeting.cost_usd === rounded(researchCost + 2 * replyCost), JSON.stringify(meeting));
+  check('Cost per meeting covers all spend', report.meetings.cost_per_meeting_usd === report.totals.cost_usd);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testAISpendReport().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Approval Gates Test
+ * Checks what the agents do with approval inbox decisions: the outreach agent
+ * holds leads until one of their market gaps is approved, and the delivery
+ * agent emails approved solutions before marking them delivered (Resend
+ * replaced by a recorder, in-memory database)
+ *
+ * Usage:
+ *   node test-approval-gates.js
+ */
+
+require('dotenv').config();
+
+// The Resend clients need a key to construct - sends go to the recorder below
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const fixture = require('./fixtures/outreach-outcomes/outcomes.json');
+const AutoOutreachAgent = require('./agents/auto-outreach-agent');
+const AutoDeliveryAgent = require('./agents/auto-delivery-agent');
+const ApprovalInbox = require('./services/approval-inbox');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+/**
+ * Stand-in for resend.emails.send - records every email, fails for one address
+ */
+function recordingResend(failFor = null) {
+  const sent = [];
+  return {
+    sent,
+    emails: {
+      send: async email => {
+        if (email.to === failFor) return { data: null, error: { message: 'recipient suppressed' } };
+        sent.push(email);
+        return { data: { id: `email-${sent.length}` }, error: null };
+      }
+    }
+  };
+}
+
+async function testApprovalGates() {
+  console.log('🛂 APPROVAL GATES TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const [harbor, brightpath, northstar, orbit] = fixture.scored_opportunities;
+  const gap = (id, opportunity, fields) => ({
+    id, opportunity_id: opportunity.id, company_name: opportunity.company_name, gap_type: 'operations',
+    confidence_score: 0.8, review_status: 'pending', approved_for_outreach: false, outreach_sent: false, ...fields
+  });
+  const leads = fixture.leads.slice(0, 4).map(({ outcome, ...lead }) => ({ ...lead, outreach_status: 'gap_review' }));
+
+  const database = new MemoryDatabase({
+    companies: fixture.companies,
+    scored_opportunities: fixture.scored_opportunities,
+    market_gaps: [
+      gap('gap-harbor-low', harbor, { confidence_score: 0.4, review_status: 'approved', approved_for_outreach: true }),
+      gap('gap-harbor-high', harbor, { confidence_score: 0.9, review_status: 'approved', approved_for_outreach: true }),
+      gap('gap-brightpath', brightpath, {}),
+      gap('gap-northstar', northstar, { review_status: 'rejected' })
+    ],
+    mfs_leads: leads
+  });
+
+  // Outreach: gap gate
+  const outreach = new AutoOutreachAgent();
+  outreach.supabase = database;
+  outreach.resolver.supabase = database;
+
+  const approved = await outreach.checkGapApproval(harbor.id);
+  check('Approved gap lets outreach go ahead', approved.status === 'approved' && approved.gap.id === 'gap-harbor-high', approved.gap?.id);
+  check('Pending gap holds the lead', (await outreach.checkGapApproval(brightpath.id)).status === 'pending');
+  check('All gaps rejected', (await outreach.checkGapApproval(northstar.id)).status === 'rejected');
+  check('No gaps - no gate', (await outreach.checkGapApproval(orbit.id)).status === 'none' && (await outreach.checkGapApproval(null)).status === 'none');
+
+  await outreach.releaseGapReviewLeads(true);
+  const status = leadId => database.rows('mfs_leads').find(lead => lead.id === leadId).outreach_status;
+  check('Decided leads go back in the queue', [leads[0], leads[2], leads[3]].every(lead => status(lead.id) === 'pending'));
+  check('Lead with a pending gap stays held', status(leads[1].id) === 'gap_review');
+
+  await outreach.releaseGapReviewLeads(false);
+  check('Approval mode off releases every held lead', status(leads[1].id) === 'pending');
+
+  await outreach.createCampaign(leads[0], { subject: 'Hello', body: 'Hi' }, true, { opportunityId: harbor.id, gapId: approved.gap.id });
+  await outreach.markGapSent(approved.gap.id);
+  const campaign = database.rows('outreach_campaigns')[0];
+  check('Campaign records the approved gap', campaign.gap_id === 'gap-harbor-high' && campaign.opportunity_id === harbor.id);
+
+  const inbox = new ApprovalInbox();
+  inbox.supabase = database;
+  const late = await inbox.reject('gaps', ['gap-harbor-high'], { reviewer: 'reviewer@test', reason: 'too late' });
+  check('Gap with outreach sent can no longer be reviewed', late.notFound.includes('gap-harbor-high') && database.rows('market_gaps').find(g => g.id === 'gap-harbor-high').review_status === 'approved');
+
+  // Delivery: approved solutions are emailed, then marked delivered
+  database.rows('outreach_campaigns').push(
+    { id: 'campaign-ok', company_name: 'Harbor Analytics', contact_name: 'Ana Ruiz', recipient_email: 'ana@harboranalytics.com', status: 'replied' },
+    { id: 'campaign-bounce', company_name: 'Orbit Freight', contact_name: 'Dev Patel', recipient_email: 'dev@orbitfreight.com', status: 'replied' }
+  );
+  const solution = { title: 'Operational Efficiency Package', sections: ['Current Workflow Analysis'], deliverables: ['Process documentation'] };
+  const delivery = (id, campaignId, status) => ({
+    id, campaign_id: campaignId, company_name: 'Fixture', solution_type: 'workflow_automation', solution_content: solution,
+    status, approved_for_delivery: status === 'approved', approved_by: 'reviewer@test', delivered_at: null
+  });
+  database.rows('solution_deliveries').push(
+    delivery('delivery-ok', 'campaign-ok', 'approved'),
+    delivery('delivery-bounce', 'campaign-bounce', 'approved'),
+    delivery('delivery-draft', 'campaign-ok', 'draft')
+  );
+
+  const deliveryAgent = new AutoDeliveryAgent();
+  deliveryAgent.supabase = database;
+  deliveryAgent.resend = recordingResend('dev@orbitfreight.com');
+  await deliveryAgent.deliverApproved();
+
+  const row = id => database.rows('solution_deliveries').find(d => d.id === id);
+  const sent = deliveryAgent.resend.sent;
+  check('Approved solution is emailed to the contact', sent.length === 1 && sent[0].to === 'ana@harboranalytics.com' && sent[0].subject === solution.title);
+  check('Email lists what the solution covers', sent[0]?.text.includes('Hi Ana,') && sent[0].text.includes('- Current Workflow Analysis') && sent[0].text.includes('- Process documentation'));
+  check('Sent solution is marked delivered', row('delivery-ok').status === 'delivered' && !!row('delivery-ok').delivered_at);
+  check('Campaign marked delivered', database.rows('outreach_campaigns').find(c => c.id === 'campaign-ok').delivery_sent === true);
+  check('Failed send is not reported as delivered', row('delivery-bounce').status === 'send_failed' && !row('delivery-bounce').delivered_at &&
+    !database.rows('outreach_campaigns').find(c => c.id === 'campaign-bounce').delivery_sent);
+  check('Drafts are not sent', row('delivery-draft').status === 'draft');
+  check('Delivered count', deliveryAgent.deliveriesCompleted === 1);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testApprovalGates().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Citation Verifier Test
+ * Verifies the research claims in fixtures/citations/cases.json against the saved
+ * pages next to it, checks each claim's status, and checks that SmartEmailWriter
+ * only opens with verified hooks
+ *
+ * Usage:
+ *   node test-citation-verifier.js                              # fixtures only (offline)
+ *   node test-citation-verifier.js https://example.com "claim"  # also look for a claim on a live page
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const CitationVerifier = require('./services/citation-verifier');
+const SmartEmailWriter = require('./services/smart-email-writer');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'citations');
+
+async function testCitationVerifier() {
+  console.log('🔗 CITATION VERIFIER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const cases = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'cases.json'), 'utf8'));
+  const readFixture = file => fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+  let failures = 0;
+
+  // Claims from the research, each checked against its cited page
+  const verifier = new CitationVerifier({
+    fetchPage: async url => {
+      if (!cases.pages[url]) throw new Error(`404 ${url}`);
+      return readFixture(cases.pages[url]);
+    }
+  });
+  const verification = await verifier.verify(cases.research, cases.sources);
+
+  for (const [claimPath, wanted] of Object.entries(cases.expected)) {
+    const claim = verification.claims.find(c => c.path === claimPath);
+    const passed = claim?.status === wanted;
+    console.log(`${passed ? '✅' : '❌'} ${claimPath}: ${claim?.status || 'missing'} (expected ${wanted})`);
+    if (claim) {
+      console.log(`   "${claim.text}"`);
+      if (claim.evidence) console.log(`   Evidence: ${claim.evidence}`);
+      if (claim.reason) console.log(`   Reason: ${claim.reason}`);
+    }
+    console.log('');
+    if (!passed) failures++;
+  }
+  console.log(`   Summary: ${JSON.stringify(verification.summary)}, ${verification.pages} page(s)\n`);
+
+  // Founder names against single pages
+  for (const { name, page, status } of cases.founder_checks) {
+    const result = CitationVerifier.locate({ kind: 'founder', text: name }, CitationVerifier.pageText(readFixture(page)));
+    const passed = result.status === status;
+    console.log(`${passed ? '✅' : '❌'} ${name} on ${page}: ${result.status} (expected ${status})${result.reason ? ` - ${result.reason}` : ''}`);
+    if (!passed) failures++;
+  }
+
+  // SmartEmailWriter opens with a verified hook, never an unverified or contradicted one
+  const writer = new SmartEmailWriter();
+  const structured = {
+    company: { summary: 'Growth consulting for accounting and law firms', industry: 'consulting' },
+    founder: { name: 'Dana Whitfield', title: 'Founder & CEO', tenure_years: null, transition_signals: [] },
+    pain_points: [],
+    recent_activity: [],
+    hooks: cases.research.hooks,
+    outreach_angle: 'The firm still runs through Dana.'
+  };
+  const hooks = writer.extractHooks({ structured, verification });
+  const best = writer.selectBestHook(hooks);
+  const bestStatus = best ? CitationVerifier.statusOf(verification, best.path) : null;
+  const bestOk = best && bestStatus === 'verified';
+  console.log(`\n${bestOk ? '✅' : '❌'} Best hook is verified - ${best ? `"${best.text}" (${bestStatus})` : 'none'}`);
+  if (!bestOk) failures++;
+
+  const unverifiedOnly = writer.selectBestHook(writer.extractHooks({ structured, verification: null }));
+  console.log(`${unverifiedOnly === null ? '✅' : '❌'} Unverified hooks are refused${unverifiedOnly ? ` - used "${unverifiedOnly.text}"` : ''}`);
+  if (unverifiedOnly !== null) failures++;
+
+  // Optional live page
+  const [url, claimText] = process.argv.slice(2);
+  if (url && claimText) {
+    console.log(`\n🌐 Live page: ${url}`);
+    console.log('─────────────────────────────────────────\n');
+    const page = await new CitationVerifier().page(url);
+    if (page.error) {
+      console.log(`   ❌ ${page.error}\n`);
+    } else {
+      const result = CitationVerifier.locate({ kind: 'hook', text: claimText }, page.text);
+      console.log(`   ${result.status} (coverage ${result.coverage})${result.reason ? ` - ${result.reason}` : ''}`);
+      if (result.evidence) console.log(`   Evidence: ${result.evidence}\n`);
+    }
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testCitationVerifier().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
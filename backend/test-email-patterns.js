@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Email Patterns Test
+ * Runs EmailFinder on the saved pages in fixtures/email-patterns with each case's
+ * decision makers: the pattern it learns from the site's addresses, how it ranks
+ * personal candidates, and which address it picks (with derivation and confidence).
+ * Also checks name parsing and the decision-maker lookup (offline stub model)
+ *
+ * Usage:
+ *   node test-email-patterns.js
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const EmailFinder = require('./services/email-finder');
+const EmailPatterns = require('./services/email-patterns');
+const AIResearcher = require('./services/ai-researcher');
+const LLMRouter = require('./services/llm-router');
+const StubProvider = require('./services/stub-provider');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'email-patterns');
+
+/**
+ * Answers like EmailVerifier from the case's mailbox list - no DNS or SMTP
+ */
+function fixtureVerifier({ mailboxes = [], catch_all: catchAll = false }) {
+  return {
+    verifyMany: async emails => Object.fromEntries(emails.map(email => {
+      const status = catchAll ? 'catch_all' : mailboxes.includes(email.split('@')[0]) ? 'valid' : 'invalid';
+      return [email, { email, status, sendable: status === 'valid' }];
+    }))
+  };
+}
+
+async function testEmailPatterns() {
+  console.log('👤 EMAIL PATTERNS TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'cases.json'), 'utf8'));
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Full finder runs against the saved pages
+  for (const testCase of fixture.cases) {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, testCase.page), 'utf8');
+    const finder = new EmailFinder({
+      verifier: fixtureVerifier(testCase),
+      // Only the homepage exists - no robots.txt, sitemap or linked pages
+      fetchPage: async url => {
+        if (url === `https://${testCase.domain}`) return html;
+        throw new Error(`404 ${url}`);
+      }
+    });
+
+    console.log(`\n${testCase.name} (${testCase.domain})`);
+    const found = await finder.findEmails(testCase.company, testCase.domain, { people: testCase.people });
+    const { expected } = testCase;
+    const derivation = found.derivation || {};
+
+    check('Learned pattern', (found.pattern?.pattern || null) === expected.pattern, `${found.pattern?.pattern || 'none'}${found.pattern ? ` (${found.pattern.samples} address(es))` : ''}`);
+    check('Top candidate', found.candidates[0]?.email === expected.top_candidate, found.candidates.slice(0, 3).map(c => `${c.email} ${c.score}`).join(', '));
+    check('Primary email', found.primaryEmail === expected.primary, found.primaryEmail || 'none');
+    check('Derivation', (derivation.method || null) === expected.method && (derivation.basis || null) === expected.basis,
+      found.derivation ? `${derivation.method}${derivation.pattern ? ` ${derivation.pattern} (${derivation.basis})` : ''}${derivation.person ? ` for ${derivation.person.name}` : ''}` : 'none');
+    check('Confidence', found.confidence === expected.confidence, found.confidence);
+  }
+
+  // Name parsing
+  console.log('');
+  for (const { name, first, last } of fixture.names) {
+    const parts = EmailPatterns.nameParts(name);
+    check(`Name parts: ${name}`, parts?.first === first && parts?.last === last, parts ? `${parts.first} / ${parts.last}` : 'none');
+  }
+
+  const permutations = EmailPatterns.permutations('Jane Doe').map(permutation => permutation.local);
+  check('Permutations cover the common formats', ['jane.doe', 'jdoe', 'jane', 'janedoe', 'j.doe', 'doe'].every(local => permutations.includes(local)), permutations.join(', '));
+
+  // Decision makers: from the model's answer, saved research, or a search
+  for (const { text, names } of fixture.decision_maker_answers) {
+    const people = AIResearcher.peopleFrom(text).map(person => person.name);
+    check(`Decision makers from "${text.substring(0, 40)}..."`, people.join('|') === names.join('|'), people.join(', ') || 'none');
+  }
+
+  const stub = new StubProvider({ responses: [{ match: 'Find information about the decision maker', text: fixture.decision_maker_answers[0].text }] });
+  const researcher = new AIResearcher({ llm: LLMRouter.createDefault({ env: { LLM_PROVIDER: 'stub' }, ledger: null }).register(stub) });
+
+  const fromResearch = await researcher.decisionMakers({
+    company_name: 'Harbor Wealth Partners',
+    opportunity_data: { lead_research: { structured: { founder: { name: 'Jane Doe', title: 'Founder' } } } }
+  });
+  check('Founder from saved research, no search', fromResearch[0]?.name === 'Jane Doe' && fromResearch[0].source === 'research' && stub.calls === 0);
+
+  const contradicted = await researcher.decisionMakers({
+    company_name: 'BrightPath Logistics',
+    company_domain: 'brightpath.test',
+    opportunity_data: {
+      lead_research: {
+        structured: { founder: { name: 'John Wrong', title: 'Founder' } },
+        verification: { claims: [{ path: 'founder.name', status: 'contradicted' }] }
+      }
+    }
+  });
+  check('Contradicted founder falls back to a decision-maker search', contradicted.map(person => person.name).join('|') === 'Sam Lee' &&
+    contradicted[0].source === 'decision_maker_search' && stub.calls === 1, contradicted.map(person => `${person.name} (${person.source})`).join(', '));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testEmailPatterns().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Email Verifier Test
+ * Runs EmailVerifier against a local SMTP stand-in configured by
+ * fixtures/email-verifier/mail-servers.json (mailboxes, catch-all, greylisting,
+ * policy blocks, a dead MX): statuses, catch-all detection, per-domain caching,
+ * and EmailFinder only using guesses the server confirmed
+ *
+ * Usage:
+ *   node test-email-verifier.js                     # local stand-in only (offline)
+ *   node test-email-verifier.js someone@example.com # also check a live address (needs outbound port 25)
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const EmailVerifier = require('./services/email-verifier');
+const EmailFinder = require('./services/email-finder');
+const RateLimiter = require('./services/rate-limiter');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'email-verifier', 'mail-servers.json');
+
+/**
+ * Answers SMTP like a real MX would for the fixture's domains - and records
+ * every command so the test can check nothing was ever sent
+ */
+function startStandIn(config) {
+  const log = { sessions: 0, commands: [] };
+
+  const rcptReply = address => {
+    const [local, domain] = address.split('@');
+    if (config.greylisted_domains.includes(domain)) return '450 4.2.0 Greylisted, try again later';
+    if (config.policy_blocked_domains.includes(domain)) return '550 5.7.1 Client host blocked using zen.spamhaus.org';
+    if (config.catch_all_domains.includes(domain)) return '250 2.1.5 OK';
+    if ((config.mailboxes[domain] || []).includes(local)) return '250 2.1.5 OK';
+    return '550 5.1.1 User unknown';
+  };
+
+  const server = net.createServer(socket => {
+    log.sessions++;
+    let buffer = '';
+    socket.write('220 standin.test ESMTP ready\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.substring(0, newline);
+        buffer = buffer.substring(newline + 2);
+        log.commands.push(line);
+
+        const verb = line.substring(0, 4).toUpperCase();
+        if (verb === 'EHLO') socket.write('250-standin.test\r\n250-SIZE 10240000\r\n250 8BITMIME\r\n');
+        else if (verb === 'MAIL') socket.write('250 2.1.0 OK\r\n');
+        else if (verb === 'RCPT') socket.write(`${rcptReply(line.match(/<([^>]+)>/)[1].toLowerCase())}\r\n`);
+        else if (verb === 'QUIT') socket.end('221 2.0.0 Bye\r\n');
+        else socket.write('502 5.5.2 Command not recognized\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, log, port: server.address().port })));
+}
+
+async function testEmailVerifier() {
+  console.log('📮 EMAIL VERIFIER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const config = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+  const { server, log, port } = await startStandIn(config);
+
+  // Fixture DNS; every MX host is the stand-in except the dead one
+  const resolveMx = async domain => {
+    if (config.missing_domains.includes(domain)) throw Object.assign(new Error(`queryMx ENOTFOUND ${domain}`), { code: 'ENOTFOUND' });
+    if (!config.mx[domain]) throw Object.assign(new Error(`queryMx ENODATA ${domain}`), { code: 'ENODATA' });
+    return config.mx[domain].map(record => ({ ...record }));
+  };
+  const connect = host => net.createConnection({ host: '127.0.0.1', port: config.down_hosts.includes(host) ? 1 : port });
+
+  EmailVerifier.clearCache();
+  const verifier = new EmailVerifier({
+    resolveMx,
+    connect,
+    timeoutMs: 2000,
+    limiter: new RateLimiter({ limits: {}, env: {} })
+  });
+
+  // Statuses
+  const results = await verifier.verifyMany(Object.keys(config.expected));
+  for (const [email, wanted] of Object.entries(config.expected)) {
+    const result = results[email.toLowerCase()];
+    check(`${email}: ${result?.status || 'missing'}`, result?.status === wanted, result?.status === wanted ? result.reason || '' : `expected ${wanted} (${result?.reason})`);
+  }
+
+  const sendable = Object.values(results).filter(result => result.sendable).map(result => result.status);
+  check('Only valid and role accounts are sendable', sendable.length > 0 && sendable.every(status => ['valid', 'role_account'].includes(status)), `${sendable.length} sendable`);
+  check('No message is ever sent (no DATA command)', log.commands.length > 0 && !log.commands.some(command => /^DATA/i.test(command)));
+  check('Catch-all probe uses a random address', log.commands.some(command => /RCPT TO:<[0-9a-f]{12}\.probe@catchall\.test>/.test(command)));
+
+  // Per-domain cache: known addresses and anything at a known catch-all domain need no new session
+  const sessions = log.sessions;
+  const again = await verifier.verify('jane.doe@harborwealth.test');
+  const otherCatchAll = await verifier.verify('brand.new@catchall.test');
+  check('Cached results skip SMTP', log.sessions === sessions && again.cached && again.status === 'valid' && otherCatchAll.status === 'catch_all', `${log.sessions - sessions} new session(s)`);
+
+  const upperCase = await verifier.verify(' JANE.DOE@HarborWealth.test ');
+  check('Addresses are normalized before the cache lookup', upperCase.cached && upperCase.email === 'jane.doe@harborwealth.test');
+
+  // New address at a known (not catch-all) domain: one session, no second catch-all probe
+  const probesBefore = log.commands.filter(command => /\.probe@harborwealth\.test/.test(command)).length;
+  const unknownMailbox = await verifier.verify('ghost@harborwealth.test');
+  const probesAfter = log.commands.filter(command => /\.probe@harborwealth\.test/.test(command)).length;
+  check('Catch-all status is cached per domain', unknownMailbox.status === 'invalid' && probesAfter === probesBefore, `${probesAfter - probesBefore} extra probe(s)`);
+
+  const disabled = new EmailVerifier({ resolveMx, connect, smtp: false, limiter: null });
+  EmailVerifier.clearCache();
+  const skipped = await disabled.verify('jane.doe@harborwealth.test');
+  check('EMAIL_VERIFY_SMTP=false leaves addresses unknown', skipped.status === 'unknown' && !skipped.sendable, skipped.reason);
+
+  // EmailFinder: rejected addresses are dropped, guesses only when the server confirms them
+  EmailVerifier.clearCache();
+  const finder = new EmailFinder({ verifier });
+  const guesses = finder.generateCommonPatterns('harborwealth.test', 'Harbor Wealth');
+  const guessed = await finder.verifyCandidates(guesses);
+  check('Guess used only when verified', finder.selectBestEmail([], guesses, 'harborwealth.test', guessed) === 'info@harborwealth.test');
+
+  const catchAllGuesses = finder.generateCommonPatterns('catchall.test', 'Catch All');
+  const unconfirmed = await finder.verifyCandidates(catchAllGuesses);
+  check('No guess on a catch-all domain', finder.selectBestEmail([], catchAllGuesses, 'catchall.test', unconfirmed) === null);
+
+  const found = ['nobody@harborwealth.test', 'jane.doe@harborwealth.test'];
+  const foundVerification = await finder.verifyCandidates(found);
+  check('Rejected scraped address is never picked', finder.selectBestEmail(found, guesses, 'harborwealth.test', foundVerification) === 'jane.doe@harborwealth.test');
+
+  server.close();
+
+  // Optional live check
+  const liveEmail = process.argv[2];
+  if (liveEmail) {
+    console.log(`\n🌐 Live check: ${liveEmail}`);
+    EmailVerifier.clearCache();
+    const live = await new EmailVerifier().verify(liveEmail);
+    console.log(`   ${live.status} via ${live.mx || 'no MX'} (${live.smtp_code || '-'}) ${live.reason || ''}`);
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testEmailVerifier().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Feed Polling Test
+ * Runs a SourceAdapter over the feed in fixtures/feed-polling, served from a local
+ * HTTP server with an ETag, against in-memory seen_feed_items / feed_health
+ * tables: items are analyzed once, an item that fails is retried on the next run
+ * (no 304 until it goes through), and a fully processed feed is revalidated
+ *
+ * Usage:
+ *   node test-feed-polling.js
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const Parser = require('rss-parser');
+const SourceAdapter = require('./services/source-adapter');
+const PoliteFetcher = require('./services/polite-fetcher');
+
+const FEED = fs.readFileSync(path.join(__dirname, 'fixtures', 'feed-polling', 'feed.xml'), 'utf8');
+const ETAG = '"feed-v1"';
+
+// Just enough of the Supabase query builder for FeedFetcher: select / eq / in / single and upsert
+class MemoryQuery {
+  constructor(table, action, values, options = {}) {
+    this.table = table;
+    this.action = action;
+    this.values = values;
+    this.options = options;
+    this.filters = [];
+  }
+
+  select() { return this; }
+  eq(column, value) { this.filters.push(row => row[column] === value); return this; }
+  in(column, values) { this.filters.push(row => values.includes(row[column])); return this; }
+  single() { this.one = true; return this; }
+
+  run() {
+    if (this.action === 'upsert') {
+      const keys = this.options.onConflict.split(',');
+      [].concat(this.values).forEach(values => {
+        const existing = this.table.rows.find(row => keys.every(key => row[key] === values[key]));
+        if (!existing) this.table.rows.push({ ...values });
+        else if (!this.options.ignoreDuplicates) Object.assign(existing, values);
+      });
+      return { data: null, error: this.table.failWrites ? { message: 'write failed' } : null };
+    }
+
+    const rows = JSON.parse(JSON.stringify(this.table.rows.filter(row => this.filters.every(filter => filter(row)))));
+    return { data: this.one ? rows[0] || null : rows, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    this.tables = {};
+  }
+
+  table(name) {
+    this.tables[name] = this.tables[name] || { rows: [], failWrites: false };
+    return this.tables[name];
+  }
+
+  from(name) {
+    const table = this.table(name);
+    return {
+      select: () => new MemoryQuery(table, 'select'),
+      upsert: (values, options) => new MemoryQuery(table, 'upsert', values, options)
+    };
+  }
+}
+
+/**
+ * Feed source whose analyze() records every item and throws for titles in `failing`
+ */
+class TestFeedSource extends SourceAdapter {
+  constructor(feedUrl, database) {
+    super({ id: 'test_feed', name: 'Test Feed' });
+    this.feedUrl = feedUrl;
+    this.parser = new Parser({ timeout: 5000 });
+    this.feedFetcher.supabase = database;
+    this.feedFetcher.fetcher = new PoliteFetcher({ perHostPerMinute: 6000, burst: 100 });
+    this.analyzed = [];
+    this.failing = new Set();
+  }
+
+  async loadConfig() {
+    this.feeds = [{ name: 'Founder Notes', url: this.feedUrl }];
+  }
+
+  async fetch() {
+    return this.fetchFeeds(this.parser, this.feeds, 10);
+  }
+
+  normalize(raw) {
+    return { title: raw.item.title, url: raw.item.link, feed: raw.feed.name };
+  }
+
+  async analyze(item) {
+    this.analyzed.push(item.title);
+    if (this.failing.has(item.title)) throw new Error(`Could not analyze ${item.title}`);
+    return null;
+  }
+}
+
+async function testFeedPolling() {
+  console.log('📡 FEED POLLING TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    if (req.headers['if-none-match'] === ETAG) {
+      res.writeHead(304, { ETag: ETAG });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: ETAG });
+    res.end(FEED);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const feedUrl = `http://127.0.0.1:${server.address().port}/feed.xml`;
+
+  const database = new MemoryDatabase();
+  const health = () => database.table('feed_health').rows.find(row => row.feed_url === feedUrl) || {};
+  const seen = () => database.table('seen_feed_items').rows.length;
+  const failingTitle = 'Struggling to find our first 100 customers';
+
+  // Run 1: one item fails - it stays unseen and the ETag isn't stored
+  const source = new TestFeedSource(feedUrl, database);
+  source.failing.add(failingTitle);
+  let result = await source.run();
+  check('First run analyzes every item', source.analyzed.length === 3, `${source.analyzed.length} analyzed`);
+  check('Failed item is left unseen', seen() === 2 && result.stats.errors.length === 1, `${seen()} seen`);
+  check('ETag not stored while an item failed', !health().etag, health().etag || 'none');
+  check('Feed health still records the successful fetch', health().last_status === 200 && health().consecutive_failures === 0);
+
+  // Run 2: no conditional GET, so the failed item is retried (and only that one)
+  source.analyzed = [];
+  source.failing.clear();
+  result = await source.run();
+  check('Next run fetches the feed in full', !requests[1]['if-none-match'] && result.stats.feeds_not_modified === 0);
+  check('Only the failed item is retried', source.analyzed.length === 1 && source.analyzed[0] === failingTitle, source.analyzed.join(', ') || 'none');
+  check('ETag stored once every item went through', health().etag === ETAG && seen() === 3, health().etag || 'none');
+
+  // Run 3: nothing new - 304
+  source.analyzed = [];
+  result = await source.run();
+  check('Fully processed feed is revalidated with its ETag', requests[2]['if-none-match'] === ETAG && result.stats.feeds_not_modified === 1);
+  check('Nothing analyzed on a 304', source.analyzed.length === 0, `${source.analyzed.length} analyzed`);
+
+  // A seen-item store that can't be written keeps the validators back too
+  const crashed = new MemoryDatabase();
+  crashed.table('seen_feed_items').failWrites = true;
+  const other = new TestFeedSource(feedUrl, crashed);
+  await other.run();
+  const otherHealth = crashed.table('feed_health').rows[0] || {};
+  check('ETag not stored when items could not be marked seen', otherHealth.last_status === 200 && !otherHealth.etag, otherHealth.etag || 'none');
+
+  server.close();
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testFeedPolling().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
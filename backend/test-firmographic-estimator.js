@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Firmographic Estimator Test
+ * Checks headcount / revenue signals from import columns, research text and the
+ * saved team, careers and pricing pages in fixtures/firmographics, the band
+ * edges, confidence handling and the scores saved by enrichment (in-memory
+ * database, pages served from the fixtures)
+ *
+ * Usage:
+ *   node test-firmographic-estimator.js
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const FirmographicEstimator = require('./services/firmographic-estimator');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'firmographics');
+
+// Paths crawlSignals tries -> saved page
+const PAGES = { '/team': 'team.html', '/careers': 'careers.html', '/pricing': 'pricing.html' };
+
+async function testFirmographicEstimator() {
+  console.log('📏 FIRMOGRAPHIC ESTIMATOR TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const estimator = new FirmographicEstimator();
+  const fetched = [];
+  estimator.fetchPage = async url => {
+    fetched.push(url);
+    const page = PAGES[new URL(url).pathname];
+    if (!page) throw new Error('HTTP 404');
+    return fs.readFileSync(path.join(FIXTURE_DIR, page), 'utf8');
+  };
+  const signal = (metric, value, confidence = 0.6) => ({ metric, value, source: 'research', detail: String(value), confidence });
+
+  // Text and import signals
+  const text = estimator.extractFromText('Founded in 2015, Harbor is a team of 40 with about $5M in revenue.');
+  check('Headcount and revenue read from research text', text.length === 2 && text[0].value === 40 && text[1].value === 5000000, text.map(s => s.detail).join(' | '));
+  const ranges = estimator.extractFromText('50-100 employees, $3M to $5M ARR');
+  check('Ranges use their geometric middle', Math.round(ranges[0].value) === 71 && Math.round(ranges[1].value / 1000) === 3873);
+  check('Solo operators count as one person', estimator.extractFromText('A one-person consultancy')[0]?.value === 1);
+  check('Text without numbers gives no signals', estimator.extractFromText('We help dentists grow.').length === 0);
+
+  const imported = estimator.extractFromImport({ employee_count: '11-50', revenue: '$1M-$10M' });
+  check('Import columns are the strongest signal', imported.every(s => s.source === 'import' && s.confidence === 0.8) && Math.round(imported[0].value) === 23);
+  check('Open-ended import leans higher', estimator.extractFromImport({ employee_count: '1000+' })[0].value === 1500);
+
+  // Website signals
+  const html = page => fs.readFileSync(path.join(FIXTURE_DIR, page), 'utf8');
+  const team = estimator.analyzeTeamPage(html('team.html'));
+  check('Team page counts people', team?.value === 12 && team.detail === '8 people on team page', team?.detail);
+  const careers = estimator.analyzeCareersPage(html('careers.html'));
+  check('Careers page with an ATS embed', careers?.value >= 15 && careers.detail.startsWith('ATS embed'), careers?.detail);
+  const pricing = estimator.analyzePricingPage(html('pricing.html'));
+  check('Enterprise pricing tier', pricing?.value === 3000000 && pricing.detail.includes('max $600/mo'), pricing?.detail);
+  check('Pages without the signal are ignored', estimator.analyzeTeamPage(html('pricing.html')) === null && estimator.analyzePricingPage(html('team.html')) === null);
+
+  // Bands
+  const headcountBand = value => estimator.estimate({}, [signal('headcount', value)]).headcount.band;
+  const revenueBand = value => estimator.estimate({}, [signal('revenue', value)]).revenue.band;
+  check('Bands listed smallest first', FirmographicEstimator.bands.headcount[0] === '1-10' && FirmographicEstimator.bands.revenue[5] === '100M+');
+  check('Headcount band edges', headcountBand(10) === '1-10' && headcountBand(11) === '11-50' && headcountBand(50) === '11-50' &&
+    headcountBand(51) === '51-200' && headcountBand(1001) === '1000+');
+  check('Revenue band edges', revenueBand(2999999) === '1M-3M' && revenueBand(3000000) === '3M-10M' &&
+    revenueBand(24999999) === '10M-25M' && revenueBand(25000000) === '25M-100M' && revenueBand(500000000) === '100M+');
+
+  // Confidence and scores
+  const agreeing = estimator.estimate({}, [signal('headcount', 40), signal('headcount', 60, 0.5)]).headcount;
+  const disagreeing = estimator.estimate({}, [signal('headcount', 10), signal('headcount', 500, 0.5)]).headcount;
+  check('Agreeing signals add confidence', agreeing.confidence === 0.8, String(agreeing.confidence));
+  check('Signals more than 10x apart cost confidence', disagreeing.confidence === 0.56, String(disagreeing.confidence));
+  check('Low confidence pulls the score toward 50', estimator.toScore({ fit: 100, confidence: 0.2 }) === 60 && estimator.toScore({ fit: 10, confidence: 0.95 }) === 12);
+
+  const researched = estimator.estimate({ lead_research: { summary: 'team of 40', revenue: '$5M in revenue', sources: ['LinkedIn: 200 employees'] } });
+  check('Estimate from research', researched.headcount.band === '11-50' && researched.revenue.band === '3M-10M' &&
+    researched.employee_score === 68 && researched.revenue_score === 80, `${researched.employee_score} / ${researched.revenue_score}`);
+  check('Research sources are not read as text', researched.headcount.estimate === 40);
+  const derived = estimator.estimate({ research: 'Solo founder, one-person shop' });
+  check('Missing metric derived at lower confidence', derived.revenue.signals[0].source === 'derived' && derived.revenue.confidence < derived.headcount.confidence);
+  const empty = estimator.estimate({});
+  check('No signals - no estimate', empty.headcount === null && empty.employee_score === null && empty.revenue_score === null);
+
+  // Enrichment
+  const database = new MemoryDatabase({
+    scored_opportunities: [
+      { id: 'opp-harbor', company_name: 'Harbor Analytics', company_domain: 'https://www.harboranalytics.com', overall_score: 70, employee_score: 50, revenue_score: 50,
+        opportunity_data: { employee_count: '11-50' } },
+      { id: 'opp-reddit', company_name: 'Reddit poster', company_domain: 'reddit.com', overall_score: 60, employee_score: 50, revenue_score: 50, opportunity_data: {} },
+      { id: 'opp-done', company_name: 'Done Co', company_domain: 'done.test', overall_score: 90, opportunity_data: { firmographics: { headcount: null } } }
+    ]
+  });
+  estimator.supabase = database;
+  const results = await estimator.enrichPending(10);
+  const row = id => database.rows('scored_opportunities').find(opportunity => opportunity.id === id);
+
+  check('Already estimated leads are skipped', results.length === 2 && !results.some(result => result.opportunity_id === 'opp-done'));
+  check('Company site crawled, platform domains not', fetched.every(url => url.startsWith('https://harboranalytics.com/')) && fetched.includes('https://harboranalytics.com/pricing'));
+  const harbor = row('opp-harbor').opportunity_data.firmographics;
+  check('Import and team/careers pages combined', harbor.headcount.signals.length === 3 && harbor.headcount.band === '11-50', harbor.headcount.signals.map(s => s.source).join(','));
+  check('Pricing page fills revenue', harbor.revenue.band === '3M-10M' && harbor.revenue.signals[0].source === 'pricing_page');
+  check('Scores saved', row('opp-harbor').employee_score === estimator.toScore(harbor.headcount) && row('opp-harbor').employee_score !== 50);
+  check('No estimate keeps the existing scores', row('opp-reddit').employee_score === 50 && row('opp-reddit').opportunity_data.firmographics.headcount === null);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testFirmographicEstimator().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Gap Classifier Test
+ * Classifies sample pain text into the gap taxonomy and checks the quotes,
+ * pain cues, negation, confidence thresholds and several gaps per company,
+ * then runs GapFinderAgent against an in-memory database to check the
+ * market_gaps rows and the analyzed marker
+ *
+ * Usage:
+ *   node test-gap-classifier.js
+ */
+
+require('dotenv').config();
+
+const GapClassifier = require('./services/gap-classifier');
+const GapFinderAgent = require('./agents/gap-finder-agent');
+const MemoryDatabase = require('./fixtures/memory-database');
+const taxonomy = require('./services/gap-taxonomy.json');
+
+const HARBOR = {
+  id: 'opp-harbor',
+  company_name: 'Harbor Advisory',
+  overall_score: 82,
+  route_to_outreach: false,
+  opportunity_data: {
+    title: 'We are struggling to get new clients - referrals have dried up',
+    snippet: 'All our reporting lives in a spreadsheet. Onboarding is fine. We are not hiring.',
+    lead_research: {
+      growth_ceiling_indicators: 'Revenue has plateaued; most new clients come from the founder\'s personal network.'
+    }
+  }
+};
+
+async function testGapClassifier() {
+  console.log('🧩 GAP CLASSIFIER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const classifier = new GapClassifier();
+  const gapTypes = ['growth', 'operations', 'technology'];
+  check('Every category rolls up to a gap type', GapClassifier.categories.length === taxonomy.categories.length &&
+    GapClassifier.categories.every(category => gapTypes.includes(category.type)));
+
+  // Classification
+  const gaps = classifier.classify(HARBOR);
+  const gap = category => gaps.find(g => g.category === category);
+  check('Several gaps for one company', gaps.map(g => g.category).join(',') === 'client_acquisition,relationship_revenue', gaps.map(g => `${g.category}=${g.confidence}`).join(','));
+  check('Two cued quotes combine as independent evidence', gap('client_acquisition').confidence === 0.75 && gap('client_acquisition').type === 'growth');
+  const quote = gap('client_acquisition').evidence[0];
+  check('Quotes the sentence with its keyword and pain cue', quote.quote === HARBOR.opportunity_data.title && quote.field === 'opportunity_data.title' &&
+    quote.keywords.join(',') === 'new clients' && quote.pain_cue === 'struggle');
+  check('Research text counts as evidence', gap('relationship_revenue').evidence.some(e => e.field === 'opportunity_data.lead_research.growth_ceiling_indicators' && e.keywords.includes('personal network')));
+  check('One uncued quote is not enough', !gap('data_reporting') && !gap('manual_processes') && !gap('scaling_infrastructure'));
+  check('Negated keywords are not evidence', !JSON.stringify(gaps).includes('"hiring"'));
+  check('Gaps carry the taxonomy\'s description and solution', gaps.every(g => g.description && g.solution && g.label));
+
+  const uncued = classifier.classify({ opportunity_data: { notes: 'We do all data entry by hand. Invoices go into a spreadsheet.' } });
+  check('Two uncued quotes clear the threshold', uncued.length === 1 && uncued[0].category === 'manual_processes' && uncued[0].confidence === 0.51 &&
+    uncued[0].evidence.every(e => e.pain_cue === null), JSON.stringify(uncued.map(g => g.confidence)));
+
+  const sentences = ['We struggle with manual invoicing.', 'Data entry is a bottleneck.', 'Copy paste between systems wastes hours.', 'Paperwork is a pain.',
+    'Admin work is overwhelming.', 'Repetitive tasks slow us down.', 'The spreadsheet is a problem.'];
+  const busy = classifier.classify({ opportunity_data: { notes: sentences.join(' ') } })[0];
+  check('Confidence capped', busy.confidence === 0.95);
+  check('At most five quotes kept', busy.evidence.length === 5);
+
+  check('No pain text - no gaps', classifier.classify({ company_name: 'Quiet Co', opportunity_data: { title: 'We launched a new marketing site' } }).length === 0);
+
+  // Gap finder agent
+  const database = new MemoryDatabase({
+    scored_opportunities: [
+      HARBOR,
+      { id: 'opp-quiet', company_name: 'Quiet Co', overall_score: 75, route_to_outreach: false, opportunity_data: { title: 'Our story' } },
+      { id: 'opp-routed', company_name: 'Routed Co', overall_score: 90, route_to_outreach: true, opportunity_data: { title: 'Struggling to find new clients' } },
+      { id: 'opp-low', company_name: 'Low Co', overall_score: 40, route_to_outreach: false, opportunity_data: { title: 'Struggling to find new clients' } }
+    ]
+  });
+  const agent = new GapFinderAgent();
+  agent.supabase = database;
+  await agent.findGaps();
+
+  const rows = database.rows('market_gaps');
+  const opportunity = id => database.rows('scored_opportunities').find(o => o.id === id);
+  check('One market_gaps row per gap', rows.length === 2 && rows.every(row => row.opportunity_id === 'opp-harbor') && agent.opportunitiesFound === 2);
+  check('Rows keep type, category, confidence and quotes', rows[0].gap_type === 'growth' && rows[0].gap_category === 'client_acquisition' &&
+    rows[0].confidence_score === 0.75 && rows[0].evidence.length === 2 && rows[0].solution_approach === gap('client_acquisition').solution);
+  check('Analyzed opportunities are marked', opportunity('opp-harbor').opportunity_data.gap_analysis?.gaps.length === 2 &&
+    opportunity('opp-harbor').opportunity_data.gap_analysis.taxonomy_version === taxonomy.version &&
+    opportunity('opp-quiet').opportunity_data.gap_analysis?.gaps.length === 0);
+  check('Routed and low-score leads are skipped', !opportunity('opp-routed').opportunity_data.gap_analysis && !opportunity('opp-low').opportunity_data.gap_analysis);
+
+  await agent.findGaps();
+  check('Marked opportunities are not classified again', database.rows('market_gaps').length === 2);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testGapClassifier().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
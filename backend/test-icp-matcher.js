@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * ICP Matcher Test
+ * Matches sample opportunities against the built-in ideal customer profiles
+ * and checks each criterion (industry, tenure, size bands, location, tech
+ * stack), half credit for missing data, the keyword gates and min_match, then
+ * saves a profile and re-matches stored opportunities (in-memory database)
+ *
+ * Usage:
+ *   node test-icp-matcher.js
+ */
+
+require('dotenv').config();
+
+const IcpMatcher = require('./services/icp-matcher');
+const IcpProfiles = require('./services/icp-profiles');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const OPPORTUNITIES = {
+  harbor: {
+    id: 'opp-harbor',
+    company_name: 'Harbor Advisory',
+    opportunity_data: {
+      industry: 'Management consulting',
+      research_summary: 'Harbor has advised manufacturers for 12 years.',
+      location: 'Austin, TX',
+      firmographics: { headcount: { band: '11-50' }, revenue: { band: '3M-10M' } }
+    }
+  },
+  orbit: {
+    id: 'opp-orbit',
+    company_name: 'Orbit Freight',
+    opportunity_data: {
+      industry: 'SaaS',
+      research: { companyBackground: 'A logistics software company built over 3 years.' },
+      firmographics: { headcount: { band: '11-50' }, revenue: { band: '1M-3M' } },
+      tech_stack: {
+        technologies: [{ name: 'HubSpot' }, { name: 'Google Analytics' }],
+        categories: { analytics: ['Google Analytics'], crm_marketing: ['HubSpot'], chat: [] }
+      }
+    }
+  },
+  quiet: { id: 'opp-quiet', company_name: 'Quiet Co', opportunity_data: {} },
+  bigco: {
+    id: 'opp-bigco',
+    company_name: 'Bigco Advisory',
+    opportunity_data: {
+      industry: 'Consulting',
+      notes: 'A publicly traded consulting group.',
+      firmographics: { headcount: { band: '1000+' }, revenue: { band: '100M+' } }
+    }
+  }
+};
+
+async function testIcpMatcher() {
+  console.log('🎯 ICP MATCHER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const matcher = new IcpMatcher();
+  const profiles = IcpProfiles.defaultProfiles;
+  const match = key => matcher.match(OPPORTUNITIES[key], profiles);
+  const profile = (result, id) => result.profiles.find(p => p.icp_id === id);
+
+  // Built-in profiles
+  const harbor = match('harbor');
+  const services = profile(harbor, 'founder-led-services');
+  check('Founder-led service firm matches', harbor.icp_id === 'founder-led-services' && harbor.icp_match_score === 100);
+  check('Industry matched in the import column', services.criteria.industry.detail === '"consulting" in industry');
+  check('Tenure from research years', services.criteria.tenure.status === 'match' && services.criteria.tenure.detail === '12 years (mature)');
+  check('Size bands from firmographics', services.criteria.headcount.status === 'match' && services.criteria.revenue.detail === 'revenue 3M-10M');
+  check('Best profile listed first', harbor.profiles[0].icp_id === 'founder-led-services' && harbor.profiles[1].score < 100);
+
+  const orbit = match('orbit');
+  const saas = profile(orbit, 'growth-stage-saas');
+  check('SaaS company matches the SaaS profile', orbit.icp_id === 'growth-stage-saas' && orbit.icp_match_score === 100);
+  check('Tech stack matched by category', saas.criteria.tech_stack.detail === 'analytics, crm_marketing');
+  check('Wrong industry, stage and revenue band miss', profile(orbit, 'founder-led-services').score === 14);
+
+  const quiet = match('quiet');
+  check('Missing data gets half credit', quiet.profiles.every(p => p.score === 50 && Object.values(p.criteria).every(c => c.status === 'unknown')));
+  check('Below min_match - no icp_id, best score kept', quiet.icp_id === null && quiet.icp_match_score === 50);
+
+  const bigco = match('bigco');
+  check('Excluded keyword scores 0', profile(bigco, 'founder-led-services').score === 0 &&
+    profile(bigco, 'founder-led-services').excluded_by.map(hit => hit.keyword).join(',') === 'publicly traded');
+  check('Excluded lead matches no profile', bigco.icp_id === null);
+
+  // Custom profiles
+  const texas = { id: 'texas-consulting', name: 'Texas consulting', industries: ['consulting'], locations: ['texas', 'tx'], required_keywords: ['manufacturers'] };
+  const texasMatch = matcher.matchProfile(OPPORTUNITIES.harbor, texas);
+  check('Location and required keyword', texasMatch.score === 100 && texasMatch.criteria.location.status === 'match' && texasMatch.missing_required.length === 0);
+  check('Missing required keyword scores 0', matcher.matchProfile(OPPORTUNITIES.bigco, texas).missing_required.join(',') === 'manufacturers' &&
+    matcher.matchProfile(OPPORTUNITIES.bigco, texas).score === 0);
+  const weighted = matcher.matchProfile(OPPORTUNITIES.orbit, { id: 'weighted', name: 'Weighted', industries: ['consulting'], tech_stack: ['hubspot'], weights: { industry: 1, tech_stack: 3 } });
+  check('Weights change the share', weighted.score === 75 && weighted.criteria.tech_stack.weight === 3);
+  check('Profile without criteria matches everyone', matcher.matchProfile(OPPORTUNITIES.quiet, { id: 'all', name: 'All' }).score === 100);
+
+  // Validation
+  const errors = IcpProfiles.validate({ id: 'Bad Id', name: '', tenure_stages: ['teenage'], revenue_bands: ['5M'], weights: { vibe: 2 }, min_match: 120, industries: 'consulting' });
+  check('Invalid profile reports every problem', errors.length === 7, JSON.stringify(errors));
+  check('Built-in profiles are valid', profiles.every(p => IcpProfiles.validate(p).length === 0));
+
+  // Saving and re-matching
+  IcpProfiles.clearCache();
+  const database = new MemoryDatabase({ scored_opportunities: Object.values(OPPORTUNITIES).map(o => ({ ...o, icp_id: null, icp_match_score: null })) });
+  const icp = new IcpProfiles();
+  icp.supabase = database;
+
+  check('Built-ins listed until the first save', (await icp.list()).every(p => p.is_default));
+  const rejected = await icp.save('texas-consulting', { ...texas, min_match: 'high' });
+  check('Invalid profile not saved', rejected.errors?.length === 1 && database.rows('icp_profiles').length === 0);
+  await icp.save('texas-consulting', texas);
+  check('First save copies the built-ins', database.rows('icp_profiles').length === profiles.length + 1);
+
+  const results = await icp.matchPending(10);
+  const stored = id => database.rows('scored_opportunities').find(o => o.id === id);
+  check('Unmatched opportunities matched and stored', results.length === 4 && stored('opp-harbor').icp_match_score === 100 && !!stored('opp-harbor').opportunity_data.icp_match);
+  check('Equal scores keep the first profile', stored('opp-harbor').icp_id === 'founder-led-services');
+  check('Only unmatched rows picked up', (await icp.matchPending(10)).length === 0);
+
+  await icp.remove('founder-led-services');
+  await icp.matchOpportunity('opp-harbor');
+  check('Re-match after removing a profile', stored('opp-harbor').icp_id === 'texas-consulting');
+  check('Unknown profile and opportunity', (await icp.remove('missing')).notFound === true && (await icp.matchOpportunity('missing')).notFound === true);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testIcpMatcher().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+/**
+ * Job Queue Test
+ * Runs JobQueue workers against an in-memory background_jobs table: progress and
+ * results, per-type concurrency, retries, cancelling, resuming a job whose worker
+ * died - plus RateLimiter token-bucket pacing
+ *
+ * Usage:
+ *   node test-job-queue.js
+ */
+
+require('dotenv').config();
+
+const JobQueue = require('./services/job-queue');
+const RateLimiter = require('./services/rate-limiter');
+
+// Just enough of the Supabase query builder for JobQueue: one table, filters, order, limit
+class MemoryQuery {
+  constructor(rows, action, values) {
+    this.rows = rows;
+    this.action = action;
+    this.values = values;
+    this.filters = [];
+    this.sort = null;
+    this.max = null;
+  }
+
+  select() { if (!this.action) this.action = 'select'; return this; }
+  eq(column, value) { this.filters.push(row => row[column] === value); return this; }
+  in(column, values) { this.filters.push(row => values.includes(row[column])); return this; }
+  lt(column, value) { this.filters.push(row => row[column] < value); return this; }
+  lte(column, value) { this.filters.push(row => row[column] <= value); return this; }
+  order(column, { ascending = true } = {}) { this.sort = { column, ascending }; return this; }
+  limit(count) { this.max = count; return this; }
+  single() { this.one = true; return this; }
+  maybeSingle() { this.one = true; return this; }
+
+  run() {
+    let rows;
+    if (this.action === 'insert') {
+      const now = new Date().toISOString();
+      const row = { id: `job-${this.rows.length + 1}`, attempts: 0, run_after: now, created_at: now, progress: {}, ...this.values };
+      this.rows.push(row);
+      rows = [row];
+    } else {
+      rows = this.rows.filter(row => this.filters.every(filter => filter(row)));
+      if (this.action === 'update') rows.forEach(row => Object.assign(row, JSON.parse(JSON.stringify(this.values))));
+      if (this.sort) {
+        const { column, ascending } = this.sort;
+        rows = [...rows].sort((a, b) => (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1));
+      }
+      if (this.max) rows = rows.slice(0, this.max);
+    }
+    const copy = JSON.parse(JSON.stringify(rows));
+    return { data: this.one ? copy[0] || null : copy, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+class MemoryDatabase {
+  constructor() {
+    this.rows = [];
+  }
+
+  from() {
+    return {
+      select: () => new MemoryQuery(this.rows, 'select'),
+      insert: values => new MemoryQuery(this.rows, 'insert', values),
+      update: values => new MemoryQuery(this.rows, 'update', values)
+    };
+  }
+}
+
+function memoryQueue(database, options = {}) {
+  const queue = new JobQueue({ pollMs: 20, staleMs: 200, ...options });
+  queue.supabase = database;
+  return queue;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!(await condition())) {
+    if (Date.now() - started > timeoutMs) return false;
+    await sleep(20);
+  }
+  return true;
+}
+
+async function testJobQueue() {
+  console.log('⚙️  JOB QUEUE TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const database = new MemoryDatabase();
+  const row = id => database.rows.find(job => job.id === id);
+
+  // Progress, result and per-type concurrency
+  let active = 0;
+  let peak = 0;
+  const queue = memoryQueue(database, { concurrency: 4 });
+  queue.register('count', async ({ to }, job) => {
+    active++;
+    peak = Math.max(peak, active);
+    for (let i = job.state.done || 0; i < to; i++) {
+      await sleep(10);
+      await job.progress({ done: i + 1, total: to });
+    }
+    active--;
+    return { counted: to };
+  }, { concurrency: 2 });
+  queue.start();
+
+  const jobs = await Promise.all([1, 2, 3].map(() => queue.enqueue('count', { to: 5 })));
+  await waitFor(() => jobs.every(job => row(job.id).status === 'completed'));
+  check('Jobs complete with progress and result', jobs.every(job => row(job.id).result?.counted === 5 && row(job.id).progress.done === 5));
+  check('Per-type concurrency is respected', peak === 2, `peak ${peak}`);
+
+  // Retries until max_attempts, then failed
+  let calls = 0;
+  queue.register('flaky', async () => {
+    calls++;
+    if (calls < 2) throw new Error('temporary failure');
+    return { ok: true };
+  }, { maxAttempts: 3 });
+  queue.register('broken', async () => {
+    const error = new Error('bad payload');
+    error.retryable = false;
+    throw error;
+  });
+  const flaky = await queue.enqueue('flaky');
+  const broken = await queue.enqueue('broken');
+  // Retries wait RETRY_DELAY_MS - pull the retry forward instead of waiting 30s
+  await waitFor(() => row(flaky.id).status === 'queued' && row(flaky.id).attempts === 1);
+  row(flaky.id).run_after = new Date().toISOString();
+  await waitFor(() => row(flaky.id).status === 'completed' && row(broken.id).status === 'failed');
+  check('Failed job is retried', row(flaky.id).status === 'completed' && row(flaky.id).attempts === 2, `${row(flaky.id).attempts} attempts`);
+  check('Non-retryable error fails at once', row(broken.id).status === 'failed' && row(broken.id).attempts === 1, row(broken.id).error);
+
+  // Cancelling a running job stops it at the next progress write
+  queue.register('long', async (payload, job) => {
+    for (let i = 0; i < 100 && !job.cancelled(); i++) {
+      await sleep(10);
+      await job.progress({ done: i + 1 });
+    }
+  });
+  const long = await queue.enqueue('long');
+  await waitFor(() => row(long.id).progress.done >= 3);
+  const cancelled = await queue.cancel(long.id);
+  await waitFor(() => !queue.running.has(long.id));
+  check('Running job can be cancelled', cancelled.job && row(long.id).status === 'cancelled' && row(long.id).progress.done < 100, `stopped at ${row(long.id).progress.done}`);
+  queue.stop();
+
+  // A worker that dies mid-job: another worker re-queues it and resumes from the checkpoint
+  const processedBy = [];
+  const resumable = async ({ items }, job) => {
+    const done = job.state.done || 0;
+    for (let i = done; i < items; i++) {
+      processedBy.push(i);
+      await job.progress({ done: i + 1 });
+    }
+    return { resumed_from: done };
+  };
+  const dead = memoryQueue(database);
+  dead.register('resume', resumable);
+  const interrupted = await dead.enqueue('resume', { items: 6 });
+  // Simulate the crash: claimed, 3 items done, no heartbeat since
+  const claimed = await dead.claim(row(interrupted.id));
+  Object.assign(row(interrupted.id), { progress: { done: 3 }, heartbeat_at: new Date(Date.now() - 1000).toISOString() });
+  processedBy.push(0, 1, 2);
+
+  const survivor = memoryQueue(database);
+  survivor.register('resume', resumable);
+  survivor.start();
+  await waitFor(() => row(interrupted.id).status === 'completed');
+  survivor.stop();
+  check('Interrupted job resumes from its progress', claimed && row(interrupted.id).result?.resumed_from === 3 &&
+    processedBy.join(',') === '0,1,2,3,4,5' && row(interrupted.id).attempts === 2, `items ${processedBy.join(',')}`);
+
+  // Token bucket: burst of 2, then 1 token every 100ms (600/min)
+  const limiter = new RateLimiter({ limits: { test_api: { per_minute: 600, burst: 2 } }, env: {} });
+  const started = Date.now();
+  for (let i = 0; i < 4; i++) await limiter.take('test_api');
+  const elapsed = Date.now() - started;
+  check('Rate limiter paces calls after the burst', elapsed >= 180 && elapsed < 600, `${elapsed}ms for 4 calls`);
+
+  const unlimited = Date.now();
+  for (let i = 0; i < 50; i++) await limiter.take('no_limit');
+  check('Providers without a limit are not throttled', Date.now() - unlimited < 50);
+
+  const oversized = await limiter.take('test_api', 3).then(() => null, error => error);
+  check('Taking more than the burst throws instead of waiting forever', /burst is 2/.test(oversized?.message), oversized?.message);
+
+  // Changing a limit keeps the drained bucket drained
+  const changing = new RateLimiter({ limits: { changing_api: { per_minute: 60, burst: 3 } }, env: {} });
+  for (let i = 0; i < 3; i++) await changing.take('changing_api');
+  changing.setLimit('changing_api', { per_minute: 30, burst: 5 });
+  const afterChange = changing.waitTime('changing_api');
+  changing.setLimit('changing_api', { per_minute: 60, burst: 1 });
+  check('A changed limit does not refill the bucket', afterChange > 1000 && changing.waitTime('changing_api') > 500, `${afterChange}ms wait after the change`);
+
+  const fromEnv = new RateLimiter({ env: { RATE_LIMIT_PERPLEXITY: '30/5' } });
+  check('RATE_LIMIT_<PROVIDER> overrides the default', fromEnv.limits.perplexity.per_minute === 30 && fromEnv.limits.perplexity.burst === 5);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testJobQueue().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
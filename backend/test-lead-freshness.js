@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * Lead Freshness Test
+ * Checks the time decay on scored opportunities: half-life per source, post date
+ * vs created_at, sources that never decay, live priority and ranking, and
+ * editing half-lives (in-memory database, fixed clock)
+ *
+ * Usage:
+ *   node test-lead-freshness.js
+ */
+
+require('dotenv').config();
+
+const LeadFreshness = require('./services/lead-freshness');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const NOW = Date.parse('2026-10-01T12:00:00.000Z');
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+const OPPORTUNITIES = [
+  { id: 'forum-old', source: 'forum', overall_score: 90, created_at: daysAgo(1), opportunity_data: { posted_at: daysAgo(6) } },
+  { id: 'forum-new', source: 'forum', overall_score: 60, created_at: daysAgo(0), opportunity_data: { posted_at: daysAgo(0) } },
+  { id: 'rss-week', source: 'rss', overall_score: 80, created_at: daysAgo(7), opportunity_data: { published: daysAgo(7) } },
+  { id: 'import', source: 'manual_import', overall_score: 70, created_at: daysAgo(30), opportunity_data: {} },
+  { id: 'news', source: 'TechCrunch', overall_score: 50, created_at: daysAgo(14), opportunity_data: { published: 'not a date' } },
+  { id: 'undated', source: 'rss', overall_score: 40, opportunity_data: {} }
+];
+
+async function testLeadFreshness() {
+  console.log('⏳ LEAD FRESHNESS TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const database = new MemoryDatabase();
+  const freshness = new LeadFreshness();
+  freshness.supabase = database;
+
+  // Decay
+  const halfLives = await freshness.getHalfLives();
+  const of = id => LeadFreshness.freshness(OPPORTUNITIES.find(o => o.id === id), halfLives, NOW);
+  check('Built-in half-lives', halfLives.forum === 3 && halfLives.rss === 7 && halfLives.default === 14);
+  check('Two half-lives old - a quarter fresh', of('forum-old').score === 0.25 && of('forum-old').age_days === 6, JSON.stringify(of('forum-old')));
+  check('Just posted - fully fresh', of('forum-new').score === 1);
+  check('Age runs from the post date, not created_at', of('forum-old').posted_at === daysAgo(6));
+  check('Age falls back to created_at', of('import').age_days === 30 && of('news').age_days === 14);
+  check('Unknown sources use the default half-life', of('news').half_life_days === 14 && of('news').score === 0.5);
+  check('No timestamp - fully fresh', of('undated').score === 1 && of('undated').age_days === null);
+  check('Future post dates count as new', LeadFreshness.freshness({ source: 'rss', opportunity_data: { posted_at: daysAgo(-2) } }, halfLives, NOW).score === 1);
+
+  // Live priority
+  check('Fresh leads keep their score', LeadFreshness.livePriority(80, 1) === 80);
+  check('Stale leads keep the floor', LeadFreshness.livePriority(80, 0) === 16);
+  check('Blend in between', LeadFreshness.livePriority(90, 0.25) === 36);
+
+  const ranked = await freshness.rank(OPPORTUNITIES, NOW);
+  check('Ranked by live priority', ranked.map(o => o.id).join(',') === 'forum-new,import,rss-week,undated,forum-old,news', ranked.map(o => `${o.id}=${o.live_priority}`).join(','));
+  check('Strong stale lead still beats a weak fresh one', LeadFreshness.livePriority(90, 0) > LeadFreshness.livePriority(15, 1));
+
+  // Editing half-lives
+  const invalid = await freshness.setHalfLife('forum', -1);
+  check('Invalid half-life rejected', invalid.errors?.length === 1 && database.rows('source_freshness').length === 0);
+  check('Empty source rejected', (await freshness.setHalfLife('', 5)).errors?.length === 1);
+
+  await freshness.setHalfLife('forum', 6);
+  await freshness.setHalfLife('manual_import', null);
+  const edited = await freshness.rank(OPPORTUNITIES, NOW);
+  const entry = id => edited.find(o => o.id === id);
+  check('Stored half-life applies on the next ranking', entry('forum-old').freshness.half_life_days === 6 && entry('forum-old').freshness.score === 0.5);
+  check('Null half-life never decays', entry('import').freshness.score === 1 && entry('import').freshness.half_life_days === null);
+
+  const described = await freshness.describe();
+  const setting = source => described.sources.find(s => s.source === source);
+  check('Describe marks edited sources', described.floor === 0.2 && !setting('forum').is_default && setting('rss').is_default);
+
+  const reset = await freshness.resetHalfLife('forum');
+  check('Reset goes back to the default', reset.half_life_days === 3 && (await freshness.getHalfLives()).forum === 3 && database.rows('source_freshness').length === 1);
+
+  // Unreadable table
+  database.fail('source_freshness', 'relation "source_freshness" does not exist');
+  check('Defaults when the table cannot be read', (await freshness.describe()).sources.every(s => s.is_default));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testLeadFreshness().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+/**
+ * Lead Importer Test
+ * Imports fixtures/lead-import/apollo-export.csv against an in-memory database
+ * that already knows one company and one of its contacts: header auto-mapping,
+ * row validation, duplicates within the file and against the database, a new
+ * contact at a known company, and dry-run versus commit counts
+ *
+ * Usage:
+ *   node test-lead-importer.js
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const LeadImporter = require('./services/lead-importer');
+const IntelligentScorer = require('./services/intelligent-scorer');
+const defaultRules = require('./services/scoring-rules.json');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const CSV = fs.readFileSync(path.join(__dirname, 'fixtures', 'lead-import', 'apollo-export.csv'));
+
+/**
+ * Importer whose queries all go to `database`, scoring with the built-in rules
+ */
+function memoryImporter(database) {
+  const importer = new LeadImporter();
+  importer.supabase = database;
+  importer.resolver.supabase = database;
+  importer.icpProfiles.supabase = database;
+  importer.scorer = new IntelligentScorer(defaultRules);
+  return importer;
+}
+
+async function testLeadImporter() {
+  console.log('📥 LEAD IMPORTER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Northwind is already on file, with Sam as a contact
+  const seed = new LeadImporter();
+  const northwind = seed.resolver.identify({ company_name: 'Northwind Advisory', company_domain: 'northwind.test' });
+  const database = new MemoryDatabase({
+    companies: [{
+      id: '6f1c2a40-0000-4000-8000-000000000001',
+      canonical_name: 'Northwind Advisory',
+      normalized_name: northwind.normalizedName,
+      name_key: northwind.nameKey,
+      primary_domain: 'northwind.test',
+      domains: ['northwind.test'],
+      sources: ['manual_import']
+    }],
+    scored_opportunities: [{
+      id: '6f1c2a40-0000-4000-8000-000000000002',
+      company_name: 'Northwind Advisory',
+      company_domain: 'northwind.test',
+      company_id: '6f1c2a40-0000-4000-8000-000000000001',
+      source: 'manual_import',
+      opportunity_data: { discovered_email: 'sam@northwind.test' }
+    }]
+  });
+  const importer = memoryImporter(database);
+
+  // Parsing and auto-mapping
+  const rows = importer.parseFile(CSV, 'apollo-export.csv');
+  check('CSV parsed', rows.length === 9, `${rows.length} rows`);
+  check('Rows keep their spreadsheet line numbers', rows[0].__rowNum__ === 2 && rows[8].__rowNum__ === 10);
+
+  const columns = importer.autoMapColumns(Object.keys(rows[0]));
+  const expectedColumns = {
+    Company: 'company_name',
+    Website: 'company_domain',
+    Email: 'contact_email',
+    'First Name': 'contact_first_name',
+    'Last Name': 'contact_last_name',
+    Title: 'job_title',
+    '# Employees': 'employee_count',
+    'Person Linkedin Url': 'linkedin_url'
+  };
+  check('Apollo headers auto-mapped', JSON.stringify(columns) === JSON.stringify(expectedColumns), JSON.stringify(columns));
+  check('Mapping without an identity column is rejected', importer.validateMapping({ Title: 'job_title' }).length === 1);
+  check('Unknown target fields are rejected', importer.validateMapping({ Company: 'company_name', Stage: 'deal_stage' }).some(e => e.includes('deal_stage')));
+
+  // Dry run
+  const report = await importer.prepareImport(rows, columns, 'apollo');
+  const status = line => report.rows.find(r => r.row_number === line);
+  const { summary } = report;
+
+  check('Dry run counts', summary.total === 9 && summary.to_insert === 3 && summary.duplicates === 3 && summary.invalid === 3,
+    `${summary.to_insert} to insert, ${summary.duplicates} duplicates, ${summary.invalid} invalid`);
+  check('Domains are normalized', status(2).lead.company_domain === 'harboranalytics.com', status(2).lead.company_domain);
+  check('Second contact at a company in the file is imported', status(3).status === 'insert');
+  check('Same email twice in the file is an in-file duplicate', status(4).status === 'duplicate' && status(4).duplicate_of.type === 'in_file' && status(4).duplicate_of.row_number === 2);
+  check('Invalid email reported', status(5).status === 'invalid' && status(5).errors.some(e => e.startsWith('Invalid email')), status(5).errors.join('; '));
+  check('Row without company, domain or email reported', status(6).status === 'invalid');
+  check('LinkedIn URL must point to linkedin.com', status(10).status === 'invalid' && status(10).errors.some(e => e.includes('LinkedIn')));
+  check('Known contact email is an existing duplicate', status(7).status === 'duplicate' && status(7).duplicate_of.match === 'email');
+  check('New contact at a known company is imported and linked', status(8).status === 'insert' && status(8).existing_company?.company_name === 'Northwind Advisory' && summary.existing_companies === 1,
+    JSON.stringify(status(8).existing_company));
+  check('Known company without a new contact is a duplicate', status(9).status === 'duplicate' && status(9).duplicate_of.company_name === 'Northwind Advisory');
+  check('Rows to insert are scored', report.rows.filter(r => r.status === 'insert').every(r => typeof r.scoring?.overall_score === 'number'));
+  check('Dry run writes nothing', database.rows('scored_opportunities').length === 1 && database.rows('companies').length === 1);
+
+  // Commit
+  const results = await importer.commitImport(report);
+  const inserted = database.rows('scored_opportunities').slice(1);
+  const kim = inserted.find(row => row.opportunity_data.discovered_email === 'kim@northwind.test');
+  const harbor = inserted.filter(row => row.company_domain === 'harboranalytics.com');
+
+  check('Commit counts match the dry run', results.imported === 3 && results.duplicates === 3 && results.invalid === 3 && results.errors.length === 0,
+    `${results.imported} imported, ${results.duplicates} duplicates, ${results.invalid} invalid`);
+  check('New Northwind contact linked to the existing company', kim?.company_id === '6f1c2a40-0000-4000-8000-000000000001');
+  check('Both Harbor contacts share one new company', harbor.length === 2 && harbor[0].company_id && harbor[0].company_id === harbor[1].company_id &&
+    database.rows('companies').length === 2, `${database.rows('companies').length} companies`);
+
+  // A failed duplicate lookup stops the import instead of reporting no duplicates
+  const broken = memoryImporter(new MemoryDatabase().fail('scored_opportunities', 'connection reset'));
+  const failed = await broken.prepareImport(rows, columns, 'apollo').then(() => null, error => error);
+  check('Duplicate lookup errors are thrown', failed?.message === 'connection reset', failed?.message || 'no error');
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testLeadImporter().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
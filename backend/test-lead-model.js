@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Lead Model Test
+ * Records the campaigns in fixtures/outreach-outcomes through AutoOutreachAgent,
+ * applies their outcomes, and checks that LeadModelTrainer labels the scored
+ * opportunities they came from: email and company links, positives from
+ * replies and meetings, unlinked campaigns counted
+ *
+ * Usage:
+ *   node test-lead-model.js
+ */
+
+require('dotenv').config();
+
+// The Resend client needs a key to construct - nothing is sent here
+process.env.RESEND_API_KEY = process.env.RESEND_API_KEY || 're_test';
+
+const fixture = require('./fixtures/outreach-outcomes/outcomes.json');
+const AutoOutreachAgent = require('./agents/auto-outreach-agent');
+const LeadModelTrainer = require('./services/lead-model-trainer');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+/**
+ * Campaigns for every fixture lead, written the way the outreach agent writes
+ * them, then updated with the lead's outcome
+ */
+async function recordCampaigns(database) {
+  const agent = new AutoOutreachAgent();
+  agent.supabase = database;
+  agent.resolver.supabase = database;
+
+  for (const { outcome, ...lead } of fixture.leads) {
+    await agent.createCampaign(lead, { subject: `Quick question for ${lead.company_name}`, body: 'Hi' }, true);
+    await database.from('outreach_campaigns').update(outcome).eq('mfs_lead_id', lead.id);
+  }
+}
+
+async function testLeadModel() {
+  console.log('📚 LEAD MODEL TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const database = new MemoryDatabase({ companies: fixture.companies, scored_opportunities: fixture.scored_opportunities });
+  await recordCampaigns(database);
+
+  const campaigns = database.rows('outreach_campaigns');
+  const campaignFor = leadId => campaigns.find(c => c.mfs_lead_id === leadId);
+  const [harbor, brightpath, northstar, orbit] = fixture.scored_opportunities.map(o => o.id);
+
+  // Campaign links
+  check('Every campaign keeps its mfs_leads id', campaigns.length === fixture.leads.length && fixture.leads.every(lead => campaignFor(lead.id)));
+  check('Linked by contact email', campaignFor(fixture.leads[0].id).opportunity_id === harbor);
+  check('Email match ignores case', campaignFor(fixture.leads[1].id).opportunity_id === brightpath);
+  check('Linked by company when the email is new', campaignFor(fixture.leads[2].id).opportunity_id === northstar && campaignFor(fixture.leads[5].id).opportunity_id === harbor);
+  check('No scored opportunity - left unlinked', campaignFor(fixture.leads[4].id).opportunity_id === null);
+  check('No campaign points at an mfs_leads id', campaigns.every(c => !fixture.leads.some(lead => lead.id === c.opportunity_id)));
+
+  // Labels
+  const trainer = new LeadModelTrainer();
+  trainer.supabase = database;
+  const { labels, stats } = await trainer.loadOutcomes();
+
+  check('One label per contacted opportunity', Object.keys(labels).length === 4, JSON.stringify(labels));
+  check('Reply is positive', labels[harbor] === 1);
+  check('Booked meeting is positive', labels[brightpath] === 1);
+  check('Sent without a reply is negative', labels[northstar] === 0 && labels[orbit] === 0);
+  check('Unlinked campaigns counted', stats.campaigns === 6 && stats.unlinked_campaigns === 1, JSON.stringify(stats));
+
+  // Dataset
+  const dataset = await trainer.buildDataset(labels);
+  const positives = dataset.filter(example => example.label === 1);
+  check('Every label joins a scored opportunity', dataset.length === 4, `${dataset.length} examples`);
+  check('Positives come out of the join', positives.length === 2 && positives.every(example => [harbor, brightpath].includes(example.id)));
+  check('Features are extracted', dataset.every(example => example.features[`source:${example.opportunity.source}`] === 1));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testLeadModel().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * LLM Provider Test
+ * Runs research and reply handling on the offline stub provider, then checks the
+ * router's retry, timeout and fallback handling with simulated failures, the
+ * research schema's repair / retry of invalid answers, and the spend ledger's
+ * cost estimates and budget stop (in-memory ledger, no database)
+ *
+ * Usage:
+ *   node test-llm-providers.js             # offline only
+ *   node test-llm-providers.js research    # also send a live prompt through a task's chain
+ */
+
+require('dotenv').config();
+
+const LLMRouter = require('./services/llm-router');
+const LLMProvider = require('./services/llm-provider');
+const StubProvider = require('./services/stub-provider');
+const AIResearcher = require('./services/ai-researcher');
+const AIConversationHandler = require('./services/ai-conversation-handler');
+const AISpendLedger = require('./services/ai-spend-ledger');
+const ResearchSchema = require('./services/research-schema');
+const defaultConfig = require('./services/llm-config.json');
+
+// Fast retries so the failure checks don't wait 5s+ per retry
+const TEST_CONFIG = {
+  ...defaultConfig,
+  defaults: { ...defaultConfig.defaults, retry_delay_ms: 10, timeout_ms: 200, max_retries: 2 },
+  tasks: { ...defaultConfig.tasks, research: { ...defaultConfig.tasks.research, timeout_ms: 200 } }
+};
+
+class SlowProvider extends LLMProvider {
+  constructor() {
+    super({ id: 'slow', name: 'Slow provider', defaultModel: 'slow-1' });
+  }
+
+  complete() {
+    return new Promise(resolve => setTimeout(() => resolve({ text: 'too late' }), 1000));
+  }
+}
+
+// Ledger that keeps rows in memory and reports whatever budget state the test sets
+class MemoryLedger extends AISpendLedger {
+  constructor() {
+    super();
+    this.rows = [];
+    this.budget = { allowed: true, exceeded: [] };
+  }
+
+  async record(call) {
+    this.rows.push({ ...call, cost_usd: this.costOf(call.provider, call.model, call.usage) });
+  }
+
+  async checkBudget() {
+    return this.budget;
+  }
+}
+
+function offlineRouter(env = { LLM_PROVIDER: 'stub' }, ledger = null) {
+  return LLMRouter.createDefault({ config: TEST_CONFIG, env, ledger });
+}
+
+async function testLlmProviders() {
+  console.log('🧠 LLM PROVIDER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Research on the stub - schema-valid JSON, and every text section built from it
+  const researcher = new AIResearcher({ llm: offlineRouter() });
+  researcher.cache.keyFor = () => null; // no database in offline tests
+  const research = await researcher.consolidatedResearch({ company_name: 'Acme Consulting', company_domain: 'acme-consulting.com' });
+  const schemaErrors = ResearchSchema.validate(research.structured);
+  check('Stub research matches the research schema', schemaErrors.length === 0, schemaErrors.slice(0, 3).join('; '));
+  const sections = ['company_background', 'founder_profile', 'growth_ceiling_indicators', 'personalization_hooks', 'outreach_angle'];
+  const empty = sections.filter(section => !research[section]);
+  check('Stub research fills every section', empty.length === 0, empty.length > 0 ? `empty: ${empty.join(', ')}` : '');
+
+  const again = await researcher.consolidatedResearch({ company_name: 'Acme Consulting', company_domain: 'acme-consulting.com' });
+  check('Stub research is deterministic', again.raw_response === research.raw_response);
+
+  // Small mistakes are repaired locally - numbers as text, enum casing, URL inside a sentence
+  const sloppy = ResearchSchema.check(`Here is the research: ${JSON.stringify({
+    company: { summary: 'Boutique IT consulting firm', founded_year: '2009', fit: 'Yes' },
+    founder: { name: 'Jane Doe', title: 'Founder & CEO', tenure_years: '15 years' },
+    pain_points: { category: 'Leadership Dependency', description: 'Every deal goes through Jane', evidence: 'Jane signs all proposals', source_url: 'see https://acme.example/about.' },
+    recent_activity: [{ date: 'March 2024', description: 'Opened a Denver office' }],
+    hooks: [],
+    outreach_angle: 'Fifteen years in, the firm still runs through the founder.'
+  })}`);
+  check('Sloppy research JSON is repaired locally', sloppy.errors.length === 0 &&
+    sloppy.value.founder.tenure_years === 15 && sloppy.value.company.fit === 'yes' &&
+    sloppy.value.pain_points[0].source_url === 'https://acme.example/about' && sloppy.value.recent_activity[0].date === '2024-03',
+    sloppy.errors.length > 0 ? sloppy.errors.join('; ') : `${sloppy.repairs.length} repairs`);
+
+  // Unusable research is sent back to the model once (research_repair task)
+  const garbled = new StubProvider({ responses: [{ match: 'Research this business', text: 'Acme Consulting is a boutique IT consultancy founded by Jane Doe. '.repeat(3) }] });
+  const repairing = new AIResearcher({ llm: offlineRouter().register(garbled) });
+  repairing.cache.keyFor = () => null;
+  const repaired = await repairing.consolidatedResearch({ company_name: 'Acme Consulting' });
+  check('Invalid research is retried through research_repair', repaired.validation.retried && garbled.calls === 2 &&
+    ResearchSchema.validate(repaired.structured).length === 0);
+
+  // Reply classification on the stub - a valid intent from the prompt's JSON template
+  const handler = new AIConversationHandler({ llm: offlineRouter() });
+  const classification = await handler.classifyReply('Sounds interesting - can we talk next week?');
+  const intents = ['INTERESTED', 'READY_TO_BOOK', 'NOT_INTERESTED', 'OBJECTION', 'OUT_OF_OFFICE', 'UNSUBSCRIBE', 'UNCLEAR'];
+  check('Stub reply classification returns a known intent', intents.includes(classification.intent), classification.intent);
+
+  // Canned responses
+  const canned = offlineRouter().register(new StubProvider({ responses: [{ match: 'hello', text: 'Hello from the fixture' }] }));
+  const cannedResult = await canned.complete('reply_response', { prompt: 'Say hello' });
+  check('Canned stub response', cannedResult.text === 'Hello from the fixture');
+
+  // Retry on rate limit, then success on the same provider
+  const retrying = offlineRouter().register(new StubProvider({ failures: [{ status: 429, message: 'Rate limited' }] }));
+  const retried = await retrying.complete('reply_response', { prompt: 'Write a reply' });
+  check('Rate limit is retried', retried.provider === 'stub' && retried.attempts.length === 2, `${retried.attempts.length} attempts`);
+
+  // Non-retryable error falls back to the next provider
+  const broken = new StubProvider({ failures: [{ status: 401, message: 'Invalid API key' }] });
+  broken.id = 'broken';
+  const fallback = offlineRouter({ LLM_TASK_REPLY_RESPONSE: 'broken,stub:stub-2' }).register(broken);
+  const fellBack = await fallback.complete('reply_response', { prompt: 'Write a reply' });
+  check('Invalid key falls back without retrying', fellBack.provider === 'stub' && fellBack.model === 'stub-2' && broken.calls === 1,
+    fellBack.attempts.map(a => `${a.provider}:${a.ok ? 'ok' : a.error}`).join(', '));
+
+  // Timeouts are retried, then the chain moves on
+  const slow = new SlowProvider();
+  const timing = offlineRouter({ LLM_TASK_RESEARCH: 'slow,stub' }).register(slow);
+  const timed = await timing.complete('research', { prompt: '1. COMPANY BACKGROUND:\n2. OUTREACH ANGLE:' });
+  const timeouts = timed.attempts.filter(a => a.provider === 'slow' && /timed out/.test(a.error)).length;
+  check('Timeouts are retried then fall back', timed.provider === 'stub' && timeouts === 3, `${timeouts} timeouts`);
+
+  // Too-short answers count as failures (research needs 100+ characters)
+  const terse = offlineRouter().register(new StubProvider({ responses: [{ match: 'terse', text: 'No.' }] }));
+  const terseError = await terse.complete('research', { prompt: 'terse question' }).catch(error => error);
+  check('Too-short research answer is rejected', terseError instanceof Error && /too-short/.test(terseError.message));
+
+  // Unknown providers in configuration are reported
+  const unknown = await offlineRouter({ LLM_PROVIDER: 'nope' }).complete('research', { prompt: 'x' }).catch(error => error);
+  check('Unknown provider is reported', unknown instanceof Error && /Unknown LLM provider "nope"/.test(unknown.message));
+
+  // Spend is recorded with the lead it served
+  const ledger = new MemoryLedger();
+  const ledgerRouter = offlineRouter({ LLM_PROVIDER: 'stub' }, ledger);
+  await ledgerRouter.complete('research', { prompt: '1. COMPANY BACKGROUND:', context: { opportunity_id: 'lead-1', source: 'rss' } });
+  check('Completed call is recorded', ledger.rows.length === 1 && ledger.rows[0].context.opportunity_id === 'lead-1' && ledger.rows[0].cost_usd === 0);
+
+  // Cost estimate: 1M input + 1M output tokens of sonar = $1 + $1 + $0.005 per request
+  const sonarCost = ledger.costOf('perplexity', 'sonar', { input_tokens: 1e6, output_tokens: 1e6 });
+  const unknownCost = ledger.costOf('other', 'model-x', { input_tokens: 10, output_tokens: 10 });
+  check('Cost estimate from the pricing table', sonarCost === 2.005 && unknownCost === null, `sonar $${sonarCost}`);
+
+  // Over budget - refused before any provider is called
+  const stub = new StubProvider();
+  ledgerRouter.register(stub);
+  ledger.budget = { allowed: false, exceeded: [{ scope: 'research', period: 'day', limit: 5, spent: 5.2 }] };
+  const overBudget = await ledgerRouter.complete('research', { prompt: 'x' }).catch(error => error);
+  check('Over budget fails with BUDGET_EXCEEDED', overBudget.code === 'BUDGET_EXCEEDED' && stub.calls === 0, overBudget.message);
+
+  // Research batches stop at the budget instead of failing lead by lead
+  const pausedResearcher = new AIResearcher({ llm: ledgerRouter });
+  pausedResearcher.cache.keyFor = () => null;
+  const batch = await pausedResearcher.researchBatch([{ id: 'a', company_name: 'A' }, { id: 'b', company_name: 'B' }]);
+  check('Research batch pauses on budget', batch.length === 0);
+
+  // Optional live call through the configured chain
+  const task = process.argv[2];
+  if (task) {
+    console.log(`\n🌐 Live call: ${task}`);
+    console.log('─────────────────────────────────────────\n');
+    const live = await LLMRouter.createDefault().complete(task, { prompt: 'In two sentences: what does a fractional COO do?' });
+    console.log(`   ${live.provider} (${live.model}) in ${live.latency_ms}ms`);
+    console.log(`   ${live.text.substring(0, 300)}\n`);
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testLlmProviders().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
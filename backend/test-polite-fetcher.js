@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+/**
+ * Polite Fetcher Test
+ * Serves the site in fixtures/polite-fetcher from local HTTP servers and checks
+ * PoliteFetcher against it: robots.txt groups and wildcards, blocked redirects,
+ * the disk cache and revalidation, per-host pacing and Crawl-delay, contact /
+ * team page discovery from the sitemap and navigation, and EmailFinder reading
+ * only the pages the site links to
+ *
+ * Usage:
+ *   node test-polite-fetcher.js                    # local servers only (offline)
+ *   node test-polite-fetcher.js example.com        # also discover pages on a live site
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const path = require('path');
+const PoliteFetcher = require('./services/polite-fetcher');
+const EmailFinder = require('./services/email-finder');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'polite-fetcher');
+
+/**
+ * A site on a random local port. routes: path -> { file | body, status, headers };
+ * anything else is a 404. Every request is logged with its headers
+ */
+function startSite(routes) {
+  const log = [];
+
+  const server = http.createServer((req, res) => {
+    log.push({ path: req.url, headers: req.headers });
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found');
+    }
+
+    if (route.etag && req.headers['if-none-match'] === route.etag) {
+      res.writeHead(304, { ETag: route.etag });
+      return res.end();
+    }
+
+    const origin = `http://${req.headers.host}`;
+    const body = route.file
+      ? fs.readFileSync(path.join(FIXTURE_DIR, route.file), 'utf8').replace(/\{origin\}/g, origin)
+      : route.body || '';
+    res.writeHead(route.status || 200, {
+      'Content-Type': route.type || 'text/html',
+      ...(route.etag ? { ETag: route.etag } : {}),
+      ...(route.location ? { Location: route.location } : {})
+    });
+    res.end(body);
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const host = `127.0.0.1:${server.address().port}`;
+    resolve({ server, log, host, origin: `http://${host}`, hits: url => log.filter(entry => entry.path === url).length });
+  }));
+}
+
+async function testPoliteFetcher() {
+  console.log('🤖 POLITE FETCHER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+  const blocked = promise => promise.then(() => null, error => error);
+
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'polite-fetcher-'));
+  PoliteFetcher.clearCache();
+
+  const site = await startSite({
+    '/robots.txt': { file: 'robots.txt', type: 'text/plain' },
+    '/sitemap_index.xml': { file: 'sitemap_index.xml', type: 'application/xml' },
+    '/page-sitemap.xml': { file: 'page-sitemap.xml', type: 'application/xml' },
+    '/post-sitemap.xml': { file: 'post-sitemap.xml', type: 'application/xml' },
+    '/': { file: 'home.html' },
+    '/get-in-touch': { file: 'contact.html' },
+    '/leadership': { file: 'people.html' },
+    '/our-people': { file: 'people.html' },
+    '/about-us': { body: '<h1>About Northwind</h1>' },
+    '/old-contact': { status: 301, location: '/get-in-touch' },
+    '/to-admin': { status: 302, location: '/admin/settings' },
+    '/admin/settings': { body: 'settings' },
+    '/admin/public': { body: 'public' },
+    '/cached': { body: 'versioned page', etag: '"v1"' }
+  });
+  const slowSite = await startSite({ '/robots.txt': { body: 'User-agent: *\nCrawl-delay: 1\n', type: 'text/plain' }, '/a': { body: 'a' }, '/b': { body: 'b' } });
+  const downSite = await startSite({ '/robots.txt': { status: 503, body: 'Maintenance' }, '/page': { body: 'page' } });
+  const openSite = await startSite({ '/page': { body: 'page' } });
+
+  // Generous pacing for everything except the pacing checks
+  const fetcher = new PoliteFetcher({ cacheDir, perHostPerMinute: 6000, burst: 100 });
+
+  // robots.txt rules
+  const robots = PoliteFetcher.robotsRules(PoliteFetcher.parseRobots(fs.readFileSync(path.join(FIXTURE_DIR, 'robots.txt'), 'utf8')));
+  const rules = {
+    '/about-us': true,
+    '/admin/settings': false,
+    '/admin/public/report': true,
+    '/files/capabilities.pdf': false,
+    '/files/capabilities.pdf?download=1': true
+  };
+  for (const [urlPath, allowed] of Object.entries(rules)) {
+    check(`robots.txt: ${urlPath} ${allowed ? 'allowed' : 'disallowed'}`, PoliteFetcher.isAllowed(robots.rules, urlPath) === allowed);
+  }
+  check('UnboundBot group wins over *', robots.rules.every(rule => rule.path !== '/' || rule.allow), `${robots.rules.length} rule(s)`);
+  check('Sitemap lines are collected', robots.sitemaps.length === 1 && robots.sitemaps[0].endsWith('/sitemap_index.xml'));
+
+  // Fetching: blocked pages are never requested, redirects are checked hop by hop
+  const page = await fetcher.fetch(`${site.origin}/about-us`, { headers: { 'User-Agent': 'Mozilla/5.0 Chrome/120.0' } });
+  check('Allowed page fetched', page.status === 200 && page.body.includes('About Northwind') && !page.fromCache);
+
+  const disallowed = await blocked(fetcher.fetch(`${site.origin}/admin/settings`));
+  check('Disallowed page throws ROBOTS_DISALLOWED', disallowed?.code === 'ROBOTS_DISALLOWED', disallowed?.message);
+
+  const redirectedIn = await blocked(fetcher.fetch(`${site.origin}/to-admin`));
+  check('Redirect into a disallowed path is blocked', redirectedIn?.code === 'ROBOTS_DISALLOWED' && site.hits('/admin/settings') === 0, `${site.hits('/admin/settings')} request(s) to /admin/settings`);
+
+  const redirected = await fetcher.fetch(`${site.origin}/old-contact`);
+  check('Allowed redirect followed', redirected.url === `${site.origin}/get-in-touch` && redirected.body.includes('hello@northwind.test'), redirected.url);
+
+  const missing = await blocked(fetcher.fetch(`${site.origin}/missing`));
+  check('HTTP errors throw with response.status', missing?.response?.status === 404, missing?.message);
+
+  // Disk cache
+  const before = site.log.length;
+  const again = await fetcher.fetch(`${site.origin}/about-us`);
+  const missingAgain = await blocked(fetcher.fetch(`${site.origin}/missing`));
+  const otherInstance = await new PoliteFetcher({ cacheDir, perHostPerMinute: 6000, burst: 100 }).fetch(`${site.origin}/old-contact`);
+  check('Cached pages, redirects and 404s need no request', site.log.length === before && again.fromCache && missingAgain?.response?.status === 404 &&
+    otherInstance.fromCache && otherInstance.url === `${site.origin}/get-in-touch`, `${site.log.length - before} new request(s)`);
+  check('robots.txt read once per host', site.hits('/robots.txt') === 1, `${site.hits('/robots.txt')} request(s)`);
+
+  const stale = new PoliteFetcher({ cacheDir, cacheTtlMs: 0, perHostPerMinute: 6000, burst: 100 });
+  await stale.fetch(`${site.origin}/cached`);
+  const revalidated = await stale.fetch(`${site.origin}/cached`);
+  const conditional = site.log.filter(entry => entry.path === '/cached').pop();
+  check('Stale entries are revalidated with their ETag', revalidated.fromCache && revalidated.body === 'versioned page' && conditional.headers['if-none-match'] === '"v1"');
+
+  const agents = [...new Set(site.log.map(entry => entry.headers['user-agent']))];
+  check('Every request identifies as UnboundBot', agents.length === 1 && agents[0] === PoliteFetcher.userAgent, agents.join(' | '));
+
+  // robots.txt missing or unreachable
+  const open = await fetcher.fetch(`${openSite.origin}/page`).catch(error => error);
+  check('No robots.txt allows everything', open?.body === 'page', open?.message);
+
+  const down = await blocked(fetcher.fetch(`${downSite.origin}/page`));
+  check('Unreachable robots.txt keeps us off the host', down?.code === 'ROBOTS_DISALLOWED' && downSite.hits('/page') === 0, down?.message);
+
+  // Pacing: per-host buckets and Crawl-delay
+  const paced = new PoliteFetcher({ cacheDir, perHostPerMinute: 300, burst: 2 });
+  let started = Date.now();
+  for (const url of ['/about-us', '/get-in-touch', '/leadership', '/our-people']) {
+    await paced.fetch(`${site.origin}${url}`, { cache: false });
+  }
+  let elapsed = Date.now() - started;
+  check('Requests per host are capped', elapsed >= 350, `4 requests at 300/min (burst 2) took ${elapsed}ms`);
+
+  started = Date.now();
+  await fetcher.fetch(`${slowSite.origin}/a`, { cache: false });
+  await fetcher.fetch(`${slowSite.origin}/b`, { cache: false });
+  elapsed = Date.now() - started;
+  check('Crawl-delay slows the host down', elapsed >= 900, `2 requests with Crawl-delay: 1 took ${elapsed}ms`);
+
+  started = Date.now();
+  await fetcher.fetch(`${slowSite.origin}/b`, { cache: false, robots: false });
+  await fetcher.fetch(`${slowSite.origin}/a`, { cache: false });
+  elapsed = Date.now() - started;
+  check('Crawl-delay holds for fetches that skip robots.txt', elapsed >= 1800, `2 more requests, one with robots: false, took ${elapsed}ms`);
+
+  // Page discovery
+  const local = url => url.replace('https://', 'http://'); // the fixture site has no TLS
+  const { homepage, pages } = await fetcher.discoverPages(site.host, {
+    fetchPage: url => fetcher.get(local(url)),
+    robots: origin => fetcher.robotsFor(local(origin))
+  });
+  const found = pages.map(p => `${new URL(p.url).pathname} (${p.kind}, ${p.source})`);
+  check('Homepage fetched', homepage?.html.includes('Northwind Advisory'));
+  check('Contact, team and about pages discovered', pages.map(p => new URL(p.url).pathname).join('|') === '/get-in-touch|/leadership|/our-people|/about-us', found.join(', '));
+  check('Sitemaps come from the robots.txt already read', site.hits('/robots.txt') === 1 && site.hits('/sitemap_index.xml') === 1, `${site.hits('/robots.txt')} robots.txt request(s)`);
+  check('Page sitemaps read before post sitemaps', site.log.findIndex(e => e.path === '/page-sitemap.xml') < site.log.findIndex(e => e.path === '/post-sitemap.xml'));
+
+  // EmailFinder: discovered pages only, no guessed URLs
+  const finder = new EmailFinder({ verifier: null, fetcher, fetchPage: url => fetcher.get(local(url)) });
+  const emails = await finder.scrapeWebsite(site.host);
+  const guessed = ['/contact', '/contact-us', '/about', '/team'].filter(url => site.hits(url) > 0);
+  check('EmailFinder finds addresses on discovered pages', ['hello@northwind.test', 'dana.reyes@northwind.test'].every(email => emails.includes(email)), emails.join(', '));
+  check('EmailFinder requests no guessed URLs', guessed.length === 0, guessed.join(', ') || 'none');
+
+  [site, slowSite, downSite, openSite].forEach(({ server }) => server.close());
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+
+  // Optional live discovery
+  const liveDomain = process.argv[2];
+  if (liveDomain) {
+    console.log(`\n🌐 Live discovery: ${liveDomain}`);
+    const live = await new PoliteFetcher().discoverPages(liveDomain);
+    console.log(`   Homepage: ${live.homepage?.url || 'unreachable'}`);
+    live.pages.forEach(p => console.log(`   ${p.kind.padEnd(8)} ${p.url} (${p.source})`));
+  }
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testPoliteFetcher().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * Research Cache Test
+ * Checks cache keys (domain vs company name), hits, expiry after the TTL,
+ * forceRefresh, stats and clearing - through AIResearcher.askPerplexity with a
+ * counting stand-in for the research model (in-memory database)
+ *
+ * Usage:
+ *   node test-research-cache.js
+ */
+
+require('dotenv').config();
+
+const ResearchCache = require('./services/research-cache');
+const AIResearcher = require('./services/ai-researcher');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const HARBOR = { id: 'opp-harbor', company_name: 'Harbor Analytics, Inc.', company_domain: 'https://blog.harboranalytics.com/post/1', source: 'rss' };
+const HARBOR_AGAIN = { id: 'opp-harbor-2', company_name: 'Harbor Analytics', company_domain: 'harboranalytics.com', source: 'manual_import' };
+const FORUM_POSTER = { id: 'opp-forum', company_name: 'Quiet Co', company_domain: 'reddit.com', source: 'forum' };
+
+/**
+ * Stand-in for LLMRouter - counts research calls and numbers the answers
+ */
+function countingModel() {
+  const model = {
+    calls: 0,
+    complete: async (task, { context }) => {
+      model.calls++;
+      return { text: `answer ${model.calls} for ${context ? context.company_name : 'no company'}`, citations: ['https://harboranalytics.com/about'], provider: 'stub', model: 'stub-research' };
+    }
+  };
+  return model;
+}
+
+async function testResearchCache() {
+  console.log('💾 RESEARCH CACHE TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const database = new MemoryDatabase();
+  const cache = new ResearchCache({ ttlDays: 30 });
+  cache.supabase = database;
+
+  // Keys
+  check('Subdomains share the company key', cache.keyFor(HARBOR, 'structured').key === 'structured:harboranalytics.com' &&
+    cache.keyFor(HARBOR_AGAIN, 'structured').key === cache.keyFor(HARBOR, 'structured').key);
+  check('Query type is part of the key', cache.keyFor(HARBOR, 'founder').key === 'founder:harboranalytics.com');
+  check('Platform domains key on the company name', cache.keyFor(FORUM_POSTER, 'structured').key === 'structured:name:quiet' && cache.keyFor(FORUM_POSTER, 'structured').domain === null,
+    cache.keyFor(FORUM_POSTER, 'structured').key);
+  check('Nothing to key on', cache.keyFor({ company_domain: 'reddit.com' }, 'structured') === null);
+
+  // Through the researcher
+  const model = countingModel();
+  const researcher = new AIResearcher({ llm: model });
+  researcher.cache = cache;
+  const before = (await cache.stats()).session;
+
+  const first = await researcher.askPerplexity('research Harbor', { company: HARBOR, type: 'structured' });
+  const second = await researcher.askPerplexity('research Harbor', { company: HARBOR_AGAIN, type: 'structured' });
+  check('First lookup calls the model and caches the answer', model.calls === 1 && first.findings === 'answer 1 for Harbor Analytics, Inc.' && database.rows('research_cache').length === 1);
+  check('Same company from another source is a hit', second.cached === true && second.findings === first.findings && !!second.cached_at);
+  check('Hits counted on the entry', database.rows('research_cache')[0].hits === 1 && !!database.rows('research_cache')[0].last_hit_at);
+
+  await researcher.askPerplexity('research Harbor founder', { company: HARBOR, type: 'founder' });
+  check('Another query type is a separate entry', model.calls === 2 && database.rows('research_cache').length === 2);
+
+  await researcher.askPerplexity('general question');
+  check('Queries without a company are not cached', model.calls === 3 && database.rows('research_cache').length === 2);
+
+  const refreshed = await researcher.askPerplexity('research Harbor', { company: HARBOR, type: 'structured', forceRefresh: true });
+  const entry = database.rows('research_cache').find(row => row.cache_key === 'structured:harboranalytics.com');
+  check('forceRefresh calls the model and overwrites the entry', model.calls === 4 && !refreshed.cached && entry.response.findings === 'answer 4 for Harbor Analytics, Inc.' && entry.hits === 0);
+
+  const forced = new AIResearcher({ llm: model, forceRefresh: true });
+  forced.cache = cache;
+  await forced.askPerplexity('research Harbor', { company: HARBOR, type: 'structured' });
+  check('Researcher-wide forceRefresh', model.calls === 5);
+
+  // Expiry
+  entry.expires_at = new Date(Date.now() - 1000).toISOString();
+  const expired = await researcher.askPerplexity('research Harbor', { company: HARBOR, type: 'structured' });
+  const ttl = database.rows('research_cache').find(row => row.cache_key === 'structured:harboranalytics.com');
+  check('Expired entry is a miss and gets replaced', model.calls === 6 && !expired.cached && new Date(ttl.expires_at) > new Date());
+  check('Entries expire after the TTL', Math.round((new Date(ttl.expires_at) - new Date(ttl.created_at)) / (24 * 60 * 60 * 1000)) === 30);
+
+  // Stats
+  const stats = await cache.stats();
+  check('Session hits and misses', stats.session.hits - before.hits === 1 && stats.session.misses - before.misses === 3, JSON.stringify(stats.session));
+  check('Entries per query type', stats.entries === 2 && stats.by_type.structured.entries === 1 && stats.by_type.founder.entries === 1 && stats.ttl_days === 30);
+
+  // Unreachable cache
+  database.fail('research_cache', 'relation "research_cache" does not exist');
+  const uncached = await researcher.askPerplexity('research Harbor', { company: HARBOR, type: 'structured' });
+  check('Unreachable cache falls back to the model', model.calls === 7 && uncached.findings === 'answer 7 for Harbor Analytics, Inc.');
+  database.fail('research_cache', null);
+
+  // Clearing
+  database.rows('research_cache').push({ cache_key: 'structured:old.test', domain: 'old.test', query_type: 'structured', response: {}, hits: 3, expires_at: new Date(Date.now() - 1000).toISOString() });
+  check('Expired-only clear', (await cache.clear({ expiredOnly: true })).removed === 1 && database.rows('research_cache').length === 2);
+  check('Invalid domain rejected', (await cache.clear({ domain: 'not a domain' })).errors?.length === 1);
+  check('Clear one domain and type', (await cache.clear({ domain: 'https://www.harboranalytics.com', type: 'founder' })).removed === 1 && database.rows('research_cache').length === 1);
+  check('Clear everything', (await cache.clear()).removed === 1 && database.rows('research_cache').length === 0);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testResearchCache().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
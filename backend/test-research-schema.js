@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * Research Schema Test
+ * Repairs the loose model answer in fixtures/research-schema (numbers as text,
+ * enum casing, "unknown", dates, URLs in a sentence, a single hook, extra
+ * fields) and checks the remaining errors, the text sections and the one
+ * repair retry in AIResearcher (stand-in model, in-memory database)
+ *
+ * Usage:
+ *   node test-research-schema.js
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const ResearchSchema = require('./services/research-schema');
+const ResearchCache = require('./services/research-cache');
+const AIResearcher = require('./services/ai-researcher');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const LOOSE_ANSWER = fs.readFileSync(path.join(__dirname, 'fixtures/research-schema/loose-answer.txt'), 'utf8');
+const HARBOR = { id: 'opp-harbor', company_name: 'Harbor Strategy Group', company_domain: 'harborstrategy.example', source: 'rss' };
+
+/**
+ * Stand-in for LLMRouter - answers each task from a list and records the calls
+ */
+function scriptedModel(answers) {
+  const model = {
+    calls: [],
+    complete: async (task, { prompt }) => {
+      model.calls.push({ task, prompt });
+      return { text: answers[task].shift(), citations: ['https://harborstrategy.example/about'], provider: 'stub', model: 'stub-research' };
+    }
+  };
+  return model;
+}
+
+async function testResearchSchema() {
+  console.log('🧾 RESEARCH SCHEMA TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Template and parsing
+  const template = ResearchSchema.template();
+  check('Schema version from $id', ResearchSchema.version === '1');
+  check('Template shows enums and descriptions', template.company.fit === 'yes|no|maybe' && template.company.summary === 'What they do, in one sentence' &&
+    template.pain_points.length === 1 && template.pain_points[0].category.startsWith('leadership_dependency|'));
+  check('JSON found inside prose and code fences', ResearchSchema.parse(LOOSE_ANSWER).data?.founder.name === 'Dana Whitfield');
+  check('No JSON object', ResearchSchema.parse('Sorry, I could not find anything.').error === 'No JSON object in the response');
+  check('Broken JSON', ResearchSchema.parse('{ "company": { "summary": } }').error?.startsWith('Invalid JSON'));
+
+  check('Dates normalized', ResearchSchema.normalizeDate('2024-03-05T10:00:00Z') === '2024-03-05' && ResearchSchema.normalizeDate('March 5, 2024') === '2024-03-05' &&
+    ResearchSchema.normalizeDate('Mar 2024') === '2024-03' && ResearchSchema.normalizeDate('in 2019') === '2019' && ResearchSchema.normalizeDate('last spring') === null);
+
+  // Repair
+  const { value, errors, repairs } = ResearchSchema.check(LOOSE_ANSWER);
+  check('Loose answer repaired without errors', errors.length === 0, errors.join('; '));
+  check('Numbers read from text', value.company.founded_year === 2011 && value.company.employee_estimate === 45 && value.founder.tenure_years === 13);
+  check('Enum casing fixed', value.company.fit === 'yes' && value.pain_points[0].category === 'leadership_dependency' && value.hooks[0].type === 'achievement');
+  check('Yes read as true', value.founder.hands_on === true);
+  check('URL taken from a sentence', value.pain_points[0].source_url === 'https://harborstrategy.example/about');
+  check('Single items wrapped in a list', value.hooks.length === 1 && value.founder.transition_signals.join() === 'Talks about stepping back on podcasts');
+  check('Invalid list items dropped', value.pain_points.length === 1);
+  check('Dates and "unknown" repaired', value.recent_activity[0].date === '2024-03' && value.recent_activity[1].date === null && value.recent_activity[1].source_url === null);
+  check('Unknown fields dropped', !('headquarters' in value.company) && repairs.includes('company: unknown field "headquarters" dropped'));
+  check('Repairs listed per field', repairs.includes('company.employee_estimate: "about 45" read as 45') && repairs.includes('pain_points: item 1 dropped (invalid)'),
+    `${repairs.length} repairs`);
+
+  const broken = ResearchSchema.check(JSON.stringify({ company: { industry: 'Consulting', founded_year: 1500 }, founder: {}, pain_points: [], recent_activity: [], hooks: [] }));
+  check('Missing required fields left as errors', broken.errors.includes('company.summary: required') && broken.errors.includes('outreach_angle: required'), broken.errors.join('; '));
+  check('Out-of-range numbers set to null', broken.value.company.founded_year === null && broken.value.founder.name === null);
+
+  // Text sections
+  const sections = ResearchSchema.toSections(value);
+  check('Company background', sections.company_background.includes('Founded in 2011.') && sections.company_background.includes('About 45 employees.') &&
+    sections.company_background.includes('Fit: yes - Founder-led and past the startup stage.'));
+  check('Founder profile', sections.founder_profile === 'Dana Whitfield, Founder & CEO. Leading the company for 13 years. Still hands-on in daily operations. Transition signals: Talks about stepping back on podcasts.',
+    sections.founder_profile);
+  check('Pain points with evidence and source', sections.growth_ceiling_indicators ===
+    '- Leadership dependency: Every client engagement still runs through the founder. Evidence: The about page lists Dana as lead on every engagement (https://harborstrategy.example/about)');
+  check('Undated activity labelled', sections.recent_activity.split('\n')[1] === '- Undated: Hired a head of operations');
+
+  // Researcher
+  const database = new MemoryDatabase();
+  const cache = new ResearchCache();
+  cache.supabase = database;
+
+  const valid = JSON.stringify(value);
+  const model = scriptedModel({ research: ['The founder is Dana Whitfield. {"company": {"summary": "Advisors"}}'], research_repair: [valid] });
+  const researcher = new AIResearcher({ llm: model });
+  researcher.cache = cache;
+
+  const result = await researcher.consolidatedResearch(HARBOR);
+  check('Invalid answer sent back once through research_repair', model.calls.map(call => call.task).join(',') === 'research,research_repair' &&
+    model.calls[1].prompt.includes('- company.summary: too short (min 10 characters)'));
+  check('Corrected answer used', result.structured.founder.name === 'Dana Whitfield' && result.founder_profile === sections.founder_profile);
+  check('Validation records the retry', result.validation.retried && result.validation.repaired && result.validation.schema_version === '1' && result.validation.errors.length > 0);
+  check('Corrected answer replaces the cached one', database.rows('research_cache').length === 1 && database.rows('research_cache')[0].response.findings === valid);
+
+  const cached = await researcher.consolidatedResearch(HARBOR);
+  check('Cache hit needs no fixing', model.calls.length === 2 && cached.validation.retried === false && cached.validation.repaired === false);
+
+  const clean = await researcher.validateResearch({ findings: LOOSE_ANSWER }, HARBOR);
+  check('Repairable answer needs no retry', model.calls.length === 2 && clean.validation.retried === false && clean.validation.repaired === true);
+
+  const stubborn = scriptedModel({ research_repair: ['still not JSON'] });
+  researcher.llm = stubborn;
+  let thrown = null;
+  try {
+    await researcher.validateResearch({ findings: '{"company": {}}' }, HARBOR);
+  } catch (error) {
+    thrown = error;
+  }
+  check('Gives up after one retry', stubborn.calls.length === 1 && thrown?.message === 'Research output doesn\'t match the schema: No JSON object in the response');
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testResearchSchema().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
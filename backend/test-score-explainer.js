@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Score Explainer Test
+ * Scores sample posts with IntelligentScorer and the rss / forums / news sources
+ * and checks the score_explanation each one stores: outcome and reason,
+ * qualification criteria, components with their caps, and hits that point
+ * back at the field and text span they came from
+ *
+ * Usage:
+ *   node test-score-explainer.js
+ */
+
+require('dotenv').config();
+
+const IntelligentScorer = require('./services/intelligent-scorer');
+const RSSMonitor = require('./services/rss-monitor');
+const ForumScanner = require('./services/forum-scanner');
+const NewsFeedScanner = require('./services/news-feed-scanner');
+const defaultRules = require('./services/scoring-rules.json');
+
+const LEAD = {
+  company_name: 'Harbor Analytics',
+  company_domain: 'harboranalytics.com',
+  overall_score: 40,
+  opportunity_data: {
+    title: 'Struggling with a manual, slow sales pipeline - need help ASAP',
+    snippet: 'We raised a seed round and are paying for three tools. Problem: the bottleneck is broken reporting. We are not hiring.'
+  }
+};
+
+const POST = {
+  title: 'Struggling to grow our SaaS startup revenue - need help',
+  contentSnippet: 'Our business has a problem with customer churn and marketing. How to fix this?',
+  link: 'https://blog.example.com/posts/churn'
+};
+
+/**
+ * Every keyword hit's span contains the text of the field it names
+ */
+function spansMatchFields(hits, fields) {
+  return hits.every(hit => {
+    const span = hit.span.replace(/…/g, '');
+    return fields[hit.field] !== undefined && fields[hit.field].includes(span);
+  });
+}
+
+async function testScoreExplainer() {
+  console.log('🔎 SCORE EXPLAINER TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // IntelligentScorer
+  const scorer = new IntelligentScorer(defaultRules);
+  const result = await scorer.processOpportunity(LEAD);
+  const explanation = result.explanation;
+  const component = name => explanation.components.find(c => c.name === name);
+
+  check('Explanation matches the result', explanation.scorer === 'intelligent-scorer' && explanation.ruleset_version === defaultRules.version &&
+    explanation.score === result.score && explanation.outcome === result.action && explanation.max_score === 40 && explanation.overall_score === 70,
+  `${explanation.score}/${explanation.max_score} ${explanation.outcome}`);
+  check('Outcome reason names the threshold', explanation.outcome_reason === 'Score 28 reached the QUALIFIED threshold (25)', explanation.outcome_reason);
+  check('Qualification lists the signals behind each criterion', explanation.qualification.met === 4 && explanation.qualification.required === 3 &&
+    explanation.qualification.criteria.hasBudget.signals.join(',') === 'fundingMentioned,payingForTools');
+  check('One component per dimension, summing to the score', explanation.components.length === 4 &&
+    explanation.components.reduce((sum, c) => sum + c.value, 0) === explanation.score);
+
+  const pain = component('painSeverity');
+  const fields = { 'opportunity_data.title': LEAD.opportunity_data.title, 'opportunity_data.snippet': LEAD.opportunity_data.snippet };
+  check('Keyword hits carry weight, field and span', pain.hits.length === 6 && pain.hits.every(hit => hit.weight === 0.8) && spansMatchFields(pain.hits, fields),
+    pain.hits.map(hit => hit.keyword).join(','));
+  check('Raw points kept next to the rounded value', pain.raw === 4.8 && pain.value === 5 && !pain.capped);
+  const funding = component('budgetLikelihood').hits.find(hit => hit.signal === 'fundingMentioned');
+  check('Signal hits list the keywords that set them', funding?.weight === 4 && funding.matches.map(m => m.keyword).join(',') === 'raised,seed round' && spansMatchFields(funding.matches, fields));
+  check('Negated keywords are not evidence', !JSON.stringify(explanation).includes('"keyword":"hiring"'));
+  check('First-match dimension shows the rule that won', component('urgency').hits.length === 1 && component('urgency').hits[0].signal === 'urgencyHigh');
+
+  const capped = await scorer.processOpportunity({
+    ...LEAD,
+    opportunity_data: { ...LEAD.opportunity_data, notes: 'Every issue is a challenge: difficult, frustrating, inefficient, time consuming, a blocker, failing and losing money.' }
+  });
+  const cappedPain = capped.explanation.components.find(c => c.name === 'painSeverity');
+  check('Cap flagged when raw points exceed the max', cappedPain.capped && cappedPain.raw > 10 && cappedPain.value === 10, `raw ${cappedPain.raw}`);
+
+  const skipped = await scorer.processOpportunity({ company_name: 'Quiet Co', opportunity_data: { title: 'Our story' } });
+  check('Unqualified lead explains what was missing', skipped.explanation.outcome === 'SKIP' && skipped.explanation.components.length === 0 &&
+    skipped.explanation.outcome_reason.startsWith('Not qualified - 0 of 3 required criteria met (Missing: lookingForSolutions'), skipped.explanation.outcome_reason);
+
+  const autoQualified = await scorer.processOpportunity({ company_name: 'Quiet Co', route_to_outreach: true, opportunity_data: { title: 'Our story' } });
+  check('Auto-qualifying signal recorded', autoQualified.explanation.qualification.auto_qualified_by.includes('routedToOutreach'));
+
+  // Sources
+  const rss = new RSSMonitor();
+  const content = await rss.analyze({ raw: POST, feed: { name: 'Growth Blog', type: 'content' }, published_at: null });
+  const rssExplanation = content.opportunity_data.score_explanation;
+  const rssFit = rssExplanation.components.find(c => c.name === 'fit');
+  const rssHits = rssExplanation.components.filter(c => c.name !== 'fit').reduce((sum, c) => sum + c.value, 0);
+  check('RSS explanation matches the stored score', rssExplanation.scorer === 'rss' && rssExplanation.overall_score === content.overall_score &&
+    rssExplanation.outcome === content.priority_tier && rssFit.value === Math.min(10, Math.ceil(rssHits / 2) + 3), rssExplanation.outcome_reason);
+  check('RSS keyword hits point at the post', rssExplanation.components.flatMap(c => c.hits).every(hit => ['title', 'content'].includes(hit.field)) &&
+    spansMatchFields(rssExplanation.components.flatMap(c => c.hits), { title: POST.title, content: POST.contentSnippet }));
+  check('RSS fit under the cap', rssFit.raw === 9 && !rssFit.capped, `raw ${rssFit.raw}`);
+
+  const ownerPost = rss.analyzeBusinessPost({ title: 'I quit my job and bootstrapped my SaaS to $10k MRR', contentSnippet: 'Solo founder here.' }, 'Indie Hackers');
+  const owner = rss.explainScore(ownerPost, 70, 'tier_1', true);
+  check('Business owner posts explain the fixed baseline', owner.outcome === 'tier_1' && owner.qualification.auto_qualified_by[0] === 'Indie Hackers' &&
+    owner.components[0].name === 'owner_signals', owner.outcome_reason);
+
+  const forums = new ForumScanner();
+  const thread = await forums.analyze({ raw: POST, feed: { name: 'r/startups' }, published_at: null });
+  const forumExplanation = thread.opportunity_data.score_explanation;
+  const forumFit = forumExplanation.components.find(c => c.name === 'fit');
+  check('Forum explanation matches the stored score', forumExplanation.scorer === 'forums' && forumExplanation.overall_score === thread.overall_score &&
+    forumExplanation.outcome === thread.priority_tier && forumFit.value === Math.min(10, forumFit.raw));
+  check('Forum fit cap flagged', forumFit.raw === 11 && forumFit.capped && forumFit.value === 10, `raw ${forumFit.raw}`);
+
+  const news = new NewsFeedScanner();
+  const article = await news.analyze({ title: POST.title, content: POST.contentSnippet, url: POST.link, published_at: null, feed: { name: 'TechCrunch' } });
+  const newsExplanation = article.opportunity_data.score_explanation;
+  const newsFit = newsExplanation.components[0];
+  check('News explanation lists each weighted phrase', newsExplanation.scorer === 'news' && newsFit.hits.map(hit => hit.keyword).sort().join(',') === 'need help,revenue,startup,struggling' &&
+    newsFit.raw === 60 && newsFit.value === article.overall_score, newsFit.hits.map(hit => `${hit.keyword}=${hit.weight}`).join(','));
+  check('News gate lists pain and business matches', newsExplanation.qualification.criteria.pain.signals.length > 0 && newsExplanation.qualification.criteria.business.signals.includes('revenue'));
+
+  check('Every explanation is timestamped', [explanation, rssExplanation, forumExplanation, newsExplanation].every(e => !isNaN(Date.parse(e.generated_at))));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testScoreExplainer().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
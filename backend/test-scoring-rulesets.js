@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Scoring Rulesets Test
+ * Checks ruleset validation and that testRuleset re-scores stored rows with the
+ * inputs the live scorer sees, so the draft-versus-active diff only shows
+ * changes the draft caused
+ *
+ * Usage:
+ *   node test-scoring-rulesets.js
+ */
+
+require('dotenv').config();
+
+const ScoringRulesets = require('./services/scoring-rulesets');
+const defaultRules = require('./services/scoring-rules.json');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+async function testScoringRulesets() {
+  console.log('📐 SCORING RULESETS TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Validation
+  check('Built-in ruleset is valid', ScoringRulesets.validate(defaultRules).length === 0, ScoringRulesets.validate(defaultRules).join('; '));
+  check('Non-object rejected', ScoringRulesets.validate([]).length === 1);
+
+  const broken = copy(defaultRules);
+  broken.version = '';
+  broken.signals.hiring = { keywords: [] };
+  broken.qualification.criteria.reachable.push('hasPhoneNumber');
+  broken.qualification.min_criteria = 9;
+  broken.dimensions.painSeverity.type = 'weighted';
+  broken.insights = [{ dimension: 'budget', min: 1, text: 'Has budget' }];
+  delete broken.route_to_outreach_min_score;
+  const errors = ScoringRulesets.validate(broken);
+  const reported = fragment => errors.some(error => error.includes(fragment));
+
+  check('Empty version reported', reported('version must be'));
+  check('Empty keyword list reported', reported('signals.hiring.keywords'));
+  check('Unknown signal reference reported', reported('unknown signal "hasPhoneNumber"'));
+  check('min_criteria above the criteria count reported', reported('between 0 and 4'));
+  check('Unknown dimension type reported', reported('dimensions.painSeverity.type'));
+  check('Insight on an unknown dimension reported', reported('unknown dimension "budget"'));
+  check('Missing route_to_outreach_min_score reported', reported('route_to_outreach_min_score'));
+  check('Nothing else reported', errors.length === 7, `${errors.length} errors`);
+
+  // testRuleset: built-in rules are active
+  ScoringRulesets.getActiveRules = async () => defaultRules;
+
+  const routed = {
+    id: 'opp-routed',
+    company_name: 'Harbor Analytics',
+    company_domain: 'harboranalytics.com',
+    source: 'manual_import',
+    overall_score: 82,
+    route_to_outreach: true,
+    opportunity_data: { discovered_email: 'ana@harboranalytics.com', scoring: { overall_score: 82 } },
+    created_at: '2026-10-02T00:00:00.000Z'
+  };
+  const cold = {
+    id: 'opp-cold',
+    company_name: 'Quiet Co',
+    company_domain: '',
+    source: 'manual_import',
+    overall_score: 10,
+    route_to_outreach: false,
+    opportunity_data: {},
+    created_at: '2026-10-01T00:00:00.000Z'
+  };
+
+  const same = { ...copy(defaultRules), version: 'same-as-active' };
+  const strict = copy(defaultRules);
+  strict.version = 'no-score-shortcut';
+  strict.qualification.auto_qualify = [];
+  Object.values(strict.qualification.criteria).forEach(list => {
+    const at = list.indexOf('highScore');
+    if (at !== -1) list.splice(at, 1);
+  });
+  strict.qualification.min_criteria = 2;
+
+  const rulesets = new ScoringRulesets();
+  rulesets.supabase = new MemoryDatabase({
+    scored_opportunities: [routed, cold],
+    scoring_rulesets: [
+      { version: same.version, status: 'draft', rules: same },
+      { version: strict.version, status: 'draft', rules: strict }
+    ]
+  });
+
+  const input = rulesets.scoringInput(routed);
+  check('Scoring input keeps overall_score and route_to_outreach', input.overall_score === 82 && input.route_to_outreach === true);
+  check('Scoring input passes the discovered email as contact_email', input.contact_email === 'ana@harboranalytics.com');
+  check('Scoring input drops the stored scoring explanation', input.opportunity_data.scoring === undefined);
+
+  const unchanged = await rulesets.testRuleset(same.version);
+  check('Identical draft reports no changes', unchanged.changed === 0 && unchanged.sample_size === 2, `${unchanged.changed} changed`);
+  check('Routed row still qualifies under the active rules', unchanged.summary.active.qualified === 1, `${unchanged.summary.active.qualified} qualified`);
+
+  const tightened = await rulesets.testRuleset(strict.version);
+  check('Without the highScore shortcut the routed row no longer qualifies', tightened.summary.active.qualified === 1 && tightened.summary.draft.qualified === 0,
+    `${tightened.summary.active.qualified} -> ${tightened.summary.draft.qualified} qualified`);
+  check('Unknown draft version is not found', (await rulesets.testRuleset('missing')).notFound === true);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testScoringRulesets().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
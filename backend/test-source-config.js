@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+/**
+ * Source Config Test
+ * Edits the forum scanner's feeds and keyword lists through SourceConfig against
+ * an in-memory database: validation, seeding from the built-in lists on the
+ * first edit, disabled feeds, resets, and the scanner picking the changes up
+ * on its next loadConfig()
+ *
+ * Usage:
+ *   node test-source-config.js
+ */
+
+require('dotenv').config();
+
+const ForumScanner = require('./services/forum-scanner');
+const RSSMonitor = require('./services/rss-monitor');
+const SourceConfig = require('./services/source-config');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+async function testSourceConfig() {
+  console.log('🎛️  SOURCE CONFIG TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  const database = new MemoryDatabase();
+  const config = new SourceConfig();
+  config.supabase = database;
+  const forums = new ForumScanner();
+  forums.sourceConfig.supabase = database;
+  const rss = new RSSMonitor();
+
+  // Validation
+  const feedErrors = config.validateFeed(forums, { name: ' ', url: 'ftp://example.com/feed', type: 'content', enabled: 'yes' });
+  check('Bad feed reports every problem', feedErrors.length === 4, JSON.stringify(feedErrors));
+  check('Typed sources need a known type', config.validateFeed(rss, { name: 'Blog', url: 'https://blog.test/rss' })[0] === 'type must be one of: business_owners, content');
+  check('Duplicate feed url rejected', config.validateFeed(forums, forums.defaultFeeds[0], [{ id: 'other', ...forums.defaultFeeds[0] }]).length === 1);
+
+  const cleaned = config.validateKeywordList(forums, 'pain', ['  Burned Out ', 'burned out', 'churn']);
+  check('Keywords trimmed, lowercased and de-duplicated', cleaned.errors.length === 0 && cleaned.keywords.join(',') === 'burned out,churn', cleaned.keywords.join(','));
+  check('Unknown list rejected', config.validateKeywordList(forums, 'owner_signals', ['founder']).errors[0].startsWith('Unknown keyword list "owner_signals"'));
+  check('Empty and non-string keywords rejected', config.validateKeywordList(forums, 'pain', []).errors[0] === 'keyword list cannot be empty' &&
+    config.validateKeywordList(forums, 'pain', ['ok', 7]).errors[0] === 'keywords[1] must be a non-empty string');
+
+  // Untouched source runs on its defaults
+  const untouched = await config.load(forums);
+  check('Defaults until the first edit', !untouched.feeds_customized && untouched.feeds.length === forums.defaultFeeds.length && untouched.customized_lists.length === 0);
+
+  // Feeds
+  const invalid = await config.addFeed(forums, { name: 'Broken', url: 'not a url' });
+  check('Invalid feed not saved', invalid.errors?.length === 1 && database.rows('source_feeds').length === forums.defaultFeeds.length);
+  check('First edit copies the built-in feeds', database.rows('source_feeds').every(feed => feed.source_id === 'forums' && feed.enabled));
+
+  const added = await config.addFeed(forums, { name: 'r/sales', url: 'https://www.reddit.com/r/sales/.rss' });
+  check('Feed added', added.feed?.name === 'r/sales' && database.rows('source_feeds').length === forums.defaultFeeds.length + 1);
+
+  const marketing = database.rows('source_feeds').find(feed => feed.name === 'r/marketing');
+  const disabled = await config.updateFeed(forums, marketing.id, { enabled: false });
+  check('Feed disabled', disabled.feed?.enabled === false);
+  check('Unknown feed id', (await config.updateFeed(forums, 'missing', { enabled: false })).notFound === true && (await config.deleteFeed(forums, 'missing')).notFound === true);
+
+  const described = await config.describe(forums);
+  check('Dashboard view keeps disabled feeds', described.feeds_customized && described.feeds.some(feed => feed.id === marketing.id && !feed.enabled));
+
+  // Keyword lists
+  const saved = await config.saveKeywordList(forums, 'pain', ['Churn', 'burned out']);
+  check('Keyword list saved', saved.list?.keywords.join(',') === 'churn,burned out');
+  await config.saveKeywordList(forums, 'pain', ['churn', 'losing clients']);
+  check('Saving again replaces the list', database.rows('keyword_lists').length === 1 && database.rows('keyword_lists')[0].keywords.join(',') === 'churn,losing clients');
+
+  // Next run picks the edits up
+  await forums.loadConfig();
+  check('Scanner skips disabled feeds and runs the added one', forums.feeds.length === forums.defaultFeeds.length &&
+    !forums.feeds.some(feed => feed.name === 'r/marketing') && forums.feeds.some(feed => feed.name === 'r/sales'));
+  check('Scanner uses the stored keywords', forums.keywords.pain.join(',') === 'churn,losing clients' && forums.keywords.question === forums.defaultKeywords.question);
+
+  const reset = await config.resetKeywordList(forums, 'pain');
+  await forums.loadConfig();
+  check('Reset goes back to the built-in list', reset.list.is_default && database.rows('keyword_lists').length === 0 && forums.keywords.pain === forums.defaultKeywords.pain);
+
+  // Deleting feeds
+  for (const feed of database.rows('source_feeds').slice(1)) {
+    await config.deleteFeed(forums, feed.id);
+  }
+  const last = database.rows('source_feeds')[0];
+  check('Last feed cannot be deleted', (await config.deleteFeed(forums, last.id)).errors?.length === 1 && database.rows('source_feeds').length === 1);
+
+  // Unreadable tables fall back to the defaults
+  database.fail('source_feeds', 'relation "source_feeds" does not exist');
+  await forums.loadConfig();
+  check('Scanner falls back to built-in config on errors', forums.feeds === forums.defaultFeeds);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testSourceConfig().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
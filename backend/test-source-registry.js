@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Source Registry Test
+ * Checks the registry (built-in sources, duplicate ids, unknown sources) and
+ * runs a fixture adapter through SourceAdapter's fetch -> normalize -> analyze
+ * -> persist pipeline against an in-memory database: dropped items, duplicates,
+ * company linking, ICP match and per-item errors
+ *
+ * Usage:
+ *   node test-source-registry.js
+ */
+
+require('dotenv').config();
+
+const SourceRegistry = require('./services/source-registry');
+const SourceAdapter = require('./services/source-adapter');
+const RSSMonitor = require('./services/rss-monitor');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+const ITEMS = [
+  { title: 'Harbor Analytics is hiring a sales lead', site: 'harboranalytics.com', score: 72 },
+  { title: 'Weekly digest', site: null, score: 0 },
+  { title: 'Harbor Analytics opens a second office', site: 'https://www.harboranalytics.com/news', score: 64 },
+  { title: 'BrightPath Consulting needs help with outbound', site: 'brightpath.io', score: 81 },
+  { title: 'Broken item', site: 'broken.test', score: 50, explode: true }
+];
+
+/**
+ * Minimal source: items come from ITEMS, anything without a site is dropped
+ */
+class FixtureSource extends SourceAdapter {
+  constructor() {
+    super({ id: 'fixture', name: 'Fixture Source', description: 'Items from the test script' });
+    this.defaultKeywords = { hiring: ['hiring'] };
+  }
+
+  async fetch() {
+    return { items: ITEMS, errors: [{ feed: 'Offline feed', error: 'ENOTFOUND' }] };
+  }
+
+  normalize(raw) {
+    return { title: raw.title, content: '', url: raw.site, author: null, published_at: null, feed: null, raw };
+  }
+
+  async analyze(item) {
+    if (item.raw.explode) throw new Error('analysis failed');
+    if (!item.url) return null;
+    return {
+      company_name: item.title.split(' ').slice(0, 2).join(' '),
+      company_domain: item.url,
+      source: this.id,
+      overall_score: item.raw.score,
+      opportunity_data: { title: item.title }
+    };
+  }
+}
+
+/**
+ * Point the adapter and every service it owns at the in-memory database
+ */
+function useDatabase(adapter, database) {
+  [adapter, adapter.resolver, adapter.feedFetcher, adapter.sourceConfig, adapter.icpProfiles].forEach(service => {
+    service.supabase = database;
+  });
+  return adapter;
+}
+
+async function testSourceRegistry() {
+  console.log('🗂️  SOURCE REGISTRY TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+  const thrown = fn => Promise.resolve().then(fn).then(() => null, error => error);
+
+  // Registry
+  const registry = SourceRegistry.createDefault();
+  const listed = registry.list();
+  check('Built-in sources registered', listed.map(source => source.id).join(',') === 'rss,forums,news', listed.map(source => source.id).join(','));
+  check('Listed sources describe themselves', listed.every(source => source.name && Array.isArray(source.keyword_lists)));
+  check('Lookup by id', registry.get('rss') instanceof RSSMonitor && registry.get('missing') === null);
+  check('Duplicate id rejected', (await thrown(() => registry.register(new RSSMonitor())))?.message === 'Source "rss" is already registered');
+  check('Adapter without an id rejected', (await thrown(() => registry.register({})))?.message === 'Source adapter must have an id');
+  check('Unknown source rejected', (await thrown(() => registry.scan('missing')))?.message === 'Unknown source: missing');
+
+  // Base class contract
+  const bare = new SourceAdapter({ id: 'bare', name: 'Bare' });
+  check('fetch() must be implemented', (await thrown(() => bare.fetch()))?.message === 'SourceAdapter must implement fetch()');
+  check('normalize() must be implemented', (await thrown(() => bare.normalize({})))?.message === 'SourceAdapter must implement normalize()');
+
+  // Pipeline
+  const database = new MemoryDatabase();
+  const source = useDatabase(new FixtureSource(), database);
+  const fixtures = new SourceRegistry().register(source);
+  const { stats, opportunities } = await fixtures.scan('fixture');
+  const saved = database.rows('scored_opportunities');
+
+  check('Every item fetched', stats.fetched === ITEMS.length, `${stats.fetched} fetched`);
+  check('Dropped item not kept', stats.kept === 3, `${stats.kept} kept`);
+  check('Second Harbor sighting is a duplicate', stats.duplicates === 1 && saved.filter(row => row.company_name === 'Harbor Analytics').length === 1);
+  check('New companies saved and returned', stats.saved === 2 && opportunities.length === 2 && saved.length === 2);
+  check('Saved rows linked to their companies', saved.every(row => row.company_id) && database.rows('companies').length === 2);
+  check('Saved rows carry an ICP match', saved.every(row => row.opportunity_data.icp_match));
+  check('Fetch and item errors reported without stopping the run', stats.errors.length === 2 &&
+    stats.errors.some(error => error.feed === 'Offline feed') && stats.errors.some(error => error.error === 'analysis failed'), JSON.stringify(stats.errors));
+
+  const again = await fixtures.scan('fixture');
+  check('Re-running finds only duplicates', again.stats.saved === 0 && again.stats.duplicates === 3 && database.rows('scored_opportunities').length === 2);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testSourceRegistry().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * Tech Stack Detector Test
+ * Runs TechStackDetector against the saved pages in fixtures/tech-stack
+ * and checks the detected technologies against fixtures/tech-stack/expected.json
+ *
+ * Usage:
+ *   node test-tech-stack.js              # fixtures only (offline)
+ *   node test-tech-stack.js example.com  # also crawl a live domain
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const TechStackDetector = require('./services/tech-stack-detector');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'tech-stack');
+
+async function testTechStack() {
+  console.log('🧰 TECH STACK DETECTOR TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  const detector = new TechStackDetector();
+  const expected = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'expected.json'), 'utf8'));
+  let failures = 0;
+
+  for (const [file, spec] of Object.entries(expected)) {
+    const html = fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8');
+    const detections = detector.detectPage(html, spec.headers);
+    const summary = detector.summarize([{ url: file, status: 200, detections }]);
+
+    const found = summary.technologies.map(t => t.name).sort();
+    const wanted = [...spec.technologies].sort();
+    const missing = wanted.filter(name => !found.includes(name));
+    const unexpected = found.filter(name => !wanted.includes(name));
+    const scoreOk = summary.score >= spec.min_score;
+    const passed = missing.length === 0 && unexpected.length === 0 && scoreOk;
+
+    console.log(`${passed ? '✅' : '❌'} ${file}`);
+    console.log(`   Detected: ${found.join(', ') || '(none)'}`);
+    console.log(`   Score: ${summary.score} (min ${spec.min_score})`);
+    if (missing.length > 0) console.log(`   Missing: ${missing.join(', ')}`);
+    if (unexpected.length > 0) console.log(`   Unexpected: ${unexpected.join(', ')}`);
+    if (!scoreOk) console.log('   Score below expected minimum');
+    console.log('');
+
+    if (!passed) failures++;
+  }
+
+  // Optional live crawl
+  const domain = process.argv[2];
+  if (domain) {
+    console.log(`🌐 Live crawl: ${domain}`);
+    console.log('─────────────────────────────────────────\n');
+    const pages = await detector.crawl(domain);
+    const summary = detector.summarize(pages);
+    pages.forEach(p => console.log(`   ${p.error ? '❌' : '📄'} ${p.url} ${p.error || ''}`));
+    summary.technologies.forEach(t => console.log(`   • ${t.name} (${t.category}) - ${t.evidence[0]}`));
+    console.log(`   Score: ${summary.score}, missing: ${summary.missing.join(', ') || 'none'}\n`);
+  }
+
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All fixtures passed' : `❌ ${failures} fixture(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testTechStack().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Text Signals Test
+ * Checks TextSignals stemming, whole-word matching and negation windows, and
+ * that ForumScanner / RSSMonitor read pain points and business areas through it
+ *
+ * Usage:
+ *   node test-text-signals.js
+ */
+
+require('dotenv').config();
+
+const TextSignals = require('./services/text-signals');
+const ForumScanner = require('./services/forum-scanner');
+const RSSMonitor = require('./services/rss-monitor');
+
+async function testTextSignals() {
+  console.log('🔤 TEXT SIGNALS TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+
+  // Stemming lines up word forms
+  const stems = {
+    hiring: 'hir', hired: 'hir', hires: 'hir',
+    struggling: 'struggl', struggles: 'struggl',
+    stopped: 'stop', planning: 'plan',
+    companies: 'company', business: 'business', need: 'need'
+  };
+  for (const [word, stem] of Object.entries(stems)) {
+    check(`stem("${word}") = "${stem}"`, TextSignals.stem(word) === stem, TextSignals.stem(word));
+  }
+
+  // Keyword matches: [text, keyword, expected]
+  const cases = [
+    ['We are hiring two engineers', 'hiring', true],
+    ['Just hired our first engineer', 'hiring', true],
+    ['Chairing the board this year', 'hiring', false],
+    ['We are not hiring right now', 'hiring', false],
+    ["We're no longer hiring", 'hiring', false],
+    ["Can't find customers", 'find customers', false],
+    ['Not cheap, but hiring fast', 'hiring', true],
+    ['No budget yet. Hiring next quarter', 'hiring', true],
+    ['Not sure about pricing, we are struggling with churn', 'struggling', true],
+    ['Growth stalled after launch', 'grow', false],
+    ['Our onboarding flow is not working', 'not working', true]
+  ];
+  for (const [text, keyword, expected] of cases) {
+    const found = new TextSignals(text).has(keyword);
+    check(`"${keyword}" ${expected ? 'matches' : 'does not match'} "${text}"`, found === expected);
+  }
+
+  const negated = new TextSignals('We never struggle with hiring. Struggling with sales though').find('struggling');
+  check('Every occurrence reported with its negation', negated.length === 2 && negated[0].negated && !negated[1].negated,
+    negated.map(m => `${m.span} (${m.negated ? 'negated' : 'counts'})`).join(' | '));
+
+  const fields = TextSignals.fromObject({ title: 'Need help', data: { notes: ['hiring a closer'] } }, ['title', 'data.notes']);
+  const hit = fields.hits(['hiring'], 2)[0];
+  check('Hits carry the field, span and weight', hit?.field === 'data.notes[0]' && hit.span === 'hiring a closer' && hit.weight === 2, JSON.stringify(hit));
+
+  // ForumScanner / RSSMonitor: pain point and business area go through the same matching
+  const scanner = new ForumScanner();
+  const monitor = new RSSMonitor();
+  const areas = [
+    ['Our salesforce setup is a mess', 'general'],
+    ['Sales are down and we need help', 'sales'],
+    ['We have no marketing budget, product launches next week', 'product']
+  ];
+  for (const [text, area] of areas) {
+    const found = scanner.detectBusinessArea(new TextSignals(text));
+    check(`Forum business area for "${text}" is ${area}`, found === area, found);
+  }
+
+  const painPoints = [
+    ['We are not struggling, just looking for recommendations', 'Actively searching for solutions'],
+    ['Stuck on pricing', 'Facing operational challenges'],
+    ['The checkout is not working', 'Current solution failing']
+  ];
+  for (const [text, pain] of painPoints) {
+    const found = scanner.extractPainPoint(new TextSignals(text));
+    check(`Forum pain point for "${text}"`, found === pain, found);
+  }
+
+  const launch = monitor.extractBusinessPainPoint(new TextSignals('Just launched a new invoicing tool'));
+  check('RSS launch post reads as early stage', launch === 'Early stage - needs traction', launch);
+  const newsletter = monitor.extractBusinessPainPoint(new TextSignals('Our newsletter renewed its sponsors'));
+  check('RSS "new" does not match inside "newsletter" / "renewed"', newsletter === 'Building/growing a business', newsletter);
+
+  const post = scanner.analyzePost({
+    title: 'Struggling to grow sales for my small business',
+    contentSnippet: 'We are not hiring a marketing agency. Any advice on outbound?',
+    link: 'https://www.reddit.com/r/smallbusiness/comments/abc123',
+    author: 'founder_jane'
+  }, 'r/smallbusiness');
+  check('analyzePost reads the pain point and area from its signals',
+    post?.pain_point === 'Facing operational challenges' && post.business_area === 'sales', `${post?.pain_point} / ${post?.business_area}`);
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testTextSignals().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
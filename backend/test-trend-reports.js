@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Trend Reports Test
+ * Clusters the pain points in fixtures/trend-reports into themes and builds the
+ * weekly report for the week of 2026-09-14: theme labels, week-over-week volume
+ * and growth, the emerging flag, sources, representatives, storage and the
+ * Markdown rendering (in-memory database)
+ *
+ * Usage:
+ *   node test-trend-reports.js
+ */
+
+require('dotenv').config();
+
+const fixture = require('./fixtures/trend-reports/pain-points.json');
+const TrendClusterer = require('./services/trend-clusterer');
+const TrendReports = require('./services/trend-reports');
+const MemoryDatabase = require('./fixtures/memory-database');
+
+async function testTrendReports() {
+  console.log('📈 TREND REPORTS TEST\n');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
+
+  let failures = 0;
+  const check = (name, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${name}${detail ? ` - ${detail}` : ''}`);
+    if (!passed) failures++;
+  };
+  const opportunityId = n => fixture.scored_opportunities[n - 1].id;
+
+  // Clustering
+  const clusterer = new TrendClusterer();
+  check('Terms are stemmed content words', TrendClusterer.terms('We are hiring 3 developers and hired 2').join(',') === TrendClusterer.terms('hire developer hires').join(','),
+    TrendClusterer.terms('We are hiring 3 developers and hired 2').join(','));
+
+  const documents = fixture.scored_opportunities.map(opp => ({ id: opp.id, text: `${opp.opportunity_data.post_title}. ${opp.opportunity_data.content_preview}` }));
+  const { themes, unclustered } = clusterer.cluster(documents);
+  const ids = theme => theme.documents.map(doc => doc.id).sort().join(',');
+  check('Two themes, largest first', themes.length === 2 && themes[0].documents.length === 6 && themes[1].documents.length === 4, themes.map(t => t.label).join(' | '));
+  check('Cash-flow posts grouped', ids(themes[0]) === [1, 2, 3, 4, 5, 12].map(opportunityId).sort().join(','));
+  check('Themes labelled with their heaviest terms', themes[0].label.split(' / ').length === 3 && ['invoices', 'late', 'cash'].every(term => themes[0].terms.includes(term)));
+  check('One-off posts stay unclustered', unclustered.map(doc => doc.id).sort().join(',') === [10, 11].map(opportunityId).sort().join(','));
+  check('Document order does not matter', new TrendClusterer().cluster([...documents].reverse()).themes.map(theme => ids(theme)).join('|') === themes.map(theme => ids(theme)).join('|'));
+  check('Small themes dropped', new TrendClusterer({ minThemeSize: 5 }).cluster(documents).themes.length === 1);
+
+  // Weeks
+  const week = TrendReports.weekBounds('2026-09-17T23:00:00.000Z');
+  check('Weeks run Monday to Monday (UTC)', week.start.toISOString() === '2026-09-14T00:00:00.000Z' && week.end.toISOString() === '2026-09-21T00:00:00.000Z');
+  check('Sunday belongs to the week before', TrendReports.weekBounds('2026-09-13').start.toISOString() === '2026-09-07T00:00:00.000Z');
+  check('Invalid week date', TrendReports.weekBounds('not a date') === null);
+  check('Growth is null for new themes', TrendReports.growth(3, 0) === null && TrendReports.growth(5, 1) === 4 && TrendReports.growth(2, 4) === -0.5);
+
+  // Report
+  const database = new MemoryDatabase({ scored_opportunities: fixture.scored_opportunities, market_gaps: fixture.market_gaps });
+  const reports = new TrendReports();
+  reports.supabase = database;
+  const report = await reports.generate('2026-09-16');
+  const [cash, hiring] = report.themes;
+
+  check('Both weeks collected, older posts left out', report.documents.current === 8 && report.documents.previous === 4 && report.documents.gaps === 1, JSON.stringify(report.documents));
+  check('Cash-flow theme volume and growth', cash.volume.current === 5 && cash.volume.previous === 1 && cash.growth === 4, JSON.stringify(cash.volume));
+  check('Growing theme is emerging', cash.emerging && report.emerging.join(',') === String(cash.id));
+  check('Steady theme is not emerging', hiring.volume.current === 2 && hiring.volume.previous === 2 && hiring.growth === 0 && !hiring.emerging);
+  check('Market gaps join the theme', cash.sources['gap:cash_flow'] === 1 && cash.sources.forum === 3 && cash.sources.rss === 1, JSON.stringify(cash.sources));
+  check('Representatives come from this week', cash.representative.length === 3 && cash.representative.every(doc => new Date(doc.at) >= week.start));
+  check('Representatives closest to the theme first', cash.representative.every((doc, i, all) => i === 0 || all[i - 1].similarity >= doc.similarity));
+  check('Unclustered counted per week', report.unclustered.current === 1 && report.unclustered.previous === 1);
+
+  // Storage
+  check('Report stored', database.rows('trend_reports').length === 1 && database.rows('trend_reports')[0].period_start === report.period.start);
+  await reports.generate('2026-09-18');
+  check('Re-generating replaces the week', database.rows('trend_reports').length === 1);
+  const latest = await reports.get('latest');
+  check('Latest report', latest?.period.start === report.period.start && latest.themes.length === 2);
+  check('Unknown report', (await reports.get('missing')) === null);
+
+  // Markdown
+  const markdown = TrendReports.toMarkdown(report);
+  check('Markdown headline', markdown.startsWith('# Market trends - week of 2026-09-14') && markdown.includes('8 pain points this week (7 posts, 1 market gaps) vs 4 the week before.'));
+  check('Markdown lists emerging themes and growth', markdown.includes(`- **${cash.label}** - 5 this week (+400%)`) && markdown.includes(`| ${hiring.label} | 2 | 2 | +0% |`));
+  check('Markdown quotes the representatives', markdown.includes(`> - ${cash.representative[0].company_name}, ${cash.representative[0].source}`));
+
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log(failures === 0 ? '✅ All checks passed' : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+testTrendReports().catch(error => {
+  console.error('❌ Test error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Train Lead Model Script
+ * Fits the outcome-trained lead model on outreach results and compares its
+ * ranking quality with the rule-based scores on held-out leads
+ *
+ * Usage:
+ *   node train-lead-model.js                 # train, print report, save as draft
+ *   node train-lead-model.js --dry-run       # train and report only
+ *   node train-lead-model.js --activate      # save and make it the active model
+ *   node train-lead-model.js --report out.json  # also write the report (JSON) and out.md (Markdown)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const LeadModelTrainer = require('./services/lead-model-trainer');
+const ScoringModels = require('./services/scoring-models');
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
+  console.error('❌ Missing SUPABASE_URL or SUPABASE_SERVICE_KEY environment variables');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const activate = args.includes('--activate');
+const reportIndex = args.indexOf('--report');
+const reportPath = reportIndex !== -1 ? args[reportIndex + 1] : null;
+
+function formatReport(report) {
+  const { data, holdout } = report;
+  const fmt = value => value === null ? 'n/a' : value.toFixed(3);
+
+  return [
+    `# Lead model ${report.version}`,
+    '',
+    `Trained ${report.trained_at} on ${data.train.examples} leads (${data.train.positives} positive).`,
+    `Held out ${data.holdout.examples} leads (${data.holdout.positives} positive, base rate ${fmt(holdout.base_rate)}).`,
+    `${data.unlinked_campaigns} of ${data.campaigns} sent campaigns had no opportunity_id and were skipped.`,
+    '',
+    '| Scorer | AUC | Precision@' + holdout.k + ' |',
+    '|---|---|---|',
+    `| Model | ${fmt(holdout.model.auc)} | ${fmt(holdout.model.precision_at_k)} |`,
+    `| Rules (overall_score) | ${fmt(holdout.rules.auc)} | ${fmt(holdout.rules.precision_at_k)} |`,
+    '',
+    '## Top weights',
+    '',
+    ...report.top_weights.map(w => `- ${w.feature}: ${w.weight > 0 ? '+' : ''}${w.weight}`)
+  ].join('\n');
+}
+
+async function train() {
+  console.log('🧠 Training lead model from outreach outcomes...\n');
+
+  const trainer = new LeadModelTrainer();
+  const { model, report } = await trainer.run();
+
+  console.log('\n' + formatReport(report) + '\n');
+
+  if (reportPath) {
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(reportPath.replace(/\.json$/, '') + '.md', formatReport(report) + '\n');
+    console.log(`📝 Report written to ${reportPath}`);
+  }
+
+  if (dryRun) {
+    console.log('🔍 Dry run - model not saved');
+    return;
+  }
+
+  const models = new ScoringModels();
+  await models.save(model, report);
+  console.log(`💾 Saved model ${model.version} as draft`);
+
+  if (activate) {
+    await models.activate(model.version);
+  } else {
+    console.log(`   Activate with: POST /api/scoring/models/${model.version}/activate`);
+  }
+}
+
+train().catch(error => {
+  console.error('❌ Training failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+-- AI Spend Upgrade
+-- Ledger of every model call with estimated cost, plus budget caps (see services/ai-spend-ledger.js)
+
+-- ============================================
+-- AI SPEND LEDGER
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS ai_spend_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  task TEXT NOT NULL, -- research, reply_classification, reply_response (llm-config.json)
+  provider TEXT NOT NULL, -- perplexity, anthropic, stub
+  model TEXT,
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  estimated_tokens BOOLEAN DEFAULT false, -- provider didn't report usage - estimated from text length
+  cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+  priced BOOLEAN DEFAULT true, -- false when llm-config.json has no price for the model
+  latency_ms INTEGER,
+  opportunity_id UUID REFERENCES scored_opportunities(id) ON DELETE SET NULL, -- lead the call served
+  campaign_id UUID REFERENCES outreach_campaigns(id) ON DELETE SET NULL, -- campaign (reply handling)
+  source TEXT, -- lead source at the time of the call
+  company_name TEXT
+);
+
+COMMENT ON TABLE ai_spend_ledger IS 'One row per completed LLM call - estimated cost from the pricing table in llm-config.json';
+
+CREATE INDEX IF NOT EXISTS idx_ai_spend_created ON ai_spend_ledger(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_spend_task ON ai_spend_ledger(task, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_spend_opportunity ON ai_spend_ledger(opportunity_id);
+CREATE INDEX IF NOT EXISTS idx_ai_spend_campaign ON ai_spend_ledger(campaign_id);
+
+-- Budgets are the ai_budgets row in system_settings (PUT /api/ai-spend/budgets):
+-- { "daily_usd": 10, "monthly_usd": 200, "tasks": { "research": { "daily_usd": 5 } } }, null = no cap.
+-- Until it's set, AI_DAILY_BUDGET_USD / AI_MONTHLY_BUDGET_USD apply.
+
+-- ============================================
+-- MEETINGS (cost per booked meeting)
+-- ============================================
+
+ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS meeting_scheduled_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_meeting ON outreach_campaigns(meeting_scheduled_at);
+
+SELECT 'AI spend upgrade complete!' as status;
@@ -0,0 +1,42 @@
+-- Approval Workflow Upgrade
+-- Reviewer decisions for market gaps, outreach drafts and solution deliveries (see services/approval-inbox.js)
+
+-- ============================================
+-- REVIEW COLUMNS
+-- ============================================
+-- approved_by / approved_at / approved_for_* already exist; these record every decision,
+-- including rejections, with the reviewer's reason
+
+ALTER TABLE market_gaps ADD COLUMN IF NOT EXISTS review_status TEXT DEFAULT 'pending'; -- 'pending', 'approved', 'rejected'
+ALTER TABLE market_gaps ADD COLUMN IF NOT EXISTS review_reason TEXT;
+ALTER TABLE market_gaps ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE market_gaps ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS review_status TEXT DEFAULT 'pending';
+ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS review_reason TEXT;
+ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE outreach_campaigns ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE solution_deliveries ADD COLUMN IF NOT EXISTS review_status TEXT DEFAULT 'pending';
+ALTER TABLE solution_deliveries ADD COLUMN IF NOT EXISTS review_reason TEXT;
+ALTER TABLE solution_deliveries ADD COLUMN IF NOT EXISTS reviewed_by TEXT;
+ALTER TABLE solution_deliveries ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN market_gaps.review_status IS 'Approval inbox decision - approved sets approved_for_outreach; in approval mode the outreach agent holds leads until one of their gaps is approved';
+COMMENT ON COLUMN outreach_campaigns.review_status IS 'Approval inbox decision - approved drafts are sent by the outreach agent in approval mode';
+COMMENT ON COLUMN solution_deliveries.review_status IS 'Approval inbox decision - approved drafts are emailed by the delivery agent in approval mode (status delivered, or send_failed)';
+
+CREATE INDEX IF NOT EXISTS idx_market_gaps_review ON market_gaps(review_status);
+CREATE INDEX IF NOT EXISTS idx_outreach_review ON outreach_campaigns(review_status);
+CREATE INDEX IF NOT EXISTS idx_deliveries_review ON solution_deliveries(review_status);
+
+-- ============================================
+-- APPROVAL MODE
+-- ============================================
+
+INSERT INTO system_settings (setting_key, setting_value) VALUES
+  ('require_approval_for_outreach', 'true'),
+  ('require_approval_for_delivery', 'true')
+ON CONFLICT (setting_key) DO NOTHING;
+
+SELECT 'Approval workflow upgrade complete!' as status;
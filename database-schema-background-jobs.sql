@@ -0,0 +1,34 @@
+-- Background Jobs Upgrade
+-- Durable queue for research, discovery and email finding (see services/job-queue.js)
+
+-- ============================================
+-- BACKGROUND JOBS
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS background_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  type TEXT NOT NULL, -- research_leads, discover_company, find_emails
+  status TEXT NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled
+  payload JSONB NOT NULL DEFAULT '{}', -- request body the job was queued with
+  progress JSONB NOT NULL DEFAULT '{}', -- { done, total, message, ... } plus the handler's checkpoint for resuming
+  result JSONB, -- what the synchronous route used to return
+  error TEXT, -- last failure
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- retries wait until then
+  locked_by TEXT, -- worker (host:pid:random) running the job
+  locked_at TIMESTAMP WITH TIME ZONE,
+  heartbeat_at TIMESTAMP WITH TIME ZONE, -- running jobs without a recent heartbeat are re-queued
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE background_jobs IS 'Background work queued by the API - polled at GET /api/jobs/:id, resumed after a restart';
+
+CREATE INDEX IF NOT EXISTS idx_background_jobs_queue ON background_jobs(status, run_after, created_at);
+CREATE INDEX IF NOT EXISTS idx_background_jobs_type ON background_jobs(type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_background_jobs_heartbeat ON background_jobs(heartbeat_at) WHERE status = 'running';
+
+SELECT 'Background jobs upgrade complete!' as status;
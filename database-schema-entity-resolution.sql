@@ -0,0 +1,51 @@
+-- Entity Resolution Upgrade
+-- Canonical companies that scored_opportunities rows from every source link to
+
+-- ============================================
+-- COMPANIES TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS companies (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  canonical_name TEXT NOT NULL,
+  normalized_name TEXT NOT NULL, -- lowercase, no punctuation, no Inc/LLC/Ltd suffix
+  name_key TEXT NOT NULL, -- first 4 letters of normalized_name, narrows fuzzy-match candidates
+  primary_domain TEXT, -- registrable domain (acme.com, acme.co.uk)
+  domains TEXT[] DEFAULT '{}',
+  sources TEXT[] DEFAULT '{}', -- every source that produced evidence for this company
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE companies IS 'Canonical company records - each scored_opportunities row is a piece of evidence linked by company_id';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_companies_primary_domain ON companies(primary_domain) WHERE primary_domain IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_companies_normalized_name ON companies(normalized_name);
+CREATE INDEX IF NOT EXISTS idx_companies_name_key ON companies(name_key);
+CREATE INDEX IF NOT EXISTS idx_companies_domains ON companies USING GIN(domains);
+
+-- Link opportunities to their canonical company
+ALTER TABLE scored_opportunities ADD COLUMN IF NOT EXISTS company_id UUID REFERENCES companies(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_scored_opportunities_company ON scored_opportunities(company_id);
+
+-- ============================================
+-- COMPANY MATCH REVIEWS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS company_match_reviews (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  opportunity_id UUID REFERENCES scored_opportunities(id) ON DELETE CASCADE,
+  company_id UUID REFERENCES companies(id) ON DELETE SET NULL, -- company the opportunity is linked to now
+  candidate_company_id UUID REFERENCES companies(id) ON DELETE SET NULL, -- company it might really belong to
+  similarity NUMERIC(4,3),
+  reason TEXT,
+  status TEXT DEFAULT 'pending', -- pending, confirmed, split
+  resolved_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE company_match_reviews IS 'Ambiguous company matches waiting for a human to confirm (merge) or split';
+
+CREATE INDEX IF NOT EXISTS idx_company_match_reviews_status ON company_match_reviews(status);
+
+SELECT 'Entity resolution upgrade complete!' as status;
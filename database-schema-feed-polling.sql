@@ -0,0 +1,47 @@
+-- Feed Polling Upgrade
+-- Incremental RSS/Atom polling: seen-item store and per-feed health
+
+-- ============================================
+-- SEEN FEED ITEMS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS seen_feed_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  feed_url TEXT NOT NULL,
+  item_key TEXT NOT NULL, -- GUID, falling back to link / title
+  item_url TEXT,
+  title TEXT,
+  first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(feed_url, item_key)
+);
+
+COMMENT ON TABLE seen_feed_items IS 'Feed items already processed by a lead source - skipped on later runs';
+
+CREATE INDEX IF NOT EXISTS idx_seen_feed_items_seen_at ON seen_feed_items(first_seen_at);
+
+-- ============================================
+-- FEED HEALTH TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS feed_health (
+  feed_url TEXT PRIMARY KEY,
+  feed_name TEXT,
+  source_id TEXT, -- lead source id (rss, forums, news)
+  etag TEXT,
+  last_modified TEXT,
+  last_status INTEGER, -- 200, 304 or the failing HTTP status
+  last_success_at TIMESTAMP WITH TIME ZONE,
+  last_failure_at TIMESTAMP WITH TIME ZONE,
+  last_error TEXT,
+  consecutive_failures INTEGER DEFAULT 0,
+  successful_runs INTEGER DEFAULT 0,
+  last_new_items INTEGER DEFAULT 0,
+  avg_new_items NUMERIC(8,2) DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE feed_health IS 'Per-feed polling state (ETag/Last-Modified) and health';
+
+CREATE INDEX IF NOT EXISTS idx_feed_health_source ON feed_health(source_id);
+
+SELECT 'Feed polling upgrade complete!' as status;
@@ -0,0 +1,17 @@
+-- Gap Evidence Upgrade
+-- Content-based gap analysis: several gaps per company, each with the quotes it was based on
+-- (see services/gap-classifier.js)
+
+-- ============================================
+-- GAP CATEGORY & EVIDENCE
+-- ============================================
+
+ALTER TABLE market_gaps ADD COLUMN IF NOT EXISTS gap_category TEXT; -- gap-taxonomy.json category within gap_type, e.g. client_acquisition
+ALTER TABLE market_gaps ADD COLUMN IF NOT EXISTS evidence JSONB DEFAULT '[]'::jsonb; -- [{ quote, field, keywords, pain_cue }]
+
+COMMENT ON COLUMN market_gaps.evidence IS 'Quotes from the opportunity text that support the gap - confidence_score is derived from them';
+
+-- The Gap Finder records opportunity_data.gap_analysis on each opportunity it classifies
+-- and skips those on later runs, so a company's gaps are only stored once
+
+SELECT 'Gap evidence upgrade complete!' as status;
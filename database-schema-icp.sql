@@ -0,0 +1,28 @@
+-- ICP Profiles Upgrade
+-- Ideal customer profiles and the ICP fit stored on every opportunity (see services/icp-profiles.js)
+
+-- ============================================
+-- ICP PROFILES TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS icp_profiles (
+  id TEXT PRIMARY KEY, -- slug, e.g. founder-led-services
+  name TEXT NOT NULL,
+  definition JSONB NOT NULL, -- industries, tenure_stages, headcount_bands, revenue_bands, locations, required/excluded_keywords, tech_stack, weights, min_match
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE icp_profiles IS 'Ideal customer profiles - with no rows the built-in icp-defaults.json profiles are used';
+
+-- ============================================
+-- ICP FIT ON OPPORTUNITIES
+-- ============================================
+
+ALTER TABLE scored_opportunities ADD COLUMN IF NOT EXISTS icp_id TEXT; -- best matching profile (NULL = no profile reached its min_match)
+ALTER TABLE scored_opportunities ADD COLUMN IF NOT EXISTS icp_match_score INTEGER; -- best profile score 0-100 (details in opportunity_data.icp_match)
+
+CREATE INDEX IF NOT EXISTS idx_scored_opportunities_icp ON scored_opportunities(icp_id);
+
+SELECT 'ICP profiles upgrade complete!' as status;
@@ -0,0 +1,19 @@
+-- Lead Freshness Upgrade
+-- Per-source half-lives for the time-decayed live priority (see services/lead-freshness.js)
+
+-- ============================================
+-- SOURCE FRESHNESS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS source_freshness (
+  source TEXT PRIMARY KEY, -- scored_opportunities.source (forum, rss, indie_hackers, news feed name, ...)
+  half_life_days NUMERIC, -- NULL = leads from this source never go stale
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE source_freshness IS 'Freshness half-life per lead source - sources without a row use the built-in defaults';
+
+-- Queues read the newest rows first and rank them by live priority
+CREATE INDEX IF NOT EXISTS idx_scored_opportunities_created_at ON scored_opportunities(created_at DESC);
+
+SELECT 'Lead freshness upgrade complete!' as status;
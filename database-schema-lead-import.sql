@@ -0,0 +1,23 @@
+-- Lead Import Upgrade
+-- Saved column mappings for CSV/XLSX uploads to /api/import-leads
+
+-- ============================================
+-- LEAD IMPORT MAPPINGS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS lead_import_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT UNIQUE NOT NULL, -- e.g. 'Apollo export', 'LinkedIn Sales Nav'
+  description TEXT,
+  columns JSONB NOT NULL, -- { "Source Header": "target_field", ... }
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE lead_import_mappings IS 'Named column mappings for lead CSV/Excel imports';
+
+-- Speeds up duplicate detection during imports
+CREATE INDEX IF NOT EXISTS idx_scored_opportunities_domain ON scored_opportunities(company_domain);
+CREATE INDEX IF NOT EXISTS idx_scored_opportunities_name ON scored_opportunities(company_name);
+
+SELECT 'Lead import upgrade complete!' as status;
@@ -0,0 +1,49 @@
+-- Lead Model Upgrade
+-- Outcome-trained lead scoring models (see backend/train-lead-model.js)
+
+-- ============================================
+-- SCORING MODELS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS scoring_models (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version TEXT NOT NULL UNIQUE,
+  model JSONB NOT NULL, -- serialized LeadModel: features, weights, bias, training params
+  metrics JSONB, -- training report: data counts, holdout AUC / precision@k for model vs rules
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+  trained_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  activated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one active model at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_models_active ON scoring_models(status) WHERE status = 'active';
+
+COMMENT ON TABLE scoring_models IS 'Logistic regression lead models trained on outreach outcomes - alternative to the rule-based scorer';
+
+-- Outcome labels are joined through outreach_campaigns.opportunity_id, the
+-- scored_opportunities row the outreach agent matched the lead to (by contact
+-- email, then company). The mfs_leads row is kept in mfs_lead_id.
+-- converted is set by auto-booking when a meeting is booked.
+ALTER TABLE outreach_campaigns
+ADD COLUMN IF NOT EXISTS opportunity_id UUID,
+ADD COLUMN IF NOT EXISTS mfs_lead_id UUID,
+ADD COLUMN IF NOT EXISTS converted BOOLEAN DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_outreach_campaigns_opportunity ON outreach_campaigns(opportunity_id);
+
+-- Backfill: older campaigns stored the mfs_leads id in opportunity_id
+UPDATE outreach_campaigns c
+SET mfs_lead_id = c.opportunity_id, opportunity_id = NULL
+WHERE c.mfs_lead_id IS NULL
+  AND c.opportunity_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM scored_opportunities s WHERE s.id = c.opportunity_id);
+
+UPDATE outreach_campaigns c
+SET opportunity_id = (
+  SELECT s.id FROM scored_opportunities s
+  WHERE lower(s.opportunity_data->>'discovered_email') = lower(c.recipient_email)
+  ORDER BY s.created_at DESC
+  LIMIT 1
+)
+WHERE c.opportunity_id IS NULL AND c.recipient_email IS NOT NULL;
+
+SELECT 'Lead model upgrade complete!' as status;
@@ -0,0 +1,24 @@
+-- Research Cache Upgrade
+-- Perplexity answers per company domain and query type (see services/research-cache.js)
+
+-- ============================================
+-- RESEARCH CACHE TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS research_cache (
+  cache_key TEXT PRIMARY KEY, -- <query_type>:<domain>, or <query_type>:name:<normalized name> without an identity domain
+  domain TEXT, -- normalized registrable domain (NULL for name-keyed entries)
+  query_type TEXT NOT NULL, -- structured, quick, background, pain_points, decision_maker, contact_email, recent_activity, market_context
+  response JSONB NOT NULL, -- { findings, sources, researched_at }
+  hits INTEGER DEFAULT 0,
+  last_hit_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+COMMENT ON TABLE research_cache IS 'Cached Perplexity research - duplicate companies across sources cost one lookup per TTL';
+
+CREATE INDEX IF NOT EXISTS idx_research_cache_domain ON research_cache(domain);
+CREATE INDEX IF NOT EXISTS idx_research_cache_expires ON research_cache(expires_at);
+
+SELECT 'Research cache upgrade complete!' as status;
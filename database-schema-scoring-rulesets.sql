@@ -0,0 +1,33 @@
+-- Scoring Rulesets Upgrade
+-- Versioned JSON rulesets for IntelligentScorer (draft -> test -> activate)
+
+-- ============================================
+-- SCORING RULESETS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS scoring_rulesets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version TEXT NOT NULL UNIQUE,
+  description TEXT,
+  rules JSONB NOT NULL, -- signals, qualification, dimensions, actions, tiers (see backend/services/scoring-rules.json)
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'active', 'retired')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  activated_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Only one active ruleset at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_rulesets_active ON scoring_rulesets(status) WHERE status = 'active';
+
+COMMENT ON TABLE scoring_rulesets IS 'Scoring rulesets - with no active row the built-in scoring-rules.json is used';
+
+-- ============================================
+-- RULESET VERSION ON SCORED ROWS
+-- ============================================
+
+ALTER TABLE scored_opportunities ADD COLUMN IF NOT EXISTS scoring_ruleset_version TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_scored_opportunities_ruleset ON scored_opportunities(scoring_ruleset_version);
+
+COMMENT ON COLUMN scored_opportunities.scoring_ruleset_version IS 'Version of the scoring ruleset that produced overall_score / priority_tier';
+
+SELECT 'Scoring rulesets upgrade complete!' as status;
@@ -0,0 +1,37 @@
+-- Source Config Upgrade
+-- Feeds and keyword lists for lead sources, editable through /api/sources/:id/...
+
+-- ============================================
+-- SOURCE FEEDS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS source_feeds (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_id TEXT NOT NULL, -- lead source id (rss, forums, news)
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  type TEXT, -- rss only: business_owners, content
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(source_id, url)
+);
+
+COMMENT ON TABLE source_feeds IS 'Feeds/subreddits per lead source - when a source has no rows its built-in list is used';
+
+-- ============================================
+-- KEYWORD LISTS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS keyword_lists (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_id TEXT NOT NULL,
+  list_name TEXT NOT NULL, -- pain, business, action, question, owner_signals
+  keywords TEXT[] NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(source_id, list_name)
+);
+
+COMMENT ON TABLE keyword_lists IS 'Keyword lists per lead source - lists without a row use the built-in keywords';
+
+SELECT 'Source config upgrade complete!' as status;
@@ -0,0 +1,21 @@
+-- Market Trends Upgrade
+-- Weekly trend reports from clustered pain points (see services/trend-reports.js)
+
+-- ============================================
+-- TREND REPORTS TABLE
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS trend_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  period_start TIMESTAMP WITH TIME ZONE NOT NULL UNIQUE, -- Monday 00:00 UTC; re-generating a week replaces its report
+  period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+  report JSONB NOT NULL, -- themes with volume, growth, emerging flag and representative posts
+  generated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+COMMENT ON TABLE trend_reports IS 'Weekly market trend reports - themes clustered from opportunity pain points and market gaps';
+
+-- Reports read a week of opportunities and gaps at a time
+CREATE INDEX IF NOT EXISTS idx_market_gaps_identified_at ON market_gaps(identified_at);
+
+SELECT 'Market trends upgrade complete!' as status;
@@ -254,7 +254,7 @@ async function runTests() {
   log('\n📡 TEST 8: RSS Discovery System', 'blue');
   log('⚠️  This will scan live RSS feeds and create real opportunities', 'yellow');
   try {
-    const res = await request(`${API_BASE}/api/scan-rss`, 'POST');
+    const res = await request(`${API_BASE}/api/sources/rss/scan`, 'POST');
     if (res.status === 200 && res.data.success) {
       log('✅ RSS Discovery working', 'green');
       log(`   Opportunities Discovered: ${res.data.opportunities}`, 'cyan');